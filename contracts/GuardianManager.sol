@@ -0,0 +1,247 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.23;
+
+import { GuardianLib } from "./libraries/GuardianLib.sol";
+
+/**
+ * @title GuardianManager
+ * @dev Abstract contract providing guardian-based social recovery for smart wallets.
+ * The owner nominates guardians (EOAs or other Lendefi wallets) and an M-of-N threshold.
+ * Guardians can propose a new owner, which can be executed once enough guardians
+ * have approved it and the recovery delay has elapsed. The owner can cancel a pending
+ * recovery at any time before it is executed.
+ *
+ * Guardians approve by calling the wallet directly (msg.sender), so a guardian wallet
+ * approves through its own execute. Approvals are recounted against the current guardian
+ * set, so removing a guardian also removes its approval.
+ *
+ * State-changing logic lives in the linked GuardianLib; this contract keeps the types, events,
+ * errors, access checks and views.
+ */
+abstract contract GuardianManager {
+    // ============ Data Structures ============
+
+    /**
+     * @dev A pending recovery request
+     */
+    struct RecoveryRequest {
+        address newOwner;         // Proposed owner
+        uint48 executeAfter;      // Earliest execution time
+        uint64 nonce;             // Recovery nonce (scopes approvals)
+    }
+
+    /**
+     * @dev Storage layout for guardian management. Wallets are upgradeable: only append fields.
+     * @custom:storage-location erc7201:lendefi.guardian.storage.v1
+     */
+    struct GuardianStorage {
+        address[] guardians;
+        mapping(address => bool) isGuardian;
+        uint256 threshold;
+        uint48 recoveryDelay;     // 0 = DEFAULT_RECOVERY_DELAY
+        uint64 recoveryNonce;     // Incremented on every initiated recovery
+        RecoveryRequest pending;
+        mapping(uint64 => mapping(address => bool)) approvals;
+    }
+
+    // ============ Constants ============
+
+    /// @dev Maximum number of guardians
+    uint256 public constant MAX_GUARDIANS = GuardianLib.MAX_GUARDIANS;
+
+    /// @dev Recovery delay used until the owner configures one
+    uint48 public constant DEFAULT_RECOVERY_DELAY = GuardianLib.DEFAULT_RECOVERY_DELAY;
+
+    /// @dev Minimum configurable recovery delay
+    uint48 public constant MIN_RECOVERY_DELAY = GuardianLib.MIN_RECOVERY_DELAY;
+
+    /// @dev Maximum configurable recovery delay
+    uint48 public constant MAX_RECOVERY_DELAY = GuardianLib.MAX_RECOVERY_DELAY;
+
+    // ============ Events ============
+
+    event GuardianAdded(address indexed guardian);
+    event GuardianRemoved(address indexed guardian);
+    event GuardianThresholdChanged(uint256 threshold);
+    event RecoveryDelayChanged(uint48 delay);
+    event RecoveryInitiated(
+        uint64 indexed nonce,
+        address indexed newOwner,
+        address indexed guardian,
+        uint48 executeAfter
+    );
+    event RecoveryApproved(uint64 indexed nonce, address indexed guardian, uint256 approvals);
+    event RecoveryExecuted(uint64 indexed nonce, address indexed newOwner);
+    event RecoveryCancelled(uint64 indexed nonce);
+
+    // ============ Errors ============
+
+    error InvalidGuardian();
+    error GuardianAlreadyExists();
+    error GuardianNotFound();
+    error TooManyGuardians();
+    error InvalidGuardianThreshold();
+    error InvalidRecoveryDelay();
+    error NotGuardian();
+    error InvalidRecoveryOwner();
+    error RecoveryAlreadyPending();
+    error NoPendingRecovery();
+    error RecoveryAlreadyApproved();
+    error RecoveryNotApproved();
+    error RecoveryNotReady();
+
+    // ============ Modifiers ============
+
+    modifier onlyGuardian() {
+        if (!_guardianStorage().isGuardian[msg.sender]) revert NotGuardian();
+        _;
+    }
+
+    // ============ Storage Access ============
+
+    function _guardianStorage() internal pure returns (GuardianStorage storage s) {
+        return GuardianLib.guardianStorage();
+    }
+
+    // ============ External Functions - Owner ============
+
+    /**
+     * @notice Add a guardian. The first guardian sets the threshold to 1.
+     * @param guardian Guardian address (EOA or smart wallet)
+     */
+    function addGuardian(address guardian) external {
+        _requireOwner();
+        GuardianLib.addGuardian(guardian);
+    }
+
+    /**
+     * @notice Remove a guardian. Lower the threshold first if it would exceed the guardian count.
+     * Removing the last guardian disables recovery.
+     * @param guardian Guardian address
+     */
+    function removeGuardian(address guardian) external {
+        _requireOwner();
+        GuardianLib.removeGuardian(guardian);
+    }
+
+    /**
+     * @notice Set the number of guardian approvals required for recovery
+     * @param threshold Required approvals (1..guardian count)
+     */
+    function setGuardianThreshold(uint256 threshold) external {
+        _requireOwner();
+        GuardianLib.setGuardianThreshold(threshold);
+    }
+
+    /**
+     * @notice Set the delay between initiating and executing a recovery
+     * @param delay Delay in seconds (MIN_RECOVERY_DELAY..MAX_RECOVERY_DELAY)
+     */
+    function setRecoveryDelay(uint48 delay) external {
+        _requireOwner();
+        GuardianLib.setRecoveryDelay(delay);
+    }
+
+    /**
+     * @notice Cancel the pending recovery
+     */
+    function cancelRecovery() external {
+        _requireOwner();
+        GuardianLib.cancelRecovery();
+    }
+
+    // ============ External Functions - Guardians ============
+
+    /**
+     * @notice Propose a new owner. Counts as the caller's approval.
+     * @param newOwner Proposed owner address
+     */
+    function initiateRecovery(address newOwner) external onlyGuardian {
+        GuardianLib.initiateRecovery(newOwner);
+    }
+
+    /**
+     * @notice Approve the pending recovery
+     */
+    function approveRecovery() external onlyGuardian {
+        GuardianLib.approveRecovery();
+    }
+
+    /**
+     * @notice Execute the pending recovery once approved by the threshold and past its delay.
+     * Callable by anyone.
+     */
+    function executeRecovery() external {
+        RecoveryRequest memory request = GuardianLib.executeRecovery();
+        _recoverOwner(request.newOwner);
+        emit RecoveryExecuted(request.nonce, request.newOwner);
+    }
+
+    // ============ View Functions ============
+
+    /**
+     * @notice Check whether an address is a guardian
+     */
+    function isGuardian(address account) external view returns (bool) {
+        return _guardianStorage().isGuardian[account];
+    }
+
+    /**
+     * @notice Get all guardians
+     */
+    function getGuardians() external view returns (address[] memory) {
+        return _guardianStorage().guardians;
+    }
+
+    /**
+     * @notice Number of guardian approvals required for recovery (0 = recovery disabled)
+     */
+    function guardianThreshold() external view returns (uint256) {
+        return _guardianStorage().threshold;
+    }
+
+    /**
+     * @notice Delay between initiating and executing a recovery
+     */
+    function recoveryDelay() public view returns (uint48) {
+        return GuardianLib.recoveryDelay(_guardianStorage());
+    }
+
+    /**
+     * @notice Get the pending recovery
+     * @return newOwner Proposed owner (zero if none)
+     * @return executeAfter Earliest execution time
+     * @return nonce Recovery nonce
+     * @return approvals Approvals from current guardians
+     */
+    function getPendingRecovery()
+        external
+        view
+        returns (address newOwner, uint48 executeAfter, uint64 nonce, uint256 approvals)
+    {
+        GuardianStorage storage gs = _guardianStorage();
+        RecoveryRequest memory request = gs.pending;
+        if (request.newOwner == address(0)) return (address(0), 0, 0, 0);
+        return (request.newOwner, request.executeAfter, request.nonce, GuardianLib.countApprovals(gs));
+    }
+
+    /**
+     * @notice Check whether a guardian approved the pending recovery
+     */
+    function hasApprovedRecovery(address guardian) external view returns (bool) {
+        GuardianStorage storage gs = _guardianStorage();
+        return gs.pending.newOwner != address(0) && gs.approvals[gs.pending.nonce][guardian];
+    }
+
+    // ============ Abstract Functions ============
+
+    /**
+     * @dev Abstract function to require owner - must be implemented by child contract
+     */
+    function _requireOwner() internal view virtual;
+
+    /**
+     * @dev Abstract function to hand the wallet to a recovered owner - must be implemented by child contract
+     */
+    function _recoverOwner(address newOwner) internal virtual;
+}
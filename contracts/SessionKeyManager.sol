@@ -1,8 +1,10 @@
 // SPDX-License-Identifier: MIT
 pragma solidity 0.8.23;
 
-import { ECDSA } from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
-import { P256 } from "@openzeppelin/contracts/utils/cryptography/P256.sol";
+import { EIP712 } from "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import { EnumerableSet } from "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import { SessionKeyLib } from "./libraries/SessionKeyLib.sol";
+import { SessionValidationLib } from "./libraries/SessionValidationLib.sol";
 
 /**
  * @title SessionKeyManager
@@ -13,18 +15,31 @@ import { P256 } from "@openzeppelin/contracts/utils/cryptography/P256.sol";
  * Supports two signature types:
  * - ECDSA (secp256k1): Traditional Ethereum signatures
  * - P256 (secp256r1): Passkeys, WebAuthn, Apple/Google device login, FIDO2
+ *   (raw (r,s) signatures or full WebAuthn assertions)
  * 
  * Key features:
  * - Time-bounded validity (validAfter, validUntil)
  * - Target contract restrictions (allowlist)
- * - Function selector restrictions
+ * - Function selector restrictions, flat or scoped per target
  * - Spending limits (per-tx and total)
+ * - ERC-20 spending limits (transfer, transferFrom, approve; other calls to a limited token are rejected)
+ * - Calldata argument rules per function selector
  * - Call count limits
- * - Immediate revocation capability
+ * - ERC-1271 signing off by default, scoped per session to EIP-712 types or allowlisted hashes
+ * - External policy contracts (IPolicy) for rules the wallet does not implement
+ * - Per-period call and spending limits that reset automatically
+ * - Immediate revocation capability, per key or of every session at once (session epochs)
+ * - On-chain enumeration of the sessions that have not been revoked
+ * - Enable mode: an owner-signed EIP-712 grant registers the session in its first UserOperation
  * - Support for both secp256k1 (ECDSA) and secp256r1 (P256/Passkeys)
+ *
+ * The session logic lives in two linked libraries, SessionKeyLib (registration and getters) and
+ * SessionValidationLib (signature, permission and limit checks), which keeps wallets under the
+ * EIP-170 code size limit. This contract declares the types, events and errors and exposes the
+ * wallet functions.
  */
-abstract contract SessionKeyManager {
-    using ECDSA for bytes32;
+abstract contract SessionKeyManager is EIP712 {
+    using EnumerableSet for EnumerableSet.Bytes32Set;
 
     // ============ Enums ============
 
@@ -36,6 +51,17 @@ abstract contract SessionKeyManager {
         P256        // secp256r1 - Passkeys, WebAuthn, FIDO2, Secure Enclave
     }
 
+    /**
+     * @dev Comparison applied by a calldata argument rule
+     */
+    enum ParamOperator {
+        EQUAL,      // argument == values[0]
+        LTE,        // argument <= values[0] (unsigned)
+        GTE,        // argument >= values[0] (unsigned)
+        NOT_EQUAL,  // argument != values[0]
+        ONE_OF      // argument is one of values
+    }
+
     // ============ Data Structures ============
 
     /**
@@ -65,7 +91,21 @@ abstract contract SessionKeyManager {
         // Status
         SignerType signerType;    // 1 byte - Type of signer
         bool revoked;             // 1 byte - Manual revocation flag
-        bytes32 permissionsHash;  // 32 bytes - Hash of allowed targets/selectors
+        bytes32 permissionsHash;  // 32 bytes - Hash of every permission (see _permissionsHashECDSA)
+
+        // Rate limits
+        uint48 periodLength;      // 6 bytes - Length of a rate-limit period (0 = no period limits)
+        uint48 periodStart;       // 6 bytes - Start of the current period
+        uint64 maxCallsPerPeriod; // 8 bytes - Max calls per period (0 = unlimited)
+        uint64 periodCallsUsed;   // 8 bytes - Calls made in the current period
+        uint128 maxValuePerPeriod; // 16 bytes - Max ETH per period (0 = no limit)
+        uint128 periodValueUsed;  // 16 bytes - ETH used in the current period
+
+        // Revocation
+        uint64 epoch;             // 8 bytes - Session epoch at creation (stale once revokeAllSessions moves on)
+
+        // Co-signing
+        address cosigner;         // 20 bytes - Second signer required on every signature (0 = none)
     }
 
     /**
@@ -78,8 +118,19 @@ abstract contract SessionKeyManager {
         uint128 maxValuePerTx;          // Max ETH per tx (0 = no limit)
         uint128 maxValueTotal;          // Max total ETH (0 = no limit)
         uint64 maxCalls;                // Max calls (0 = unlimited)
+        uint48 periodLength;            // Rate-limit period length (0 = no period limits)
+        uint64 maxCallsPerPeriod;       // Max calls per period (0 = unlimited)
+        uint128 maxValuePerPeriod;      // Max ETH per period (0 = no limit)
         address[] allowedTargets;       // Allowed target contracts
         bytes4[] allowedSelectors;      // Allowed function selectors
+        TargetPermission[] targetPermissions; // Selectors allowed on specific targets
+        TokenLimit[] tokenLimits;       // ERC-20 spending limits
+        ParamRule[] paramRules;         // Calldata argument rules
+        SigningPermission[] signingPermissions; // EIP-712 types the key may sign (ERC-1271)
+        bytes32[] signableHashes;       // Hashes the key may sign (ERC-1271)
+        address[] policies;             // External IPolicy contracts checked on every UserOperation
+        RecipientLimit[] recipients;    // Addresses the key may pay with value-only transfers
+        address cosigner;               // Second signer required on every signature (0 = none)
     }
 
     /**
@@ -93,12 +144,130 @@ abstract contract SessionKeyManager {
         uint128 maxValuePerTx;          // Max ETH per tx (0 = no limit)
         uint128 maxValueTotal;          // Max total ETH (0 = no limit)
         uint64 maxCalls;                // Max calls (0 = unlimited)
+        uint48 periodLength;            // Rate-limit period length (0 = no period limits)
+        uint64 maxCallsPerPeriod;       // Max calls per period (0 = unlimited)
+        uint128 maxValuePerPeriod;      // Max ETH per period (0 = no limit)
+        address[] allowedTargets;       // Allowed target contracts
+        bytes4[] allowedSelectors;      // Allowed function selectors
+        TargetPermission[] targetPermissions; // Selectors allowed on specific targets
+        TokenLimit[] tokenLimits;       // ERC-20 spending limits
+        ParamRule[] paramRules;         // Calldata argument rules
+        SigningPermission[] signingPermissions; // EIP-712 types the key may sign (ERC-1271)
+        bytes32[] signableHashes;       // Hashes the key may sign (ERC-1271)
+        address[] policies;             // External IPolicy contracts checked on every UserOperation
+        RecipientLimit[] recipients;    // Addresses the key may pay with value-only transfers
+        address cosigner;               // Second signer required on every signature (0 = none)
+    }
+
+    /**
+     * @dev Selectors allowed on one specific target.
+     * Complements the flat allowedTargets x allowedSelectors lists, which act as a wildcard.
+     */
+    struct TargetPermission {
+        address target;                 // Target contract
+        bytes4[] selectors;             // Function selectors allowed on this target
+    }
+
+    /**
+     * @dev EIP-712 struct type a session may sign through ERC-1271, for one app contract.
+     * The app must expose DOMAIN_SEPARATOR() (ERC-2612 tokens, Permit2, ...).
+     */
+    struct SigningPermission {
+        address verifyingContract;      // App contract whose domain the signature is for
+        bytes32 typehash;               // EIP-712 typehash of the signed struct
+    }
+
+    /**
+     * @dev Cumulative ERC-20 spending limit for a session
+     */
+    struct TokenLimit {
+        address token;                  // ERC-20 token address
+        uint128 limit;                  // Max cumulative amount moved or approved
+    }
+
+    /**
+     * @dev Rule on a 32-byte calldata argument of calls with a given selector
+     */
+    struct ParamRule {
+        bytes4 selector;                // Function selector the rule applies to
+        uint32 offset;                  // Byte offset of the argument, after the selector
+        ParamOperator operator;         // Comparison to apply
+        bytes32[] values;               // Comparison value (several for ONE_OF)
+    }
+
+    /**
+     * @dev Recipient a session may send ETH to with empty calldata, without listing it as a target
+     */
+    struct RecipientLimit {
+        address recipient;              // Address that may receive value-only transfers
+        uint128 limit;                  // Max cumulative ETH sent to it (0 = no limit)
+    }
+
+    /**
+     * @dev Tracked ETH payments to an allowed recipient (stored per session and recipient)
+     */
+    struct RecipientAllowance {
+        bool allowed;                   // Recipient is on the session's list
+        uint128 limit;                  // Max cumulative ETH (0 = no limit)
+        uint128 sent;                   // Running total sent (tracked when limited)
+    }
+
+    /**
+     * @dev Remaining ETH budget of a recipient as reported by the recipient getters
+     */
+    struct RecipientBudget {
+        address recipient;
+        uint128 limit;                  // 0 = no limit
+        uint128 sent;
+        uint128 remaining;              // type max when unlimited
+    }
+
+    /**
+     * @dev Tracked ERC-20 spending state (stored per session and token)
+     */
+    struct TokenAllowance {
+        bool enabled;                   // Token is limited for this session
+        uint128 limit;                  // Max cumulative amount
+        uint128 spent;                  // Running total moved or approved
+    }
+
+    /**
+     * @dev Remaining ERC-20 budget as reported by the permission getters
+     */
+    struct TokenBudget {
+        address token;
+        uint128 limit;
+        uint128 spent;
+        uint128 remaining;
+    }
+
+    /**
+     * @dev Summary of a session as reported by getActiveSessions
+     */
+    struct SessionInfo {
+        SignerType signerType;
+        bytes32 sessionId;              // ECDSA key as bytes32, or keccak256(keyX, keyY) for P256
+        address key;                    // ECDSA session key (zero for P256)
+        bytes32 keyX;                   // P256 public key X coordinate (zero for ECDSA)
+        bytes32 keyY;                   // P256 public key Y coordinate (zero for ECDSA)
+        uint48 validAfter;              // Start time
+        uint48 validUntil;              // End time (may have passed: expired sessions stay listed)
+        uint128 maxValuePerTx;          // Max ETH per tx (0 = no limit)
+        uint128 valueRemaining;         // ETH left under maxValueTotal (max = no limit)
+        uint64 callsRemaining;          // Calls left under maxCalls (max = unlimited)
+        uint64 periodCallsRemaining;    // Calls left in the current period (max = unlimited)
+        uint128 periodValueRemaining;   // ETH left in the current period (max = no limit)
         address[] allowedTargets;       // Allowed target contracts
         bytes4[] allowedSelectors;      // Allowed function selectors
+        TargetPermission[] targetPermissions; // Selectors allowed on specific targets
+        TokenBudget[] tokenBudgets;     // ERC-20 spending limits and what is left of them
+        RecipientBudget[] recipientBudgets; // Value-only ETH recipients and what is left of their caps
+        address cosigner;               // Second signer required on every signature (0 = none)
     }
 
     /**
-     * @dev Storage layout for session management
+     * @dev Storage layout for session management. Wallets are upgradeable: only append fields.
+     * @custom:storage-location erc7201:lendefi.session.storage.v2
      */
     struct SessionStorage {
         // For ECDSA sessions: address => session
@@ -116,31 +285,115 @@ abstract contract SessionKeyManager {
         // O(1) lookups for P256 sessions
         mapping(bytes32 => mapping(address => bool)) p256TargetAllowed;
         mapping(bytes32 => mapping(bytes4 => bool)) p256SelectorAllowed;
+
+        // ERC-20 spending limits
+        mapping(address => address[]) ecdsaLimitedTokens;
+        mapping(address => mapping(address => TokenAllowance)) ecdsaTokenAllowances;
+        mapping(bytes32 => address[]) p256LimitedTokens;
+        mapping(bytes32 => mapping(address => TokenAllowance)) p256TokenAllowances;
+
+        // Calldata argument rules, grouped by selector
+        mapping(address => bytes4[]) ecdsaRuleSelectors;
+        mapping(address => mapping(bytes4 => ParamRule[])) ecdsaParamRules;
+        mapping(bytes32 => bytes4[]) p256RuleSelectors;
+        mapping(bytes32 => mapping(bytes4 => ParamRule[])) p256ParamRules;
+
+        // Target-scoped permissions: (target, selector) pairs. Selector 0 (empty or short calldata) only if listed
+        mapping(address => TargetPermission[]) ecdsaTargetPermissions;
+        mapping(address => mapping(address => mapping(bytes4 => bool))) ecdsaTargetSelectorAllowed;
+        mapping(bytes32 => TargetPermission[]) p256TargetPermissions;
+        mapping(bytes32 => mapping(address => mapping(bytes4 => bool))) p256TargetSelectorAllowed;
+
+        // Enable-mode grant nonces that have been consumed or invalidated
+        mapping(uint256 => bool) usedGrantNonces;
+
+        // ERC-1271 signing scope: EIP-712 types and allowlisted hashes each session may sign
+        mapping(address => SigningPermission[]) ecdsaSigningPermissions;
+        mapping(address => bytes32[]) ecdsaSignableHashes;
+        mapping(address => mapping(bytes32 => bool)) ecdsaHashSignable;
+        mapping(bytes32 => SigningPermission[]) p256SigningPermissions;
+        mapping(bytes32 => bytes32[]) p256SignableHashes;
+        mapping(bytes32 => mapping(bytes32 => bool)) p256HashSignable;
+
+        // External policies consulted on each UserOperation of a session
+        mapping(address => address[]) ecdsaPolicies;
+        mapping(bytes32 => address[]) p256Policies;
+
+        // Current session epoch: sessions created in an earlier epoch are revoked
+        uint64 sessionEpoch;
+
+        // Sessions of each epoch that have not been revoked (ECDSA key as bytes32, or P256 keyHash)
+        mapping(uint64 => EnumerableSet.Bytes32Set) activeSessions;
+
+        // Recipients of value-only ETH transfers, with per-recipient caps
+        mapping(address => address[]) ecdsaRecipients;
+        mapping(address => mapping(address => RecipientAllowance)) ecdsaRecipientAllowances;
+        mapping(bytes32 => address[]) p256Recipients;
+        mapping(bytes32 => mapping(address => RecipientAllowance)) p256RecipientAllowances;
+
+        // Targets that have target-scoped permissions
+        mapping(address => mapping(address => bool)) ecdsaTargetScoped;
+        mapping(bytes32 => mapping(address => bool)) p256TargetScoped;
     }
 
     // ============ Constants ============
 
     /// @dev Signature prefix for ECDSA session keys
-    bytes4 public constant SESSION_KEY_ECDSA = 0x00000001;
+    bytes4 public constant SESSION_KEY_ECDSA = SessionValidationLib.SESSION_KEY_ECDSA;
     
     /// @dev Signature prefix for P256/Passkey session keys
-    bytes4 public constant SESSION_KEY_P256 = 0x00000002;
+    bytes4 public constant SESSION_KEY_P256 = SessionValidationLib.SESSION_KEY_P256;
+
+    /// @dev Signature prefix for P256/Passkey session keys signing through a WebAuthn assertion
+    bytes4 public constant SESSION_KEY_P256_WEBAUTHN = SessionValidationLib.SESSION_KEY_P256_WEBAUTHN;
+
+    /// @dev Signature prefix for enabling an ECDSA session within its first UserOperation
+    bytes4 public constant SESSION_KEY_ENABLE_ECDSA = SessionValidationLib.SESSION_KEY_ENABLE_ECDSA;
+
+    /// @dev Signature prefix for enabling a P256 session within its first UserOperation
+    bytes4 public constant SESSION_KEY_ENABLE_P256 = SessionValidationLib.SESSION_KEY_ENABLE_P256;
+
+    /// @dev Signature prefix wrapping a session key signature with its cosigner's signature over the same hash
+    bytes4 public constant SESSION_KEY_COSIGNED = SessionValidationLib.SESSION_KEY_COSIGNED;
+
+    /// @dev Signature prefix carrying the encodeData of the typed data a session key signs through ERC-7739
+    bytes4 public constant SESSION_KEY_TYPED_CONTENTS = SessionValidationLib.SESSION_KEY_TYPED_CONTENTS;
+
+    /// @dev EIP-712 typehash of an owner grant for an ECDSA session (configHash = keccak256(abi.encode(config)))
+    bytes32 public constant ENABLE_SESSION_ECDSA_TYPEHASH = SessionValidationLib.ENABLE_SESSION_ECDSA_TYPEHASH;
+
+    /// @dev EIP-712 typehash of an owner grant for a P256 session (configHash = keccak256(abi.encode(config)))
+    bytes32 public constant ENABLE_SESSION_P256_TYPEHASH = SessionValidationLib.ENABLE_SESSION_P256_TYPEHASH;
     
     /// @dev Maximum session duration (30 days)
-    uint48 public constant MAX_SESSION_DURATION = 30 days;
+    uint48 public constant MAX_SESSION_DURATION = SessionKeyLib.MAX_SESSION_DURATION;
     
     /// @dev Maximum number of allowed targets per session
-    uint256 public constant MAX_TARGETS_PER_SESSION = 10;
+    uint256 public constant MAX_TARGETS_PER_SESSION = SessionKeyLib.MAX_TARGETS_PER_SESSION;
     
     /// @dev Maximum number of allowed selectors per session
-    uint256 public constant MAX_SELECTORS_PER_SESSION = 20;
+    uint256 public constant MAX_SELECTORS_PER_SESSION = SessionKeyLib.MAX_SELECTORS_PER_SESSION;
+
+    /// @dev Maximum number of ERC-20 spending limits per session
+    uint256 public constant MAX_TOKEN_LIMITS_PER_SESSION = SessionKeyLib.MAX_TOKEN_LIMITS_PER_SESSION;
+
+    /// @dev Maximum number of calldata argument rules per session
+    uint256 public constant MAX_PARAM_RULES_PER_SESSION = SessionKeyLib.MAX_PARAM_RULES_PER_SESSION;
+
+    /// @dev Maximum number of comparison values in a ONE_OF rule
+    uint256 public constant MAX_PARAM_RULE_VALUES = SessionKeyLib.MAX_PARAM_RULE_VALUES;
+
+    /// @dev Maximum number of EIP-712 signing permissions per session
+    uint256 public constant MAX_SIGNING_PERMISSIONS_PER_SESSION = SessionKeyLib.MAX_SIGNING_PERMISSIONS_PER_SESSION;
+
+    /// @dev Maximum number of signable hashes per session
+    uint256 public constant MAX_SIGNABLE_HASHES_PER_SESSION = SessionKeyLib.MAX_SIGNABLE_HASHES_PER_SESSION;
 
-    // ============ Storage ============
+    /// @dev Maximum number of external policies per session
+    uint256 public constant MAX_POLICIES_PER_SESSION = SessionKeyLib.MAX_POLICIES_PER_SESSION;
 
-    /// @dev Storage slot for session data (EIP-7201 style)
-    // solhint-disable-next-line private-vars-leading-underscore
-    bytes32 private constant SESSION_STORAGE_SLOT = 
-        keccak256(abi.encode(uint256(keccak256("lendefi.session.storage.v2")) - 1)) & ~bytes32(uint256(0xff));
+    /// @dev Maximum number of value-only transfer recipients per session
+    uint256 public constant MAX_RECIPIENTS_PER_SESSION = SessionKeyLib.MAX_RECIPIENTS_PER_SESSION;
 
     // ============ Events ============
 
@@ -160,8 +413,18 @@ abstract contract SessionKeyManager {
         bytes32 permissionsHash
     );
     
+    event SessionUpdated(
+        bytes32 indexed sessionId,
+        SignerType signerType,
+        uint48 validAfter,
+        uint48 validUntil,
+        bytes32 permissionsHash
+    );
+
     event SessionRevokedECDSA(address indexed sessionKey);
     event SessionRevokedP256(bytes32 indexed keyHash);
+    event AllSessionsRevoked(uint64 indexed epoch, address indexed revokedBy);
+    event SessionGrantNonceUsed(uint256 indexed nonce);
     
     event SessionUsed(
         bytes32 indexed keyIdentifier,
@@ -184,13 +447,38 @@ abstract contract SessionKeyManager {
     error SessionDurationTooLong();
     error TooManyTargets();
     error TooManySelectors();
+    error TooManyTokenLimits();
+    error DuplicateTokenLimit();
+    error TokenLimitExceeded();
+    error UntrackedTokenCall();
+    error CalldataTooShort();
+    error TooManyParamRules();
+    error InvalidParamRule();
+    error ParamRuleViolation();
+    error TooManySigningPermissions();
+    error InvalidSigningPermission();
+    error TooManySignableHashes();
+    error TooManyPolicies();
+    error InvalidPolicy();
+    error PolicyViolation(address policy);
+    error TooManyRecipients();
+    error InvalidRecipient();
+    error DuplicateRecipient();
+    error RecipientLimitExceeded();
     error NoTargetsSpecified();
+    error InvalidTargetPermission();
     error TargetNotAllowed();
     error SelectorNotAllowed();
     error ValueExceedsPerTxLimit();
     error ValueExceedsTotalLimit();
     error MaxCallsExceeded();
+    error InvalidRateLimit();
+    error ValueExceedsPeriodLimit();
+    error MaxCallsPerPeriodExceeded();
     error InvalidSessionSignature();
+    error InvalidCosignature();
+    error InvalidSessionGrant();
+    error SessionGrantNonceAlreadyUsed();
     error InvalidSignatureType();
     error CannotCallSensitiveFunction();
     error CannotTargetSelf();
@@ -198,21 +486,30 @@ abstract contract SessionKeyManager {
     // ============ Storage Access ============
 
     function _sessionStorage() internal pure returns (SessionStorage storage s) {
-        bytes32 slot = SESSION_STORAGE_SLOT;
-        assembly {
-            s.slot := slot
-        }
+        return SessionKeyLib.sessionStorage();
     }
 
     // ============ External Functions - ECDSA ============
 
     /**
-     * @notice Create a new ECDSA session key (traditional Ethereum key)
-     * @param config The session key configuration
+     * @notice Create a new ECDSA session key (traditional Ethereum key) from its SessionConfigECDSA
+     * @dev The configuration is forwarded undecoded to SessionKeyLib, hence the unnamed parameter
+     */
+    function createSessionECDSA(SessionConfigECDSA calldata) external virtual {
+        _requireOwner();
+        SessionKeyLib.createSessionECDSA(msg.data[4:]);
+    }
+
+    /**
+     * @notice Amend an active ECDSA session key in place, keeping its usage counters
+     * @dev Replaces the end time, limits and permissions with the new configuration of the existing key. Expired
+     * sessions cannot be updated, and `validAfter` must be the session's start time, so the maximum duration still
+     * counts from it. Calls and value already used still count against the new limits; the period counters restart
+     * only when the period length changes. The configuration is forwarded undecoded to SessionKeyLib.
      */
-    function createSessionECDSA(SessionConfigECDSA calldata config) external virtual {
+    function updateSessionECDSA(SessionConfigECDSA calldata) external virtual {
         _requireOwner();
-        _createSessionECDSA(config);
+        SessionKeyLib.updateSessionECDSA(msg.data[4:]);
     }
 
     /**
@@ -221,7 +518,7 @@ abstract contract SessionKeyManager {
      */
     function revokeSessionECDSA(address sessionKey) external virtual {
         _requireOwner();
-        _revokeSessionECDSA(sessionKey);
+        SessionKeyLib.revokeSessionECDSA(sessionKey);
     }
 
     /**
@@ -229,8 +526,7 @@ abstract contract SessionKeyManager {
      * @param sessionKey The session key to check
      */
     function isValidSessionECDSA(address sessionKey) external view returns (bool) {
-        SessionKeyPacked storage session = _sessionStorage().ecdsaSessions[sessionKey];
-        return _isSessionValid(session);
+        return SessionKeyLib.isSessionValid(_sessionStorage().ecdsaSessions[sessionKey]);
     }
 
     /**
@@ -246,20 +542,14 @@ abstract contract SessionKeyManager {
         uint128 valueUsed,
         uint64 maxCalls,
         uint64 callsUsed,
-        bool revoked
+        bool revoked,
+        uint48 periodLength,
+        uint64 periodCallsRemaining,
+        uint128 periodValueRemaining,
+        SigningPermission[] memory signingPermissions,
+        bytes32[] memory signableHashes
     ) {
-        SessionKeyPacked storage session = _sessionStorage().ecdsaSessions[sessionKey];
-        return (
-            session.ecdsaKey,
-            session.validAfter,
-            session.validUntil,
-            session.maxValuePerTx,
-            session.maxValueTotal,
-            session.valueUsed,
-            session.maxCalls,
-            session.callsUsed,
-            session.revoked
-        );
+        return _returnSessionECDSA(SessionKeyLib.getSessionECDSA(sessionKey));
     }
 
     /**
@@ -268,21 +558,55 @@ abstract contract SessionKeyManager {
      */
     function getSessionPermissionsECDSA(address sessionKey) external view returns (
         address[] memory allowedTargets,
-        bytes4[] memory allowedSelectors
+        bytes4[] memory allowedSelectors,
+        TokenBudget[] memory tokenBudgets,
+        TargetPermission[] memory targetPermissions
     ) {
-        SessionStorage storage ss = _sessionStorage();
-        return (ss.ecdsaAllowedTargets[sessionKey], ss.ecdsaAllowedSelectors[sessionKey]);
+        return _returnSessionPermissions(SessionKeyLib.getSessionPermissionsECDSA(sessionKey));
+    }
+
+    /**
+     * @notice Get ECDSA session calldata argument rules
+     * @param sessionKey The session key address
+     */
+    function getSessionParamRulesECDSA(address sessionKey) external view returns (ParamRule[] memory) {
+        _returnData(SessionKeyLib.getSessionParamRulesECDSA(sessionKey));
+    }
+
+    /**
+     * @notice Get ECDSA session external policies
+     * @param sessionKey The session key address
+     */
+    function getSessionPoliciesECDSA(address sessionKey) external view returns (address[] memory policies) {
+        return _sessionStorage().ecdsaPolicies[sessionKey];
+    }
+
+    /**
+     * @notice Get ECDSA session recipients for value-only ETH transfers
+     * @param sessionKey The session key address
+     */
+    function getSessionRecipientsECDSA(address sessionKey) external view returns (RecipientBudget[] memory) {
+        _returnData(SessionKeyLib.getSessionRecipientsECDSA(sessionKey));
     }
 
     // ============ External Functions - P256/Passkey ============
 
     /**
-     * @notice Create a new P256/Passkey session key (WebAuthn, FIDO2, Secure Enclave)
-     * @param config The session key configuration with P256 public key coordinates
+     * @notice Create a new P256/Passkey session key (WebAuthn, FIDO2, Secure Enclave) from its SessionConfigP256
+     * @dev See {createSessionECDSA}
      */
-    function createSessionP256(SessionConfigP256 calldata config) external virtual {
+    function createSessionP256(SessionConfigP256 calldata) external virtual {
         _requireOwner();
-        _createSessionP256(config);
+        SessionKeyLib.createSessionP256(msg.data[4:]);
+    }
+
+    /**
+     * @notice Amend an active P256/Passkey session key in place, keeping its usage counters
+     * @dev See {updateSessionECDSA}
+     */
+    function updateSessionP256(SessionConfigP256 calldata) external virtual {
+        _requireOwner();
+        SessionKeyLib.updateSessionP256(msg.data[4:]);
     }
 
     /**
@@ -292,7 +616,7 @@ abstract contract SessionKeyManager {
      */
     function revokeSessionP256(bytes32 keyX, bytes32 keyY) external virtual {
         _requireOwner();
-        _revokeSessionP256(keyX, keyY);
+        SessionKeyLib.revokeSessionP256(keyX, keyY);
     }
 
     /**
@@ -302,8 +626,7 @@ abstract contract SessionKeyManager {
      */
     function isValidSessionP256(bytes32 keyX, bytes32 keyY) external view returns (bool) {
         bytes32 keyHash = keccak256(abi.encodePacked(keyX, keyY));
-        SessionKeyPacked storage session = _sessionStorage().p256Sessions[keyHash];
-        return _isSessionValid(session);
+        return SessionKeyLib.isSessionValid(_sessionStorage().p256Sessions[keyHash]);
     }
 
     /**
@@ -321,22 +644,14 @@ abstract contract SessionKeyManager {
         uint128 valueUsed,
         uint64 maxCalls,
         uint64 callsUsed,
-        bool revoked
+        bool revoked,
+        uint48 periodLength,
+        uint64 periodCallsRemaining,
+        uint128 periodValueRemaining,
+        SigningPermission[] memory signingPermissions,
+        bytes32[] memory signableHashes
     ) {
-        bytes32 keyHash = keccak256(abi.encodePacked(keyX, keyY));
-        SessionKeyPacked storage session = _sessionStorage().p256Sessions[keyHash];
-        return (
-            session.p256KeyX,
-            session.p256KeyY,
-            session.validAfter,
-            session.validUntil,
-            session.maxValuePerTx,
-            session.maxValueTotal,
-            session.valueUsed,
-            session.maxCalls,
-            session.callsUsed,
-            session.revoked
-        );
+        return _returnSessionP256(SessionKeyLib.getSessionP256(keyX, keyY));
     }
 
     /**
@@ -346,541 +661,265 @@ abstract contract SessionKeyManager {
      */
     function getSessionPermissionsP256(bytes32 keyX, bytes32 keyY) external view returns (
         address[] memory allowedTargets,
-        bytes4[] memory allowedSelectors
+        bytes4[] memory allowedSelectors,
+        TokenBudget[] memory tokenBudgets,
+        TargetPermission[] memory targetPermissions
     ) {
-        bytes32 keyHash = keccak256(abi.encodePacked(keyX, keyY));
-        SessionStorage storage ss = _sessionStorage();
-        return (ss.p256AllowedTargets[keyHash], ss.p256AllowedSelectors[keyHash]);
+        return _returnSessionPermissions(SessionKeyLib.getSessionPermissionsP256(keyX, keyY));
     }
 
-    // ============ Backward Compatibility ============
-
     /**
-     * @notice Create session (alias for createSessionECDSA for backward compatibility)
+     * @notice Get P256 session calldata argument rules
+     * @param keyX The P256 public key X coordinate
+     * @param keyY The P256 public key Y coordinate
      */
-    function createSession(SessionConfigECDSA calldata config) external virtual {
-        _requireOwner();
-        _createSessionECDSA(config);
+    function getSessionParamRulesP256(bytes32 keyX, bytes32 keyY) external view returns (ParamRule[] memory) {
+        _returnData(SessionKeyLib.getSessionParamRulesP256(keyX, keyY));
     }
 
     /**
-     * @notice Revoke session (alias for revokeSessionECDSA for backward compatibility)
+     * @notice Get P256 session external policies
+     * @param keyX The P256 public key X coordinate
+     * @param keyY The P256 public key Y coordinate
      */
-    function revokeSession(address sessionKey) external virtual {
-        _requireOwner();
-        _revokeSessionECDSA(sessionKey);
+    function getSessionPoliciesP256(bytes32 keyX, bytes32 keyY) external view returns (address[] memory policies) {
+        return _sessionStorage().p256Policies[keccak256(abi.encodePacked(keyX, keyY))];
     }
 
     /**
-     * @notice Check if session is valid (alias for isValidSessionECDSA)
+     * @notice Get P256 session recipients for value-only ETH transfers
+     * @param keyX The P256 public key X coordinate
+     * @param keyY The P256 public key Y coordinate
      */
-    function isValidSession(address sessionKey) external view returns (bool) {
-        SessionKeyPacked storage session = _sessionStorage().ecdsaSessions[sessionKey];
-        return _isSessionValid(session);
+    function getSessionRecipientsP256(bytes32 keyX, bytes32 keyY) external view returns (RecipientBudget[] memory) {
+        _returnData(SessionKeyLib.getSessionRecipientsP256(keyX, keyY));
     }
 
-    // ============ Internal Functions - ECDSA ============
-
-    function _createSessionECDSA(SessionConfigECDSA calldata config) internal {
-        if (config.key == address(0)) revert InvalidSessionKey();
-        _validateSessionTiming(config.validAfter, config.validUntil);
-        _validatePermissions(config.allowedTargets.length, config.allowedSelectors.length);
+    // ============ External Functions - Enable Mode ============
 
-        SessionStorage storage ss = _sessionStorage();
-        
-        SessionKeyPacked storage existing = ss.ecdsaSessions[config.key];
-        if (existing.ecdsaKey != address(0) && _isSessionValid(existing)) {
-            revert SessionAlreadyActive();
-        }
-
-        bytes32 permissionsHash = keccak256(
-            abi.encode(config.allowedTargets, config.allowedSelectors)
-        );
-
-        ss.ecdsaSessions[config.key] = SessionKeyPacked({
-            ecdsaKey: config.key,
-            p256KeyX: bytes32(0),
-            p256KeyY: bytes32(0),
-            validAfter: config.validAfter,
-            validUntil: config.validUntil,
-            maxValuePerTx: config.maxValuePerTx,
-            maxValueTotal: config.maxValueTotal,
-            valueUsed: 0,
-            maxCalls: config.maxCalls,
-            callsUsed: 0,
-            signerType: SignerType.ECDSA,
-            revoked: false,
-            permissionsHash: permissionsHash
-        });
-
-        ss.ecdsaAllowedTargets[config.key] = config.allowedTargets;
-        ss.ecdsaAllowedSelectors[config.key] = config.allowedSelectors;
-
-        // Populate O(1) lookup mappings and check for self-targeting
-        for (uint256 i = 0; i < config.allowedTargets.length; ) {
-            if (config.allowedTargets[i] == address(this)) revert CannotTargetSelf();
-            ss.ecdsaTargetAllowed[config.key][config.allowedTargets[i]] = true;
-            unchecked { ++i; }
-        }
-        for (uint256 i = 0; i < config.allowedSelectors.length; ) {
-            ss.ecdsaSelectorAllowed[config.key][config.allowedSelectors[i]] = true;
-            unchecked { ++i; }
-        }
-
-        emit SessionCreatedECDSA(
-            config.key,
-            config.validAfter,
-            config.validUntil,
-            permissionsHash
-        );
+    /**
+     * @notice EIP-712 digest the owner signs to grant an ECDSA session in enable mode
+     * @dev Takes the session configuration and a grant nonce (any unused value), forwarded undecoded to
+     * SessionValidationLib. The digest covers the current sessionEpoch: revokeAllSessions voids every
+     * grant signed before it.
+     */
+    function getSessionGrantHashECDSA(SessionConfigECDSA calldata, uint256) external view returns (bytes32) {
+        return SessionValidationLib.hashSessionGrantECDSA(msg.data[4:], _domainSeparatorV4());
     }
 
-    function _revokeSessionECDSA(address sessionKey) internal {
-        SessionStorage storage ss = _sessionStorage();
-        if (ss.ecdsaSessions[sessionKey].ecdsaKey == address(0)) revert SessionNotFound();
-        
-        ss.ecdsaSessions[sessionKey].revoked = true;
-        emit SessionRevokedECDSA(sessionKey);
+    /**
+     * @notice EIP-712 digest the owner signs to grant a P256 session in enable mode
+     * @dev See {getSessionGrantHashECDSA}
+     */
+    function getSessionGrantHashP256(SessionConfigP256 calldata, uint256) external view returns (bytes32) {
+        return SessionValidationLib.hashSessionGrantP256(msg.data[4:], _domainSeparatorV4());
     }
 
-    // ============ Internal Functions - P256 ============
-
-    function _createSessionP256(SessionConfigP256 calldata config) internal {
-        // Validate P256 public key
-        if (!P256.isValidPublicKey(config.keyX, config.keyY)) revert InvalidP256Key();
-        _validateSessionTiming(config.validAfter, config.validUntil);
-        _validatePermissions(config.allowedTargets.length, config.allowedSelectors.length);
-
-        bytes32 keyHash = keccak256(abi.encodePacked(config.keyX, config.keyY));
-        SessionStorage storage ss = _sessionStorage();
-        
-        SessionKeyPacked storage existing = ss.p256Sessions[keyHash];
-        if (existing.p256KeyX != bytes32(0) && _isSessionValid(existing)) {
-            revert SessionAlreadyActive();
-        }
+    /**
+     * @notice Check whether a grant nonce has been consumed or invalidated
+     * @param nonce The grant nonce
+     */
+    function isSessionGrantNonceUsed(uint256 nonce) external view returns (bool) {
+        return _sessionStorage().usedGrantNonces[nonce];
+    }
 
-        bytes32 permissionsHash = keccak256(
-            abi.encode(config.allowedTargets, config.allowedSelectors)
-        );
+    /**
+     * @notice Invalidate a signed but unused session grant
+     * @param nonce The grant nonce to invalidate
+     */
+    function invalidateSessionGrant(uint256 nonce) external virtual {
+        _requireOwner();
+        SessionKeyLib.useGrantNonce(nonce);
+    }
 
-        ss.p256Sessions[keyHash] = SessionKeyPacked({
-            ecdsaKey: address(0),
-            p256KeyX: config.keyX,
-            p256KeyY: config.keyY,
-            validAfter: config.validAfter,
-            validUntil: config.validUntil,
-            maxValuePerTx: config.maxValuePerTx,
-            maxValueTotal: config.maxValueTotal,
-            valueUsed: 0,
-            maxCalls: config.maxCalls,
-            callsUsed: 0,
-            signerType: SignerType.P256,
-            revoked: false,
-            permissionsHash: permissionsHash
-        });
-
-        ss.p256AllowedTargets[keyHash] = config.allowedTargets;
-        ss.p256AllowedSelectors[keyHash] = config.allowedSelectors;
-
-        // Populate O(1) lookup mappings and check for self-targeting
-        for (uint256 i = 0; i < config.allowedTargets.length; ) {
-            if (config.allowedTargets[i] == address(this)) revert CannotTargetSelf();
-            ss.p256TargetAllowed[keyHash][config.allowedTargets[i]] = true;
-            unchecked { ++i; }
-        }
-        for (uint256 i = 0; i < config.allowedSelectors.length; ) {
-            ss.p256SelectorAllowed[keyHash][config.allowedSelectors[i]] = true;
-            unchecked { ++i; }
-        }
+    // ============ External Functions - Revoke All ============
 
-        emit SessionCreatedP256(
-            keyHash,
-            config.keyX,
-            config.keyY,
-            config.validAfter,
-            config.validUntil,
-            permissionsHash
-        );
+    /**
+     * @notice Revoke every ECDSA and P256 session at once by starting a new session epoch.
+     * Callable by the owner or, if the wallet has guardians, by any guardian.
+     */
+    function revokeAllSessions() external virtual {
+        _requireSessionRevoker();
+        _revokeAllSessions();
     }
 
-    function _revokeSessionP256(bytes32 keyX, bytes32 keyY) internal {
-        bytes32 keyHash = keccak256(abi.encodePacked(keyX, keyY));
-        SessionStorage storage ss = _sessionStorage();
-        if (ss.p256Sessions[keyHash].p256KeyX == bytes32(0)) revert SessionNotFound();
-        
-        ss.p256Sessions[keyHash].revoked = true;
-        emit SessionRevokedP256(keyHash);
+    /**
+     * @notice Current session epoch; sessions created in an earlier epoch are revoked
+     */
+    function sessionEpoch() external view returns (uint64) {
+        return _sessionStorage().sessionEpoch;
     }
 
-    // ============ Internal Functions - Shared ============
+    // ============ External Functions - Enumeration ============
 
-    function _validateSessionTiming(uint48 validAfter, uint48 validUntil) internal view {
-        // solhint-disable-next-line not-rely-on-time
-        if (validUntil < block.timestamp + 1) revert InvalidValidityWindow();
-        if (validUntil < validAfter + 1) revert InvalidValidityWindow();
-        if (validUntil - validAfter > MAX_SESSION_DURATION) {
-            revert SessionDurationTooLong();
-        }
+    /**
+     * @notice Number of sessions that have not been revoked, including expired ones
+     */
+    function getActiveSessionCount() external view returns (uint256) {
+        SessionStorage storage ss = _sessionStorage();
+        return ss.activeSessions[ss.sessionEpoch].length();
     }
 
-    function _validatePermissions(uint256 targetsLen, uint256 selectorsLen) internal pure {
-        if (targetsLen == 0) revert NoTargetsSpecified();
-        if (targetsLen > MAX_TARGETS_PER_SESSION) revert TooManyTargets();
-        if (selectorsLen > MAX_SELECTORS_PER_SESSION) revert TooManySelectors();
+    /**
+     * @notice Get a page of the sessions that have not been revoked, in no particular order.
+     * Expired sessions stay listed until revoked or replaced; compare validUntil with the current time.
+     * @param offset Index of the first session to return
+     * @param limit Maximum number of sessions to return
+     * @return sessions The sessions (empty past the end)
+     */
+    function getActiveSessions(uint256 offset, uint256 limit) external view returns (SessionInfo[] memory) {
+        _returnData(SessionKeyLib.getActiveSessions(offset, limit));
     }
 
-    function _isSessionValid(SessionKeyPacked storage session) internal view returns (bool) {
-        // Check if session exists
-        if (session.signerType == SignerType.ECDSA) {
-            if (session.ecdsaKey == address(0)) return false;
-        } else {
-            if (session.p256KeyX == bytes32(0)) return false;
-        }
-        
-        if (session.revoked) return false;
-        // solhint-disable-next-line not-rely-on-time
-        if (block.timestamp < session.validAfter) return false;
-        // solhint-disable-next-line not-rely-on-time
-        if (block.timestamp > session.validUntil) return false;
-        return true;
+    // ============ Backward Compatibility ============
+
+    /**
+     * @notice Create session (alias for createSessionECDSA for backward compatibility)
+     */
+    function createSession(SessionConfigECDSA calldata) external virtual {
+        _requireOwner();
+        SessionKeyLib.createSessionECDSA(msg.data[4:]);
     }
 
     /**
-     * @dev Validate a session key signature for a UserOperation
-     * Supports both ECDSA and P256 signatures based on prefix
+     * @notice Revoke session (alias for revokeSessionECDSA for backward compatibility)
      */
-    function _validateSessionKeySignature(
-        bytes32 userOpHash,
-        bytes calldata signature,
-        bytes calldata callData
-    ) internal returns (uint256 validationData) {
-        bytes4 sigType = bytes4(signature[:4]);
-        
-        if (sigType == SESSION_KEY_ECDSA) {
-            return _validateECDSASessionSignature(userOpHash, signature, callData);
-        } else if (sigType == SESSION_KEY_P256) {
-            return _validateP256SessionSignature(userOpHash, signature, callData);
-        } else {
-            revert InvalidSignatureType();
-        }
+    function revokeSession(address sessionKey) external virtual {
+        _requireOwner();
+        SessionKeyLib.revokeSessionECDSA(sessionKey);
     }
 
     /**
-     * @dev Validate ECDSA session key signature
-     * Format: [4 bytes prefix][20 bytes session key][65 bytes signature]
+     * @notice Check if session is valid (alias for isValidSessionECDSA)
      */
-    function _validateECDSASessionSignature(
-        bytes32 userOpHash,
-        bytes calldata signature,
-        bytes calldata callData
-    ) internal returns (uint256) {
-        if (signature.length < 89) revert InvalidSessionSignature();
-        
-        address sessionKey = address(bytes20(signature[4:24]));
-        bytes calldata sig = signature[24:];
-        
-        SessionStorage storage ss = _sessionStorage();
-        SessionKeyPacked storage session = ss.ecdsaSessions[sessionKey];
-        
-        if (session.ecdsaKey == address(0)) revert SessionNotFound();
-        if (session.revoked) revert SessionKeyRevoked();
-        
-        // Verify ECDSA signature
-        address recovered = userOpHash.recover(sig);
-        if (recovered != sessionKey) revert InvalidSessionSignature();
-        
-        // Check permissions and limits
-        _checkPermissionsAndLimitsECDSA(sessionKey, callData, session, ss);
-        
-        return _getValidationData(session);
+    function isValidSession(address sessionKey) external view returns (bool) {
+        return SessionKeyLib.isSessionValid(_sessionStorage().ecdsaSessions[sessionKey]);
     }
 
+    // ============ Internal Functions ============
+
     /**
-     * @dev Validate P256/Passkey session key signature
-     * Format: [4 bytes prefix][32 bytes keyX][32 bytes keyY][64 bytes signature (r,s)]
+     * @dev Validate a session key signature for a UserOperation (see SessionValidationLib).
+     * Enable-mode grants are checked here, against the wallet's owners.
      */
-    function _validateP256SessionSignature(
+    function _validateSessionKeySignature(
         bytes32 userOpHash,
         bytes calldata signature,
         bytes calldata callData
     ) internal returns (uint256) {
-        // Minimum: 4 + 32 + 32 + 64 = 132 bytes
-        if (signature.length < 132) revert InvalidSessionSignature();
-        
-        bytes32 keyX = bytes32(signature[4:36]);
-        bytes32 keyY = bytes32(signature[36:68]);
-        bytes32 r = bytes32(signature[68:100]);
-        bytes32 s = bytes32(signature[100:132]);
-        
-        bytes32 keyHash = keccak256(abi.encodePacked(keyX, keyY));
-        SessionStorage storage ss = _sessionStorage();
-        SessionKeyPacked storage session = ss.p256Sessions[keyHash];
-        
-        if (session.p256KeyX == bytes32(0)) revert SessionNotFound();
-        if (session.revoked) revert SessionKeyRevoked();
-        
-        // Verify P256 signature
-        if (!P256.verify(userOpHash, r, s, keyX, keyY)) {
-            revert InvalidSessionSignature();
-        }
-        
-        // Check permissions and limits
-        _checkPermissionsAndLimitsP256(keyHash, callData, session, ss);
-        
-        return _getValidationData(session);
-    }
-
-    function _getValidationData(SessionKeyPacked storage session) internal view returns (uint256) {
-        // solhint-disable-next-line not-rely-on-time
-        if (block.timestamp < session.validAfter) {
-            return _packValidationData(false, session.validUntil, session.validAfter);
-        }
-        // solhint-disable-next-line not-rely-on-time
-        if (block.timestamp > session.validUntil) {
-            return _packValidationData(false, 0, 0);
-        }
-        return _packValidationData(true, session.validUntil, session.validAfter);
-    }
-
-    function _checkPermissionsAndLimitsECDSA(
-        address sessionKey,
-        bytes calldata callData,
-        SessionKeyPacked storage session,
-        SessionStorage storage ss
-    ) internal {
-        bytes4 selector = bytes4(callData[:4]);
-        _checkSensitiveFunctions(selector);
-        
-        bytes4 executeSel = 0xb61d27f6;
-        if (selector == executeSel) {
-            _handleExecuteECDSA(sessionKey, callData, session, ss);
-            return;
-        }
-        
-        bytes4 executeBatchSel = 0x47e1da2a;
-        if (selector == executeBatchSel) {
-            _handleExecuteBatchECDSA(sessionKey, callData, session, ss);
-            return;
-        }
-        
-        revert CannotCallSensitiveFunction();
-    }
-
-    function _checkPermissionsAndLimitsP256(
-        bytes32 keyHash,
-        bytes calldata callData,
-        SessionKeyPacked storage session,
-        SessionStorage storage ss
-    ) internal {
-        bytes4 selector = bytes4(callData[:4]);
-        _checkSensitiveFunctions(selector);
-        
-        bytes4 executeSel = 0xb61d27f6;
-        if (selector == executeSel) {
-            _handleExecuteP256(keyHash, callData, session, ss);
-            return;
-        }
-        
-        bytes4 executeBatchSel = 0x47e1da2a;
-        if (selector == executeBatchSel) {
-            _handleExecuteBatchP256(keyHash, callData, session, ss);
-            return;
-        }
-        
-        revert CannotCallSensitiveFunction();
-    }
-
-    function _checkSensitiveFunctions(bytes4 selector) internal pure {
-        bytes4 changeOwnerSel = 0xa6f9dae1;
-        bytes4 createSessionSel = 0x7b866963;
-        bytes4 createSessionECDSASel = 0xf6c5c498;
-        bytes4 createSessionP256Sel = 0x3e7b2a6c;
-        bytes4 revokeSessionSel = 0x753c7bf9;
-        bytes4 revokeSessionECDSASel = 0x6e0f2d6a;
-        bytes4 revokeSessionP256Sel = 0x5c7b9a2e;
-        bytes4 withdrawSel = 0x205c2878;
-        
-        if (selector == changeOwnerSel ||
-            selector == createSessionSel ||
-            selector == createSessionECDSASel ||
-            selector == createSessionP256Sel ||
-            selector == revokeSessionSel ||
-            selector == revokeSessionECDSASel ||
-            selector == revokeSessionP256Sel ||
-            selector == withdrawSel) {
-            revert CannotCallSensitiveFunction();
-        }
-    }
-
-    // ============ Internal - ECDSA Execute Handlers ============
-
-    function _handleExecuteECDSA(
-        address sessionKey,
-        bytes calldata callData,
-        SessionKeyPacked storage session,
-        SessionStorage storage ss
-    ) internal {
-        (address target, uint256 value, bytes memory data) = 
-            abi.decode(callData[4:], (address, uint256, bytes));
-        
-        bytes4 targetSelector = data.length > 3 ? bytes4(data) : bytes4(0);
-        
-        _validateCallECDSA(sessionKey, target, targetSelector, value, session, ss);
-        _updateLimits(session, value);
-        
-        emit SessionUsed(bytes32(uint256(uint160(sessionKey))), SignerType.ECDSA, target, targetSelector, value);
-    }
-
-    function _handleExecuteBatchECDSA(
-        address sessionKey,
-        bytes calldata callData,
-        SessionKeyPacked storage session,
-        SessionStorage storage ss
-    ) internal {
-        (address[] memory targets, uint256[] memory values, bytes[] memory datas) =
-            abi.decode(callData[4:], (address[], uint256[], bytes[]));
-        
-        uint256 totalValue = 0;
-        for (uint256 i = 0; i < targets.length; ) {
-            bytes4 targetSelector = datas[i].length > 3 ? bytes4(datas[i]) : bytes4(0);
-            
-            _validateCallECDSA(sessionKey, targets[i], targetSelector, values[i], session, ss);
-            totalValue += values[i];
-            
-            emit SessionUsed(bytes32(uint256(uint160(sessionKey))), SignerType.ECDSA, targets[i], targetSelector, values[i]);
-            unchecked { ++i; }
-        }
-        
-        _updateLimits(session, totalValue);
-    }
-
-    function _validateCallECDSA(
-        address sessionKey,
-        address target,
-        bytes4 targetSelector,
-        uint256 value,
-        SessionKeyPacked storage session,
-        SessionStorage storage ss
-    ) internal view {
-        if (session.maxValuePerTx > 0 && value > session.maxValuePerTx) {
-            revert ValueExceedsPerTxLimit();
+        (uint256 validationData, bytes32 grantHash, bytes memory ownerSignature) = SessionValidationLib
+            .validateSessionKeySignature(userOpHash, signature, callData, _domainSeparatorV4());
+        if (grantHash != bytes32(0) && !_isValidOwnerSignature(grantHash, ownerSignature)) {
+            revert InvalidSessionGrant();
         }
-        
-        _checkTargetAllowedECDSA(sessionKey, target, ss);
-        _checkSelectorAllowedECDSA(sessionKey, targetSelector, ss);
-    }
-
-    function _checkTargetAllowedECDSA(address sessionKey, address target, SessionStorage storage ss) internal view {
-        if (!ss.ecdsaTargetAllowed[sessionKey][target]) revert TargetNotAllowed();
-    }
-
-    function _checkSelectorAllowedECDSA(address sessionKey, bytes4 targetSelector, SessionStorage storage ss) internal view {
-        bytes4[] storage allowedSelectors = ss.ecdsaAllowedSelectors[sessionKey];
-        if (allowedSelectors.length == 0 || targetSelector == bytes4(0)) return;
-        
-        if (!ss.ecdsaSelectorAllowed[sessionKey][targetSelector]) revert SelectorNotAllowed();
-    }
-
-    // ============ Internal - P256 Execute Handlers ============
-
-    function _handleExecuteP256(
-        bytes32 keyHash,
-        bytes calldata callData,
-        SessionKeyPacked storage session,
-        SessionStorage storage ss
-    ) internal {
-        (address target, uint256 value, bytes memory data) = 
-            abi.decode(callData[4:], (address, uint256, bytes));
-        
-        bytes4 targetSelector = data.length > 3 ? bytes4(data) : bytes4(0);
-        
-        _validateCallP256(keyHash, target, targetSelector, value, session, ss);
-        _updateLimits(session, value);
-        
-        emit SessionUsed(keyHash, SignerType.P256, target, targetSelector, value);
+        return validationData;
     }
 
-    function _handleExecuteBatchP256(
-        bytes32 keyHash,
-        bytes calldata callData,
-        SessionKeyPacked storage session,
-        SessionStorage storage ss
-    ) internal {
-        (address[] memory targets, uint256[] memory values, bytes[] memory datas) =
-            abi.decode(callData[4:], (address[], uint256[], bytes[]));
-        
-        uint256 totalValue = 0;
-        for (uint256 i = 0; i < targets.length; ) {
-            bytes4 targetSelector = datas[i].length > 3 ? bytes4(datas[i]) : bytes4(0);
-            
-            _validateCallP256(keyHash, targets[i], targetSelector, values[i], session, ss);
-            totalValue += values[i];
-            
-            emit SessionUsed(keyHash, SignerType.P256, targets[i], targetSelector, values[i]);
-            unchecked { ++i; }
-        }
-        
-        _updateLimits(session, totalValue);
-    }
-
-    function _validateCallP256(
-        bytes32 keyHash,
-        address target,
-        bytes4 targetSelector,
-        uint256 value,
-        SessionKeyPacked storage session,
-        SessionStorage storage ss
-    ) internal view {
-        if (session.maxValuePerTx > 0 && value > session.maxValuePerTx) {
-            revert ValueExceedsPerTxLimit();
-        }
-        
-        _checkTargetAllowedP256(keyHash, target, ss);
-        _checkSelectorAllowedP256(keyHash, targetSelector, ss);
+    /**
+     * @dev ERC-1271 check of a session key signature, possibly co-signed, over an already nested `digest`.
+     * See SessionValidationLib.isValidSessionSignature.
+     */
+    function _isValidSessionSignature(
+        bytes32 digest,
+        bytes calldata signature,
+        bytes32 hash,
+        bytes32 appSeparator,
+        bytes32 contentsHash,
+        string calldata contentsDescr
+    ) internal view returns (bool) {
+        return SessionValidationLib.isValidSessionSignature(
+            digest,
+            signature,
+            hash,
+            appSeparator,
+            contentsHash,
+            contentsDescr
+        );
     }
 
-    function _checkTargetAllowedP256(bytes32 keyHash, address target, SessionStorage storage ss) internal view {
-        if (!ss.p256TargetAllowed[keyHash][target]) revert TargetNotAllowed();
+    /**
+     * @dev Start a new session epoch, which revokes every session created before it
+     */
+    function _revokeAllSessions() internal {
+        uint64 epoch = ++_sessionStorage().sessionEpoch;
+        emit AllSessionsRevoked(epoch, msg.sender);
     }
 
-    function _checkSelectorAllowedP256(bytes32 keyHash, bytes4 targetSelector, SessionStorage storage ss) internal view {
-        bytes4[] storage allowedSelectors = ss.p256AllowedSelectors[keyHash];
-        if (allowedSelectors.length == 0 || targetSelector == bytes4(0)) return;
-        
-        if (!ss.p256SelectorAllowed[keyHash][targetSelector]) revert SelectorNotAllowed();
-    }
+    /**
+     * @dev Abstract function to require owner - must be implemented by child contract
+     */
+    function _requireOwner() internal view virtual;
 
-    // ============ Internal - Shared ============
+    /**
+     * @dev Abstract function to require the owner or a guardian - must be implemented by child contract
+     */
+    function _requireSessionRevoker() internal view virtual;
 
-    function _updateLimits(SessionKeyPacked storage session, uint256 value) internal {
-        if (session.maxValueTotal > 0) {
-            if (session.valueUsed + value > session.maxValueTotal) {
-                revert ValueExceedsTotalLimit();
-            }
-            session.valueUsed += uint128(value);
-        }
-        
-        if (session.maxCalls > 0) {
-            if (session.callsUsed + 1 > session.maxCalls) {
-                revert MaxCallsExceeded();
-            }
-            session.callsUsed++;
-        }
+    /**
+     * @dev Abstract owner signature check over a raw digest - must be implemented by child contract
+     */
+    function _isValidOwnerSignature(bytes32 hash, bytes memory signature) internal view virtual returns (bool);
+
+    // ============ Private Functions ============
+    //
+    // SessionKeyLib getters return the ABI-encoded return values of the calling view, which the wallet returns
+    // as is instead of decoding and re-encoding them. The typed helpers below never return normally; their
+    // return types only let the views keep their named return values.
+
+    function _returnSessionECDSA(bytes memory data) private pure returns (
+        address,
+        uint48,
+        uint48,
+        uint128,
+        uint128,
+        uint128,
+        uint64,
+        uint64,
+        bool,
+        uint48,
+        uint64,
+        uint128,
+        SigningPermission[] memory,
+        bytes32[] memory
+    ) {
+        _returnData(data);
+    }
+
+    function _returnSessionP256(bytes memory data) private pure returns (
+        bytes32,
+        bytes32,
+        uint48,
+        uint48,
+        uint128,
+        uint128,
+        uint128,
+        uint64,
+        uint64,
+        bool,
+        uint48,
+        uint64,
+        uint128,
+        SigningPermission[] memory,
+        bytes32[] memory
+    ) {
+        _returnData(data);
     }
 
-    function _packValidationData(
-        bool success,
-        uint48 validUntil,
-        uint48 validAfter
-    ) internal pure returns (uint256) {
-        if (!success) {
-            return 1; // SIG_VALIDATION_FAILED
-        }
-        return uint256(validAfter) << 208 | uint256(validUntil) << 160;
+    function _returnSessionPermissions(bytes memory data) private pure returns (
+        address[] memory,
+        bytes4[] memory,
+        TokenBudget[] memory,
+        TargetPermission[] memory
+    ) {
+        _returnData(data);
     }
 
     /**
-     * @dev Abstract function to require owner - must be implemented by child contract
+     * @dev End the call, returning `data` as the return data
      */
-    function _requireOwner() internal view virtual;
+    function _returnData(bytes memory data) private pure {
+        assembly ("memory-safe") {
+            return(add(data, 32), mload(data))
+        }
+    }
 }
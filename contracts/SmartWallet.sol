@@ -2,7 +2,6 @@
 pragma solidity 0.8.23;
 
 import { Account } from "@openzeppelin/contracts/account/Account.sol";
-import { SignerECDSA } from "@openzeppelin/contracts/utils/cryptography/signers/SignerECDSA.sol";
 import { Initializable } from "@openzeppelin/contracts/proxy/utils/Initializable.sol";
 import { IERC1271 } from "@openzeppelin/contracts/interfaces/IERC1271.sol";
 import { ReentrancyGuard } from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
@@ -10,7 +9,19 @@ import { IEntryPoint, PackedUserOperation } from "@openzeppelin/contracts/interf
 import { ERC4337Utils } from "@openzeppelin/contracts/account/utils/draft-ERC4337Utils.sol";
 import { ECDSA } from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 import { P256 } from "@openzeppelin/contracts/utils/cryptography/P256.sol";
+import { EIP712 } from "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import { ERC7739Utils } from "@openzeppelin/contracts/utils/cryptography/draft-ERC7739Utils.sol";
+import { MessageHashUtils } from "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import { Calldata } from "@openzeppelin/contracts/utils/Calldata.sol";
+import { ERC1967Utils } from "@openzeppelin/contracts/proxy/ERC1967/ERC1967Utils.sol";
+import { IERC1822Proxiable } from "@openzeppelin/contracts/interfaces/draft-IERC1822.sol";
+import { IERC1967 } from "@openzeppelin/contracts/interfaces/IERC1967.sol";
+import { StorageSlot } from "@openzeppelin/contracts/utils/StorageSlot.sol";
+import { IAccountFactory } from "./interfaces/IAccountFactory.sol";
 import { SessionKeyManager } from "./SessionKeyManager.sol";
+import { GuardianManager } from "./GuardianManager.sol";
+import { PasskeyVerifier } from "./libraries/PasskeyVerifier.sol";
+import { SessionKeyLib } from "./libraries/SessionKeyLib.sol";
 
 /**
  * @title SmartWallet
@@ -20,25 +31,97 @@ import { SessionKeyManager } from "./SessionKeyManager.sol";
  * 
  * Key features:
  * - ERC-4337 Account Abstraction
- * - Session keys for delegated access (ECDSA + P256/Passkey)
+ * - Owner set of ECDSA addresses and P256/Passkey public keys with an M-of-N signature threshold
+ * - ERC-1271 signatures bound to the wallet through ERC-7739 nested typed data
+ * - Session keys for delegated access (ECDSA + P256/Passkey, raw or WebAuthn-wrapped)
+ * - Social recovery through M-of-N guardians with a time delay
  * - Time-bounded permissions
  * - Target/selector restrictions
  * - Spending limits
  */
-contract SmartWallet is Account, SignerECDSA, IERC1271, Initializable, ReentrancyGuard, SessionKeyManager {
+contract SmartWallet is Account, IERC1271, Initializable, ReentrancyGuard, SessionKeyManager, GuardianManager {
+    // ============ Data Structures ============
+
+    /**
+     * @dev P256 (secp256r1) owner public key, e.g. a passkey
+     */
+    struct OwnerPublicKey {
+        bytes32 x;
+        bytes32 y;
+    }
+
     // ============ Constants ============
     
     uint256 public constant MAX_BATCH_SIZE = 50;
 
+    /// @dev Maximum number of owners (addresses and public keys combined)
+    uint256 public constant MAX_OWNERS = 10;
+
+    /// @dev Signature prefix for P256 owner keys: [4][32 x][32 y][32 r][32 s]
+    bytes4 public constant OWNER_P256 = 0x00000006;
+
+    /// @dev Signature prefix for P256 owner keys signing through WebAuthn: [4][32 x][32 y][abi.encode(WebAuthnAuth)]
+    bytes4 public constant OWNER_P256_WEBAUTHN = 0x00000007;
+
+    /// @dev Signature prefix for threshold owner signatures: [4][abi.encode(bytes[] ownerSignatures)]
+    bytes4 public constant OWNER_MULTISIG = 0x00000008;
+
+    /// @dev Maximum delay between proposing and accepting an ownership transfer
+    uint48 public constant MAX_OWNERSHIP_TRANSFER_DELAY = 30 days;
+
+    /// @dev ERC-7739 detection request: isValidSignature(ERC7739_DETECTION_HASH, "") returns ERC7739_SUPPORT
+    bytes32 public constant ERC7739_DETECTION_HASH = 0x7739773977397739773977397739773977397739773977397739773977397739;
+
+    /// @dev ERC-7739 version supported by isValidSignature
+    bytes4 public constant ERC7739_SUPPORT = 0x77390001;
+
     // ============ State Variables ============
+    //
+    // Wallets are upgradeable (see upgradeToAndCall): only append new state variables, and keep
+    // SessionKeyManager / GuardianManager data in their namespaced (ERC-7201) storage structs.
     
     IEntryPoint private immutable _entryPoint;
+
+    /// @dev Address of this implementation, used to tell direct calls from proxied ones
+    address private immutable _self = address(this);
+
+    /// @dev Primary ECDSA owner (zero for wallets owned only by public keys)
     address public owner;
 
+    /// @dev Secondary ECDSA owners (the primary owner is not stored here)
+    address[] private _ownerAddresses;
+    mapping(address => bool) private _isOwnerAddress;
+    OwnerPublicKey[] private _ownerPublicKeys;
+    mapping(bytes32 => bool) private _isOwnerPublicKey;
+
+    /// @dev Owner signatures required (0 = 1)
+    uint256 private _ownerThreshold;
+
+    /// @dev Proposed primary owner, zero if no transfer is pending
+    address public pendingOwner;
+
+    /// @dev Earliest time the pending owner can accept
+    uint48 public ownershipTransferReadyAt;
+
+    /// @dev Delay applied to new ownership transfers (0 = accept immediately)
+    uint48 public ownershipTransferDelay;
+
+    /// @dev Factory that initialized this wallet, notified of owner changes to keep its indexes in sync
+    address public factory;
+
     // ============ Events ============
     
     event SmartWalletInitialized(IEntryPoint indexed entryPoint, address indexed owner);
     event OwnerChanged(address indexed previousOwner, address indexed newOwner);
+    event OwnerAddressAdded(address indexed owner);
+    event OwnerAddressRemoved(address indexed owner);
+    event OwnerPublicKeyAdded(bytes32 indexed keyHash, bytes32 x, bytes32 y);
+    event OwnerPublicKeyRemoved(bytes32 indexed keyHash, bytes32 x, bytes32 y);
+    event OwnerThresholdChanged(uint256 threshold);
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner, uint48 readyAt);
+    event OwnershipTransferCancelled(address indexed pendingOwner);
+    event OwnershipTransferDelayChanged(uint48 delay);
+    event FactoryNotificationFailed(address indexed factory);
 
     // ============ Errors ============
     
@@ -48,6 +131,18 @@ contract SmartWallet is Account, SignerECDSA, IERC1271, Initializable, Reentranc
     error SameOwner();
     error InvalidOwner();
     error BatchTooLarge();
+    error NoOwners();
+    error TooManyOwners();
+    error OwnerAlreadyExists();
+    error OwnerNotFound();
+    error LastOwner();
+    error InvalidThreshold();
+    error NoPendingOwnershipTransfer();
+    error OwnershipTransferNotReady();
+    error InvalidOwnershipTransferDelay();
+    error InvalidImplementation();
+    error UnauthorizedCallContext();
+    error UpgradeNotSupported();
 
     // ============ Modifiers ============
     
@@ -57,7 +152,7 @@ contract SmartWallet is Account, SignerECDSA, IERC1271, Initializable, Reentranc
     }
 
     modifier onlyOwnerOrEntryPoint() {
-        if (msg.sender != address(entryPoint()) && msg.sender != owner) {
+        if (msg.sender != address(entryPoint()) && !_isDirectOwner(msg.sender)) {
             revert Unauthorized();
         }
         _;
@@ -74,7 +169,9 @@ contract SmartWallet is Account, SignerECDSA, IERC1271, Initializable, Reentranc
      * @dev Constructor that sets the EntryPoint address
      * @param entryPointAddr The EntryPoint contract address
      */
-    constructor(IEntryPoint entryPointAddr) SignerECDSA(address(0)) nonZeroAddress(address(entryPointAddr)) {
+    constructor(
+        IEntryPoint entryPointAddr
+    ) EIP712("Lendefi Smart Wallet", "1") nonZeroAddress(address(entryPointAddr)) {
         _entryPoint = entryPointAddr;
         _disableInitializers();
     }
@@ -94,8 +191,65 @@ contract SmartWallet is Account, SignerECDSA, IERC1271, Initializable, Reentranc
      */
     function initialize(address _owner) external virtual initializer nonZeroAddress(_owner) {
         owner = _owner;
-        _setSigner(_owner);
+        factory = msg.sender;
+        _pinImplementation();
+        emit SmartWalletInitialized(entryPoint(), _owner);
+    }
+
+    /**
+     * @dev Initialize the account with an owner and its first session keys
+     * @notice Used by the factory's one-call onboarding; any invalid session reverts the deployment
+     * The ECDSA and P256 session configurations are forwarded undecoded to SessionKeyLib.
+     * @param _owner The owner of this account
+     */
+    function initializeWithSessions(
+        address _owner,
+        SessionConfigECDSA[] calldata,
+        SessionConfigP256[] calldata
+    ) external virtual initializer nonZeroAddress(_owner) {
+        owner = _owner;
+        factory = msg.sender;
+        _pinImplementation();
         emit SmartWalletInitialized(entryPoint(), _owner);
+
+        SessionKeyLib.createSessions(msg.data[4:]);
+    }
+
+    /**
+     * @dev Initialize the account with a set of ECDSA and P256 owners
+     * @notice The first address, if any, becomes the primary owner
+     * @param ownerAddresses ECDSA owner addresses
+     * @param publicKeys P256 owner public keys
+     * @param threshold Owner signatures required (1 = any single owner)
+     */
+    function initializeWithOwners(
+        address[] calldata ownerAddresses,
+        OwnerPublicKey[] calldata publicKeys,
+        uint256 threshold
+    ) external virtual initializer {
+        if (ownerAddresses.length + publicKeys.length == 0) revert NoOwners();
+
+        if (ownerAddresses.length > 0) {
+            if (ownerAddresses[0] == address(0)) revert ZeroAddress();
+            owner = ownerAddresses[0];
+        }
+        for (uint256 i = 1; i < ownerAddresses.length; ) {
+            _addOwnerAddress(ownerAddresses[i]);
+            unchecked {
+                ++i;
+            }
+        }
+        for (uint256 i = 0; i < publicKeys.length; ) {
+            _addOwnerPublicKey(publicKeys[i].x, publicKeys[i].y);
+            unchecked {
+                ++i;
+            }
+        }
+        if (threshold > 1) _setOwnerThreshold(threshold);
+        factory = msg.sender;
+        _pinImplementation();
+
+        emit SmartWalletInitialized(entryPoint(), owner);
     }
 
     // ============ Execution Functions ============
@@ -159,85 +313,242 @@ contract SmartWallet is Account, SignerECDSA, IERC1271, Initializable, Reentranc
     // ============ Owner Management ============
 
     /**
-     * @dev Change owner
+     * @dev Start transferring the primary owner role. The new owner must accept it,
+     * after ownershipTransferDelay has elapsed. Replaces any pending transfer.
      * @notice WARNING: If newOwner is a contract, ensure it can sign messages
-     * @param newOwner New owner address
+     * @param newOwner Proposed owner address
      */
-    function changeOwner(address newOwner) external onlyOwner nonZeroAddress(newOwner) {
+    function proposeOwner(address newOwner) external onlyOwner nonZeroAddress(newOwner) {
         if (newOwner == owner) revert SameOwner();
         if (newOwner == address(this)) revert InvalidOwner();
-        
+
+        // solhint-disable-next-line not-rely-on-time
+        uint48 readyAt = uint48(block.timestamp) + ownershipTransferDelay;
+        pendingOwner = newOwner;
+        ownershipTransferReadyAt = readyAt;
+        emit OwnershipTransferStarted(owner, newOwner, readyAt);
+    }
+
+    /**
+     * @dev Accept a pending ownership transfer. Must be called by the pending owner.
+     * @notice A secondary owner accepting is promoted; the previous primary owner loses access.
+     */
+    function acceptOwnership() external {
+        address newOwner = pendingOwner;
+        if (newOwner == address(0)) revert NoPendingOwnershipTransfer();
+        if (msg.sender != newOwner) revert Unauthorized();
+        // solhint-disable-next-line not-rely-on-time
+        if (block.timestamp < ownershipTransferReadyAt) revert OwnershipTransferNotReady();
+
+        _clearPendingOwner();
         address oldOwner = owner;
+        if (_isOwnerAddress[newOwner]) _removeOwnerAddress(newOwner);
         owner = newOwner;
-        _setSigner(newOwner);
         emit OwnerChanged(oldOwner, newOwner);
+        _notifyFactory(abi.encodeCall(IAccountFactory.onWalletOwnerChanged, (oldOwner, newOwner)));
+    }
+
+    /**
+     * @dev Cancel a pending ownership transfer
+     */
+    function cancelOwnershipTransfer() external onlyOwner {
+        address proposed = pendingOwner;
+        if (proposed == address(0)) revert NoPendingOwnershipTransfer();
+
+        _clearPendingOwner();
+        emit OwnershipTransferCancelled(proposed);
+    }
+
+    /**
+     * @dev Set the delay applied to future ownership transfers
+     * @param delay Delay in seconds (0..MAX_OWNERSHIP_TRANSFER_DELAY)
+     */
+    function setOwnershipTransferDelay(uint48 delay) external onlyOwner {
+        if (delay > MAX_OWNERSHIP_TRANSFER_DELAY) revert InvalidOwnershipTransferDelay();
+
+        ownershipTransferDelay = delay;
+        emit OwnershipTransferDelayChanged(delay);
+    }
+
+    /**
+     * @dev Add an ECDSA owner
+     * @param ownerAddress Owner address to add
+     */
+    function addOwnerAddress(address ownerAddress) external onlyOwner {
+        _addOwnerAddress(ownerAddress);
+    }
+
+    /**
+     * @dev Add a P256 owner public key (e.g. a passkey)
+     * @param x Public key x coordinate
+     * @param y Public key y coordinate
+     */
+    function addOwnerPublicKey(bytes32 x, bytes32 y) external onlyOwner {
+        _addOwnerPublicKey(x, y);
+        _notifyFactory(abi.encodeCall(IAccountFactory.onWalletPasskeyChanged, (x, y, true)));
+    }
+
+    /**
+     * @dev Remove a secondary ECDSA owner
+     * @notice The primary owner can only be replaced through proposeOwner / acceptOwnership
+     * @param ownerAddress Owner address to remove
+     */
+    function removeOwnerAddress(address ownerAddress) external onlyOwner {
+        if (ownerAddress == owner) revert InvalidOwner();
+        _removeOwnerAddress(ownerAddress);
+    }
+
+    /**
+     * @dev Remove a P256 owner public key
+     * @param x Public key x coordinate
+     * @param y Public key y coordinate
+     */
+    function removeOwnerPublicKey(bytes32 x, bytes32 y) external onlyOwner {
+        _removeOwnerPublicKey(x, y);
+        _notifyFactory(abi.encodeCall(IAccountFactory.onWalletPasskeyChanged, (x, y, false)));
+    }
+
+    /**
+     * @dev Set the number of owner signatures required
+     * @notice Above 1, owners can no longer call the wallet directly: every owner action
+     * goes through a UserOperation carrying threshold signatures
+     * @param threshold Owner signatures required (1..ownerCount)
+     */
+    function setOwnerThreshold(uint256 threshold) external onlyOwner {
+        if (threshold == 0) revert InvalidThreshold();
+        _setOwnerThreshold(threshold);
+    }
+
+    // ============ Upgrades ============
+
+    /**
+     * @notice Upgrade this wallet to a new SmartWallet implementation and optionally call it
+     * @dev Only takes effect for wallets deployed as SmartWalletProxy clones; wallets deployed as
+     * plain clones of an older implementation migrate through SmartWalletFactory.migrateWallet.
+     * The new implementation must be UUPS-compatible and use the same EntryPoint.
+     * @param newImplementation New implementation address
+     * @param data Call to run on the new implementation (e.g. a reinitializer), empty for none
+     */
+    function upgradeToAndCall(address newImplementation, bytes calldata data) external onlyOwner {
+        if (newImplementation.code.length == 0) revert InvalidImplementation();
+        try IERC1822Proxiable(newImplementation).proxiableUUID() returns (bytes32 slot) {
+            if (slot != ERC1967Utils.IMPLEMENTATION_SLOT) revert InvalidImplementation();
+        } catch {
+            revert InvalidImplementation();
+        }
+        try SmartWallet(payable(newImplementation)).entryPoint() returns (IEntryPoint entryPointAddr) {
+            if (entryPointAddr != entryPoint()) revert InvalidImplementation();
+        } catch {
+            revert InvalidImplementation();
+        }
+
+        ERC1967Utils.upgradeToAndCall(newImplementation, data);
+        // Plain clones ignore the ERC-1967 slot and would keep running the old code
+        if (SmartWallet(payable(address(this))).implementation() != newImplementation) revert UpgradeNotSupported();
+    }
+
+    /**
+     * @notice ERC-1822 identifier of the slot holding the implementation
+     * @dev Reverts through a proxy, so a wallet can never be set as another wallet's implementation
+     */
+    function proxiableUUID() external view returns (bytes32) {
+        if (address(this) != _self) revert UnauthorizedCallContext();
+        return ERC1967Utils.IMPLEMENTATION_SLOT;
+    }
+
+    /**
+     * @notice Implementation this wallet currently runs
+     */
+    function implementation() external view returns (address) {
+        return _self;
+    }
+
+    /**
+     * @dev Record this implementation in the wallet's ERC-1967 slot. SmartWalletProxy clones follow the
+     * factory's implementation while the slot is empty; once initialized they keep this one until upgraded.
+     */
+    function _pinImplementation() private {
+        StorageSlot.AddressSlot storage slot = StorageSlot.getAddressSlot(ERC1967Utils.IMPLEMENTATION_SLOT);
+        if (slot.value != address(0)) return;
+        slot.value = _self;
+        emit IERC1967.Upgraded(_self);
     }
 
     // ============ Signature Validation ============
 
     /**
-     * @dev Check if signature is valid (ERC-1271)
+     * @dev Check if signature is valid (ERC-1271).
+     * Signatures must be ERC-7739 nested: the owner or session key signs `hash` wrapped in a
+     * TypedDataSign (EIP-712 apps) or PersonalSign (EIP-191 messages) struct under this wallet's
+     * EIP-712 domain, so a signature can never be replayed on another wallet with the same signer.
      * @param hash Hash that was signed
-     * @param signature Signature to verify
-     * @return magicValue ERC-1271 magic value if valid
+     * @param signature Nested signature to verify
+     * @return magicValue ERC-1271 magic value if valid, ERC7739_SUPPORT for the ERC-7739 detection request
      */
     function isValidSignature(
         bytes32 hash,
         bytes calldata signature
     ) external view override returns (bytes4 magicValue) {
-        // Check for session key signature (ECDSA or P256)
-        if (signature.length > 4) {
-            bytes4 sigType = bytes4(signature[:4]);
-            
-            if (sigType == SESSION_KEY_ECDSA) {
-                // ECDSA session key: [4 prefix][20 key][65+ sig]
-                if (signature.length < 89) return 0xffffffff;
-                
-                address sessionKey = address(bytes20(signature[4:24]));
-                SessionStorage storage ss = _sessionStorage();
-                SessionKeyPacked storage session = ss.ecdsaSessions[sessionKey];
-                
-                if (!_isSessionValid(session)) return 0xffffffff;
-                
-                // Verify signature using ECDSA
-                bytes calldata sig = signature[24:];
-                (address recovered, , ) = ECDSA.tryRecover(hash, sig);
-                if (recovered == sessionKey) {
-                    return 0x1626ba7e; // ERC1271_MAGIC_VALUE
-                }
-                return 0xffffffff;
-            } else if (sigType == SESSION_KEY_P256) {
-                // P256 session key: [4 prefix][32 keyX][32 keyY][64 sig (r,s)]
-                if (signature.length < 132) return 0xffffffff;
-                
-                bytes32 keyX = bytes32(signature[4:36]);
-                bytes32 keyY = bytes32(signature[36:68]);
-                bytes32 r = bytes32(signature[68:100]);
-                bytes32 s = bytes32(signature[100:132]);
-                
-                bytes32 keyHash = keccak256(abi.encodePacked(keyX, keyY));
-                SessionStorage storage ss = _sessionStorage();
-                SessionKeyPacked storage session = ss.p256Sessions[keyHash];
-                
-                if (!_isSessionValid(session)) return 0xffffffff;
-                
-                // Verify P256 signature
-                if (P256.verify(hash, r, s, keyX, keyY)) {
-                    return 0x1626ba7e; // ERC1271_MAGIC_VALUE
-                }
-                return 0xffffffff;
-            }
-        }
-        
-        // Default: owner signature
-        if (_rawSignatureValidation(hash, signature)) {
-            return 0x1626ba7e;
+        if (_isValidNestedTypedDataSignature(hash, signature) || _isValidNestedPersonalSignSignature(hash, signature)) {
+            return IERC1271.isValidSignature.selector;
         }
+        if (hash == ERC7739_DETECTION_HASH && signature.length == 0) return ERC7739_SUPPORT;
         return 0xffffffff;
     }
 
     // ============ View Functions ============
 
+    /**
+     * @dev Check whether an address is an ECDSA owner
+     */
+    function isOwnerAddress(address account) external view returns (bool) {
+        return _isOwner(account);
+    }
+
+    /**
+     * @dev Check whether a P256 public key is an owner
+     */
+    function isOwnerPublicKey(bytes32 x, bytes32 y) external view returns (bool) {
+        return _isOwnerPublicKey[keccak256(abi.encodePacked(x, y))];
+    }
+
+    /**
+     * @dev Get all ECDSA owners, primary owner first
+     */
+    function getOwnerAddresses() external view returns (address[] memory owners) {
+        if (owner == address(0)) return _ownerAddresses;
+
+        owners = new address[](_ownerAddresses.length + 1);
+        owners[0] = owner;
+        for (uint256 i = 0; i < _ownerAddresses.length; ) {
+            owners[i + 1] = _ownerAddresses[i];
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    /**
+     * @dev Get all P256 owner public keys
+     */
+    function getOwnerPublicKeys() external view returns (OwnerPublicKey[] memory) {
+        return _ownerPublicKeys;
+    }
+
+    /**
+     * @dev Number of owner signatures required
+     */
+    function ownerThreshold() public view returns (uint256) {
+        return _ownerThreshold == 0 ? 1 : _ownerThreshold;
+    }
+
+    /**
+     * @dev Total number of owners (addresses and public keys)
+     */
+    function ownerCount() public view returns (uint256) {
+        return (owner == address(0) ? 0 : 1) + _ownerAddresses.length + _ownerPublicKeys.length;
+    }
+
     /**
      * @dev Returns the EntryPoint address
      */
@@ -274,7 +585,14 @@ contract SmartWallet is Account, SignerECDSA, IERC1271, Initializable, Reentranc
         // Check if this is a session key signature
         if (userOp.signature.length > 4) {
             bytes4 sigType = bytes4(userOp.signature[:4]);
-            if (sigType == SESSION_KEY_ECDSA || sigType == SESSION_KEY_P256) {
+            if (
+                sigType == SESSION_KEY_ECDSA ||
+                sigType == SESSION_KEY_P256 ||
+                sigType == SESSION_KEY_P256_WEBAUTHN ||
+                sigType == SESSION_KEY_ENABLE_ECDSA ||
+                sigType == SESSION_KEY_ENABLE_P256 ||
+                sigType == SESSION_KEY_COSIGNED
+            ) {
                 return _validateSessionKeySignature(userOpHash, userOp.signature, userOp.callData);
             }
         }
@@ -299,15 +617,347 @@ contract SmartWallet is Account, SignerECDSA, IERC1271, Initializable, Reentranc
 
     /**
      * @dev Check only owner
+     * @notice P256 owners cannot send transactions, so owner calls routed through execute
+     * (msg.sender == this) are accepted too. Session keys can never target the wallet itself.
      */
     function _onlyOwner() internal view {
-        if (msg.sender != owner) revert Unauthorized();
+        if (!_isDirectOwner(msg.sender) && msg.sender != address(this)) revert Unauthorized();
     }
 
     /**
-     * @dev Implementation of SessionKeyManager's _requireOwner
+     * @dev ECDSA owners may call the wallet directly only while a single signature suffices
      */
-    function _requireOwner() internal view override {
+    function _isDirectOwner(address account) internal view returns (bool) {
+        return _ownerThreshold < 2 && _isOwner(account);
+    }
+
+    /**
+     * @dev Check whether an address is the primary or a secondary ECDSA owner
+     */
+    function _isOwner(address account) internal view returns (bool) {
+        return account != address(0) && (account == owner || _isOwnerAddress[account]);
+    }
+
+    function _addOwnerAddress(address ownerAddress) internal nonZeroAddress(ownerAddress) {
+        if (ownerAddress == address(this)) revert InvalidOwner();
+        if (_isOwner(ownerAddress)) revert OwnerAlreadyExists();
+        if (ownerCount() + 1 > MAX_OWNERS) revert TooManyOwners();
+
+        _isOwnerAddress[ownerAddress] = true;
+        _ownerAddresses.push(ownerAddress);
+        emit OwnerAddressAdded(ownerAddress);
+    }
+
+    function _removeOwnerAddress(address ownerAddress) internal {
+        if (!_isOwnerAddress[ownerAddress]) revert OwnerNotFound();
+        if (ownerCount() == 1) revert LastOwner();
+        if (ownerCount() - 1 < ownerThreshold()) revert InvalidThreshold();
+
+        uint256 last = _ownerAddresses.length - 1;
+        for (uint256 i = 0; i < last; ) {
+            if (_ownerAddresses[i] == ownerAddress) {
+                _ownerAddresses[i] = _ownerAddresses[last];
+                break;
+            }
+            unchecked {
+                ++i;
+            }
+        }
+        _ownerAddresses.pop();
+        delete _isOwnerAddress[ownerAddress];
+        emit OwnerAddressRemoved(ownerAddress);
+    }
+
+    function _addOwnerPublicKey(bytes32 x, bytes32 y) internal {
+        if (!P256.isValidPublicKey(x, y)) revert InvalidP256Key();
+        bytes32 keyHash = keccak256(abi.encodePacked(x, y));
+        if (_isOwnerPublicKey[keyHash]) revert OwnerAlreadyExists();
+        if (ownerCount() + 1 > MAX_OWNERS) revert TooManyOwners();
+
+        _isOwnerPublicKey[keyHash] = true;
+        _ownerPublicKeys.push(OwnerPublicKey({ x: x, y: y }));
+        emit OwnerPublicKeyAdded(keyHash, x, y);
+    }
+
+    function _removeOwnerPublicKey(bytes32 x, bytes32 y) internal {
+        bytes32 keyHash = keccak256(abi.encodePacked(x, y));
+        if (!_isOwnerPublicKey[keyHash]) revert OwnerNotFound();
+        if (ownerCount() == 1) revert LastOwner();
+        if (ownerCount() - 1 < ownerThreshold()) revert InvalidThreshold();
+
+        uint256 last = _ownerPublicKeys.length - 1;
+        for (uint256 i = 0; i < last; ) {
+            if (_ownerPublicKeys[i].x == x && _ownerPublicKeys[i].y == y) {
+                _ownerPublicKeys[i] = _ownerPublicKeys[last];
+                break;
+            }
+            unchecked {
+                ++i;
+            }
+        }
+        _ownerPublicKeys.pop();
+        delete _isOwnerPublicKey[keyHash];
+        emit OwnerPublicKeyRemoved(keyHash, x, y);
+    }
+
+    function _clearPendingOwner() internal {
+        pendingOwner = address(0);
+        ownershipTransferReadyAt = 0;
+    }
+
+    function _setOwnerThreshold(uint256 threshold) internal {
+        if (threshold > ownerCount()) revert InvalidThreshold();
+
+        _ownerThreshold = threshold;
+        emit OwnerThresholdChanged(threshold);
+    }
+
+    /**
+     * @dev Check owner authorization over a raw digest.
+     * A single owner signature is accepted while the threshold is 1; otherwise an OWNER_MULTISIG
+     * bundle with at least `ownerThreshold()` valid signatures from distinct owners is required.
+     */
+    function _isOwnerSignature(bytes32 hash, bytes memory signature) internal view returns (bool) {
+        if (signature.length > 4 && bytes4(signature) == OWNER_MULTISIG) {
+            bytes[] memory signatures = abi.decode(_sliceFrom(signature, 4), (bytes[]));
+            return _isOwnerMultisig(hash, signatures);
+        }
+        return _ownerThreshold < 2 && _recoverOwnerSigner(hash, signature) != bytes32(0);
+    }
+
+    /**
+     * @dev Check a bundle of owner signatures. Every signature must be valid and from a distinct owner.
+     */
+    function _isOwnerMultisig(bytes32 hash, bytes[] memory signatures) internal view returns (bool) {
+        uint256 length = signatures.length;
+        if (length < ownerThreshold() || length > MAX_OWNERS) return false;
+
+        bytes32[] memory signers = new bytes32[](length);
+        for (uint256 i = 0; i < length; ) {
+            bytes32 signer = _recoverOwnerSigner(hash, signatures[i]);
+            if (signer == bytes32(0)) return false;
+            for (uint256 j = 0; j < i; ) {
+                if (signers[j] == signer) return false;
+                unchecked {
+                    ++j;
+                }
+            }
+            signers[i] = signer;
+            unchecked {
+                ++i;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * @dev Identify the owner behind a single owner signature: the address for ECDSA owners
+     * (65-byte signature, no prefix), the key hash for P256 owners (raw or WebAuthn, prefixed).
+     * Returns zero if the signature is invalid or not from an owner.
+     */
+    function _recoverOwnerSigner(bytes32 hash, bytes memory signature) internal view returns (bytes32) {
+        if (signature.length > 68) {
+            bytes4 sigType = bytes4(signature);
+            if (sigType == OWNER_P256 || sigType == OWNER_P256_WEBAUTHN) {
+                bytes32 x = _readWord(signature, 4);
+                bytes32 y = _readWord(signature, 36);
+                bytes32 keyHash = keccak256(abi.encodePacked(x, y));
+                if (!_isOwnerPublicKey[keyHash]) return bytes32(0);
+
+                bool valid;
+                if (sigType == OWNER_P256) {
+                    valid = signature.length == 132 &&
+                        PasskeyVerifier.verify(hash, _readWord(signature, 68), _readWord(signature, 100), x, y);
+                } else {
+                    valid = PasskeyVerifier.verifyWebAuthn(hash, _sliceFrom(signature, 68), x, y);
+                }
+                return valid ? keyHash : bytes32(0);
+            }
+        }
+
+        (address recovered, ECDSA.RecoverError err, ) = ECDSA.tryRecover(hash, signature);
+        if (err != ECDSA.RecoverError.NoError || !_isOwner(recovered)) return bytes32(0);
+        return bytes32(uint256(uint160(recovered)));
+    }
+
+    /**
+     * @dev Read the 32-byte word at `offset` (callers check the length)
+     */
+    function _readWord(bytes memory data, uint256 offset) private pure returns (bytes32 word) {
+        assembly {
+            word := mload(add(add(data, 32), offset))
+        }
+    }
+
+    /**
+     * @dev Copy `data` from `start` to the end into a new bytes array
+     */
+    function _sliceFrom(bytes memory data, uint256 start) private pure returns (bytes memory result) {
+        uint256 length = data.length - start;
+        result = new bytes(length);
+        for (uint256 i = 0; i < length; i += 32) {
+            bytes32 word = _readWord(data, start + i);
+            assembly {
+                mstore(add(add(result, 32), i), word)
+            }
+        }
+        // Clear bytes copied past the end of the last word
+        assembly {
+            mstore(add(add(result, 32), length), 0)
+        }
+    }
+
+    /**
+     * @dev ERC-7739 PersonalSign: `signature` signs PersonalSign(bytes prefixed) under the wallet domain,
+     * where `hash` is the EIP-191 hash of `prefixed`
+     */
+    function _isValidNestedPersonalSignSignature(
+        bytes32 hash,
+        bytes calldata signature
+    ) internal view returns (bool) {
+        bytes32 structHash = ERC7739Utils.personalSignStructHash(hash);
+        bytes32 digest = MessageHashUtils.toTypedDataHash(_domainSeparatorV4(), structHash);
+        return _isValidWalletSignature(digest, signature, hash, bytes32(0), bytes32(0), Calldata.emptyString());
+    }
+
+    /**
+     * @dev ERC-7739 TypedDataSign: `hash` is an app's EIP-712 digest and the encoded signature carries the
+     * app domain separator, contents hash and contents type needed to rebuild it with the wallet domain nested
+     */
+    function _isValidNestedTypedDataSignature(
+        bytes32 hash,
+        bytes calldata encodedSignature
+    ) internal view returns (bool) {
+        (
+            bytes calldata signature,
+            bytes32 appSeparator,
+            bytes32 contentsHash,
+            string calldata contentsDescr
+        ) = ERC7739Utils.decodeTypedDataSig(encodedSignature);
+        if (bytes(contentsDescr).length == 0) return false;
+        if (hash != MessageHashUtils.toTypedDataHash(appSeparator, contentsHash)) return false;
+
+        (, string memory name, string memory version, uint256 chainId, address verifyingContract, bytes32 salt, ) =
+            eip712Domain();
+        bytes32 structHash = ERC7739Utils.typedDataSignStructHash(
+            contentsDescr,
+            contentsHash,
+            abi.encode(keccak256(bytes(name)), keccak256(bytes(version)), chainId, verifyingContract, salt)
+        );
+        bytes32 digest = MessageHashUtils.toTypedDataHash(appSeparator, structHash);
+        return _isValidWalletSignature(digest, signature, hash, appSeparator, contentsHash, contentsDescr);
+    }
+
+    /**
+     * @dev Check a session key or owner signature over an already nested `digest`.
+     * Session keys must also be allowed to sign the outer `hash` (see SessionValidationLib._isSessionSignable);
+     * `appSeparator`, `contentsHash` and `contentsDescr` are those of a TypedDataSign signature, empty for
+     * PersonalSign.
+     */
+    function _isValidWalletSignature(
+        bytes32 digest,
+        bytes calldata signature,
+        bytes32 hash,
+        bytes32 appSeparator,
+        bytes32 contentsHash,
+        string calldata contentsDescr
+    ) internal view returns (bool) {
+        // Check for session key signature (ECDSA or P256), possibly co-signed or carrying typed contents
+        if (signature.length > 4) {
+            bytes4 sigType = bytes4(signature[:4]);
+            if (
+                sigType == SESSION_KEY_TYPED_CONTENTS ||
+                sigType == SESSION_KEY_COSIGNED ||
+                sigType == SESSION_KEY_ECDSA ||
+                sigType == SESSION_KEY_P256 ||
+                sigType == SESSION_KEY_P256_WEBAUTHN
+            ) {
+                return _isValidSessionSignature(digest, signature, hash, appSeparator, contentsHash, contentsDescr);
+            }
+        }
+        
+        // Default: owner signature
+        return _rawSignatureValidation(digest, signature);
+    }
+
+    /**
+     * @dev Owner signature validation used by _validateUserOp and _isValidWalletSignature
+     */
+    function _rawSignatureValidation(bytes32 hash, bytes calldata signature) internal view override returns (bool) {
+        return _isOwnerSignature(hash, signature);
+    }
+
+    /**
+     * @dev Implementation of SessionKeyManager's and GuardianManager's _requireOwner
+     */
+    function _requireOwner() internal view override(SessionKeyManager, GuardianManager) {
+        _onlyOwner();
+    }
+
+    /**
+     * @dev Implementation of SessionKeyManager's _requireSessionRevoker: any single guardian may revoke
+     * all sessions, since doing so only takes access away
+     */
+    function _requireSessionRevoker() internal view override {
+        if (_guardianStorage().isGuardian[msg.sender]) return;
         _onlyOwner();
     }
+
+    /**
+     * @dev Implementation of GuardianManager's _recoverOwner.
+     * Recovery replaces the whole owner set and revokes every session, so a lost or compromised
+     * secondary key or session key keeps no access.
+     */
+    function _recoverOwner(address newOwner) internal override {
+        while (_ownerAddresses.length > 0) {
+            address ownerAddress = _ownerAddresses[_ownerAddresses.length - 1];
+            _ownerAddresses.pop();
+            delete _isOwnerAddress[ownerAddress];
+            emit OwnerAddressRemoved(ownerAddress);
+        }
+        while (_ownerPublicKeys.length > 0) {
+            OwnerPublicKey memory key = _ownerPublicKeys[_ownerPublicKeys.length - 1];
+            bytes32 keyHash = keccak256(abi.encodePacked(key.x, key.y));
+            _ownerPublicKeys.pop();
+            delete _isOwnerPublicKey[keyHash];
+            emit OwnerPublicKeyRemoved(keyHash, key.x, key.y);
+            _notifyFactory(abi.encodeCall(IAccountFactory.onWalletPasskeyChanged, (key.x, key.y, false)));
+        }
+
+        if (_ownerThreshold > 1) {
+            _ownerThreshold = 0;
+            emit OwnerThresholdChanged(1);
+        }
+        // A transfer proposed by the replaced owners must not survive recovery
+        if (pendingOwner != address(0)) {
+            emit OwnershipTransferCancelled(pendingOwner);
+            _clearPendingOwner();
+        }
+        // Sessions were granted by the replaced owners
+        _revokeAllSessions();
+
+        address oldOwner = owner;
+        owner = newOwner;
+        emit OwnerChanged(oldOwner, newOwner);
+        _notifyFactory(abi.encodeCall(IAccountFactory.onWalletOwnerChanged, (oldOwner, newOwner)));
+    }
+
+    /**
+     * @dev Forward an index update to the factory. A failing factory is reported through
+     * FactoryNotificationFailed instead of reverting, so it can never block an owner change or recovery.
+     */
+    function _notifyFactory(bytes memory data) internal {
+        address walletFactory = factory;
+        if (walletFactory.code.length == 0) return;
+
+        (bool success, ) = walletFactory.call(data);
+        if (!success) emit FactoryNotificationFailed(walletFactory);
+    }
+
+    /**
+     * @dev Implementation of SessionKeyManager's _isValidOwnerSignature
+     */
+    function _isValidOwnerSignature(bytes32 hash, bytes memory signature) internal view override returns (bool) {
+        return _isOwnerSignature(hash, signature);
+    }
 }
@@ -6,8 +6,13 @@ import { UUPSUpgradeable } from "@openzeppelin/contracts-upgradeable/proxy/utils
 import { Initializable } from "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
 import { OwnableUpgradeable } from "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
 import { IEntryPoint } from "@openzeppelin/contracts/interfaces/draft-IERC4337.sol";
+import { MessageHashUtils } from "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import { ECDSA } from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 import { IAccountFactory } from "./interfaces/IAccountFactory.sol";
 import { SmartWallet } from "./SmartWallet.sol";
+import { SessionKeyManager } from "./SessionKeyManager.sol";
+import { LendefiPaymaster } from "./LendefiPaymaster.sol";
+import { SmartWalletProxy } from "./SmartWalletProxy.sol";
 
 /**
  * @title SmartWalletFactory
@@ -17,6 +22,20 @@ import { SmartWallet } from "./SmartWallet.sol";
 contract SmartWalletFactory is IAccountFactory, Initializable, UUPSUpgradeable, OwnableUpgradeable {
     using Clones for address;
 
+    /**
+     * @dev Initial wallet configuration applied by createAccountWithConfig
+     * @param ecdsaSessions ECDSA session keys to create
+     * @param p256Sessions P256 session keys to create
+     * @param trialTier Paymaster subscription tier of the trial (ignored without a duration)
+     * @param trialDuration Trial length in seconds, zero for no trial
+     */
+    struct OnboardingConfig {
+        SessionKeyManager.SessionConfigECDSA[] ecdsaSessions;
+        SessionKeyManager.SessionConfigP256[] p256Sessions;
+        LendefiPaymaster.SubscriptionTier trialTier;
+        uint256 trialDuration;
+    }
+
     // State variables (no longer immutable for upgradeability)
     SmartWallet public accountImplementation;
     IEntryPoint public entryPoint;
@@ -26,13 +45,27 @@ contract SmartWalletFactory is IAccountFactory, Initializable, UUPSUpgradeable,
     // State mappings
     mapping(address user => address wallet) public userToWallet;
     mapping(address wallet => bool isValid) public isLendefiWallet;
+    mapping(bytes32 keyHash => address wallet) public passkeyToWallet;
+
+    // Permissionless (initCode) creation
+    address public creationSigner;
+    bool public permissionlessCreationEnabled;
+
+    // Wallet registry (userToWallet holds each owner's primary wallet, this list the others). Wallets
+    // deployed for an owner by a third party are only listed here, so they never become primary on creation
+    mapping(address user => address[] wallets) private _secondaryWallets;
+    address[] private _allWallets;
+
+    // Clone target of new wallets: makes them upgradeable by their owners (zero = legacy clones).
+    // Deployed once, so wallet addresses survive implementation updates
+    SmartWalletProxy public walletProxy;
 
     /**
      * @dev Storage gap for future upgrades
      * This allows adding new state variables in future versions without
      * affecting the storage layout of derived contracts
      */
-    uint256[50] private __gap;
+    uint256[45] private __gap;
 
     // Events
     event AccountCreated(address indexed account, address indexed owner, uint256 salt);
@@ -41,10 +74,20 @@ contract SmartWalletFactory is IAccountFactory, Initializable, UUPSUpgradeable,
     event StakeAdded(address indexed sender, uint256 amount, uint32 unstakeDelaySec);
     event StakeUnlocked();
     event StakeWithdrawn(address indexed to, uint256 amount);
+    event WalletOwnerUpdated(address indexed wallet, address indexed previousOwner, address indexed newOwner);
+    event WalletPasskeyUpdated(address indexed wallet, bytes32 indexed keyHash, bool added);
+    event PermissionlessCreationUpdated(bool enabled, address indexed creationSigner);
+    event WalletMigrated(address indexed previousWallet, address indexed newWallet, address indexed owner);
 
     // Custom errors
     error InvalidPaymaster();
     error ZeroAddress();
+    error NotLendefiWallet();
+    error InvalidWalletUpdate();
+    error SaltAlreadyUsed();
+    error PermissionlessCreationDisabled();
+    error NotSenderCreator();
+    error InvalidCreationAuthorization();
 
     // Modifiers
     modifier nonZeroAddress(address _address) {
@@ -52,6 +95,21 @@ contract SmartWalletFactory is IAccountFactory, Initializable, UUPSUpgradeable,
         _;
     }
 
+    modifier onlyLendefiWallet() {
+        if (!isLendefiWallet[msg.sender]) revert NotLendefiWallet();
+        _;
+    }
+
+    // Creation is open to anyone when permissionless creation needs no authorization. Anyone can then
+    // deploy wallets for any owner and salt: each is added to the registry (but never made its owner's
+    // primary wallet, see createAccount), and a salt taken that way is lost to createAccountWithConfig.
+    modifier onlyCreator() {
+        if (msg.sender != owner() && (!permissionlessCreationEnabled || creationSigner != address(0))) {
+            revert OwnableUnauthorizedAccount(msg.sender);
+        }
+        _;
+    }
+
     /**
      * @dev Constructor - disables initializers to prevent implementation initialization
      */
@@ -64,11 +122,14 @@ contract SmartWalletFactory is IAccountFactory, Initializable, UUPSUpgradeable,
      * @param _entryPoint EntryPoint contract address
      * @param _owner Owner of the factory contract
      * @param _paymaster Initial paymaster address (optional)
+     * @param _accountImplementation Deployed SmartWallet implementation for `_entryPoint`, with its
+     * libraries linked
      */
     function initialize(
         IEntryPoint _entryPoint, 
         address _owner, 
-        address _paymaster
+        address _paymaster,
+        address _accountImplementation
     ) external initializer nonZeroAddress(address(_entryPoint)) nonZeroAddress(_owner) {
 
         __Ownable_init(_owner);
@@ -76,12 +137,19 @@ contract SmartWalletFactory is IAccountFactory, Initializable, UUPSUpgradeable,
 
         entryPoint = _entryPoint;
         paymaster = _paymaster;
-        accountImplementation = new SmartWallet(_entryPoint);
+        _validateImplementation(_accountImplementation);
+        accountImplementation = SmartWallet(payable(_accountImplementation));
+        walletProxy = new SmartWalletProxy(this);
         version = 1;
     }
 
     /**
      * @dev Create an account and return its address
+     * @notice Callable by the factory owner, or by anyone while permissionless creation is enabled without
+     * a creation signer. The latter lets ERC-6492 verifiers deploy a counterfactual wallet from the
+     * `createAccount` calldata wrapped into its signature (see UniversalSigValidator).
+     * A wallet created by anyone but the factory owner or `accountOwner` is added to the owner's
+     * secondary wallets: it never becomes their primary wallet (userToWallet) on creation.
      * @param accountOwner The owner of the account
      * @param salt Salt for address generation
      * @return account The created account address
@@ -89,36 +157,194 @@ contract SmartWalletFactory is IAccountFactory, Initializable, UUPSUpgradeable,
     function createAccount(
         address accountOwner, 
         uint256 salt
-    ) external override onlyOwner nonZeroAddress(accountOwner) returns (address account) {
+    ) external override onlyCreator nonZeroAddress(accountOwner) returns (address account) {
+        return _createAccount(accountOwner, salt, msg.sender == accountOwner || msg.sender == owner());
+    }
+
+    /**
+     * @dev Create an account from a UserOperation's initCode (EntryPoint -> SenderCreator -> factory)
+     * @notice Deploys the same wallet as createAccount, so users can onboard with their first
+     * UserOperation. Only the EntryPoint's SenderCreator may call it, so every deployment is
+     * part of a UserOperation that the new owner signed. When a creation signer is configured,
+     * `authorization` must be its signature over getCreationAuthorizationHash(accountOwner, salt).
+     * @param accountOwner The owner of the account
+     * @param salt Salt for address generation
+     * @param authorization Creation signer's signature (ignored when no signer is configured)
+     * @return account The created account address
+     */
+    function createAccountPermissionless(
+        address accountOwner,
+        uint256 salt,
+        bytes calldata authorization
+    ) external nonZeroAddress(accountOwner) returns (address account) {
+        if (!permissionlessCreationEnabled) revert PermissionlessCreationDisabled();
+        if (msg.sender != senderCreator()) revert NotSenderCreator();
+
+        address signer = creationSigner;
+        if (signer != address(0)) {
+            bytes32 hash = getCreationAuthorizationHash(accountOwner, salt);
+            (address recovered, , ) = ECDSA.tryRecover(hash, authorization);
+            if (recovered != signer) revert InvalidCreationAuthorization();
+        }
+
+        return _createAccount(accountOwner, salt, true);
+    }
 
-        // Check if wallet already exists for this owner
-        if (userToWallet[accountOwner] != address(0)) revert IAccountFactory.WalletAlreadyExists();
+    /**
+     * @dev Create an account and apply its initial configuration in one transaction
+     * @notice Deploys at getAddress(accountOwner, salt), creates the configured session keys, deposits
+     * msg.value to the EntryPoint for the wallet and grants the trial subscription through `paymaster`
+     * (the factory must be one of its authorized operators). Any failing step reverts the whole call.
+     * @param accountOwner The owner of the account
+     * @param salt Salt for address generation
+     * @param config Sessions and trial subscription to set up
+     * @return account The created account address
+     */
+    function createAccountWithConfig(
+        address accountOwner,
+        uint256 salt,
+        OnboardingConfig calldata config
+    ) external payable onlyOwner returns (address account) {
+        account = _deployAccount(accountOwner, salt);
+        SmartWallet(payable(account)).initializeWithSessions(accountOwner, config.ecdsaSessions, config.p256Sessions);
+        _registerWallet(accountOwner, account, true);
+        emit AccountCreated(account, accountOwner, salt);
+
+        if (msg.value != 0) entryPoint.depositTo{ value: msg.value }(account);
+
+        if (config.trialDuration != 0) {
+            if (paymaster == address(0)) revert InvalidPaymaster();
+            LendefiPaymaster(paymaster).grantSubscription(account, config.trialTier, config.trialDuration);
+        }
+    }
+
+    /**
+     * @dev Create an account owned by a set of ECDSA addresses and/or P256 public keys (passkeys)
+     * @notice The first address, if any, is the primary owner the wallet is registered under.
+     * Every public key is indexed in passkeyToWallet. A threshold above 1 creates a multisig wallet.
+     * @param ownerAddresses ECDSA owner addresses
+     * @param publicKeys P256 owner public keys
+     * @param threshold Owner signatures required (1 = any single owner)
+     * @param salt Salt for address generation
+     * @return account The created account address
+     */
+    function createAccountWithOwners(
+        address[] calldata ownerAddresses,
+        SmartWallet.OwnerPublicKey[] calldata publicKeys,
+        uint256 threshold,
+        uint256 salt
+    ) external onlyOwner returns (address account) {
+        if (ownerAddresses.length + publicKeys.length == 0) revert IAccountFactory.InvalidUser();
+
+        address primaryOwner = ownerAddresses.length > 0 ? ownerAddresses[0] : address(0);
+        for (uint256 i = 0; i < publicKeys.length; ) {
+            if (passkeyToWallet[_getKeyHash(publicKeys[i])] != address(0)) revert IAccountFactory.WalletAlreadyExists();
+            unchecked {
+                ++i;
+            }
+        }
 
         // Compute the counterfactual address
-        account = getAddress(accountOwner, salt);
+        account = getAddressWithOwners(ownerAddresses, publicKeys, threshold, salt);
 
-        // Check if account needs to be deployed
+        // Wallets are registered when deployed, so existing code means the salt is taken
         uint256 codeSize;
         assembly {
             codeSize := extcodesize(account)
         }
 
-        if (codeSize == 0) {
-            // Deploy the account using CREATE2
-            account = Clones.cloneDeterministic(address(accountImplementation), _getSalt(accountOwner, salt));
-
-            // Initialize the account
-            SmartWallet(payable(account)).initialize(accountOwner);
+        if (codeSize != 0) {
+            if (SmartWallet(payable(account)).owner() != primaryOwner) revert SaltAlreadyUsed();
+            revert IAccountFactory.WalletAlreadyExists();
         }
 
+        // Deploy the account using CREATE2
+        account = Clones.cloneDeterministic(
+            _cloneTarget(),
+            _getOwnersSalt(ownerAddresses, publicKeys, threshold, salt)
+        );
+
+        // Initialize the account
+        SmartWallet(payable(account)).initializeWithOwners(ownerAddresses, publicKeys, threshold);
+
         // Update mappings
-        userToWallet[accountOwner] = account;
-        isLendefiWallet[account] = true;
+        for (uint256 i = 0; i < publicKeys.length; ) {
+            passkeyToWallet[_getKeyHash(publicKeys[i])] = account;
+            unchecked {
+                ++i;
+            }
+        }
+        _registerWallet(primaryOwner, account, true);
 
-        emit AccountCreated(account, accountOwner, salt);
+        emit AccountCreated(account, primaryOwner, salt);
         return account;
     }
 
+    /**
+     * @dev Called by a Lendefi wallet when its primary owner changes (ownership transfer or recovery)
+     * @notice Moves the wallet from the previous owner's wallets to the new owner's. If it was the
+     * previous owner's primary wallet, one of their other wallets becomes primary. It becomes the
+     * new owner's primary wallet unless they already have one.
+     * The arguments are checked against the wallet's own state: `newOwner` must be its current owner,
+     * so a wallet can only index itself under the owner that actually controls it.
+     * @param previousOwner The previous primary owner
+     * @param newOwner The new primary owner
+     */
+    function onWalletOwnerChanged(address previousOwner, address newOwner) external override onlyLendefiWallet {
+        if (previousOwner == newOwner || SmartWallet(payable(msg.sender)).owner() != newOwner) {
+            revert InvalidWalletUpdate();
+        }
+
+        if (previousOwner != address(0)) _removeOwnerWallet(previousOwner, msg.sender);
+        if (newOwner != address(0) && !_isOwnerWallet(newOwner, msg.sender)) _addOwnerWallet(newOwner, msg.sender);
+
+        emit WalletOwnerUpdated(msg.sender, previousOwner, newOwner);
+    }
+
+    /**
+     * @dev Called by a Lendefi wallet when a P256 owner key is added or removed
+     * @notice The wallet must hold the key when it is added and no longer hold it when it is removed.
+     * A key already indexed to another wallet is never overwritten.
+     * @param x Public key x coordinate
+     * @param y Public key y coordinate
+     * @param added Whether the key was added or removed
+     */
+    function onWalletPasskeyChanged(bytes32 x, bytes32 y, bool added) external override onlyLendefiWallet {
+        if (SmartWallet(payable(msg.sender)).isOwnerPublicKey(x, y) != added) revert InvalidWalletUpdate();
+
+        bytes32 keyHash = keccak256(abi.encodePacked(x, y));
+        if (added) {
+            if (passkeyToWallet[keyHash] == address(0)) passkeyToWallet[keyHash] = msg.sender;
+        } else if (passkeyToWallet[keyHash] == msg.sender) {
+            delete passkeyToWallet[keyHash];
+        }
+
+        emit WalletPasskeyUpdated(msg.sender, keyHash, added);
+    }
+
+    /**
+     * @dev Create an upgradeable replacement for the calling wallet
+     * @notice Migration path for wallets deployed as plain clones, which cannot be upgraded.
+     * The old wallet calls this (e.g. first in an executeBatch that then moves its assets) to get
+     * a new wallet for its primary owner, which also takes over as the owner's primary wallet.
+     * Sessions and guardians are not copied and must be set up again on the new wallet.
+     * @param salt Salt for the new wallet's address
+     * @return account The new wallet address
+     */
+    function migrateWallet(uint256 salt) external onlyLendefiWallet returns (address account) {
+        address walletOwner = SmartWallet(payable(msg.sender)).owner();
+        if (walletOwner == address(0)) revert IAccountFactory.InvalidUser();
+
+        account = _createAccount(walletOwner, salt, true);
+        if (userToWallet[walletOwner] == msg.sender) {
+            _removeOwnerWallet(walletOwner, account);
+            userToWallet[walletOwner] = account;
+            _secondaryWallets[walletOwner].push(msg.sender);
+        }
+
+        emit WalletMigrated(msg.sender, account, walletOwner);
+    }
+
     /**
      * @dev Add stake to the factory (required by ERC-4337)
      * @notice Only owner can add stake to prevent unauthorized fund locking
@@ -150,22 +376,19 @@ contract SmartWalletFactory is IAccountFactory, Initializable, UUPSUpgradeable,
 
     /**
      * @dev Update the SmartWallet implementation contract
+     * @notice Only affects wallets created afterwards: wallet addresses stay the same, since walletProxy
+     * does not change, and existing wallets keep the implementation they were initialized with
      * @param newImplementation Address of the new SmartWallet implementation
      */
     function setSmartWalletImplementation(
         address newImplementation
     ) external onlyOwner nonZeroAddress(newImplementation) {
-
-        // Verify it's a valid SmartWallet implementation by checking it has entryPoint function
-        try SmartWallet(payable(newImplementation)).entryPoint() returns (IEntryPoint entryPointAddr) {
-            // Valid implementation - verify entryPoint matches
-            if (address(entryPointAddr) != address(entryPoint)) revert IAccountFactory.InvalidImplementation();
-        } catch {
-            revert IAccountFactory.InvalidImplementation();
-        }
+        _validateImplementation(newImplementation);
 
         address oldImplementation = address(accountImplementation);
         accountImplementation = SmartWallet(payable(newImplementation));
+        // Factories upgraded from a version without walletProxy start cloning it from here on
+        if (address(walletProxy) == address(0)) walletProxy = new SmartWalletProxy(this);
 
         emit SmartWalletImplementationUpdated(oldImplementation, newImplementation);
     }
@@ -181,6 +404,24 @@ contract SmartWalletFactory is IAccountFactory, Initializable, UUPSUpgradeable,
         emit PaymasterUpdated(oldPaymaster, newPaymaster);
     }
 
+    /**
+     * @dev Configure permissionless creation through createAccountPermissionless
+     * @notice Enabled without a signer, createAccount is also open to anyone (needed for ERC-6492):
+     * anyone can deploy wallets for any owner and salt, filling the registry and the owners' wallet
+     * lists, and take a salt before createAccountWithConfig uses it. Configure a signer unless
+     * counterfactual signatures are needed.
+     * The factory must be staked (addStake) for bundlers to accept initCode deployments: creating a
+     * wallet writes the factory's own storage, which ERC-7562 only allows for staked factories.
+     * @param enabled Whether initCode deployments are accepted
+     * @param signer Address whose signature authorizes each deployment (zero = no authorization required)
+     */
+    function setPermissionlessCreation(bool enabled, address signer) external onlyOwner {
+        permissionlessCreationEnabled = enabled;
+        creationSigner = signer;
+
+        emit PermissionlessCreationUpdated(enabled, signer);
+    }
+
     /**
      * @dev Get current implementation address
      * @return The current SmartWallet implementation address
@@ -198,6 +439,80 @@ contract SmartWalletFactory is IAccountFactory, Initializable, UUPSUpgradeable,
         return userToWallet[user];
     }
 
+    /**
+     * @dev Get a page of the wallets registered to an owner
+     * @param user The owner to query
+     * @param offset Index of the first wallet to return
+     * @param limit Maximum number of wallets to return
+     * @return wallets The owner's wallets (empty past the end)
+     */
+    function getWallets(
+        address user,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (address[] memory wallets) {
+        address[] storage secondary = _secondaryWallets[user];
+        uint256 end = _pageEnd(getWalletCount(user), offset, limit);
+        if (end == 0) return wallets;
+
+        // The primary wallet, if any, comes first
+        address primary = userToWallet[user];
+        uint256 firstSecondary = primary == address(0) ? 0 : 1;
+        wallets = new address[](end - offset);
+        for (uint256 i = offset; i < end; ) {
+            wallets[i - offset] = i < firstSecondary ? primary : secondary[i - firstSecondary];
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    /**
+     * @dev Get the number of wallets registered to an owner
+     * @param user The owner to query
+     * @return The wallet count
+     */
+    function getWalletCount(address user) public view returns (uint256) {
+        return (userToWallet[user] == address(0) ? 0 : 1) + _secondaryWallets[user].length;
+    }
+
+    /**
+     * @dev Get a page of every wallet created by this factory, in creation order
+     * @param offset Index of the first wallet to return
+     * @param limit Maximum number of wallets to return
+     * @return wallets The wallets (empty past the end)
+     */
+    function getAllWallets(uint256 offset, uint256 limit) external view returns (address[] memory wallets) {
+        uint256 end = _pageEnd(_allWallets.length, offset, limit);
+        if (end == 0) return wallets;
+
+        wallets = new address[](end - offset);
+        for (uint256 i = offset; i < end; ) {
+            wallets[i - offset] = _allWallets[i];
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    /**
+     * @dev Get the number of wallets created by this factory
+     * @return The wallet count
+     */
+    function totalWallets() external view returns (uint256) {
+        return _allWallets.length;
+    }
+
+    /**
+     * @dev Get the wallet owned by a P256 public key
+     * @param x Public key x coordinate
+     * @param y Public key y coordinate
+     * @return wallet The wallet address
+     */
+    function getWalletByPasskey(bytes32 x, bytes32 y) external view returns (address wallet) {
+        return passkeyToWallet[keccak256(abi.encodePacked(x, y))];
+    }
+
     /**
      * @dev Check if an address is a Lendefi smart wallet
      * @param wallet The address to check
@@ -214,7 +529,48 @@ contract SmartWalletFactory is IAccountFactory, Initializable, UUPSUpgradeable,
      * @return The account address
      */
     function getAddress(address accountOwner, uint256 salt) public view returns (address) {
-        return Clones.predictDeterministicAddress(address(accountImplementation), _getSalt(accountOwner, salt));
+        return Clones.predictDeterministicAddress(_cloneTarget(), _getSalt(accountOwner, salt));
+    }
+
+    /**
+     * @dev Get the counterfactual address of an account owned by a set of addresses and public keys
+     * @param ownerAddresses ECDSA owner addresses
+     * @param publicKeys P256 owner public keys
+     * @param threshold Owner signatures required
+     * @param salt Salt for address generation
+     * @return The account address
+     */
+    function getAddressWithOwners(
+        address[] calldata ownerAddresses,
+        SmartWallet.OwnerPublicKey[] calldata publicKeys,
+        uint256 threshold,
+        uint256 salt
+    ) public view returns (address) {
+        return Clones.predictDeterministicAddress(
+            _cloneTarget(),
+            _getOwnersSalt(ownerAddresses, publicKeys, threshold, salt)
+        );
+    }
+
+    /**
+     * @dev Get the hash the creation signer signs to authorize a permissionless deployment
+     * @param accountOwner The owner of the account
+     * @param salt Salt for address generation
+     * @return EIP-191 signed message hash bound to this chain and factory
+     */
+    function getCreationAuthorizationHash(address accountOwner, uint256 salt) public view returns (bytes32) {
+        return MessageHashUtils.toEthSignedMessageHash(
+            keccak256(abi.encode(block.chainid, address(this), accountOwner, salt))
+        );
+    }
+
+    /**
+     * @dev Get the EntryPoint's SenderCreator, the only caller of initCode factories
+     * @notice SenderCreator is the first contract the EntryPoint deploys (CREATE with nonce 1)
+     * @return The SenderCreator address
+     */
+    function senderCreator() public view returns (address) {
+        return address(uint160(uint256(keccak256(abi.encodePacked(hex"d694", address(entryPoint), hex"01")))));
     }
 
     /**
@@ -226,6 +582,159 @@ contract SmartWalletFactory is IAccountFactory, Initializable, UUPSUpgradeable,
         version++;
     }
 
+    /**
+     * @dev Check that `implementation` is a deployed SmartWallet for the factory's EntryPoint
+     */
+    function _validateImplementation(address implementation) private view {
+        if (implementation.code.length == 0) revert IAccountFactory.InvalidImplementation();
+        try SmartWallet(payable(implementation)).entryPoint() returns (IEntryPoint entryPointAddr) {
+            if (address(entryPointAddr) != address(entryPoint)) revert IAccountFactory.InvalidImplementation();
+        } catch {
+            revert IAccountFactory.InvalidImplementation();
+        }
+    }
+
+    /**
+     * @dev Deploy and register a single-owner account
+     * @param accountOwner The owner of the account
+     * @param salt Salt for address generation
+     * @param canBePrimary Whether the account may become the owner's primary wallet, false for
+     * deployments by third parties
+     * @return account The account address
+     */
+    function _createAccount(
+        address accountOwner,
+        uint256 salt,
+        bool canBePrimary
+    ) private returns (address account) {
+        account = _deployAccount(accountOwner, salt);
+
+        // Initialize the account
+        SmartWallet(payable(account)).initialize(accountOwner);
+
+        // Update mappings
+        _registerWallet(accountOwner, account, canBePrimary);
+
+        emit AccountCreated(account, accountOwner, salt);
+        return account;
+    }
+
+    /**
+     * @dev Clone an uninitialized single-owner account at its counterfactual address
+     * @param accountOwner The owner of the account
+     * @param salt Salt for address generation
+     * @return account The account address
+     */
+    function _deployAccount(address accountOwner, uint256 salt) private returns (address account) {
+        // Compute the counterfactual address
+        account = getAddress(accountOwner, salt);
+
+        // Wallets are registered when deployed, so existing code means the salt is taken
+        uint256 codeSize;
+        assembly {
+            codeSize := extcodesize(account)
+        }
+
+        if (codeSize != 0) {
+            // A wallet transferred away keeps its salt; the previous owner needs a new one
+            if (SmartWallet(payable(account)).owner() != accountOwner) revert SaltAlreadyUsed();
+            revert IAccountFactory.WalletAlreadyExists();
+        }
+
+        // Deploy the account using CREATE2
+        account = Clones.cloneDeterministic(_cloneTarget(), _getSalt(accountOwner, salt));
+    }
+
+    /**
+     * @dev Contract new wallets are cloned from
+     */
+    function _cloneTarget() private view returns (address) {
+        address proxy = address(walletProxy);
+        return proxy == address(0) ? address(accountImplementation) : proxy;
+    }
+
+    /**
+     * @dev Register a new wallet globally and under its primary owner (zero for passkey-only wallets),
+     * as a secondary wallet unless `canBePrimary`
+     */
+    function _registerWallet(address walletOwner, address account, bool canBePrimary) private {
+        isLendefiWallet[account] = true;
+        _allWallets.push(account);
+        if (walletOwner == address(0)) return;
+
+        if (canBePrimary) {
+            _addOwnerWallet(walletOwner, account);
+        } else {
+            _secondaryWallets[walletOwner].push(account);
+        }
+    }
+
+    /**
+     * @dev Add a wallet to an owner; the first one becomes their primary wallet
+     */
+    function _addOwnerWallet(address user, address account) private {
+        if (userToWallet[user] == address(0)) {
+            userToWallet[user] = account;
+        } else {
+            _secondaryWallets[user].push(account);
+        }
+    }
+
+    /**
+     * @dev Whether a wallet is indexed under an owner, as primary or secondary wallet
+     */
+    function _isOwnerWallet(address user, address account) private view returns (bool) {
+        if (userToWallet[user] == account) return true;
+
+        address[] storage secondary = _secondaryWallets[user];
+        uint256 length = secondary.length;
+        for (uint256 i = 0; i < length; ) {
+            if (secondary[i] == account) return true;
+            unchecked {
+                ++i;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @dev Remove a wallet from an owner, promoting a secondary wallet if it was primary
+     */
+    function _removeOwnerWallet(address user, address account) private {
+        address[] storage secondary = _secondaryWallets[user];
+        uint256 length = secondary.length;
+
+        if (userToWallet[user] == account) {
+            if (length == 0) {
+                delete userToWallet[user];
+                return;
+            }
+            userToWallet[user] = secondary[0];
+            secondary[0] = secondary[length - 1];
+            secondary.pop();
+            return;
+        }
+
+        for (uint256 i = 0; i < length; ) {
+            if (secondary[i] == account) {
+                secondary[i] = secondary[length - 1];
+                secondary.pop();
+                return;
+            }
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    /**
+     * @dev End index (exclusive) of a page of `length` entries, or 0 if `offset` is past the end
+     */
+    function _pageEnd(uint256 length, uint256 offset, uint256 limit) private pure returns (uint256) {
+        if (offset >= length) return 0;
+        return length - offset > limit ? offset + limit : length;
+    }
+
     /**
      * @dev Generate salt for CREATE2
      * @param accountOwner Owner address
@@ -235,4 +744,20 @@ contract SmartWalletFactory is IAccountFactory, Initializable, UUPSUpgradeable,
     function _getSalt(address accountOwner, uint256 salt) private pure returns (bytes32) {
         return keccak256(abi.encode(accountOwner, salt));
     }
+
+    /**
+     * @dev Generate salt for CREATE2 from an owner set and threshold
+     */
+    function _getOwnersSalt(
+        address[] calldata ownerAddresses,
+        SmartWallet.OwnerPublicKey[] calldata publicKeys,
+        uint256 threshold,
+        uint256 salt
+    ) private pure returns (bytes32) {
+        return keccak256(abi.encode(ownerAddresses, publicKeys, threshold, salt));
+    }
+
+    function _getKeyHash(SmartWallet.OwnerPublicKey calldata publicKey) private pure returns (bytes32) {
+        return keccak256(abi.encodePacked(publicKey.x, publicKey.y));
+    }
 }
@@ -0,0 +1,44 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.23;
+
+import { Proxy } from "@openzeppelin/contracts/proxy/Proxy.sol";
+import { ERC1967Utils } from "@openzeppelin/contracts/proxy/ERC1967/ERC1967Utils.sol";
+import { IAccountFactory } from "./interfaces/IAccountFactory.sol";
+
+/**
+ * @title SmartWalletProxy
+ * @dev Clone target that makes minimal-clone wallets upgradeable.
+ * Wallets are `Clones` of this contract, so its code runs in the wallet's context: it delegates
+ * to the implementation in the wallet's ERC-1967 slot, or to the factory's current implementation
+ * while the slot is empty. SmartWallet initializers record their implementation in the slot, so a
+ * wallet only follows the factory until it is initialized and keeps that code until its owner
+ * upgrades (see SmartWallet.upgradeToAndCall).
+ *
+ * The factory deploys a single SmartWalletProxy: changing the wallet implementation does not move
+ * the clone target, so wallet addresses do not depend on the implementation.
+ */
+contract SmartWalletProxy is Proxy {
+    // ============ State Variables ============
+
+    /// @dev Factory providing the implementation of wallets that are not initialized yet
+    IAccountFactory private immutable _factory;
+
+    // ============ Constructor ============
+
+    /**
+     * @param factory SmartWalletFactory that clones this proxy
+     */
+    constructor(IAccountFactory factory) {
+        _factory = factory;
+    }
+
+    // ============ Internal Functions ============
+
+    /**
+     * @dev Implementation the wallet delegates to
+     */
+    function _implementation() internal view override returns (address implementation) {
+        implementation = ERC1967Utils.getImplementation();
+        if (implementation == address(0)) implementation = _factory.getImplementation();
+    }
+}
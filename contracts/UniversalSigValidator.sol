@@ -0,0 +1,133 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.23;
+
+import { IERC1271 } from "@openzeppelin/contracts/interfaces/IERC1271.sol";
+import { ECDSA } from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/**
+ * @title UniversalSigValidator
+ * @dev ERC-6492 signature validator for EOAs, deployed ERC-1271 contracts and counterfactual wallets.
+ * A counterfactual signature is `abi.encode(factory, factoryCalldata, signature) ++ ERC6492_DETECTION_SUFFIX`:
+ * the validator calls `factory` with `factoryCalldata` (e.g. SmartWalletFactory.createAccount) to deploy the
+ * wallet, then asks it to validate the inner signature through ERC-1271. For a wallet that is already deployed,
+ * the call is a "prepare" step (e.g. an owner update the signature depends on): the inner signature is checked
+ * first, and again after the call if it fails, as in the ERC-6492 reference implementation.
+ *
+ * isValidSigWithSideEffects keeps the deployment; isValidSig rolls it back. Off-chain verifiers that cannot
+ * rely on a deployed validator use ValidateSigOffchain in an eth_call instead.
+ */
+contract UniversalSigValidator {
+    // ============ Constants ============
+
+    bytes32 public constant ERC6492_DETECTION_SUFFIX =
+        0x6492649264926492649264926492649264926492649264926492649264926492;
+
+    // solhint-disable-next-line private-vars-leading-underscore
+    bytes4 private constant ERC1271_SUCCESS = 0x1626ba7e;
+
+    // ============ Errors ============
+
+    error ERC1271Revert(bytes error);
+    error ERC6492DeployFailed(bytes error);
+
+    // ============ External Functions ============
+
+    /**
+     * @notice Validate a signature, keeping any deployment it performs
+     * @param signer Address expected to have signed (EOA or smart wallet)
+     * @param hash Signed hash
+     * @param signature Plain or ERC-6492 wrapped signature
+     * @return True if the signature is valid
+     */
+    function isValidSigWithSideEffects(
+        address signer,
+        bytes32 hash,
+        bytes calldata signature
+    ) external returns (bool) {
+        return this.isValidSigImpl(signer, hash, signature, true, false);
+    }
+
+    /**
+     * @notice Validate a signature, rolling back the deployment of a counterfactual wallet
+     * @param signer Address expected to have signed (EOA or smart wallet)
+     * @param hash Signed hash
+     * @param signature Plain or ERC-6492 wrapped signature
+     * @return True if the signature is valid
+     */
+    function isValidSig(address signer, bytes32 hash, bytes calldata signature) external returns (bool) {
+        try this.isValidSigImpl(signer, hash, signature, false, false) returns (bool isValid) {
+            return isValid;
+        } catch (bytes memory error) {
+            // A one-byte revert carries the result of a rolled-back counterfactual validation
+            if (error.length == 1) return error[0] == 0x01;
+            assembly {
+                revert(add(error, 0x20), mload(error))
+            }
+        }
+    }
+
+    /**
+     * @dev Validation logic shared by the entry points; external so isValidSig can roll it back.
+     * Wrapped signatures of deployed wallets are checked without the factory call first, then retried
+     * with it; a failing retry leaves the signature invalid.
+     * @param allowSideEffects Keep the deployment or prepare call
+     * @param tryPrepare Run the factory call even though the wallet is deployed
+     */
+    function isValidSigImpl(
+        address signer,
+        bytes32 hash,
+        bytes calldata signature,
+        bool allowSideEffects,
+        bool tryPrepare
+    ) public returns (bool) {
+        uint256 codeLength = signer.code.length;
+        bool isCounterfactual = signature.length >= 32 &&
+            bytes32(signature[signature.length - 32:]) == ERC6492_DETECTION_SUFFIX;
+
+        bytes memory innerSignature = signature;
+        bool prepared;
+        if (isCounterfactual) {
+            address factory;
+            bytes memory factoryCalldata;
+            (factory, factoryCalldata, innerSignature) = abi.decode(
+                signature[:signature.length - 32],
+                (address, bytes, bytes)
+            );
+
+            if (codeLength == 0 || tryPrepare) {
+                // solhint-disable-next-line avoid-low-level-calls
+                (bool success, bytes memory error) = factory.call(factoryCalldata);
+                if (!success) {
+                    if (codeLength > 0) return false;
+                    revert ERC6492DeployFailed(error);
+                }
+                prepared = true;
+            }
+        }
+
+        if (isCounterfactual || codeLength > 0) {
+            // A deployed wallet may only accept the signature after the prepare call
+            bool canRetry = isCounterfactual && !prepared;
+            bool isValid;
+            try IERC1271(signer).isValidSignature(hash, innerSignature) returns (bytes4 magicValue) {
+                isValid = magicValue == ERC1271_SUCCESS;
+            } catch (bytes memory error) {
+                if (canRetry) return isValidSigImpl(signer, hash, signature, allowSideEffects, true);
+                revert ERC1271Revert(error);
+            }
+            if (!isValid && canRetry) return isValidSigImpl(signer, hash, signature, allowSideEffects, true);
+
+            if (prepared && !allowSideEffects) {
+                // Roll back the deployment or prepare call, passing the result as a one-byte revert
+                assembly {
+                    mstore(0, isValid)
+                    revert(31, 1)
+                }
+            }
+            return isValid;
+        }
+
+        (address recovered, ECDSA.RecoverError recoverError, ) = ECDSA.tryRecover(hash, signature);
+        return recoverError == ECDSA.RecoverError.NoError && recovered == signer;
+    }
+}
@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.23;
+
+import { UniversalSigValidator } from "./UniversalSigValidator.sol";
+
+/**
+ * @title ValidateSigOffchain
+ * @dev ERC-6492 validation without a deployed validator: eth_call this contract's creation code with
+ * `abi.encode(signer, hash, signature)` appended and the call returns a single byte, 0x01 when the
+ * signature is valid. Nothing is ever deployed, so counterfactual wallets stay undeployed.
+ */
+contract ValidateSigOffchain {
+    /**
+     * @param signer Address expected to have signed (EOA or smart wallet)
+     * @param hash Signed hash
+     * @param signature Plain or ERC-6492 wrapped signature
+     */
+    constructor(address signer, bytes32 hash, bytes memory signature) {
+        UniversalSigValidator validator = new UniversalSigValidator();
+        bool isValid = validator.isValidSigWithSideEffects(signer, hash, signature);
+        assembly {
+            mstore(0, isValid)
+            return(31, 1)
+        }
+    }
+}
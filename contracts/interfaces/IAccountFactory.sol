@@ -14,6 +14,11 @@ interface IAccountFactory {
     // Functions
     function createAccount(address owner, uint256 salt) external returns (address);
     function getAddress(address owner, uint256 salt) external view returns (address);
+    function getImplementation() external view returns (address);
     function isLendefiWallet(address wallet) external view returns (bool);
     function userToWallet(address user) external view returns (address);
+
+    // Wallet callbacks keeping the owner indexes in sync
+    function onWalletOwnerChanged(address previousOwner, address newOwner) external;
+    function onWalletPasskeyChanged(bytes32 x, bytes32 y, bool added) external;
 }
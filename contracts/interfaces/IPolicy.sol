@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.23;
+
+/**
+ * @title IPolicy
+ * @dev External session key policy. A wallet calls `check` on each policy of a session while validating
+ * a UserOperation signed by the session key, after its built-in permissions and limits pass.
+ *
+ * Policies run inside ERC-4337 validation, so they must follow the ERC-7562 rules:
+ * - writes only to storage associated with the wallet: key per-wallet state by the wallet address as the
+ *   last mapping key, e.g. mapping(bytes32 sessionId => mapping(address wallet => uint256))
+ * - no banned opcodes (TIMESTAMP, NUMBER, BALANCE, ...): time-based rules return a validity window instead
+ */
+interface IPolicy {
+    /**
+     * @notice Check a UserOperation of a session
+     * @param wallet Wallet validating the UserOperation (the caller)
+     * @param sessionId Session key address (ECDSA, as bytes32) or keccak256(keyX, keyY) (P256)
+     * @param callData UserOperation calldata (execute or executeBatch)
+     * @param value Total ETH value sent by the calls
+     * @return validationData ERC-4337 validation data: SIG_VALIDATION_FAILED (1) rejects the UserOperation,
+     * otherwise 0 or a packed validAfter/validUntil window that narrows the session's
+     */
+    function check(
+        address wallet,
+        bytes32 sessionId,
+        bytes calldata callData,
+        uint256 value
+    ) external returns (uint256 validationData);
+}
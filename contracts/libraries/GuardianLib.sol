@@ -0,0 +1,186 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.23;
+
+import { GuardianManager } from "../GuardianManager.sol";
+
+/**
+ * @title GuardianLib
+ * @dev Guardian management and social recovery of GuardianManager, deployed once and linked into the wallet.
+ * External functions run through DELEGATECALL on the wallet's guardian storage; callers check authorization
+ * first. Types, events and errors are declared in GuardianManager, so they stay part of the wallet ABI.
+ */
+library GuardianLib {
+    // ============ Constants ============
+
+    /// @dev Maximum number of guardians
+    uint256 internal constant MAX_GUARDIANS = 10;
+
+    /// @dev Recovery delay used until the owner configures one
+    uint48 internal constant DEFAULT_RECOVERY_DELAY = 2 days;
+
+    /// @dev Minimum configurable recovery delay
+    uint48 internal constant MIN_RECOVERY_DELAY = 1 days;
+
+    /// @dev Maximum configurable recovery delay
+    uint48 internal constant MAX_RECOVERY_DELAY = 30 days;
+
+    /// @dev Storage slot for guardian data (EIP-7201 style)
+    // solhint-disable-next-line private-vars-leading-underscore
+    bytes32 private constant GUARDIAN_STORAGE_SLOT =
+        keccak256(abi.encode(uint256(keccak256("lendefi.guardian.storage.v1")) - 1)) & ~bytes32(uint256(0xff));
+
+    // ============ Storage Access ============
+
+    /**
+     * @dev Guardian storage of the wallet the library runs for (GuardianManager.GuardianStorage)
+     */
+    function guardianStorage() internal pure returns (GuardianManager.GuardianStorage storage s) {
+        bytes32 slot = GUARDIAN_STORAGE_SLOT;
+        assembly {
+            s.slot := slot
+        }
+    }
+
+    // ============ Owner ============
+
+    /// @dev See {GuardianManager-addGuardian}
+    function addGuardian(address guardian) external {
+        if (guardian == address(0) || guardian == address(this)) revert GuardianManager.InvalidGuardian();
+
+        GuardianManager.GuardianStorage storage gs = guardianStorage();
+        if (gs.isGuardian[guardian]) revert GuardianManager.GuardianAlreadyExists();
+        if (gs.guardians.length + 1 > MAX_GUARDIANS) revert GuardianManager.TooManyGuardians();
+
+        gs.isGuardian[guardian] = true;
+        gs.guardians.push(guardian);
+        emit GuardianManager.GuardianAdded(guardian);
+
+        if (gs.threshold == 0) {
+            gs.threshold = 1;
+            emit GuardianManager.GuardianThresholdChanged(1);
+        }
+    }
+
+    /// @dev See {GuardianManager-removeGuardian}
+    function removeGuardian(address guardian) external {
+        GuardianManager.GuardianStorage storage gs = guardianStorage();
+        if (!gs.isGuardian[guardian]) revert GuardianManager.GuardianNotFound();
+
+        uint256 last = gs.guardians.length - 1;
+        if (last > 0 && gs.threshold > last) revert GuardianManager.InvalidGuardianThreshold();
+
+        for (uint256 i = 0; i < last; ) {
+            if (gs.guardians[i] == guardian) {
+                gs.guardians[i] = gs.guardians[last];
+                break;
+            }
+            unchecked {
+                ++i;
+            }
+        }
+        gs.guardians.pop();
+        delete gs.isGuardian[guardian];
+        emit GuardianManager.GuardianRemoved(guardian);
+
+        if (last == 0) {
+            gs.threshold = 0;
+            emit GuardianManager.GuardianThresholdChanged(0);
+        }
+    }
+
+    /// @dev See {GuardianManager-setGuardianThreshold}
+    function setGuardianThreshold(uint256 threshold) external {
+        GuardianManager.GuardianStorage storage gs = guardianStorage();
+        if (threshold == 0 || threshold > gs.guardians.length) revert GuardianManager.InvalidGuardianThreshold();
+
+        gs.threshold = threshold;
+        emit GuardianManager.GuardianThresholdChanged(threshold);
+    }
+
+    /// @dev See {GuardianManager-setRecoveryDelay}
+    function setRecoveryDelay(uint48 delay) external {
+        if (delay < MIN_RECOVERY_DELAY || delay > MAX_RECOVERY_DELAY) revert GuardianManager.InvalidRecoveryDelay();
+
+        guardianStorage().recoveryDelay = delay;
+        emit GuardianManager.RecoveryDelayChanged(delay);
+    }
+
+    /// @dev See {GuardianManager-cancelRecovery}
+    function cancelRecovery() external {
+        GuardianManager.GuardianStorage storage gs = guardianStorage();
+        if (gs.pending.newOwner == address(0)) revert GuardianManager.NoPendingRecovery();
+
+        uint64 nonce = gs.pending.nonce;
+        delete gs.pending;
+        emit GuardianManager.RecoveryCancelled(nonce);
+    }
+
+    // ============ Guardians ============
+
+    /// @dev See {GuardianManager-initiateRecovery}
+    function initiateRecovery(address newOwner) external {
+        if (newOwner == address(0) || newOwner == address(this)) revert GuardianManager.InvalidRecoveryOwner();
+
+        GuardianManager.GuardianStorage storage gs = guardianStorage();
+        if (gs.pending.newOwner != address(0)) revert GuardianManager.RecoveryAlreadyPending();
+
+        uint64 nonce = ++gs.recoveryNonce;
+        // solhint-disable-next-line not-rely-on-time
+        uint48 executeAfter = uint48(block.timestamp) + recoveryDelay(gs);
+        gs.pending = GuardianManager.RecoveryRequest({ newOwner: newOwner, executeAfter: executeAfter, nonce: nonce });
+        gs.approvals[nonce][msg.sender] = true;
+
+        emit GuardianManager.RecoveryInitiated(nonce, newOwner, msg.sender, executeAfter);
+        emit GuardianManager.RecoveryApproved(nonce, msg.sender, 1);
+    }
+
+    /// @dev See {GuardianManager-approveRecovery}
+    function approveRecovery() external {
+        GuardianManager.GuardianStorage storage gs = guardianStorage();
+        uint64 nonce = gs.pending.nonce;
+        if (gs.pending.newOwner == address(0)) revert GuardianManager.NoPendingRecovery();
+        if (gs.approvals[nonce][msg.sender]) revert GuardianManager.RecoveryAlreadyApproved();
+
+        gs.approvals[nonce][msg.sender] = true;
+        emit GuardianManager.RecoveryApproved(nonce, msg.sender, countApprovals(gs));
+    }
+
+    /**
+     * @dev Check and clear the pending recovery for {GuardianManager-executeRecovery}, which hands the wallet
+     * to the returned owner
+     */
+    function executeRecovery() external returns (GuardianManager.RecoveryRequest memory request) {
+        GuardianManager.GuardianStorage storage gs = guardianStorage();
+        request = gs.pending;
+        if (request.newOwner == address(0)) revert GuardianManager.NoPendingRecovery();
+        if (gs.threshold == 0 || countApprovals(gs) < gs.threshold) revert GuardianManager.RecoveryNotApproved();
+        // solhint-disable-next-line not-rely-on-time
+        if (block.timestamp < request.executeAfter) revert GuardianManager.RecoveryNotReady();
+
+        delete gs.pending;
+    }
+
+    // ============ Shared ============
+
+    /**
+     * @dev Delay between initiating and executing a recovery
+     */
+    function recoveryDelay(GuardianManager.GuardianStorage storage gs) internal view returns (uint48) {
+        uint48 delay = gs.recoveryDelay;
+        return delay == 0 ? DEFAULT_RECOVERY_DELAY : delay;
+    }
+
+    /**
+     * @dev Count approvals of the pending recovery from current guardians
+     */
+    function countApprovals(GuardianManager.GuardianStorage storage gs) internal view returns (uint256 count) {
+        uint64 nonce = gs.pending.nonce;
+        uint256 length = gs.guardians.length;
+        for (uint256 i = 0; i < length; ) {
+            if (gs.approvals[nonce][gs.guardians[i]]) ++count;
+            unchecked {
+                ++i;
+            }
+        }
+    }
+}
@@ -0,0 +1,35 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.23;
+
+import { P256 } from "@openzeppelin/contracts/utils/cryptography/P256.sol";
+import { WebAuthn } from "./WebAuthn.sol";
+
+/**
+ * @title PasskeyVerifier
+ * @dev P256 and WebAuthn signature verification for owner and session passkeys.
+ * Deployed once and linked into the wallet and SessionValidationLib: on chains without the
+ * RIP-7212 precompile, P256.verify falls back to a Solidity implementation that is too large
+ * to copy into each of them.
+ */
+library PasskeyVerifier {
+    /**
+     * @dev Verify a raw P256 signature (r, s) of `hash` by the public key (x, y)
+     */
+    function verify(bytes32 hash, bytes32 r, bytes32 s, bytes32 x, bytes32 y) external view returns (bool) {
+        return P256.verify(hash, r, s, x, y);
+    }
+
+    /**
+     * @dev Verify a WebAuthn assertion of the public key (x, y) whose challenge is `hash`,
+     * requiring user verification. `encodedAuth` is abi.encode(WebAuthn.WebAuthnAuth).
+     */
+    function verifyWebAuthn(
+        bytes32 hash,
+        bytes calldata encodedAuth,
+        bytes32 x,
+        bytes32 y
+    ) external view returns (bool) {
+        WebAuthn.WebAuthnAuth memory auth = abi.decode(encodedAuth, (WebAuthn.WebAuthnAuth));
+        return WebAuthn.verify(abi.encodePacked(hash), auth, x, y, true);
+    }
+}
@@ -0,0 +1,1065 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.23;
+
+import { P256 } from "@openzeppelin/contracts/utils/cryptography/P256.sol";
+import { EnumerableSet } from "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import { SessionKeyManager } from "../SessionKeyManager.sol";
+
+/**
+ * @title SessionKeyLib
+ * @dev Session registration, updates, revocation and getters of SessionKeyManager.
+ * Deployed once and linked into the wallet, so the wallet stays under the EIP-170 code size limit.
+ * External functions run through DELEGATECALL on the wallet's session storage; callers check
+ * authorization first. Types, events and errors are declared in SessionKeyManager, so they stay
+ * part of the wallet ABI.
+ */
+library SessionKeyLib {
+    using EnumerableSet for EnumerableSet.Bytes32Set;
+
+    // ============ Constants ============
+
+    /// @dev Maximum session duration (30 days)
+    uint48 internal constant MAX_SESSION_DURATION = 30 days;
+
+    /// @dev Maximum number of allowed targets per session
+    uint256 internal constant MAX_TARGETS_PER_SESSION = 10;
+
+    /// @dev Maximum number of allowed selectors per session
+    uint256 internal constant MAX_SELECTORS_PER_SESSION = 20;
+
+    /// @dev Maximum number of ERC-20 spending limits per session
+    uint256 internal constant MAX_TOKEN_LIMITS_PER_SESSION = 10;
+
+    /// @dev Maximum number of calldata argument rules per session
+    uint256 internal constant MAX_PARAM_RULES_PER_SESSION = 20;
+
+    /// @dev Maximum number of comparison values in a ONE_OF rule
+    uint256 internal constant MAX_PARAM_RULE_VALUES = 10;
+
+    /// @dev Maximum number of EIP-712 signing permissions per session
+    uint256 internal constant MAX_SIGNING_PERMISSIONS_PER_SESSION = 10;
+
+    /// @dev Maximum number of signable hashes per session
+    uint256 internal constant MAX_SIGNABLE_HASHES_PER_SESSION = 20;
+
+    /// @dev Maximum number of external policies per session
+    uint256 internal constant MAX_POLICIES_PER_SESSION = 5;
+
+    /// @dev Maximum number of value-only transfer recipients per session
+    uint256 internal constant MAX_RECIPIENTS_PER_SESSION = 20;
+
+    /// @dev Storage slot for session data (EIP-7201 style)
+    // solhint-disable-next-line private-vars-leading-underscore
+    bytes32 private constant SESSION_STORAGE_SLOT = 
+        keccak256(abi.encode(uint256(keccak256("lendefi.session.storage.v2")) - 1)) & ~bytes32(uint256(0xff));
+
+    // ============ Storage Access ============
+
+    /**
+     * @dev Session storage of the wallet the library runs for (SessionKeyManager.SessionStorage)
+     */
+    function sessionStorage() internal pure returns (SessionKeyManager.SessionStorage storage s) {
+        bytes32 slot = SESSION_STORAGE_SLOT;
+        assembly {
+            s.slot := slot
+        }
+    }
+
+    // ============ Session Registration ============
+
+    /// @dev See {SessionKeyManager-createSessionECDSA}. `args` is the ABI-encoded (SessionConfigECDSA).
+    function createSessionECDSA(bytes calldata args) external {
+        _createSessionECDSA(abi.decode(args, (SessionKeyManager.SessionConfigECDSA)));
+    }
+
+    /// @dev See {SessionKeyManager-updateSessionECDSA}. `args` is the ABI-encoded (SessionConfigECDSA).
+    function updateSessionECDSA(bytes calldata args) external {
+        _updateSessionECDSA(abi.decode(args, (SessionKeyManager.SessionConfigECDSA)));
+    }
+
+    /// @dev See {SessionKeyManager-revokeSessionECDSA}
+    function revokeSessionECDSA(address sessionKey) external {
+        SessionKeyManager.SessionStorage storage ss = sessionStorage();
+        if (ss.ecdsaSessions[sessionKey].ecdsaKey == address(0)) revert SessionKeyManager.SessionNotFound();
+        
+        ss.ecdsaSessions[sessionKey].revoked = true;
+        ss.activeSessions[ss.sessionEpoch].remove(bytes32(uint256(uint160(sessionKey))));
+        emit SessionKeyManager.SessionRevokedECDSA(sessionKey);
+    }
+
+    /// @dev See {SessionKeyManager-createSessionP256}. `args` is the ABI-encoded (SessionConfigP256).
+    function createSessionP256(bytes calldata args) external {
+        _createSessionP256(abi.decode(args, (SessionKeyManager.SessionConfigP256)));
+    }
+
+    /// @dev See {SessionKeyManager-updateSessionP256}. `args` is the ABI-encoded (SessionConfigP256).
+    function updateSessionP256(bytes calldata args) external {
+        _updateSessionP256(abi.decode(args, (SessionKeyManager.SessionConfigP256)));
+    }
+
+    /// @dev See {SessionKeyManager-revokeSessionP256}
+    function revokeSessionP256(bytes32 keyX, bytes32 keyY) external {
+        bytes32 keyHash = keccak256(abi.encodePacked(keyX, keyY));
+        SessionKeyManager.SessionStorage storage ss = sessionStorage();
+        if (ss.p256Sessions[keyHash].p256KeyX == bytes32(0)) revert SessionKeyManager.SessionNotFound();
+        
+        ss.p256Sessions[keyHash].revoked = true;
+        ss.activeSessions[ss.sessionEpoch].remove(keyHash);
+        emit SessionKeyManager.SessionRevokedP256(keyHash);
+    }
+
+    /**
+     * @dev Create the first session keys of a wallet (see {SmartWallet-initializeWithSessions}).
+     * `args` is the ABI-encoded (address owner, SessionConfigECDSA[], SessionConfigP256[]).
+     */
+    function createSessions(bytes calldata args) external {
+        (
+            ,
+            SessionKeyManager.SessionConfigECDSA[] memory ecdsaSessions,
+            SessionKeyManager.SessionConfigP256[] memory p256Sessions
+        ) = abi.decode(args, (address, SessionKeyManager.SessionConfigECDSA[], SessionKeyManager.SessionConfigP256[]));
+
+        for (uint256 i = 0; i < ecdsaSessions.length; ) {
+            _createSessionECDSA(ecdsaSessions[i]);
+            unchecked {
+                ++i;
+            }
+        }
+        for (uint256 i = 0; i < p256Sessions.length; ) {
+            _createSessionP256(p256Sessions[i]);
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    // ============ Getters ============
+    //
+    // Each getter returns the ABI-encoded return values of the SessionKeyManager view of the same name.
+
+    /// @dev See {SessionKeyManager-getSessionECDSA}
+    function getSessionECDSA(address sessionKey) external view returns (bytes memory) {
+        SessionKeyManager.SessionStorage storage ss = sessionStorage();
+        SessionKeyManager.SessionKeyPacked storage session = ss.ecdsaSessions[sessionKey];
+        (uint64 periodCallsRemaining, uint128 periodValueRemaining) = _getPeriodRemaining(session);
+        return abi.encode(
+            session.ecdsaKey,
+            session.validAfter,
+            session.validUntil,
+            session.maxValuePerTx,
+            session.maxValueTotal,
+            session.valueUsed,
+            session.maxCalls,
+            session.callsUsed,
+            session.revoked || session.epoch != ss.sessionEpoch,
+            session.periodLength,
+            periodCallsRemaining,
+            periodValueRemaining,
+            ss.ecdsaSigningPermissions[sessionKey],
+            ss.ecdsaSignableHashes[sessionKey]
+        );
+    }
+
+    /// @dev See {SessionKeyManager-getSessionPermissionsECDSA}
+    function getSessionPermissionsECDSA(address sessionKey) external view returns (bytes memory) {
+        SessionKeyManager.SessionStorage storage ss = sessionStorage();
+        return abi.encode(
+            ss.ecdsaAllowedTargets[sessionKey],
+            ss.ecdsaAllowedSelectors[sessionKey],
+            _getTokenBudgets(ss.ecdsaLimitedTokens[sessionKey], ss.ecdsaTokenAllowances[sessionKey]),
+            ss.ecdsaTargetPermissions[sessionKey]
+        );
+    }
+
+    /// @dev See {SessionKeyManager-getSessionParamRulesECDSA}
+    function getSessionParamRulesECDSA(address sessionKey) external view returns (bytes memory) {
+        SessionKeyManager.SessionStorage storage ss = sessionStorage();
+        return abi.encode(_getParamRules(ss.ecdsaRuleSelectors[sessionKey], ss.ecdsaParamRules[sessionKey]));
+    }
+
+    /// @dev See {SessionKeyManager-getSessionRecipientsECDSA}
+    function getSessionRecipientsECDSA(address sessionKey) external view returns (bytes memory) {
+        SessionKeyManager.SessionStorage storage ss = sessionStorage();
+        return abi.encode(
+            _getRecipientBudgets(ss.ecdsaRecipients[sessionKey], ss.ecdsaRecipientAllowances[sessionKey])
+        );
+    }
+
+    /// @dev See {SessionKeyManager-getSessionP256}
+    function getSessionP256(bytes32 keyX, bytes32 keyY) external view returns (bytes memory) {
+        bytes32 keyHash = keccak256(abi.encodePacked(keyX, keyY));
+        SessionKeyManager.SessionStorage storage ss = sessionStorage();
+        SessionKeyManager.SessionKeyPacked storage session = ss.p256Sessions[keyHash];
+        (uint64 periodCallsRemaining, uint128 periodValueRemaining) = _getPeriodRemaining(session);
+        return abi.encode(
+            session.p256KeyX,
+            session.p256KeyY,
+            session.validAfter,
+            session.validUntil,
+            session.maxValuePerTx,
+            session.maxValueTotal,
+            session.valueUsed,
+            session.maxCalls,
+            session.callsUsed,
+            session.revoked || session.epoch != ss.sessionEpoch,
+            session.periodLength,
+            periodCallsRemaining,
+            periodValueRemaining,
+            ss.p256SigningPermissions[keyHash],
+            ss.p256SignableHashes[keyHash]
+        );
+    }
+
+    /// @dev See {SessionKeyManager-getSessionPermissionsP256}
+    function getSessionPermissionsP256(bytes32 keyX, bytes32 keyY) external view returns (bytes memory) {
+        bytes32 keyHash = keccak256(abi.encodePacked(keyX, keyY));
+        SessionKeyManager.SessionStorage storage ss = sessionStorage();
+        return abi.encode(
+            ss.p256AllowedTargets[keyHash],
+            ss.p256AllowedSelectors[keyHash],
+            _getTokenBudgets(ss.p256LimitedTokens[keyHash], ss.p256TokenAllowances[keyHash]),
+            ss.p256TargetPermissions[keyHash]
+        );
+    }
+
+    /// @dev See {SessionKeyManager-getSessionParamRulesP256}
+    function getSessionParamRulesP256(bytes32 keyX, bytes32 keyY) external view returns (bytes memory) {
+        bytes32 keyHash = keccak256(abi.encodePacked(keyX, keyY));
+        SessionKeyManager.SessionStorage storage ss = sessionStorage();
+        return abi.encode(_getParamRules(ss.p256RuleSelectors[keyHash], ss.p256ParamRules[keyHash]));
+    }
+
+    /// @dev See {SessionKeyManager-getSessionRecipientsP256}
+    function getSessionRecipientsP256(bytes32 keyX, bytes32 keyY) external view returns (bytes memory) {
+        bytes32 keyHash = keccak256(abi.encodePacked(keyX, keyY));
+        SessionKeyManager.SessionStorage storage ss = sessionStorage();
+        return abi.encode(_getRecipientBudgets(ss.p256Recipients[keyHash], ss.p256RecipientAllowances[keyHash]));
+    }
+
+    /// @dev See {SessionKeyManager-getActiveSessions}
+    function getActiveSessions(uint256 offset, uint256 limit) external view returns (bytes memory) {
+        SessionKeyManager.SessionStorage storage ss = sessionStorage();
+        EnumerableSet.Bytes32Set storage sessionIds = ss.activeSessions[ss.sessionEpoch];
+        uint256 length = sessionIds.length();
+        SessionKeyManager.SessionInfo[] memory sessions;
+        if (offset < length) {
+            uint256 end = length - offset > limit ? offset + limit : length;
+            sessions = new SessionKeyManager.SessionInfo[](end - offset);
+            for (uint256 i = offset; i < end; ) {
+                sessions[i - offset] = _getSessionInfo(ss, sessionIds.at(i));
+                unchecked { ++i; }
+            }
+        }
+        return abi.encode(sessions);
+    }
+
+    // ============ Shared ============
+
+    function isSessionValid(SessionKeyManager.SessionKeyPacked storage session) internal view returns (bool) {
+        // Check if session exists
+        if (session.signerType == SessionKeyManager.SignerType.ECDSA) {
+            if (session.ecdsaKey == address(0)) return false;
+        } else {
+            if (session.p256KeyX == bytes32(0)) return false;
+        }
+        
+        if (session.revoked || session.epoch != sessionStorage().sessionEpoch) return false;
+        // solhint-disable-next-line not-rely-on-time
+        if (block.timestamp < session.validAfter) return false;
+        // solhint-disable-next-line not-rely-on-time
+        if (block.timestamp > session.validUntil) return false;
+        return true;
+    }
+
+    function useGrantNonce(uint256 nonce) internal {
+        SessionKeyManager.SessionStorage storage ss = sessionStorage();
+        if (ss.usedGrantNonces[nonce]) revert SessionKeyManager.SessionGrantNonceAlreadyUsed();
+        ss.usedGrantNonces[nonce] = true;
+        emit SessionKeyManager.SessionGrantNonceUsed(nonce);
+    }
+
+    // ============ Private Functions ============
+
+    function _createSessionECDSA(SessionKeyManager.SessionConfigECDSA memory config) private {
+        if (config.key == address(0)) revert SessionKeyManager.InvalidSessionKey();
+        _validateSessionTiming(config.validAfter, config.validUntil);
+        _validateRateLimit(config.periodLength, config.maxCallsPerPeriod, config.maxValuePerPeriod);
+        _validatePermissions(
+            config.allowedTargets.length,
+            config.allowedSelectors.length,
+            config.targetPermissions.length,
+            config.recipients.length
+        );
+
+        SessionKeyManager.SessionStorage storage ss = sessionStorage();
+        
+        SessionKeyManager.SessionKeyPacked storage existing = ss.ecdsaSessions[config.key];
+        if (existing.ecdsaKey != address(0) && isSessionValid(existing)) {
+            revert SessionKeyManager.SessionAlreadyActive();
+        }
+
+        bytes32 permissionsHash = _permissionsHashECDSA(config);
+
+        ss.ecdsaSessions[config.key] = SessionKeyManager.SessionKeyPacked({
+            ecdsaKey: config.key,
+            p256KeyX: bytes32(0),
+            p256KeyY: bytes32(0),
+            validAfter: config.validAfter,
+            validUntil: config.validUntil,
+            maxValuePerTx: config.maxValuePerTx,
+            maxValueTotal: config.maxValueTotal,
+            valueUsed: 0,
+            maxCalls: config.maxCalls,
+            callsUsed: 0,
+            signerType: SessionKeyManager.SignerType.ECDSA,
+            revoked: false,
+            permissionsHash: permissionsHash,
+            periodLength: config.periodLength,
+            periodStart: _initialPeriodStart(config.validAfter),
+            maxCallsPerPeriod: config.maxCallsPerPeriod,
+            periodCallsUsed: 0,
+            maxValuePerPeriod: config.maxValuePerPeriod,
+            periodValueUsed: 0,
+            epoch: ss.sessionEpoch,
+            cosigner: config.cosigner
+        });
+
+        _setAllowedLists(
+            ss.ecdsaAllowedTargets[config.key],
+            ss.ecdsaAllowedSelectors[config.key],
+            ss.ecdsaTargetAllowed[config.key],
+            ss.ecdsaSelectorAllowed[config.key],
+            config.allowedTargets,
+            config.allowedSelectors
+        );
+        _setTargetPermissions(
+            ss.ecdsaTargetPermissions[config.key],
+            ss.ecdsaTargetScoped[config.key],
+            ss.ecdsaTargetSelectorAllowed[config.key],
+            config.targetPermissions
+        );
+        _setTokenLimits(ss.ecdsaLimitedTokens[config.key], ss.ecdsaTokenAllowances[config.key], config.tokenLimits);
+        _setParamRules(ss.ecdsaRuleSelectors[config.key], ss.ecdsaParamRules[config.key], config.paramRules);
+        _setSigningScope(
+            ss.ecdsaSigningPermissions[config.key],
+            ss.ecdsaSignableHashes[config.key],
+            ss.ecdsaHashSignable[config.key],
+            config.signingPermissions,
+            config.signableHashes
+        );
+        _setPolicies(ss.ecdsaPolicies[config.key], config.policies);
+        _setRecipients(ss.ecdsaRecipients[config.key], ss.ecdsaRecipientAllowances[config.key], config.recipients);
+        ss.activeSessions[ss.sessionEpoch].add(bytes32(uint256(uint160(config.key))));
+
+        emit SessionKeyManager.SessionCreatedECDSA(
+            config.key,
+            config.validAfter,
+            config.validUntil,
+            permissionsHash
+        );
+    }
+
+    function _updateSessionECDSA(SessionKeyManager.SessionConfigECDSA memory config) private {
+        _validateRateLimit(config.periodLength, config.maxCallsPerPeriod, config.maxValuePerPeriod);
+        _validatePermissions(
+            config.allowedTargets.length,
+            config.allowedSelectors.length,
+            config.targetPermissions.length,
+            config.recipients.length
+        );
+
+        SessionKeyManager.SessionStorage storage ss = sessionStorage();
+        SessionKeyManager.SessionKeyPacked storage session = ss.ecdsaSessions[config.key];
+        if (session.ecdsaKey == address(0)) revert SessionKeyManager.SessionNotFound();
+        if (session.revoked || session.epoch != ss.sessionEpoch) revert SessionKeyManager.SessionKeyRevoked();
+        _validateSessionUpdateTiming(session, config.validAfter, config.validUntil);
+
+        bytes32 permissionsHash = _permissionsHashECDSA(config);
+
+        if (session.periodLength != config.periodLength) {
+            session.periodStart = _initialPeriodStart(config.validAfter);
+            session.periodCallsUsed = 0;
+            session.periodValueUsed = 0;
+        }
+        session.validAfter = config.validAfter;
+        session.validUntil = config.validUntil;
+        session.maxValuePerTx = config.maxValuePerTx;
+        session.maxValueTotal = config.maxValueTotal;
+        session.maxCalls = config.maxCalls;
+        session.periodLength = config.periodLength;
+        session.maxCallsPerPeriod = config.maxCallsPerPeriod;
+        session.maxValuePerPeriod = config.maxValuePerPeriod;
+        session.permissionsHash = permissionsHash;
+        session.cosigner = config.cosigner;
+
+        _setAllowedLists(
+            ss.ecdsaAllowedTargets[config.key],
+            ss.ecdsaAllowedSelectors[config.key],
+            ss.ecdsaTargetAllowed[config.key],
+            ss.ecdsaSelectorAllowed[config.key],
+            config.allowedTargets,
+            config.allowedSelectors
+        );
+        _setTargetPermissions(
+            ss.ecdsaTargetPermissions[config.key],
+            ss.ecdsaTargetScoped[config.key],
+            ss.ecdsaTargetSelectorAllowed[config.key],
+            config.targetPermissions
+        );
+        _updateTokenLimits(ss.ecdsaLimitedTokens[config.key], ss.ecdsaTokenAllowances[config.key], config.tokenLimits);
+        _setParamRules(ss.ecdsaRuleSelectors[config.key], ss.ecdsaParamRules[config.key], config.paramRules);
+        _setSigningScope(
+            ss.ecdsaSigningPermissions[config.key],
+            ss.ecdsaSignableHashes[config.key],
+            ss.ecdsaHashSignable[config.key],
+            config.signingPermissions,
+            config.signableHashes
+        );
+        _setPolicies(ss.ecdsaPolicies[config.key], config.policies);
+        _updateRecipients(ss.ecdsaRecipients[config.key], ss.ecdsaRecipientAllowances[config.key], config.recipients);
+
+        emit SessionKeyManager.SessionUpdated(
+            bytes32(uint256(uint160(config.key))),
+            SessionKeyManager.SignerType.ECDSA,
+            config.validAfter,
+            config.validUntil,
+            permissionsHash
+        );
+    }
+
+    function _createSessionP256(SessionKeyManager.SessionConfigP256 memory config) private {
+        // Validate P256 public key
+        if (!P256.isValidPublicKey(config.keyX, config.keyY)) revert SessionKeyManager.InvalidP256Key();
+        _validateSessionTiming(config.validAfter, config.validUntil);
+        _validateRateLimit(config.periodLength, config.maxCallsPerPeriod, config.maxValuePerPeriod);
+        _validatePermissions(
+            config.allowedTargets.length,
+            config.allowedSelectors.length,
+            config.targetPermissions.length,
+            config.recipients.length
+        );
+
+        bytes32 keyHash = keccak256(abi.encodePacked(config.keyX, config.keyY));
+        SessionKeyManager.SessionStorage storage ss = sessionStorage();
+        
+        SessionKeyManager.SessionKeyPacked storage existing = ss.p256Sessions[keyHash];
+        if (existing.p256KeyX != bytes32(0) && isSessionValid(existing)) {
+            revert SessionKeyManager.SessionAlreadyActive();
+        }
+
+        bytes32 permissionsHash = _permissionsHashP256(config);
+
+        ss.p256Sessions[keyHash] = SessionKeyManager.SessionKeyPacked({
+            ecdsaKey: address(0),
+            p256KeyX: config.keyX,
+            p256KeyY: config.keyY,
+            validAfter: config.validAfter,
+            validUntil: config.validUntil,
+            maxValuePerTx: config.maxValuePerTx,
+            maxValueTotal: config.maxValueTotal,
+            valueUsed: 0,
+            maxCalls: config.maxCalls,
+            callsUsed: 0,
+            signerType: SessionKeyManager.SignerType.P256,
+            revoked: false,
+            permissionsHash: permissionsHash,
+            periodLength: config.periodLength,
+            periodStart: _initialPeriodStart(config.validAfter),
+            maxCallsPerPeriod: config.maxCallsPerPeriod,
+            periodCallsUsed: 0,
+            maxValuePerPeriod: config.maxValuePerPeriod,
+            periodValueUsed: 0,
+            epoch: ss.sessionEpoch,
+            cosigner: config.cosigner
+        });
+
+        _setAllowedLists(
+            ss.p256AllowedTargets[keyHash],
+            ss.p256AllowedSelectors[keyHash],
+            ss.p256TargetAllowed[keyHash],
+            ss.p256SelectorAllowed[keyHash],
+            config.allowedTargets,
+            config.allowedSelectors
+        );
+        _setTargetPermissions(
+            ss.p256TargetPermissions[keyHash],
+            ss.p256TargetScoped[keyHash],
+            ss.p256TargetSelectorAllowed[keyHash],
+            config.targetPermissions
+        );
+        _setTokenLimits(ss.p256LimitedTokens[keyHash], ss.p256TokenAllowances[keyHash], config.tokenLimits);
+        _setParamRules(ss.p256RuleSelectors[keyHash], ss.p256ParamRules[keyHash], config.paramRules);
+        _setSigningScope(
+            ss.p256SigningPermissions[keyHash],
+            ss.p256SignableHashes[keyHash],
+            ss.p256HashSignable[keyHash],
+            config.signingPermissions,
+            config.signableHashes
+        );
+        _setPolicies(ss.p256Policies[keyHash], config.policies);
+        _setRecipients(ss.p256Recipients[keyHash], ss.p256RecipientAllowances[keyHash], config.recipients);
+        ss.activeSessions[ss.sessionEpoch].add(keyHash);
+
+        emit SessionKeyManager.SessionCreatedP256(
+            keyHash,
+            config.keyX,
+            config.keyY,
+            config.validAfter,
+            config.validUntil,
+            permissionsHash
+        );
+    }
+
+    function _updateSessionP256(SessionKeyManager.SessionConfigP256 memory config) private {
+        _validateRateLimit(config.periodLength, config.maxCallsPerPeriod, config.maxValuePerPeriod);
+        _validatePermissions(
+            config.allowedTargets.length,
+            config.allowedSelectors.length,
+            config.targetPermissions.length,
+            config.recipients.length
+        );
+
+        bytes32 keyHash = keccak256(abi.encodePacked(config.keyX, config.keyY));
+        SessionKeyManager.SessionStorage storage ss = sessionStorage();
+        SessionKeyManager.SessionKeyPacked storage session = ss.p256Sessions[keyHash];
+        if (session.p256KeyX == bytes32(0)) revert SessionKeyManager.SessionNotFound();
+        if (session.revoked || session.epoch != ss.sessionEpoch) revert SessionKeyManager.SessionKeyRevoked();
+        _validateSessionUpdateTiming(session, config.validAfter, config.validUntil);
+
+        bytes32 permissionsHash = _permissionsHashP256(config);
+
+        if (session.periodLength != config.periodLength) {
+            session.periodStart = _initialPeriodStart(config.validAfter);
+            session.periodCallsUsed = 0;
+            session.periodValueUsed = 0;
+        }
+        session.validAfter = config.validAfter;
+        session.validUntil = config.validUntil;
+        session.maxValuePerTx = config.maxValuePerTx;
+        session.maxValueTotal = config.maxValueTotal;
+        session.maxCalls = config.maxCalls;
+        session.periodLength = config.periodLength;
+        session.maxCallsPerPeriod = config.maxCallsPerPeriod;
+        session.maxValuePerPeriod = config.maxValuePerPeriod;
+        session.permissionsHash = permissionsHash;
+        session.cosigner = config.cosigner;
+
+        _setAllowedLists(
+            ss.p256AllowedTargets[keyHash],
+            ss.p256AllowedSelectors[keyHash],
+            ss.p256TargetAllowed[keyHash],
+            ss.p256SelectorAllowed[keyHash],
+            config.allowedTargets,
+            config.allowedSelectors
+        );
+        _setTargetPermissions(
+            ss.p256TargetPermissions[keyHash],
+            ss.p256TargetScoped[keyHash],
+            ss.p256TargetSelectorAllowed[keyHash],
+            config.targetPermissions
+        );
+        _updateTokenLimits(ss.p256LimitedTokens[keyHash], ss.p256TokenAllowances[keyHash], config.tokenLimits);
+        _setParamRules(ss.p256RuleSelectors[keyHash], ss.p256ParamRules[keyHash], config.paramRules);
+        _setSigningScope(
+            ss.p256SigningPermissions[keyHash],
+            ss.p256SignableHashes[keyHash],
+            ss.p256HashSignable[keyHash],
+            config.signingPermissions,
+            config.signableHashes
+        );
+        _setPolicies(ss.p256Policies[keyHash], config.policies);
+        _updateRecipients(ss.p256Recipients[keyHash], ss.p256RecipientAllowances[keyHash], config.recipients);
+
+        emit SessionKeyManager.SessionUpdated(
+            keyHash,
+            SessionKeyManager.SignerType.P256,
+            config.validAfter,
+            config.validUntil,
+            permissionsHash
+        );
+    }
+
+    function _validateSessionTiming(uint48 validAfter, uint48 validUntil) private view {
+        // solhint-disable-next-line not-rely-on-time
+        if (validUntil < block.timestamp + 1) revert SessionKeyManager.InvalidValidityWindow();
+        if (validUntil < validAfter + 1) revert SessionKeyManager.InvalidValidityWindow();
+        if (validUntil - validAfter > MAX_SESSION_DURATION) {
+            revert SessionKeyManager.SessionDurationTooLong();
+        }
+    }
+
+    /**
+     * @dev An update may extend or shorten a live session but never revive an expired one or move its start,
+     * which would restart the maximum duration
+     */
+    function _validateSessionUpdateTiming(
+        SessionKeyManager.SessionKeyPacked storage session,
+        uint48 validAfter,
+        uint48 validUntil
+    ) private view {
+        // solhint-disable-next-line not-rely-on-time
+        if (block.timestamp > session.validUntil) revert SessionKeyManager.SessionExpired();
+        if (validAfter != session.validAfter) revert SessionKeyManager.InvalidValidityWindow();
+        _validateSessionTiming(validAfter, validUntil);
+    }
+
+    function _validateRateLimit(
+        uint48 periodLength,
+        uint64 maxCallsPerPeriod,
+        uint128 maxValuePerPeriod
+    ) private pure {
+        if (periodLength > MAX_SESSION_DURATION) revert SessionKeyManager.InvalidRateLimit();
+        if (periodLength == 0 && (maxCallsPerPeriod > 0 || maxValuePerPeriod > 0)) {
+            revert SessionKeyManager.InvalidRateLimit();
+        }
+    }
+
+    function _initialPeriodStart(uint48 validAfter) private view returns (uint48) {
+        // solhint-disable-next-line not-rely-on-time
+        return validAfter > block.timestamp ? validAfter : uint48(block.timestamp);
+    }
+
+    /**
+     * @dev Hash of every permission of a session, emitted so indexers can tell configurations apart.
+     * Timing and value/call limits are not included.
+     */
+    function _permissionsHashECDSA(SessionKeyManager.SessionConfigECDSA memory config) private pure returns (bytes32) {
+        return keccak256(
+            abi.encode(
+                config.allowedTargets,
+                config.allowedSelectors,
+                config.targetPermissions,
+                config.tokenLimits,
+                config.paramRules,
+                config.signingPermissions,
+                config.signableHashes,
+                config.policies,
+                config.recipients,
+                config.cosigner
+            )
+        );
+    }
+
+    /**
+     * @dev P256 counterpart of _permissionsHashECDSA
+     */
+    function _permissionsHashP256(SessionKeyManager.SessionConfigP256 memory config) private pure returns (bytes32) {
+        return keccak256(
+            abi.encode(
+                config.allowedTargets,
+                config.allowedSelectors,
+                config.targetPermissions,
+                config.tokenLimits,
+                config.paramRules,
+                config.signingPermissions,
+                config.signableHashes,
+                config.policies,
+                config.recipients,
+                config.cosigner
+            )
+        );
+    }
+
+    function _validatePermissions(
+        uint256 targetsLen,
+        uint256 selectorsLen,
+        uint256 targetPermissionsLen,
+        uint256 recipientsLen
+    ) private pure {
+        if (targetsLen + targetPermissionsLen + recipientsLen == 0) revert SessionKeyManager.NoTargetsSpecified();
+        if (targetsLen + targetPermissionsLen > MAX_TARGETS_PER_SESSION) revert SessionKeyManager.TooManyTargets();
+        if (selectorsLen > MAX_SELECTORS_PER_SESSION) revert SessionKeyManager.TooManySelectors();
+    }
+
+    /**
+     * @dev Summary of a listed session. P256 sessions are keyed by keyHash, ECDSA sessions by their key.
+     */
+    function _getSessionInfo(
+        SessionKeyManager.SessionStorage storage ss,
+        bytes32 sessionId
+    ) private view returns (SessionKeyManager.SessionInfo memory info) {
+        SessionKeyManager.SessionKeyPacked storage session = ss.p256Sessions[sessionId];
+        info.sessionId = sessionId;
+        if (session.p256KeyX != bytes32(0)) {
+            info.signerType = SessionKeyManager.SignerType.P256;
+            info.keyX = session.p256KeyX;
+            info.keyY = session.p256KeyY;
+            info.allowedTargets = ss.p256AllowedTargets[sessionId];
+            info.allowedSelectors = ss.p256AllowedSelectors[sessionId];
+            info.targetPermissions = ss.p256TargetPermissions[sessionId];
+            info.tokenBudgets = _getTokenBudgets(ss.p256LimitedTokens[sessionId], ss.p256TokenAllowances[sessionId]);
+            info.recipientBudgets = _getRecipientBudgets(
+                ss.p256Recipients[sessionId],
+                ss.p256RecipientAllowances[sessionId]
+            );
+        } else {
+            address sessionKey = address(uint160(uint256(sessionId)));
+            session = ss.ecdsaSessions[sessionKey];
+            info.signerType = SessionKeyManager.SignerType.ECDSA;
+            info.key = sessionKey;
+            info.allowedTargets = ss.ecdsaAllowedTargets[sessionKey];
+            info.allowedSelectors = ss.ecdsaAllowedSelectors[sessionKey];
+            info.targetPermissions = ss.ecdsaTargetPermissions[sessionKey];
+            info.tokenBudgets = _getTokenBudgets(
+                ss.ecdsaLimitedTokens[sessionKey],
+                ss.ecdsaTokenAllowances[sessionKey]
+            );
+            info.recipientBudgets = _getRecipientBudgets(
+                ss.ecdsaRecipients[sessionKey],
+                ss.ecdsaRecipientAllowances[sessionKey]
+            );
+        }
+
+        info.validAfter = session.validAfter;
+        info.validUntil = session.validUntil;
+        info.maxValuePerTx = session.maxValuePerTx;
+        // Limits tightened by an update can sit below what was already used
+        info.valueRemaining = session.maxValueTotal == 0
+            ? type(uint128).max
+            : (session.valueUsed < session.maxValueTotal ? session.maxValueTotal - session.valueUsed : 0);
+        info.callsRemaining = session.maxCalls == 0
+            ? type(uint64).max
+            : (session.callsUsed < session.maxCalls ? session.maxCalls - session.callsUsed : 0);
+        (info.periodCallsRemaining, info.periodValueRemaining) = _getPeriodRemaining(session);
+        info.cosigner = session.cosigner;
+    }
+
+    /**
+     * @dev Remaining calls and value in the current period (type max when that limit is unset)
+     */
+    function _getPeriodRemaining(
+        SessionKeyManager.SessionKeyPacked storage session
+    ) private view returns (uint64 callsRemaining, uint128 valueRemaining) {
+        callsRemaining = type(uint64).max;
+        valueRemaining = type(uint128).max;
+        if (session.periodLength == 0) return (callsRemaining, valueRemaining);
+
+        // solhint-disable-next-line not-rely-on-time
+        bool elapsed = block.timestamp + 1 > uint256(session.periodStart) + session.periodLength;
+        uint64 callsUsed = elapsed ? 0 : session.periodCallsUsed;
+        uint128 valueUsed = elapsed ? 0 : session.periodValueUsed;
+        if (session.maxCallsPerPeriod > 0) {
+            callsRemaining = callsUsed < session.maxCallsPerPeriod ? session.maxCallsPerPeriod - callsUsed : 0;
+        }
+        if (session.maxValuePerPeriod > 0) {
+            valueRemaining = valueUsed < session.maxValuePerPeriod ? session.maxValuePerPeriod - valueUsed : 0;
+        }
+    }
+
+    /**
+     * @dev Replace a session's flat target and selector lists, clearing lookups left by the previous lists
+     */
+    function _setAllowedLists(
+        address[] storage storedTargets,
+        bytes4[] storage storedSelectors,
+        mapping(address => bool) storage targetAllowed,
+        mapping(bytes4 => bool) storage selectorAllowed,
+        address[] memory targets,
+        bytes4[] memory selectors
+    ) private {
+        while (storedTargets.length > 0) {
+            delete targetAllowed[storedTargets[storedTargets.length - 1]];
+            storedTargets.pop();
+        }
+        while (storedSelectors.length > 0) {
+            delete selectorAllowed[storedSelectors[storedSelectors.length - 1]];
+            storedSelectors.pop();
+        }
+
+        // Populate O(1) lookup mappings and check for self-targeting
+        for (uint256 i = 0; i < targets.length; ) {
+            if (targets[i] == address(this)) revert SessionKeyManager.CannotTargetSelf();
+            targetAllowed[targets[i]] = true;
+            storedTargets.push(targets[i]);
+            unchecked { ++i; }
+        }
+        for (uint256 i = 0; i < selectors.length; ) {
+            selectorAllowed[selectors[i]] = true;
+            storedSelectors.push(selectors[i]);
+            unchecked { ++i; }
+        }
+    }
+
+    /**
+     * @dev Replace a session's target-scoped permissions, clearing pairs left by a previous session for the same key
+     */
+    function _setTargetPermissions(
+        SessionKeyManager.TargetPermission[] storage stored,
+        mapping(address => bool) storage targetScoped,
+        mapping(address => mapping(bytes4 => bool)) storage pairAllowed,
+        SessionKeyManager.TargetPermission[] memory permissions
+    ) private {
+        while (stored.length > 0) {
+            SessionKeyManager.TargetPermission storage last = stored[stored.length - 1];
+            delete targetScoped[last.target];
+            for (uint256 i = 0; i < last.selectors.length; ) {
+                delete pairAllowed[last.target][last.selectors[i]];
+                unchecked { ++i; }
+            }
+            stored.pop();
+        }
+
+        for (uint256 i = 0; i < permissions.length; ) {
+            SessionKeyManager.TargetPermission memory permission = permissions[i];
+            if (permission.target == address(this)) revert SessionKeyManager.CannotTargetSelf();
+            if (permission.target == address(0) || permission.selectors.length == 0) {
+                revert SessionKeyManager.InvalidTargetPermission();
+            }
+            if (permission.selectors.length > MAX_SELECTORS_PER_SESSION) revert SessionKeyManager.TooManySelectors();
+
+            targetScoped[permission.target] = true;
+            for (uint256 j = 0; j < permission.selectors.length; ) {
+                pairAllowed[permission.target][permission.selectors[j]] = true;
+                unchecked { ++j; }
+            }
+
+            SessionKeyManager.TargetPermission storage entry = stored.push();
+            entry.target = permission.target;
+            entry.selectors = permission.selectors;
+            unchecked { ++i; }
+        }
+    }
+
+    /**
+     * @dev Replace a session's ERC-20 limits, clearing state left by a previous session for the same key
+     */
+    function _setTokenLimits(
+        address[] storage limitedTokens,
+        mapping(address => SessionKeyManager.TokenAllowance) storage allowances,
+        SessionKeyManager.TokenLimit[] memory tokenLimits
+    ) private {
+        if (tokenLimits.length > MAX_TOKEN_LIMITS_PER_SESSION) revert SessionKeyManager.TooManyTokenLimits();
+
+        while (limitedTokens.length > 0) {
+            delete allowances[limitedTokens[limitedTokens.length - 1]];
+            limitedTokens.pop();
+        }
+
+        for (uint256 i = 0; i < tokenLimits.length; ) {
+            SessionKeyManager.TokenAllowance storage allowance = allowances[tokenLimits[i].token];
+            if (allowance.enabled) revert SessionKeyManager.DuplicateTokenLimit();
+            allowance.enabled = true;
+            allowance.limit = tokenLimits[i].limit;
+            limitedTokens.push(tokenLimits[i].token);
+            unchecked { ++i; }
+        }
+    }
+
+    /**
+     * @dev Replace a session's ERC-20 limits on update, carrying over the amount spent on tokens that stay limited
+     */
+    function _updateTokenLimits(
+        address[] storage limitedTokens,
+        mapping(address => SessionKeyManager.TokenAllowance) storage allowances,
+        SessionKeyManager.TokenLimit[] memory tokenLimits
+    ) private {
+        uint128[] memory spent = new uint128[](tokenLimits.length);
+        for (uint256 i = 0; i < tokenLimits.length; ) {
+            spent[i] = allowances[tokenLimits[i].token].spent;
+            unchecked { ++i; }
+        }
+
+        _setTokenLimits(limitedTokens, allowances, tokenLimits);
+
+        for (uint256 i = 0; i < tokenLimits.length; ) {
+            allowances[tokenLimits[i].token].spent = spent[i];
+            unchecked { ++i; }
+        }
+    }
+
+    /**
+     * @dev Replace a session's calldata argument rules, clearing rules left by a previous session for the same key
+     */
+    function _setParamRules(
+        bytes4[] storage ruleSelectors,
+        mapping(bytes4 => SessionKeyManager.ParamRule[]) storage paramRules,
+        SessionKeyManager.ParamRule[] memory rules
+    ) private {
+        if (rules.length > MAX_PARAM_RULES_PER_SESSION) revert SessionKeyManager.TooManyParamRules();
+
+        while (ruleSelectors.length > 0) {
+            delete paramRules[ruleSelectors[ruleSelectors.length - 1]];
+            ruleSelectors.pop();
+        }
+
+        for (uint256 i = 0; i < rules.length; ) {
+            SessionKeyManager.ParamRule memory rule = rules[i];
+            if (rule.selector == bytes4(0) || rule.values.length == 0) revert SessionKeyManager.InvalidParamRule();
+            if (rule.operator == SessionKeyManager.ParamOperator.ONE_OF) {
+                if (rule.values.length > MAX_PARAM_RULE_VALUES) revert SessionKeyManager.InvalidParamRule();
+            } else if (rule.values.length != 1) {
+                revert SessionKeyManager.InvalidParamRule();
+            }
+
+            SessionKeyManager.ParamRule[] storage selectorRules = paramRules[rule.selector];
+            if (selectorRules.length == 0) ruleSelectors.push(rule.selector);
+
+            SessionKeyManager.ParamRule storage stored = selectorRules.push();
+            stored.selector = rule.selector;
+            stored.offset = rule.offset;
+            stored.operator = rule.operator;
+            stored.values = rule.values;
+            unchecked { ++i; }
+        }
+    }
+
+    function _getParamRules(
+        bytes4[] storage ruleSelectors,
+        mapping(bytes4 => SessionKeyManager.ParamRule[]) storage paramRules
+    ) private view returns (SessionKeyManager.ParamRule[] memory rules) {
+        uint256 count = 0;
+        for (uint256 i = 0; i < ruleSelectors.length; ) {
+            count += paramRules[ruleSelectors[i]].length;
+            unchecked { ++i; }
+        }
+
+        rules = new SessionKeyManager.ParamRule[](count);
+        uint256 index = 0;
+        for (uint256 i = 0; i < ruleSelectors.length; ) {
+            SessionKeyManager.ParamRule[] storage selectorRules = paramRules[ruleSelectors[i]];
+            for (uint256 j = 0; j < selectorRules.length; ) {
+                rules[index++] = selectorRules[j];
+                unchecked { ++j; }
+            }
+            unchecked { ++i; }
+        }
+    }
+
+    function _getTokenBudgets(
+        address[] storage limitedTokens,
+        mapping(address => SessionKeyManager.TokenAllowance) storage allowances
+    ) private view returns (SessionKeyManager.TokenBudget[] memory budgets) {
+        budgets = new SessionKeyManager.TokenBudget[](limitedTokens.length);
+        for (uint256 i = 0; i < limitedTokens.length; ) {
+            SessionKeyManager.TokenAllowance storage allowance = allowances[limitedTokens[i]];
+            budgets[i] = SessionKeyManager.TokenBudget({
+                token: limitedTokens[i],
+                limit: allowance.limit,
+                spent: allowance.spent,
+                remaining: allowance.spent < allowance.limit ? allowance.limit - allowance.spent : 0
+            });
+            unchecked { ++i; }
+        }
+    }
+
+    /**
+     * @dev Replace a session's value-only transfer recipients, clearing state left by a previous session for the
+     * same key
+     */
+    function _setRecipients(
+        address[] storage stored,
+        mapping(address => SessionKeyManager.RecipientAllowance) storage allowances,
+        SessionKeyManager.RecipientLimit[] memory recipients
+    ) private {
+        if (recipients.length > MAX_RECIPIENTS_PER_SESSION) revert SessionKeyManager.TooManyRecipients();
+
+        while (stored.length > 0) {
+            delete allowances[stored[stored.length - 1]];
+            stored.pop();
+        }
+
+        for (uint256 i = 0; i < recipients.length; ) {
+            address recipient = recipients[i].recipient;
+            if (recipient == address(0)) revert SessionKeyManager.InvalidRecipient();
+            if (recipient == address(this)) revert SessionKeyManager.CannotTargetSelf();
+            SessionKeyManager.RecipientAllowance storage allowance = allowances[recipient];
+            if (allowance.allowed) revert SessionKeyManager.DuplicateRecipient();
+            allowance.allowed = true;
+            allowance.limit = recipients[i].limit;
+            stored.push(recipient);
+            unchecked { ++i; }
+        }
+    }
+
+    /**
+     * @dev Replace a session's recipients on update, carrying over the amount sent to recipients that stay listed
+     */
+    function _updateRecipients(
+        address[] storage stored,
+        mapping(address => SessionKeyManager.RecipientAllowance) storage allowances,
+        SessionKeyManager.RecipientLimit[] memory recipients
+    ) private {
+        uint128[] memory sent = new uint128[](recipients.length);
+        for (uint256 i = 0; i < recipients.length; ) {
+            sent[i] = allowances[recipients[i].recipient].sent;
+            unchecked { ++i; }
+        }
+
+        _setRecipients(stored, allowances, recipients);
+
+        for (uint256 i = 0; i < recipients.length; ) {
+            allowances[recipients[i].recipient].sent = sent[i];
+            unchecked { ++i; }
+        }
+    }
+
+    function _getRecipientBudgets(
+        address[] storage recipients,
+        mapping(address => SessionKeyManager.RecipientAllowance) storage allowances
+    ) private view returns (SessionKeyManager.RecipientBudget[] memory budgets) {
+        budgets = new SessionKeyManager.RecipientBudget[](recipients.length);
+        for (uint256 i = 0; i < recipients.length; ) {
+            SessionKeyManager.RecipientAllowance storage allowance = allowances[recipients[i]];
+            uint128 remaining = type(uint128).max;
+            if (allowance.limit > 0) {
+                remaining = allowance.sent < allowance.limit ? allowance.limit - allowance.sent : 0;
+            }
+            budgets[i] = SessionKeyManager.RecipientBudget({
+                recipient: recipients[i],
+                limit: allowance.limit,
+                sent: allowance.sent,
+                remaining: remaining
+            });
+            unchecked { ++i; }
+        }
+    }
+
+    /**
+     * @dev Replace a session's ERC-1271 signing scope, clearing entries left by a previous session for the same key
+     */
+    function _setSigningScope(
+        SessionKeyManager.SigningPermission[] storage storedPermissions,
+        bytes32[] storage storedHashes,
+        mapping(bytes32 => bool) storage hashSignable,
+        SessionKeyManager.SigningPermission[] memory permissions,
+        bytes32[] memory signableHashes
+    ) private {
+        if (permissions.length > MAX_SIGNING_PERMISSIONS_PER_SESSION) {
+            revert SessionKeyManager.TooManySigningPermissions();
+        }
+        if (signableHashes.length > MAX_SIGNABLE_HASHES_PER_SESSION) revert SessionKeyManager.TooManySignableHashes();
+
+        while (storedPermissions.length > 0) storedPermissions.pop();
+        while (storedHashes.length > 0) {
+            delete hashSignable[storedHashes[storedHashes.length - 1]];
+            storedHashes.pop();
+        }
+
+        for (uint256 i = 0; i < permissions.length; ) {
+            if (permissions[i].verifyingContract == address(0) || permissions[i].typehash == bytes32(0)) {
+                revert SessionKeyManager.InvalidSigningPermission();
+            }
+            storedPermissions.push(permissions[i]);
+            unchecked { ++i; }
+        }
+        for (uint256 i = 0; i < signableHashes.length; ) {
+            hashSignable[signableHashes[i]] = true;
+            storedHashes.push(signableHashes[i]);
+            unchecked { ++i; }
+        }
+    }
+
+    /**
+     * @dev Replace a session's external policies
+     */
+    function _setPolicies(address[] storage storedPolicies, address[] memory policies) private {
+        if (policies.length > MAX_POLICIES_PER_SESSION) revert SessionKeyManager.TooManyPolicies();
+
+        while (storedPolicies.length > 0) storedPolicies.pop();
+        for (uint256 i = 0; i < policies.length; ) {
+            if (policies[i].code.length == 0 || policies[i] == address(this)) revert SessionKeyManager.InvalidPolicy();
+            storedPolicies.push(policies[i]);
+            unchecked { ++i; }
+        }
+    }
+}
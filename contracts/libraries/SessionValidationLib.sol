@@ -0,0 +1,1036 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.23;
+
+import { ECDSA } from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import { MessageHashUtils } from "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import { ERC7739Utils } from "@openzeppelin/contracts/utils/cryptography/draft-ERC7739Utils.sol";
+import { ERC4337Utils } from "@openzeppelin/contracts/account/utils/draft-ERC4337Utils.sol";
+import { PasskeyVerifier } from "./PasskeyVerifier.sol";
+import { SessionKeyLib } from "./SessionKeyLib.sol";
+import { IPolicy } from "../interfaces/IPolicy.sol";
+import { SessionKeyManager } from "../SessionKeyManager.sol";
+
+/**
+ * @title SessionValidationLib
+ * @dev Session key signature checks of SessionKeyManager: UserOperation validation with its permission,
+ * limit, cosigner and policy checks, enable mode, and ERC-1271 signatures of session keys.
+ * Deployed once and linked into the wallet (it links SessionKeyLib and PasskeyVerifier itself), so the
+ * wallet stays under the EIP-170 code size limit. External functions run through DELEGATECALL on the
+ * wallet's session storage.
+ */
+library SessionValidationLib {
+    using ECDSA for bytes32;
+
+    // ============ Constants ============
+
+    /// @dev Signature prefix for ECDSA session keys
+    bytes4 internal constant SESSION_KEY_ECDSA = 0x00000001;
+
+    /// @dev Signature prefix for P256/Passkey session keys
+    bytes4 internal constant SESSION_KEY_P256 = 0x00000002;
+
+    /// @dev Signature prefix for P256/Passkey session keys signing through a WebAuthn assertion
+    bytes4 internal constant SESSION_KEY_P256_WEBAUTHN = 0x00000005;
+
+    /// @dev Signature prefix for enabling an ECDSA session within its first UserOperation
+    bytes4 internal constant SESSION_KEY_ENABLE_ECDSA = 0x00000003;
+
+    /// @dev Signature prefix for enabling a P256 session within its first UserOperation
+    bytes4 internal constant SESSION_KEY_ENABLE_P256 = 0x00000004;
+
+    /// @dev Signature prefix wrapping a session key signature with its cosigner's signature over the same hash
+    bytes4 internal constant SESSION_KEY_COSIGNED = 0x00000009;
+
+    /// @dev Signature prefix carrying the encodeData of the typed data a session key signs through ERC-7739:
+    /// [4 bytes prefix][2 bytes length][encodeData][session key signature, possibly co-signed]
+    bytes4 internal constant SESSION_KEY_TYPED_CONTENTS = 0x0000000a;
+
+    /// @dev EIP-712 typehash of an owner grant for an ECDSA session (configHash = keccak256(abi.encode(config))).
+    /// `epoch` is the wallet's session epoch, so revokeAllSessions also voids grants not used yet.
+    bytes32 internal constant ENABLE_SESSION_ECDSA_TYPEHASH =
+        keccak256("EnableSessionECDSA(address sessionKey,bytes32 configHash,uint256 nonce,uint64 epoch)");
+
+    /// @dev EIP-712 typehash of an owner grant for a P256 session (configHash = keccak256(abi.encode(config)))
+    bytes32 internal constant ENABLE_SESSION_P256_TYPEHASH =
+        keccak256("EnableSessionP256(bytes32 keyX,bytes32 keyY,bytes32 configHash,uint256 nonce,uint64 epoch)");
+
+    /// @dev ERC-20 selectors whose amounts count against token limits
+    bytes4 private constant _ERC20_TRANSFER = 0xa9059cbb;      // transfer(address,uint256)
+    bytes4 private constant _ERC20_TRANSFER_FROM = 0x23b872dd; // transferFrom(address,address,uint256)
+    bytes4 private constant _ERC20_APPROVE = 0x095ea7b3;       // approve(address,uint256)
+
+    // ============ UserOperation Validation ============
+
+    /**
+     * @dev Validate a session key signature for a UserOperation
+     * Supports both ECDSA and P256 signatures based on prefix. Sessions with a cosigner need the
+     * co-signed layout: [4 bytes prefix][65 bytes cosigner signature][session key signature]
+     * @param domainSeparator The wallet's EIP-712 domain separator, which enable-mode grants are signed under
+     * @return validationData Packed ERC-4337 validation data
+     * @return grantHash Digest of the owner grant of an enable-mode signature (zero otherwise)
+     * @return ownerSignature Owner signature over `grantHash`, which the wallet must check against its owners
+     */
+    function validateSessionKeySignature(
+        bytes32 userOpHash,
+        bytes calldata signature,
+        bytes calldata callData,
+        bytes32 domainSeparator
+    ) external returns (uint256 validationData, bytes32 grantHash, bytes memory ownerSignature) {
+        bytes4 sigType = bytes4(signature[:4]);
+        address cosigner;
+        if (sigType == SESSION_KEY_COSIGNED) {
+            if (signature.length < 73) revert SessionKeyManager.InvalidSessionSignature();
+            cosigner = userOpHash.recover(signature[4:69]);
+            signature = signature[69:];
+            sigType = bytes4(signature[:4]);
+        }
+        
+        if (sigType == SESSION_KEY_ECDSA) {
+            validationData = _validateECDSASessionSignature(userOpHash, signature, callData, cosigner);
+        } else if (sigType == SESSION_KEY_P256) {
+            validationData = _validateP256SessionSignature(userOpHash, signature, callData, cosigner);
+        } else if (sigType == SESSION_KEY_P256_WEBAUTHN) {
+            validationData = _validateWebAuthnSessionSignature(userOpHash, signature, callData, cosigner);
+        } else if (sigType == SESSION_KEY_ENABLE_ECDSA) {
+            return _validateEnableECDSASessionSignature(userOpHash, signature, callData, cosigner, domainSeparator);
+        } else if (sigType == SESSION_KEY_ENABLE_P256) {
+            return _validateEnableP256SessionSignature(userOpHash, signature, callData, cosigner, domainSeparator);
+        } else {
+            revert SessionKeyManager.InvalidSignatureType();
+        }
+    }
+
+    // ============ ERC-1271 ============
+
+    /**
+     * @dev Check a session key signature over an already nested `digest`, possibly co-signed:
+     * [4 bytes prefix][65 bytes cosigner signature][session key signature].
+     * Session keys must also be allowed to sign the outer `hash` (see _isSessionSignable);
+     * `appSeparator`, `contentsHash` and `contentsDescr` are those of a TypedDataSign signature, empty for
+     * PersonalSign. Signing typed data by typehash needs the SESSION_KEY_TYPED_CONTENTS wrapper around it all.
+     */
+    function isValidSessionSignature(
+        bytes32 digest,
+        bytes calldata signature,
+        bytes32 hash,
+        bytes32 appSeparator,
+        bytes32 contentsHash,
+        string calldata contentsDescr
+    ) external view returns (bool) {
+        bytes32 typehash;
+        if (signature.length > 6 && bytes4(signature[:4]) == SESSION_KEY_TYPED_CONTENTS) {
+            uint256 end = 6 + uint16(bytes2(signature[4:6]));
+            if (signature.length <= end) return false;
+            typehash = _verifiedContentsTypehash(appSeparator, contentsHash, contentsDescr, signature[6:end]);
+            signature = signature[end:];
+        }
+
+        address cosigner;
+        if (signature.length > 4 && bytes4(signature[:4]) == SESSION_KEY_COSIGNED) {
+            if (signature.length < 73) return false;
+            (cosigner, , ) = ECDSA.tryRecover(digest, signature[4:69]);
+            if (cosigner == address(0)) return false;
+            signature = signature[69:];
+        }
+        return _isValidSessionSignature(digest, signature, hash, appSeparator, typehash, cosigner);
+    }
+
+    // ============ Enable Mode ============
+
+    /**
+     * @dev EIP-712 digest of an owner grant for an ECDSA session, under the wallet's `domainSeparator` and
+     * current session epoch. `args` is the ABI-encoded (SessionConfigECDSA config, uint256 nonce).
+     */
+    function hashSessionGrantECDSA(bytes calldata args, bytes32 domainSeparator) external view returns (bytes32) {
+        (SessionKeyManager.SessionConfigECDSA memory config, uint256 nonce) =
+            abi.decode(args, (SessionKeyManager.SessionConfigECDSA, uint256));
+        return _hashSessionGrantECDSA(config, nonce, domainSeparator);
+    }
+
+    /**
+     * @dev EIP-712 digest of an owner grant for a P256 session, under the wallet's `domainSeparator` and
+     * current session epoch. `args` is the ABI-encoded (SessionConfigP256 config, uint256 nonce).
+     */
+    function hashSessionGrantP256(bytes calldata args, bytes32 domainSeparator) external view returns (bytes32) {
+        (SessionKeyManager.SessionConfigP256 memory config, uint256 nonce) =
+            abi.decode(args, (SessionKeyManager.SessionConfigP256, uint256));
+        return _hashSessionGrantP256(config, nonce, domainSeparator);
+    }
+
+    // ============ Private Functions ============
+
+    /**
+     * @dev Grants are hashed with the current session epoch: a grant signed before revokeAllSessions
+     * no longer matches the owner's signature afterwards
+     */
+    function _hashSessionGrantECDSA(
+        SessionKeyManager.SessionConfigECDSA memory config,
+        uint256 nonce,
+        bytes32 domainSeparator
+    ) private view returns (bytes32) {
+        return MessageHashUtils.toTypedDataHash(
+            domainSeparator,
+            keccak256(
+                abi.encode(
+                    ENABLE_SESSION_ECDSA_TYPEHASH,
+                    config.key,
+                    keccak256(abi.encode(config)),
+                    nonce,
+                    SessionKeyLib.sessionStorage().sessionEpoch
+                )
+            )
+        );
+    }
+
+    function _hashSessionGrantP256(
+        SessionKeyManager.SessionConfigP256 memory config,
+        uint256 nonce,
+        bytes32 domainSeparator
+    ) private view returns (bytes32) {
+        return MessageHashUtils.toTypedDataHash(
+            domainSeparator,
+            keccak256(
+                abi.encode(
+                    ENABLE_SESSION_P256_TYPEHASH,
+                    config.keyX,
+                    config.keyY,
+                    keccak256(abi.encode(config)),
+                    nonce,
+                    SessionKeyLib.sessionStorage().sessionEpoch
+                )
+            )
+        );
+    }
+
+    /**
+     * @dev Check a session key signature over `digest`, for a session whose cosigner must be `cosigner`
+     * (zero for sessions without one), signing typed data of `typehash` (zero if unverified).
+     * See isValidSessionSignature.
+     */
+    function _isValidSessionSignature(
+        bytes32 digest,
+        bytes calldata signature,
+        bytes32 hash,
+        bytes32 appSeparator,
+        bytes32 typehash,
+        address cosigner
+    ) private view returns (bool) {
+        if (signature.length > 4) {
+            bytes4 sigType = bytes4(signature[:4]);
+            
+            if (sigType == SESSION_KEY_ECDSA) {
+                // ECDSA session key: [4 prefix][20 key][65+ sig]
+                if (signature.length < 89) return false;
+                
+                address sessionKey = address(bytes20(signature[4:24]));
+                SessionKeyManager.SessionStorage storage ss = SessionKeyLib.sessionStorage();
+                SessionKeyManager.SessionKeyPacked storage session = ss.ecdsaSessions[sessionKey];
+                
+                if (!SessionKeyLib.isSessionValid(session) || session.cosigner != cosigner) return false;
+                if (!_canSessionSignECDSA(sessionKey, hash, appSeparator, typehash)) return false;
+                
+                // Verify signature using ECDSA
+                bytes calldata sig = signature[24:];
+                (address recovered, , ) = ECDSA.tryRecover(digest, sig);
+                return recovered == sessionKey;
+            } else if (sigType == SESSION_KEY_P256) {
+                // P256 session key: [4 prefix][32 keyX][32 keyY][64 sig (r,s)]
+                if (signature.length < 132) return false;
+                
+                bytes32 keyX = bytes32(signature[4:36]);
+                bytes32 keyY = bytes32(signature[36:68]);
+                bytes32 r = bytes32(signature[68:100]);
+                bytes32 s = bytes32(signature[100:132]);
+                
+                bytes32 keyHash = keccak256(abi.encodePacked(keyX, keyY));
+                SessionKeyManager.SessionStorage storage ss = SessionKeyLib.sessionStorage();
+                SessionKeyManager.SessionKeyPacked storage session = ss.p256Sessions[keyHash];
+                
+                if (!SessionKeyLib.isSessionValid(session) || session.cosigner != cosigner) return false;
+                if (!_canSessionSignP256(keyHash, hash, appSeparator, typehash)) return false;
+                
+                // Verify P256 signature
+                return PasskeyVerifier.verify(digest, r, s, keyX, keyY);
+            } else if (sigType == SESSION_KEY_P256_WEBAUTHN) {
+                // WebAuthn P256 session key: [4 prefix][32 keyX][32 keyY][abi.encode(WebAuthnAuth)]
+                return _isValidWebAuthnSessionSignature(digest, signature, cosigner) &&
+                    _canSessionSignP256(keccak256(signature[4:68]), hash, appSeparator, typehash);
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * @dev Validate ECDSA session key signature
+     * Format: [4 bytes prefix][20 bytes session key][65 bytes signature]
+     */
+    function _validateECDSASessionSignature(
+        bytes32 userOpHash,
+        bytes calldata signature,
+        bytes calldata callData,
+        address cosigner
+    ) private returns (uint256) {
+        if (signature.length < 89) revert SessionKeyManager.InvalidSessionSignature();
+        
+        address sessionKey = address(bytes20(signature[4:24]));
+        bytes calldata sig = signature[24:];
+        
+        SessionKeyManager.SessionStorage storage ss = SessionKeyLib.sessionStorage();
+        SessionKeyManager.SessionKeyPacked storage session = ss.ecdsaSessions[sessionKey];
+        
+        if (session.ecdsaKey == address(0)) revert SessionKeyManager.SessionNotFound();
+        if (session.revoked || session.epoch != ss.sessionEpoch) revert SessionKeyManager.SessionKeyRevoked();
+        if (session.cosigner != cosigner) revert SessionKeyManager.InvalidCosignature();
+        
+        // Verify ECDSA signature
+        address recovered = userOpHash.recover(sig);
+        if (recovered != sessionKey) revert SessionKeyManager.InvalidSessionSignature();
+        
+        // Check permissions, limits and policies
+        uint256 policyValidationData = _checkPermissionsAndLimitsECDSA(sessionKey, callData, session, ss);
+        
+        return _getValidationData(session, policyValidationData);
+    }
+
+    /**
+     * @dev Validate P256/Passkey session key signature
+     * Format: [4 bytes prefix][32 bytes keyX][32 bytes keyY][64 bytes signature (r,s)]
+     */
+    function _validateP256SessionSignature(
+        bytes32 userOpHash,
+        bytes calldata signature,
+        bytes calldata callData,
+        address cosigner
+    ) private returns (uint256) {
+        // Minimum: 4 + 32 + 32 + 64 = 132 bytes
+        if (signature.length < 132) revert SessionKeyManager.InvalidSessionSignature();
+        
+        bytes32 keyX = bytes32(signature[4:36]);
+        bytes32 keyY = bytes32(signature[36:68]);
+        bytes32 r = bytes32(signature[68:100]);
+        bytes32 s = bytes32(signature[100:132]);
+        
+        bytes32 keyHash = keccak256(abi.encodePacked(keyX, keyY));
+        SessionKeyManager.SessionStorage storage ss = SessionKeyLib.sessionStorage();
+        SessionKeyManager.SessionKeyPacked storage session = ss.p256Sessions[keyHash];
+        
+        if (session.p256KeyX == bytes32(0)) revert SessionKeyManager.SessionNotFound();
+        if (session.revoked || session.epoch != ss.sessionEpoch) revert SessionKeyManager.SessionKeyRevoked();
+        if (session.cosigner != cosigner) revert SessionKeyManager.InvalidCosignature();
+        
+        // Verify P256 signature
+        if (!PasskeyVerifier.verify(userOpHash, r, s, keyX, keyY)) {
+            revert SessionKeyManager.InvalidSessionSignature();
+        }
+        
+        // Check permissions, limits and policies
+        uint256 policyValidationData = _checkPermissionsAndLimitsP256(keyHash, callData, session, ss);
+        
+        return _getValidationData(session, policyValidationData);
+    }
+
+    /**
+     * @dev Validate P256/Passkey session key signature wrapped in a WebAuthn assertion
+     * Format: [4 bytes prefix][32 bytes keyX][32 bytes keyY][abi.encode(WebAuthn.WebAuthnAuth)]
+     */
+    function _validateWebAuthnSessionSignature(
+        bytes32 userOpHash,
+        bytes calldata signature,
+        bytes calldata callData,
+        address cosigner
+    ) private returns (uint256) {
+        if (signature.length < 68) revert SessionKeyManager.InvalidSessionSignature();
+
+        bytes32 keyX = bytes32(signature[4:36]);
+        bytes32 keyY = bytes32(signature[36:68]);
+
+        bytes32 keyHash = keccak256(abi.encodePacked(keyX, keyY));
+        SessionKeyManager.SessionStorage storage ss = SessionKeyLib.sessionStorage();
+        SessionKeyManager.SessionKeyPacked storage session = ss.p256Sessions[keyHash];
+
+        if (session.p256KeyX == bytes32(0)) revert SessionKeyManager.SessionNotFound();
+        if (session.revoked || session.epoch != ss.sessionEpoch) revert SessionKeyManager.SessionKeyRevoked();
+        if (session.cosigner != cosigner) revert SessionKeyManager.InvalidCosignature();
+
+        // Verify the assertion, whose challenge must be the userOpHash
+        if (!PasskeyVerifier.verifyWebAuthn(userOpHash, signature[68:], keyX, keyY)) {
+            revert SessionKeyManager.InvalidSessionSignature();
+        }
+
+        // Check permissions, limits and policies
+        uint256 policyValidationData = _checkPermissionsAndLimitsP256(keyHash, callData, session, ss);
+
+        return _getValidationData(session, policyValidationData);
+    }
+
+    /**
+     * @dev ERC-1271 check of a WebAuthn-wrapped P256 session signature over `hash`
+     * Format: [4 bytes prefix][32 bytes keyX][32 bytes keyY][abi.encode(WebAuthn.WebAuthnAuth)]
+     */
+    function _isValidWebAuthnSessionSignature(
+        bytes32 hash,
+        bytes calldata signature,
+        address cosigner
+    ) private view returns (bool) {
+        if (signature.length < 68) return false;
+
+        bytes32 keyX = bytes32(signature[4:36]);
+        bytes32 keyY = bytes32(signature[36:68]);
+
+        SessionKeyManager.SessionKeyPacked storage session =
+            SessionKeyLib.sessionStorage().p256Sessions[keccak256(abi.encodePacked(keyX, keyY))];
+        if (!SessionKeyLib.isSessionValid(session) || session.cosigner != cosigner) return false;
+
+        return PasskeyVerifier.verifyWebAuthn(hash, signature[68:], keyX, keyY);
+    }
+
+    /**
+     * @dev Whether an ECDSA session may sign `hash` through ERC-1271. See _isSessionSignable.
+     */
+    function _canSessionSignECDSA(
+        address sessionKey,
+        bytes32 hash,
+        bytes32 appSeparator,
+        bytes32 typehash
+    ) private view returns (bool) {
+        SessionKeyManager.SessionStorage storage ss = SessionKeyLib.sessionStorage();
+        return _isSessionSignable(
+            ss.ecdsaSigningPermissions[sessionKey],
+            ss.ecdsaHashSignable[sessionKey],
+            hash,
+            appSeparator,
+            typehash
+        );
+    }
+
+    /**
+     * @dev Whether a P256 session may sign `hash` through ERC-1271. See _isSessionSignable.
+     */
+    function _canSessionSignP256(
+        bytes32 keyHash,
+        bytes32 hash,
+        bytes32 appSeparator,
+        bytes32 typehash
+    ) private view returns (bool) {
+        SessionKeyManager.SessionStorage storage ss = SessionKeyLib.sessionStorage();
+        return _isSessionSignable(
+            ss.p256SigningPermissions[keyHash],
+            ss.p256HashSignable[keyHash],
+            hash,
+            appSeparator,
+            typehash
+        );
+    }
+
+    /**
+     * @dev Register an owner-granted ECDSA session, then validate the UserOperation with it. The nonce is
+     * consumed here; the owner signature over the returned grant hash is checked by the wallet.
+     * Format: [4 bytes prefix][abi.encode(SessionConfigECDSA config, uint256 nonce, bytes ownerSig, bytes sessionSig)]
+     */
+    function _validateEnableECDSASessionSignature(
+        bytes32 userOpHash,
+        bytes calldata signature,
+        bytes calldata callData,
+        address cosigner,
+        bytes32 domainSeparator
+    ) private returns (uint256, bytes32, bytes memory) {
+        (
+            SessionKeyManager.SessionConfigECDSA memory config,
+            uint256 nonce,
+            bytes memory ownerSignature,
+            bytes memory sessionSignature
+        ) = abi.decode(signature[4:], (SessionKeyManager.SessionConfigECDSA, uint256, bytes, bytes));
+
+        bytes32 grantHash = _hashSessionGrantECDSA(config, nonce, domainSeparator);
+        SessionKeyLib.useGrantNonce(nonce);
+        SessionKeyLib.createSessionECDSA(abi.encode(config));
+
+        if (config.cosigner != cosigner) revert SessionKeyManager.InvalidCosignature();
+        if (userOpHash.recover(sessionSignature) != config.key) revert SessionKeyManager.InvalidSessionSignature();
+
+        SessionKeyManager.SessionStorage storage ss = SessionKeyLib.sessionStorage();
+        SessionKeyManager.SessionKeyPacked storage session = ss.ecdsaSessions[config.key];
+        uint256 policyValidationData = _checkPermissionsAndLimitsECDSA(config.key, callData, session, ss);
+
+        return (_getValidationData(session, policyValidationData), grantHash, ownerSignature);
+    }
+
+    /**
+     * @dev Register an owner-granted P256 session, then validate the UserOperation with it. The nonce is
+     * consumed here; the owner signature over the returned grant hash is checked by the wallet.
+     * Format: [4 bytes prefix][abi.encode(SessionConfigP256 config, uint256 nonce, bytes ownerSig, bytes32 r, s)]
+     */
+    function _validateEnableP256SessionSignature(
+        bytes32 userOpHash,
+        bytes calldata signature,
+        bytes calldata callData,
+        address cosigner,
+        bytes32 domainSeparator
+    ) private returns (uint256, bytes32, bytes memory) {
+        (
+            SessionKeyManager.SessionConfigP256 memory config,
+            uint256 nonce,
+            bytes memory ownerSignature,
+            bytes32 r,
+            bytes32 s
+        ) = abi.decode(signature[4:], (SessionKeyManager.SessionConfigP256, uint256, bytes, bytes32, bytes32));
+
+        bytes32 grantHash = _hashSessionGrantP256(config, nonce, domainSeparator);
+        SessionKeyLib.useGrantNonce(nonce);
+        SessionKeyLib.createSessionP256(abi.encode(config));
+
+        if (config.cosigner != cosigner) revert SessionKeyManager.InvalidCosignature();
+        if (!PasskeyVerifier.verify(userOpHash, r, s, config.keyX, config.keyY)) {
+            revert SessionKeyManager.InvalidSessionSignature();
+        }
+
+        bytes32 keyHash = keccak256(abi.encodePacked(config.keyX, config.keyY));
+        SessionKeyManager.SessionStorage storage ss = SessionKeyLib.sessionStorage();
+        SessionKeyManager.SessionKeyPacked storage session = ss.p256Sessions[keyHash];
+        uint256 policyValidationData = _checkPermissionsAndLimitsP256(keyHash, callData, session, ss);
+
+        return (_getValidationData(session, policyValidationData), grantHash, ownerSignature);
+    }
+
+    /**
+     * @dev Session validity window, narrowed by the window returned by the session's policies (0 = none)
+     */
+    function _getValidationData(
+        SessionKeyManager.SessionKeyPacked storage session,
+        uint256 policyValidationData
+    ) private view returns (uint256) {
+        // solhint-disable-next-line not-rely-on-time
+        if (block.timestamp < session.validAfter) {
+            return _packValidationData(false, session.validUntil, session.validAfter);
+        }
+        // solhint-disable-next-line not-rely-on-time
+        if (block.timestamp > session.validUntil) {
+            return _packValidationData(false, 0, 0);
+        }
+        uint256 validationData = _packValidationData(true, session.validUntil, session.validAfter);
+        if (policyValidationData == 0) return validationData;
+        return ERC4337Utils.combineValidationData(validationData, policyValidationData);
+    }
+
+    function _checkPermissionsAndLimitsECDSA(
+        address sessionKey,
+        bytes calldata callData,
+        SessionKeyManager.SessionKeyPacked storage session,
+        SessionKeyManager.SessionStorage storage ss
+    ) private returns (uint256 policyValidationData) {
+        bytes4 selector = bytes4(callData[:4]);
+        // Only execute and executeBatch: every other wallet function is owner-only
+        uint256 value;
+        bytes4 executeSel = 0xb61d27f6;
+        bytes4 executeBatchSel = 0x47e1da2a;
+        if (selector == executeSel) {
+            value = _handleExecuteECDSA(sessionKey, callData, session, ss);
+        } else if (selector == executeBatchSel) {
+            value = _handleExecuteBatchECDSA(sessionKey, callData, session, ss);
+        } else {
+            revert SessionKeyManager.CannotCallSensitiveFunction();
+        }
+        
+        return _checkPolicies(ss.ecdsaPolicies[sessionKey], bytes32(uint256(uint160(sessionKey))), callData, value);
+    }
+
+    function _checkPermissionsAndLimitsP256(
+        bytes32 keyHash,
+        bytes calldata callData,
+        SessionKeyManager.SessionKeyPacked storage session,
+        SessionKeyManager.SessionStorage storage ss
+    ) private returns (uint256 policyValidationData) {
+        bytes4 selector = bytes4(callData[:4]);
+        // Only execute and executeBatch: every other wallet function is owner-only
+        uint256 value;
+        bytes4 executeSel = 0xb61d27f6;
+        bytes4 executeBatchSel = 0x47e1da2a;
+        if (selector == executeSel) {
+            value = _handleExecuteP256(keyHash, callData, session, ss);
+        } else if (selector == executeBatchSel) {
+            value = _handleExecuteBatchP256(keyHash, callData, session, ss);
+        } else {
+            revert SessionKeyManager.CannotCallSensitiveFunction();
+        }
+        
+        return _checkPolicies(ss.p256Policies[keyHash], keyHash, callData, value);
+    }
+
+    /**
+     * @dev Session keys never reach guardian or recovery functions on any wallet, so a session on a
+     * guardian (or owner) wallet cannot approve recoveries, edit guardians or revoke sessions on the
+     * wallets it protects
+     */
+    function _checkRecoveryFunctions(bytes4 selector) private pure {
+        if (selector == 0xa526d83b ||   // addGuardian(address)
+            selector == 0x71404156 ||   // removeGuardian(address)
+            selector == 0x0904b9ed ||   // setGuardianThreshold(uint256)
+            selector == 0x3d8d7b0b ||   // setRecoveryDelay(uint48)
+            selector == 0xd5ce9aad ||   // initiateRecovery(address)
+            selector == 0xfcae8d38 ||   // approveRecovery()
+            selector == 0x20c5a3e1 ||   // executeRecovery()
+            selector == 0x0ba234d6 ||   // cancelRecovery()
+            selector == 0xeba3220c) {   // revokeAllSessions()
+            revert SessionKeyManager.CannotCallSensitiveFunction();
+        }
+    }
+
+    function _handleExecuteECDSA(
+        address sessionKey,
+        bytes calldata callData,
+        SessionKeyManager.SessionKeyPacked storage session,
+        SessionKeyManager.SessionStorage storage ss
+    ) private returns (uint256) {
+        (address target, uint256 value, bytes memory data) = 
+            abi.decode(callData[4:], (address, uint256, bytes));
+        
+        bytes4 targetSelector = data.length > 3 ? bytes4(data) : bytes4(0);
+        
+        _validateCallECDSA(sessionKey, target, targetSelector, value, data, session, ss);
+        _updateLimits(session, value);
+        
+        emit SessionKeyManager.SessionUsed(
+            bytes32(uint256(uint160(sessionKey))),
+            SessionKeyManager.SignerType.ECDSA,
+            target,
+            targetSelector,
+            value
+        );
+        return value;
+    }
+
+    function _handleExecuteBatchECDSA(
+        address sessionKey,
+        bytes calldata callData,
+        SessionKeyManager.SessionKeyPacked storage session,
+        SessionKeyManager.SessionStorage storage ss
+    ) private returns (uint256) {
+        (address[] memory targets, uint256[] memory values, bytes[] memory datas) =
+            abi.decode(callData[4:], (address[], uint256[], bytes[]));
+        
+        uint256 totalValue = 0;
+        for (uint256 i = 0; i < targets.length; ) {
+            bytes4 targetSelector = datas[i].length > 3 ? bytes4(datas[i]) : bytes4(0);
+            
+            _validateCallECDSA(sessionKey, targets[i], targetSelector, values[i], datas[i], session, ss);
+            totalValue += values[i];
+            
+            emit SessionKeyManager.SessionUsed(
+                bytes32(uint256(uint160(sessionKey))),
+                SessionKeyManager.SignerType.ECDSA,
+                targets[i],
+                targetSelector,
+                values[i]
+            );
+            unchecked { ++i; }
+        }
+        
+        _updateLimits(session, totalValue);
+        return totalValue;
+    }
+
+    function _validateCallECDSA(
+        address sessionKey,
+        address target,
+        bytes4 targetSelector,
+        uint256 value,
+        bytes memory data,
+        SessionKeyManager.SessionKeyPacked storage session,
+        SessionKeyManager.SessionStorage storage ss
+    ) private {
+        if (session.maxValuePerTx > 0 && value > session.maxValuePerTx) {
+            revert SessionKeyManager.ValueExceedsPerTxLimit();
+        }
+        
+        // Calls back into the wallet could reach owner-only functions (updateSession*, upgradeToAndCall, ...)
+        if (target == address(this)) revert SessionKeyManager.CannotTargetSelf();
+        _checkRecoveryFunctions(targetSelector);
+        // Value-only transfers to a listed recipient skip the target and selector checks
+        if (data.length == 0 && _spendRecipientAllowance(ss.ecdsaRecipientAllowances[sessionKey][target], value)) {
+            return;
+        }
+        _checkTargetAllowedECDSA(sessionKey, target, ss);
+        _checkSelectorAllowedECDSA(sessionKey, target, targetSelector, ss);
+        _checkParamRules(ss.ecdsaParamRules[sessionKey][targetSelector], data);
+        _spendTokenAllowance(ss.ecdsaTokenAllowances[sessionKey][target], targetSelector, data);
+    }
+
+    function _checkTargetAllowedECDSA(
+        address sessionKey,
+        address target,
+        SessionKeyManager.SessionStorage storage ss
+    ) private view {
+        if (ss.ecdsaTargetAllowed[sessionKey][target]) return;
+        if (!ss.ecdsaTargetScoped[sessionKey][target]) revert SessionKeyManager.TargetNotAllowed();
+    }
+
+    /**
+     * @dev A scoped (target, selector) pair always passes; calls without a selector (empty or short
+     * calldata) count as selector 0, which must be listed like any other. Otherwise the flat selector
+     * list applies, but only to targets from the flat target list.
+     */
+    function _checkSelectorAllowedECDSA(
+        address sessionKey,
+        address target,
+        bytes4 targetSelector,
+        SessionKeyManager.SessionStorage storage ss
+    ) private view {
+        if (ss.ecdsaTargetSelectorAllowed[sessionKey][target][targetSelector]) return;
+        if (!ss.ecdsaTargetAllowed[sessionKey][target]) revert SessionKeyManager.SelectorNotAllowed();
+
+        bytes4[] storage allowedSelectors = ss.ecdsaAllowedSelectors[sessionKey];
+        if (allowedSelectors.length == 0 || targetSelector == bytes4(0)) return;
+        
+        if (!ss.ecdsaSelectorAllowed[sessionKey][targetSelector]) revert SessionKeyManager.SelectorNotAllowed();
+    }
+
+    function _handleExecuteP256(
+        bytes32 keyHash,
+        bytes calldata callData,
+        SessionKeyManager.SessionKeyPacked storage session,
+        SessionKeyManager.SessionStorage storage ss
+    ) private returns (uint256) {
+        (address target, uint256 value, bytes memory data) = 
+            abi.decode(callData[4:], (address, uint256, bytes));
+        
+        bytes4 targetSelector = data.length > 3 ? bytes4(data) : bytes4(0);
+        
+        _validateCallP256(keyHash, target, targetSelector, value, data, session, ss);
+        _updateLimits(session, value);
+        
+        emit SessionKeyManager.SessionUsed(keyHash, SessionKeyManager.SignerType.P256, target, targetSelector, value);
+        return value;
+    }
+
+    function _handleExecuteBatchP256(
+        bytes32 keyHash,
+        bytes calldata callData,
+        SessionKeyManager.SessionKeyPacked storage session,
+        SessionKeyManager.SessionStorage storage ss
+    ) private returns (uint256) {
+        (address[] memory targets, uint256[] memory values, bytes[] memory datas) =
+            abi.decode(callData[4:], (address[], uint256[], bytes[]));
+        
+        uint256 totalValue = 0;
+        for (uint256 i = 0; i < targets.length; ) {
+            bytes4 targetSelector = datas[i].length > 3 ? bytes4(datas[i]) : bytes4(0);
+            
+            _validateCallP256(keyHash, targets[i], targetSelector, values[i], datas[i], session, ss);
+            totalValue += values[i];
+            
+            emit SessionKeyManager.SessionUsed(
+                keyHash,
+                SessionKeyManager.SignerType.P256,
+                targets[i],
+                targetSelector,
+                values[i]
+            );
+            unchecked { ++i; }
+        }
+        
+        _updateLimits(session, totalValue);
+        return totalValue;
+    }
+
+    function _validateCallP256(
+        bytes32 keyHash,
+        address target,
+        bytes4 targetSelector,
+        uint256 value,
+        bytes memory data,
+        SessionKeyManager.SessionKeyPacked storage session,
+        SessionKeyManager.SessionStorage storage ss
+    ) private {
+        if (session.maxValuePerTx > 0 && value > session.maxValuePerTx) {
+            revert SessionKeyManager.ValueExceedsPerTxLimit();
+        }
+        
+        // Calls back into the wallet could reach owner-only functions (updateSession*, upgradeToAndCall, ...)
+        if (target == address(this)) revert SessionKeyManager.CannotTargetSelf();
+        _checkRecoveryFunctions(targetSelector);
+        // Value-only transfers to a listed recipient skip the target and selector checks
+        if (data.length == 0 && _spendRecipientAllowance(ss.p256RecipientAllowances[keyHash][target], value)) {
+            return;
+        }
+        _checkTargetAllowedP256(keyHash, target, ss);
+        _checkSelectorAllowedP256(keyHash, target, targetSelector, ss);
+        _checkParamRules(ss.p256ParamRules[keyHash][targetSelector], data);
+        _spendTokenAllowance(ss.p256TokenAllowances[keyHash][target], targetSelector, data);
+    }
+
+    function _checkTargetAllowedP256(
+        bytes32 keyHash,
+        address target,
+        SessionKeyManager.SessionStorage storage ss
+    ) private view {
+        if (ss.p256TargetAllowed[keyHash][target]) return;
+        if (!ss.p256TargetScoped[keyHash][target]) revert SessionKeyManager.TargetNotAllowed();
+    }
+
+    /**
+     * @dev Same rules as _checkSelectorAllowedECDSA
+     */
+    function _checkSelectorAllowedP256(
+        bytes32 keyHash,
+        address target,
+        bytes4 targetSelector,
+        SessionKeyManager.SessionStorage storage ss
+    ) private view {
+        if (ss.p256TargetSelectorAllowed[keyHash][target][targetSelector]) return;
+        if (!ss.p256TargetAllowed[keyHash][target]) revert SessionKeyManager.SelectorNotAllowed();
+
+        bytes4[] storage allowedSelectors = ss.p256AllowedSelectors[keyHash];
+        if (allowedSelectors.length == 0 || targetSelector == bytes4(0)) return;
+        
+        if (!ss.p256SelectorAllowed[keyHash][targetSelector]) revert SessionKeyManager.SelectorNotAllowed();
+    }
+
+    function _updateLimits(SessionKeyManager.SessionKeyPacked storage session, uint256 value) private {
+        if (session.maxValueTotal > 0) {
+            if (session.valueUsed + value > session.maxValueTotal) {
+                revert SessionKeyManager.ValueExceedsTotalLimit();
+            }
+            session.valueUsed += uint128(value);
+        }
+        
+        if (session.maxCalls > 0) {
+            if (session.callsUsed + 1 > session.maxCalls) {
+                revert SessionKeyManager.MaxCallsExceeded();
+            }
+            session.callsUsed++;
+        }
+
+        if (session.periodLength > 0) {
+            _updatePeriodLimits(session, value);
+        }
+    }
+
+    /**
+     * @dev Roll the rate-limit period forward if it has elapsed, then charge the call against it.
+     * Periods are aligned to the session's first period, so an idle session does not drift.
+     */
+    function _updatePeriodLimits(SessionKeyManager.SessionKeyPacked storage session, uint256 value) private {
+        uint256 periodLength = session.periodLength;
+        // solhint-disable-next-line not-rely-on-time
+        if (block.timestamp + 1 > session.periodStart + periodLength) {
+            // solhint-disable-next-line not-rely-on-time
+            uint256 elapsed = block.timestamp - session.periodStart;
+            session.periodStart += uint48(elapsed - (elapsed % periodLength));
+            session.periodCallsUsed = 0;
+            session.periodValueUsed = 0;
+        }
+
+        if (session.maxValuePerPeriod > 0) {
+            if (session.periodValueUsed + value > session.maxValuePerPeriod) {
+                revert SessionKeyManager.ValueExceedsPeriodLimit();
+            }
+            session.periodValueUsed += uint128(value);
+        }
+
+        if (session.maxCallsPerPeriod > 0) {
+            if (session.periodCallsUsed + 1 > session.maxCallsPerPeriod) {
+                revert SessionKeyManager.MaxCallsPerPeriodExceeded();
+            }
+            session.periodCallsUsed++;
+        }
+    }
+
+    /**
+     * @dev Charge ERC-20 transfer, transferFrom and approve amounts against a token limit.
+     * Calls to tokens without a limit are not tracked; other calls to a limited token (increaseAllowance,
+     * permit, ...) are rejected, since the limit cannot account for them.
+     */
+    function _spendTokenAllowance(
+        SessionKeyManager.TokenAllowance storage allowance,
+        bytes4 targetSelector,
+        bytes memory data
+    ) private {
+        if (!allowance.enabled) return;
+
+        uint256 amount;
+        if (targetSelector == _ERC20_TRANSFER || targetSelector == _ERC20_APPROVE) {
+            amount = uint256(_readCalldataWord(data, 32));
+        } else if (targetSelector == _ERC20_TRANSFER_FROM) {
+            amount = uint256(_readCalldataWord(data, 64));
+        } else {
+            revert SessionKeyManager.UntrackedTokenCall();
+        }
+
+        if (allowance.spent > allowance.limit || amount > allowance.limit - allowance.spent) {
+            revert SessionKeyManager.TokenLimitExceeded();
+        }
+        allowance.spent += uint128(amount);
+    }
+
+    /**
+     * @dev Read the 32-byte word at `offset` (counted after the selector) from selector-prefixed calldata
+     */
+    function _readCalldataWord(bytes memory data, uint256 offset) private pure returns (bytes32 word) {
+        if (data.length < offset + 36) revert SessionKeyManager.CalldataTooShort();
+        assembly {
+            word := mload(add(add(data, 36), offset))
+        }
+    }
+
+    /**
+     * @dev Check every rule registered for a call's selector against its calldata
+     */
+    function _checkParamRules(SessionKeyManager.ParamRule[] storage rules, bytes memory data) private view {
+        for (uint256 i = 0; i < rules.length; ) {
+            SessionKeyManager.ParamRule storage rule = rules[i];
+            bytes32 arg = _readCalldataWord(data, rule.offset);
+            if (!_matchesParamRule(rule, arg)) revert SessionKeyManager.ParamRuleViolation();
+            unchecked { ++i; }
+        }
+    }
+
+    function _matchesParamRule(SessionKeyManager.ParamRule storage rule, bytes32 arg) private view returns (bool) {
+        SessionKeyManager.ParamOperator operator = rule.operator;
+        if (operator == SessionKeyManager.ParamOperator.EQUAL) return arg == rule.values[0];
+        if (operator == SessionKeyManager.ParamOperator.NOT_EQUAL) return arg != rule.values[0];
+        if (operator == SessionKeyManager.ParamOperator.LTE) return uint256(arg) <= uint256(rule.values[0]);
+        if (operator == SessionKeyManager.ParamOperator.GTE) return uint256(arg) >= uint256(rule.values[0]);
+
+        bytes32[] storage values = rule.values;
+        for (uint256 i = 0; i < values.length; ) {
+            if (arg == values[i]) return true;
+            unchecked { ++i; }
+        }
+        return false;
+    }
+
+    /**
+     * @dev Charge a value-only transfer against its recipient's cap. Returns false for recipients that are not
+     * listed, which then go through the regular target checks.
+     */
+    function _spendRecipientAllowance(
+        SessionKeyManager.RecipientAllowance storage allowance,
+        uint256 value
+    ) private returns (bool) {
+        if (!allowance.allowed) return false;
+        if (allowance.limit > 0) {
+            if (allowance.sent > allowance.limit || value > allowance.limit - allowance.sent) {
+                revert SessionKeyManager.RecipientLimitExceeded();
+            }
+            allowance.sent += uint128(value);
+        }
+        return true;
+    }
+
+    /**
+     * @dev Session keys cannot sign through ERC-1271 unless their session allows it: either `hash` is
+     * allowlisted, or it is typed data of an allowed typehash for an allowed app. `appSeparator` comes from
+     * an ERC-7739 TypedDataSign signature and `typehash` from _verifiedContentsTypehash (both zero for
+     * PersonalSign); the app is matched by its DOMAIN_SEPARATOR().
+     */
+    function _isSessionSignable(
+        SessionKeyManager.SigningPermission[] storage permissions,
+        mapping(bytes32 => bool) storage hashSignable,
+        bytes32 hash,
+        bytes32 appSeparator,
+        bytes32 typehash
+    ) private view returns (bool) {
+        if (hashSignable[hash]) return true;
+        if (permissions.length == 0 || typehash == bytes32(0)) return false;
+
+        for (uint256 i = 0; i < permissions.length; ) {
+            SessionKeyManager.SigningPermission storage permission = permissions[i];
+            if (permission.typehash == typehash && _domainSeparatorOf(permission.verifyingContract) == appSeparator) {
+                return true;
+            }
+            unchecked { ++i; }
+        }
+        return false;
+    }
+
+    /**
+     * @dev Typehash of the contents struct described by `contentsDescr`, provided `contentsHash` is the
+     * hashStruct of `encodeData` under it (zero otherwise). The description alone is the signer's word:
+     * without the check, typed data of any type could be passed off as an allowed one.
+     */
+    function _verifiedContentsTypehash(
+        bytes32 appSeparator,
+        bytes32 contentsHash,
+        string calldata contentsDescr,
+        bytes calldata encodeData
+    ) private pure returns (bytes32) {
+        if (appSeparator == bytes32(0) || bytes(contentsDescr).length == 0 || encodeData.length == 0) {
+            return bytes32(0);
+        }
+        bytes32 typehash = _contentsTypehash(contentsDescr);
+        if (typehash == bytes32(0) || keccak256(abi.encodePacked(typehash, encodeData)) != contentsHash) {
+            return bytes32(0);
+        }
+        return typehash;
+    }
+
+    /**
+     * @dev EIP-712 typehash of the contents struct of an ERC-7739 contents description (zero if invalid).
+     * The contents type lists every type definition, the struct's own among its referenced types;
+     * moving the struct's definition to the front gives its encodeType.
+     */
+    function _contentsTypehash(string calldata contentsDescr) private pure returns (bytes32) {
+        (string calldata contentsName, string calldata contentsType) = ERC7739Utils.decodeContentsDescr(contentsDescr);
+        bytes calldata name = bytes(contentsName);
+        bytes calldata types = bytes(contentsType);
+        if (name.length == 0) return bytes32(0);
+
+        // Type definitions start at the beginning and after each ")"
+        uint256 start = 0;
+        while (start + name.length < types.length) {
+            uint256 end = start;
+            while (end < types.length && types[end] != ")") ++end;
+            if (end == types.length) break;
+
+            if (types[start + name.length] == "(" && keccak256(types[start:start + name.length]) == keccak256(name)) {
+                return keccak256(abi.encodePacked(types[start:end + 1], types[:start], types[end + 1:]));
+            }
+            start = end + 1;
+        }
+        return bytes32(0);
+    }
+
+    /**
+     * @dev DOMAIN_SEPARATOR() of an app contract, or zero if it has none
+     */
+    function _domainSeparatorOf(address app) private view returns (bytes32) {
+        (bool success, bytes memory result) = app.staticcall(abi.encodeWithSignature("DOMAIN_SEPARATOR()"));
+        if (!success || result.length != 32) return bytes32(0);
+        return abi.decode(result, (bytes32));
+    }
+
+    /**
+     * @dev Ask each policy of a session about the UserOperation. A policy returning SIG_VALIDATION_FAILED
+     * rejects it; the validity windows of the others are intersected (0 when there is none).
+     */
+    function _checkPolicies(
+        address[] storage policies,
+        bytes32 sessionId,
+        bytes calldata callData,
+        uint256 value
+    ) private returns (uint256 validationData) {
+        for (uint256 i = 0; i < policies.length; ) {
+            address policy = policies[i];
+            uint256 policyValidationData = IPolicy(policy).check(address(this), sessionId, callData, value);
+            (address result, , ) = ERC4337Utils.parseValidationData(policyValidationData);
+            if (result != address(0)) revert SessionKeyManager.PolicyViolation(policy);
+
+            validationData = validationData == 0
+                ? policyValidationData
+                : ERC4337Utils.combineValidationData(validationData, policyValidationData);
+            unchecked { ++i; }
+        }
+    }
+
+    function _packValidationData(
+        bool success,
+        uint48 validUntil,
+        uint48 validAfter
+    ) private pure returns (uint256) {
+        if (!success) {
+            return 1; // SIG_VALIDATION_FAILED
+        }
+        return uint256(validAfter) << 208 | uint256(validUntil) << 160;
+    }
+}
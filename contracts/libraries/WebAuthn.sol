@@ -0,0 +1,100 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.23;
+
+import { P256 } from "@openzeppelin/contracts/utils/cryptography/P256.sol";
+import { Base64 } from "@openzeppelin/contracts/utils/Base64.sol";
+
+/**
+ * @title WebAuthn
+ * @dev Verification of WebAuthn (FIDO2/passkey) assertions signed with a P256 key.
+ * Authenticators do not sign the challenge directly: they sign
+ * `sha256(authenticatorData || sha256(clientDataJSON))`, with the base64url-encoded
+ * challenge embedded in clientDataJSON.
+ *
+ * Only the fields needed for on-chain verification are checked: the assertion type,
+ * the challenge, and the user presence / verification flags. The origin and rpIdHash
+ * are left to the relying party.
+ */
+library WebAuthn {
+    /**
+     * @dev WebAuthn assertion as produced by navigator.credentials.get()
+     */
+    struct WebAuthnAuth {
+        bytes authenticatorData;        // Raw authenticator data (rpIdHash, flags, signCount, ...)
+        string clientDataJSON;          // Raw client data JSON
+        uint256 challengeIndex;         // Index of `"challenge":"..."` in clientDataJSON
+        uint256 typeIndex;              // Index of `"type":"webauthn.get"` in clientDataJSON
+        bytes32 r;                      // P256 signature r
+        bytes32 s;                      // P256 signature s
+    }
+
+    /// @dev User Present flag (bit 0 of the authenticator data flags)
+    bytes1 internal constant AUTH_DATA_FLAGS_UP = 0x01;
+
+    /// @dev User Verified flag (bit 2)
+    bytes1 internal constant AUTH_DATA_FLAGS_UV = 0x04;
+
+    /// @dev Backup Eligibility flag (bit 3)
+    bytes1 internal constant AUTH_DATA_FLAGS_BE = 0x08;
+
+    /// @dev Backup State flag (bit 4)
+    bytes1 internal constant AUTH_DATA_FLAGS_BS = 0x10;
+
+    /// @dev Minimum authenticator data length: 32 bytes rpIdHash + 1 byte flags + 4 bytes signCount
+    uint256 private constant _MIN_AUTH_DATA_LENGTH = 37;
+
+    /**
+     * @dev Verify a WebAuthn assertion over `challenge` for the P256 public key (qx, qy)
+     * @param challenge The expected challenge (e.g. a userOpHash)
+     * @param auth The WebAuthn assertion
+     * @param qx Public key x coordinate
+     * @param qy Public key y coordinate
+     * @param requireUserVerification Whether the UV flag must be set
+     * @return True if the assertion is valid
+     */
+    function verify(
+        bytes memory challenge,
+        WebAuthnAuth memory auth,
+        bytes32 qx,
+        bytes32 qy,
+        bool requireUserVerification
+    ) internal view returns (bool) {
+        if (!_validateFlags(auth.authenticatorData, requireUserVerification)) return false;
+
+        bytes memory clientDataJSON = bytes(auth.clientDataJSON);
+        if (!_containsAt(clientDataJSON, auth.typeIndex, bytes("\"type\":\"webauthn.get\""))) return false;
+
+        bytes memory expectedChallenge = abi.encodePacked("\"challenge\":\"", Base64.encodeURL(challenge), "\"");
+        if (!_containsAt(clientDataJSON, auth.challengeIndex, expectedChallenge)) return false;
+
+        bytes32 messageHash = sha256(abi.encodePacked(auth.authenticatorData, sha256(clientDataJSON)));
+        return P256.verify(messageHash, auth.r, auth.s, qx, qy);
+    }
+
+    function _validateFlags(bytes memory authenticatorData, bool requireUserVerification) private pure returns (bool) {
+        if (authenticatorData.length < _MIN_AUTH_DATA_LENGTH) return false;
+
+        bytes1 flags = authenticatorData[32];
+        if (flags & AUTH_DATA_FLAGS_UP != AUTH_DATA_FLAGS_UP) return false;
+        if (requireUserVerification && flags & AUTH_DATA_FLAGS_UV != AUTH_DATA_FLAGS_UV) return false;
+        // A credential cannot be backed up unless it is backup eligible
+        if (flags & AUTH_DATA_FLAGS_BS == AUTH_DATA_FLAGS_BS && flags & AUTH_DATA_FLAGS_BE != AUTH_DATA_FLAGS_BE) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * @dev Check that `data` contains `expected` starting at `index`
+     */
+    function _containsAt(bytes memory data, uint256 index, bytes memory expected) private pure returns (bool) {
+        if (index > data.length || data.length - index < expected.length) return false;
+
+        bytes32 slice;
+        uint256 length = expected.length;
+        assembly {
+            slice := keccak256(add(add(data, 32), index), length)
+        }
+        return slice == keccak256(expected);
+    }
+}
@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.23;
+
+import { EIP712 } from "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+
+/// @dev App exposing its EIP-712 domain like ERC-2612 tokens, used to exercise session signing scopes
+contract MockEIP712App is EIP712 {
+    constructor(string memory name, string memory version) EIP712(name, version) {}
+
+    // solhint-disable-next-line func-name-mixedcase
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+}
@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.23;
+
+import { IPolicy } from "../interfaces/IPolicy.sol";
+
+/// @dev IPolicy returning configurable validation data and recording what it was asked, keyed by wallet last
+contract MockPolicy is IPolicy {
+    uint256 public validationData;
+
+    mapping(bytes32 => mapping(address => uint256)) public checkCount;
+    mapping(bytes32 => mapping(address => uint256)) public lastValue;
+    mapping(bytes32 => mapping(address => bytes32)) public lastCallDataHash;
+
+    function setValidationData(uint256 newValidationData) external {
+        validationData = newValidationData;
+    }
+
+    function check(
+        address wallet,
+        bytes32 sessionId,
+        bytes calldata callData,
+        uint256 value
+    ) external returns (uint256) {
+        checkCount[sessionId][wallet] += 1;
+        lastValue[sessionId][wallet] = value;
+        lastCallDataHash[sessionId][wallet] = keccak256(callData);
+        return validationData;
+    }
+}
@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.23;
+
+import { IERC1271 } from "@openzeppelin/contracts/interfaces/IERC1271.sol";
+
+/// @dev ERC-1271 signer that only accepts `hash` after prepare(hash), standing in for a deployed wallet
+/// whose signature depends on a pending update (ERC-6492 prepare call)
+contract MockPreparedSigner is IERC1271 {
+    mapping(bytes32 => bool) public prepared;
+
+    function prepare(bytes32 hash) external {
+        prepared[hash] = true;
+    }
+
+    function isValidSignature(bytes32 hash, bytes memory) external view returns (bytes4) {
+        return prepared[hash] ? IERC1271.isValidSignature.selector : bytes4(0xffffffff);
+    }
+}
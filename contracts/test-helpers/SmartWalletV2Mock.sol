@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.23;
+
+import { IEntryPoint } from "@openzeppelin/contracts/interfaces/draft-IERC4337.sol";
+import { SmartWallet } from "../SmartWallet.sol";
+
+/// @dev Next SmartWallet version used to exercise wallet upgrades
+contract SmartWalletV2Mock is SmartWallet {
+    uint256 public immutable walletVersion;
+    uint256 public upgradeMarker;
+
+    constructor(IEntryPoint entryPointAddr) SmartWallet(entryPointAddr) {
+        walletVersion = 2;
+    }
+
+    function initializeV2(uint256 marker) external reinitializer(2) {
+        upgradeMarker = marker;
+    }
+}
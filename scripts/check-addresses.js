@@ -0,0 +1,107 @@
+// Compares the deterministic deployment addresses predicted for every network in hardhat.config.js.
+//
+// Usage: node scripts/check-addresses.js [--onchain] [network ...]
+//   --onchain  also query each network's RPC and check the deployed factory matches the prediction
+//
+// The factory owner is FACTORY_OWNER. Without it, addresses are predicted for DEFAULT_FACTORY_OWNER: the owner
+// shifts every address but applies the same way on every chain, so the comparison still holds. --onchain needs
+// the real FACTORY_OWNER, since the deployed factory's address depends on it.
+const hre = require("hardhat");
+const { ethers } = hre;
+const { LOCAL_NETWORKS, entryPointFor, predictDeployment, predictWalletAddress } = require("./deterministic");
+
+const COMPARED_FIELDS = ["entryPoint", "factory", "accountImplementation", "walletProxy", "sampleWallet"];
+const DEFAULT_FACTORY_OWNER = "0x000000000000000000000000000000000000dEaD";
+const RPC_TIMEOUT_MS = 15_000;
+
+function factoryOwner(onchain) {
+  if (process.env.FACTORY_OWNER) return ethers.getAddress(process.env.FACTORY_OWNER);
+  if (onchain) throw new Error("--onchain needs FACTORY_OWNER, the owner the factories were deployed with");
+  return DEFAULT_FACTORY_OWNER;
+}
+
+function withTimeout(promise, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out`)), RPC_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function predictNetwork(name, owner) {
+  const deployment = await predictDeployment({ owner, entryPoint: await entryPointFor(name) });
+  return { ...deployment, sampleWallet: predictWalletAddress(deployment, owner, 0) };
+}
+
+async function checkOnchain(name, networkConfig, predicted) {
+  const provider = new ethers.JsonRpcProvider(networkConfig.url, networkConfig.chainId, { staticNetwork: true });
+  try {
+    if ((await withTimeout(provider.getCode(predicted.factory), name)) === "0x") return "not deployed";
+
+    const factory = await ethers.getContractAt("SmartWalletFactory", predicted.factory);
+    const connected = factory.connect(provider);
+    const walletProxy = await withTimeout(connected.walletProxy(), name);
+    const sampleWallet = await withTimeout(connected.getFunction("getAddress")(predicted.owner, 0), name);
+    if (walletProxy !== predicted.walletProxy || sampleWallet !== predicted.sampleWallet) {
+      throw new Error(`deployed factory returns walletProxy ${walletProxy}, wallet ${sampleWallet}`);
+    }
+    return "matches";
+  } finally {
+    provider.destroy();
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const onchain = args.includes("--onchain");
+  const owner = factoryOwner(onchain);
+  const requested = args.filter((arg) => !arg.startsWith("--"));
+  const names = (requested.length ? requested : Object.keys(hre.config.networks)).filter(
+    (name) => !LOCAL_NETWORKS.includes(name)
+  );
+
+  const rows = {};
+  const problems = [];
+  for (const name of names) {
+    const networkConfig = hre.config.networks[name];
+    if (!networkConfig) {
+      problems.push(`${name}: not configured in hardhat.config.js`);
+      continue;
+    }
+    try {
+      const predicted = await predictNetwork(name, owner);
+      rows[name] = { chainId: networkConfig.chainId };
+      for (const field of COMPARED_FIELDS) rows[name][field] = predicted[field];
+      if (onchain) rows[name].onchain = await checkOnchain(name, networkConfig, predicted);
+    } catch (error) {
+      if (rows[name]) rows[name].onchain = `error: ${error.message}`;
+      problems.push(`${name}: ${error.message}`);
+    }
+  }
+
+  console.table(rows);
+
+  const [reference, ...others] = Object.keys(rows);
+  for (const name of others) {
+    for (const field of COMPARED_FIELDS) {
+      if (rows[name][field] !== rows[reference][field]) {
+        problems.push(`${name}: ${field} ${rows[name][field]} differs from ${reference} (${rows[reference][field]})`);
+      }
+    }
+  }
+
+  if (problems.length) {
+    console.error("\nAddress check failed:");
+    for (const problem of problems) console.error(`- ${problem}`);
+    process.exitCode = 1;
+  } else {
+    console.log(`\nAll ${names.length} networks predict the same addresses.`);
+  }
+}
+
+main()
+  .then(() => process.exit(process.exitCode || 0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,73 @@
+// Checks every compiled contract under contracts/ against the EIP-170 runtime code and EIP-3860 initcode limits,
+// which the Hardhat network enforces like mainnet does.
+//
+// Usage: npx hardhat compile && node scripts/check-contract-sizes.js
+const hre = require("hardhat");
+
+const MAX_CODE_SIZE = 24_576; // EIP-170
+const MAX_INITCODE_SIZE = 2 * MAX_CODE_SIZE; // EIP-3860
+
+function byteLength(hex) {
+  return (hex.length - 2) / 2;
+}
+
+/**
+ * Runtime and creation code size of every deployable contract and library under contracts/
+ * @returns {Promise<{ name: string, size: number, initcodeSize: number }[]>}
+ */
+async function contractSizes() {
+  const names = await hre.artifacts.getAllFullyQualifiedNames();
+  const sizes = [];
+  for (const name of names.filter((fqn) => fqn.startsWith("contracts/"))) {
+    const { bytecode, deployedBytecode } = await hre.artifacts.readArtifact(name);
+    if (deployedBytecode === "0x") continue; // interfaces and abstract contracts
+    sizes.push({ name, size: byteLength(deployedBytecode), initcodeSize: byteLength(bytecode) });
+  }
+  return sizes;
+}
+
+/**
+ * Contracts over a size limit, as human readable messages
+ */
+function sizeViolations(sizes) {
+  const violations = [];
+  for (const { name, size, initcodeSize } of sizes) {
+    if (size > MAX_CODE_SIZE) violations.push(`${name}: ${size} bytes of code, limit ${MAX_CODE_SIZE}`);
+    if (initcodeSize > MAX_INITCODE_SIZE) {
+      violations.push(`${name}: ${initcodeSize} bytes of initcode, limit ${MAX_INITCODE_SIZE}`);
+    }
+  }
+  return violations;
+}
+
+async function main() {
+  const sizes = await contractSizes();
+  if (!sizes.length) throw new Error("No artifacts found, run `npx hardhat compile` first");
+
+  const rows = {};
+  for (const { name, size, initcodeSize } of sizes.sort((a, b) => b.size - a.size)) {
+    const contractName = name.split(":")[1];
+    rows[rows[contractName] ? name : contractName] = { size, initcodeSize, headroom: MAX_CODE_SIZE - size };
+  }
+  console.table(rows);
+
+  const violations = sizeViolations(sizes);
+  if (violations.length) {
+    console.error("\nContract size check failed:");
+    for (const violation of violations) console.error(`- ${violation}`);
+    process.exitCode = 1;
+  } else {
+    console.log(`\nAll ${sizes.length} contracts fit the EIP-170 and EIP-3860 limits.`);
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(process.exitCode || 0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { MAX_CODE_SIZE, MAX_INITCODE_SIZE, contractSizes, sizeViolations };
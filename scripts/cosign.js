@@ -0,0 +1,47 @@
+const { ethers } = require("ethers");
+
+/**
+ * Co-signed session key signatures.
+ *
+ * A session created with a `cosigner` (e.g. a risk server that can refuse on off-chain fraud signals) only accepts
+ * signatures that also carry the cosigner's ECDSA signature over the same hash: the userOpHash for UserOperations,
+ * or the nested ERC-7739 digest for isValidSignature. The session key signs in its usual format (ECDSA, P256,
+ * WebAuthn or enable mode) and the two signatures are combined as
+ * [4 bytes prefix][65 bytes cosigner signature][session key signature].
+ *
+ * For typed data, co-sign first and pass the combined signature to encodeSessionContentsSignature, then
+ * encodeTypedDataSignature (scripts/erc7739).
+ */
+
+const SESSION_KEY_COSIGNED = "0x00000009";
+
+/**
+ * Cosigner signature of `hash`, signed as is (no EIP-191 prefix)
+ * @param {import("ethers").Wallet | import("ethers").SigningKey} cosigner
+ */
+function cosign(cosigner, hash) {
+  const signingKey = cosigner.signingKey ?? cosigner;
+  return signingKey.sign(hash).serialized;
+}
+
+/**
+ * Combine a session key signature with the cosigner's signature of the same hash
+ */
+function encodeCosignedSignature(sessionSignature, cosignerSignature) {
+  if (ethers.dataLength(cosignerSignature) !== 65) throw new Error("cosigner signature must be 65 bytes");
+  return ethers.concat([SESSION_KEY_COSIGNED, cosignerSignature, sessionSignature]);
+}
+
+/**
+ * Sign `hash` as the cosigner and combine it with the session key's signature of that hash
+ */
+function cosignSessionSignature(cosigner, hash, sessionSignature) {
+  return encodeCosignedSignature(sessionSignature, cosign(cosigner, hash));
+}
+
+module.exports = {
+  SESSION_KEY_COSIGNED,
+  cosign,
+  encodeCosignedSignature,
+  cosignSessionSignature,
+};
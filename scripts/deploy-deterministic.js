@@ -0,0 +1,43 @@
+const { ethers, upgrades, network } = require("hardhat");
+const { deployInfrastructure, predictWalletAddress } = require("./deterministic");
+
+// Deploys EntryPoint (local networks), the wallet libraries and implementation and SmartWalletFactory at the same
+// addresses on every chain. Use the same FACTORY_OWNER everywhere: it is part of the factory address.
+async function main() {
+  const [deployer] = await ethers.getSigners();
+  const owner = process.env.FACTORY_OWNER || deployer.address;
+
+  console.log(`Deterministic deployment on ${network.name} (chainId ${network.config.chainId})`);
+  console.log("Deployer:", deployer.address);
+  console.log("Factory owner:", owner);
+
+  const deployment = await deployInfrastructure(deployer, { owner, networkName: network.name });
+
+  // Register the proxy with the upgrades plugin so later factory upgrades can use upgradeProxy
+  const SmartWalletFactory = await ethers.getContractFactory("SmartWalletFactory");
+  await upgrades.forceImport(deployment.factory, SmartWalletFactory, { kind: "uups" });
+
+  if (process.env.PAYMASTER) {
+    if (owner !== deployer.address) {
+      console.log("Factory owner must call setPaymaster:", process.env.PAYMASTER);
+    } else if ((await deployment.factoryContract.paymaster()) !== process.env.PAYMASTER) {
+      await (await deployment.factoryContract.setPaymaster(process.env.PAYMASTER)).wait();
+    }
+  }
+
+  console.log("\nAddresses (identical on every chain with the same owner and EntryPoint):");
+  console.log("- EntryPoint:", deployment.entryPoint);
+  console.log("- SmartWalletFactory:", deployment.factory);
+  console.log("- SmartWalletFactory implementation:", deployment.factoryImplementation);
+  console.log("- SmartWallet implementation:", deployment.accountImplementation);
+  for (const [name, address] of Object.entries(deployment.libraries)) console.log(`- ${name}:`, address);
+  console.log("- SmartWalletProxy:", deployment.walletProxy);
+  console.log("- Factory owner's wallet (salt 0):", predictWalletAddress(deployment, owner, 0));
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -1,4 +1,5 @@
 const { ethers, upgrades } = require("hardhat");
+const { deploySmartWalletImplementation } = require("./wallet-implementation");
 
 async function main() {
   console.log("Deploying Lendefi Smart Wallet Infrastructure...");
@@ -15,12 +16,17 @@ async function main() {
   await entryPoint.waitForDeployment();
   console.log("EntryPoint deployed to:", await entryPoint.getAddress());
 
+  // Deploy the wallet libraries and the SmartWallet implementation linked to them
+  console.log("\n2. Deploying SmartWallet implementation and libraries...");
+  const accountImplementation = await deploySmartWalletImplementation(await entryPoint.getAddress());
+  console.log("SmartWallet implementation deployed to:", await accountImplementation.getAddress());
+
   // Deploy SmartWalletFactory with upgrades
-  console.log("\n2. Deploying SmartWalletFactory (upgradeable)...");
+  console.log("\n3. Deploying SmartWalletFactory (upgradeable)...");
   const SmartWalletFactory = await ethers.getContractFactory("SmartWalletFactory");
   const factory = await upgrades.deployProxy(
     SmartWalletFactory,
-    [await entryPoint.getAddress(), deployer.address, ethers.ZeroAddress],
+    [await entryPoint.getAddress(), deployer.address, ethers.ZeroAddress, await accountImplementation.getAddress()],
     { 
       initializer: 'initialize',
       unsafeAllow: ['constructor']
@@ -31,25 +37,40 @@ async function main() {
   console.log("Implementation address:", await factory.getImplementation());
 
   // Deploy LendefiPaymaster
-  console.log("\n3. Deploying LendefiPaymaster...");
+  console.log("\n4. Deploying LendefiPaymaster...");
   const LendefiPaymaster = await ethers.getContractFactory("LendefiPaymaster");
   const paymaster = await LendefiPaymaster.deploy(await entryPoint.getAddress(), await factory.getAddress());
   await paymaster.waitForDeployment();
   console.log("LendefiPaymaster deployed to:", await paymaster.getAddress());
 
   // Fund the paymaster with some ETH for gas subsidies
-  console.log("\n4. Funding Paymaster...");
+  console.log("\n5. Funding Paymaster...");
   const fundAmount = ethers.parseEther("1.0"); // 1 ETH
   const tx = await paymaster.deposit({ value: fundAmount });
   await tx.wait();
   console.log("Paymaster funded with 1 ETH");
 
-  // Create a test smart wallet
-  console.log("\n5. Creating test smart wallet...");
+  // Let the factory grant trial subscriptions during onboarding
+  console.log("\n6. Authorizing factory on Paymaster...");
+  await (await factory.setPaymaster(await paymaster.getAddress())).wait();
+  await (await paymaster.addAuthorizedOperator(await factory.getAddress())).wait();
+  console.log("Factory can grant subscriptions");
+
+  // Create, fund and subscribe a test smart wallet in one transaction
+  console.log("\n7. Onboarding test smart wallet...");
   const testUser = deployer.address;
   const salt = 12345;
-  
-  const createTx = await factory.createAccount(testUser, salt);
+  const oneYear = 365 * 24 * 60 * 60; // 1 year in seconds
+  const onboardingConfig = {
+    ecdsaSessions: [],
+    p256Sessions: [],
+    trialTier: 2, // PREMIUM tier
+    trialDuration: oneYear
+  };
+
+  const createTx = await factory.createAccountWithConfig(testUser, salt, onboardingConfig, {
+    value: ethers.parseEther("0.01") // EntryPoint deposit for the wallet
+  });
   const receipt = await createTx.wait();
   
   // Get the wallet address from the event
@@ -65,16 +86,6 @@ async function main() {
   
   console.log("Test wallet created for user:", testUser);
   console.log("Wallet address:", walletAddress);
-
-  // Grant premium subscription to the test user  
-  console.log("\n6. Granting premium subscription...");
-  const oneYear = 365 * 24 * 60 * 60; // 1 year in seconds
-  const grantTx = await paymaster.grantSubscription(
-    walletAddress, // Grant to the wallet address, not user address
-    2, // PREMIUM tier
-    oneYear
-  );
-  await grantTx.wait();
   console.log("Premium subscription granted to test wallet");
 
   // Verify subscription
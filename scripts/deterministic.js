@@ -0,0 +1,193 @@
+const { ethers, artifacts } = require("hardhat");
+// Precompiled by OpenZeppelin: upgrades-core is pinned in package.json, this bytecode is part of the factory address
+const ERC1967Proxy = require("@openzeppelin/upgrades-core/artifacts/@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol/ERC1967Proxy.json");
+const { WALLET_LIBRARIES, linkBytecode } = require("./wallet-implementation");
+
+/**
+ * Deterministic deployment of the wallet infrastructure.
+ *
+ * Every contract a wallet address depends on is deployed with CREATE2 through the deterministic
+ * deployment proxy, so the addresses only depend on bytecode, constructor arguments and the salt:
+ *
+ *   EntryPoint        canonical v0.7 EntryPoint (local networks: this repo's EntryPoint via CREATE2)
+ *   wallet libraries  CREATE2(library bytecode, linked to the libraries deployed before it)
+ *   accountImpl       CREATE2(SmartWallet bytecode linked to the wallet libraries, entryPoint)
+ *   factory logic     CREATE2(SmartWalletFactory bytecode)
+ *   factory proxy     CREATE2(ERC1967Proxy(factory logic, initialize(entryPoint, owner, 0, accountImpl)))
+ *   walletProxy       CREATE by the factory proxy, nonce 1 (deployed in initialize, never replaced)
+ *   wallet            Clones.cloneDeterministic(walletProxy, keccak256(abi.encode(owner, salt)))
+ *
+ * A user's wallet address is therefore identical on every chain deployed with the same compiler
+ * output, factory owner and EntryPoint. The paymaster is not part of the derivation and is set
+ * per chain after deployment.
+ */
+
+// Deterministic deployment proxy (https://github.com/Arachnid/deterministic-deployment-proxy)
+const DETERMINISTIC_DEPLOYER = "0x4e59b44847b379578588920cA78FbF26c0B4956C";
+// Pre-EIP-155 transaction deploying it on chains where it is missing; its signer needs DEPLOYER_FUNDING
+const DETERMINISTIC_DEPLOYER_SIGNER = "0x3fAB184622Dc19b6109349B94811493BF2a45362";
+const DETERMINISTIC_DEPLOYER_TX =
+  "0xf8a58085174876e800830186a08080b853604580600e600039806000f350fe7fffffffffffffffffffffffffffffffffffffffff" +
+  "ffffffffffffffffffffffe03601600081602082378035828234f58015156039578182fd5b8082525050506014600cf31ba0222222" +
+  "2222222222222222222222222222222222222222222222222222222222a0222222222222222222222222222222222222222222222222" +
+  "2222222222222222";
+const DEPLOYER_FUNDING = ethers.parseEther("0.01");
+
+// Canonical ERC-4337 v0.7 EntryPoint, at the same address on every chain that has it
+const CANONICAL_ENTRY_POINT = "0x0000000071727De22E5E9d8BAf0edAc6f37da032";
+
+const DEPLOYMENT_SALT = ethers.id("lendefi.smart-wallet.deployment.v1");
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+const EIP1167_PREFIX = "0x3d602d80600a3d3981f3363d3d373d3d3d363d73";
+const EIP1167_SUFFIX = "0x5af43d82803e903d91602b57fd5bf3";
+
+/**
+ * Address the deterministic deployer creates `initCode` at
+ */
+function create2Address(initCode, salt = DEPLOYMENT_SALT) {
+  return ethers.getCreate2Address(DETERMINISTIC_DEPLOYER, salt, ethers.keccak256(initCode));
+}
+
+/**
+ * EntryPoint used on a network: the canonical one, or this repo's EntryPoint on local networks
+ */
+async function entryPointFor(networkName) {
+  if (!LOCAL_NETWORKS.includes(networkName)) return CANONICAL_ENTRY_POINT;
+  const { bytecode } = await artifacts.readArtifact("EntryPoint");
+  return create2Address(bytecode);
+}
+
+/**
+ * Predict every address of a deployment without touching the chain
+ * @param {{ owner: string, entryPoint: string }} params Factory owner and EntryPoint address
+ */
+async function predictDeployment({ owner, entryPoint }) {
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+
+  const libraries = {};
+  const libraryInitCodes = {};
+  for (const name of WALLET_LIBRARIES) {
+    libraryInitCodes[name] = await linkBytecode(name, libraries);
+    libraries[name] = create2Address(libraryInitCodes[name]);
+  }
+  const accountInitCode = ethers.concat([
+    await linkBytecode("SmartWallet", libraries),
+    coder.encode(["address"], [entryPoint]),
+  ]);
+  const accountImplementation = create2Address(accountInitCode);
+
+  const factoryArtifact = await artifacts.readArtifact("SmartWalletFactory");
+  const factoryInterface = new ethers.Interface(factoryArtifact.abi);
+
+  const factoryImplementation = create2Address(factoryArtifact.bytecode);
+  const initData = factoryInterface.encodeFunctionData("initialize", [
+    entryPoint,
+    owner,
+    ethers.ZeroAddress,
+    accountImplementation,
+  ]);
+  const factoryInitCode = ethers.concat([
+    ERC1967Proxy.bytecode,
+    coder.encode(["address", "bytes"], [factoryImplementation, initData]),
+  ]);
+  const factory = create2Address(factoryInitCode);
+
+  return {
+    owner,
+    entryPoint,
+    libraries,
+    accountImplementation,
+    factoryImplementation,
+    factory,
+    walletProxy: ethers.getCreateAddress({ from: factory, nonce: 1 }),
+    initCodes: {
+      libraries: libraryInitCodes,
+      accountImplementation: accountInitCode,
+      factoryImplementation: factoryArtifact.bytecode,
+      factory: factoryInitCode,
+    },
+  };
+}
+
+/**
+ * Predict the address of `owner`'s wallet at `salt` for a deployment
+ */
+function predictWalletAddress(deployment, owner, salt) {
+  const cloneInitCode = ethers.concat([EIP1167_PREFIX, deployment.walletProxy, EIP1167_SUFFIX]);
+  const walletSalt = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["address", "uint256"], [owner, salt]));
+  return ethers.getCreate2Address(deployment.factory, walletSalt, ethers.keccak256(cloneInitCode));
+}
+
+/**
+ * Install the deterministic deployer on chains that do not have it yet
+ */
+async function ensureDeterministicDeployer(signer) {
+  const { provider } = signer;
+  if ((await provider.getCode(DETERMINISTIC_DEPLOYER)) !== "0x") return;
+
+  await (await signer.sendTransaction({ to: DETERMINISTIC_DEPLOYER_SIGNER, value: DEPLOYER_FUNDING })).wait();
+  await (await provider.broadcastTransaction(DETERMINISTIC_DEPLOYER_TX)).wait();
+}
+
+/**
+ * Deploy `initCode` through the deterministic deployer unless it is already deployed
+ * @returns {Promise<{ address: string, deployed: boolean }>}
+ */
+async function deployDeterministic(signer, initCode, salt = DEPLOYMENT_SALT) {
+  const address = create2Address(initCode, salt);
+  if ((await signer.provider.getCode(address)) !== "0x") return { address, deployed: false };
+
+  const tx = await signer.sendTransaction({ to: DETERMINISTIC_DEPLOYER, data: ethers.concat([salt, initCode]) });
+  await tx.wait();
+  if ((await signer.provider.getCode(address)) === "0x") {
+    throw new Error(`Deterministic deployment to ${address} failed (tx ${tx.hash})`);
+  }
+  return { address, deployed: true };
+}
+
+/**
+ * Deploy EntryPoint (local networks only), wallet libraries and implementation, factory logic and factory proxy
+ * deterministically
+ * @param {import("ethers").Signer} signer Pays for the deployment; need not be the factory owner
+ * @param {{ owner: string, networkName: string }} params Factory owner and network name
+ */
+async function deployInfrastructure(signer, { owner, networkName }) {
+  await ensureDeterministicDeployer(signer);
+
+  const entryPoint = await entryPointFor(networkName);
+  if (LOCAL_NETWORKS.includes(networkName)) {
+    const { bytecode } = await artifacts.readArtifact("EntryPoint");
+    await deployDeterministic(signer, bytecode);
+  } else if ((await signer.provider.getCode(entryPoint)) === "0x") {
+    throw new Error(`Canonical EntryPoint ${entryPoint} is not deployed on ${networkName}`);
+  }
+
+  const deployment = await predictDeployment({ owner, entryPoint });
+  for (const name of WALLET_LIBRARIES) {
+    await deployDeterministic(signer, deployment.initCodes.libraries[name]);
+  }
+  await deployDeterministic(signer, deployment.initCodes.accountImplementation);
+  await deployDeterministic(signer, deployment.initCodes.factoryImplementation);
+  await deployDeterministic(signer, deployment.initCodes.factory);
+
+  const factory = await ethers.getContractAt("SmartWalletFactory", deployment.factory, signer);
+  if ((await factory.walletProxy()) !== deployment.walletProxy) {
+    throw new Error(`Factory ${deployment.factory} does not match the predicted deployment`);
+  }
+  return { ...deployment, factoryContract: factory };
+}
+
+module.exports = {
+  DETERMINISTIC_DEPLOYER,
+  CANONICAL_ENTRY_POINT,
+  DEPLOYMENT_SALT,
+  LOCAL_NETWORKS,
+  create2Address,
+  entryPointFor,
+  predictDeployment,
+  predictWalletAddress,
+  ensureDeterministicDeployer,
+  deployDeterministic,
+  deployInfrastructure,
+};
@@ -0,0 +1,85 @@
+const { ethers } = require("ethers");
+
+/**
+ * ERC-6492 helpers: sign in with a wallet before it is deployed.
+ *
+ * A counterfactual wallet's owner signs as usual for the wallet (an ERC-7739 nested signature bound to the
+ * predicted wallet address, see erc7739.js); the signature is wrapped with the factory call that
+ * deploys the wallet. Verifiers (e.g. a SIWE backend) check it with verifySignature against any node:
+ * the check runs ValidateSigOffchain in an eth_call, so nothing is deployed.
+ */
+
+const ERC6492_DETECTION_SUFFIX = "0x" + "6492".repeat(16);
+
+const factoryInterface = new ethers.Interface(["function createAccount(address owner, uint256 salt)"]);
+
+/**
+ * Wrap `signature` with the call deploying the signer: abi.encode(factory, factoryCalldata, signature) ++ suffix
+ */
+function wrapSignature(factoryAddress, factoryCalldata, signature) {
+  const encoded = ethers.AbiCoder.defaultAbiCoder().encode(
+    ["address", "bytes", "bytes"],
+    [factoryAddress, factoryCalldata, signature]
+  );
+  return ethers.concat([encoded, ERC6492_DETECTION_SUFFIX]);
+}
+
+/**
+ * Wrap an owner signature of the wallet SmartWalletFactory deploys for (owner, salt)
+ */
+function wrapCounterfactualSignature(factoryAddress, owner, salt, signature) {
+  const factoryCalldata = factoryInterface.encodeFunctionData("createAccount", [owner, salt]);
+  return wrapSignature(factoryAddress, factoryCalldata, signature);
+}
+
+function isWrappedSignature(signature) {
+  const bytes = ethers.getBytes(signature);
+  return bytes.length >= 32 && ethers.hexlify(bytes.slice(-32)) === ERC6492_DETECTION_SUFFIX;
+}
+
+/**
+ * Split a wrapped signature into its factory, factory calldata and inner signature
+ */
+function unwrapSignature(signature) {
+  if (!isWrappedSignature(signature)) return { factory: null, factoryCalldata: null, signature };
+  const bytes = ethers.getBytes(signature);
+  const [factory, factoryCalldata, inner] = ethers.AbiCoder.defaultAbiCoder().decode(
+    ["address", "bytes", "bytes"],
+    bytes.slice(0, -32)
+  );
+  return { factory, factoryCalldata, signature: inner };
+}
+
+function defaultValidatorBytecode() {
+  return require("../artifacts/contracts/ValidateSigOffchain.sol/ValidateSigOffchain.json").bytecode;
+}
+
+/**
+ * Check a plain, ERC-1271 or ERC-6492 signature of `hash` by `signer` without deploying anything
+ * @param {import("ethers").Provider} provider Any node of the signer's chain
+ * @param {{ validatorBytecode?: string }} options ValidateSigOffchain creation code (defaults to the local artifact)
+ * @returns {Promise<boolean>}
+ */
+async function verifySignature(provider, signer, hash, signature, options = {}) {
+  const validatorBytecode = options.validatorBytecode || defaultValidatorBytecode();
+  const args = ethers.AbiCoder.defaultAbiCoder().encode(["address", "bytes32", "bytes"], [signer, hash, signature]);
+  const result = await provider.call({ data: ethers.concat([validatorBytecode, args]) });
+  return result === "0x01";
+}
+
+/**
+ * Check an EIP-191 signed message, e.g. a SIWE message signed by a counterfactual wallet's owner
+ */
+function verifyMessage(provider, signer, message, signature, options = {}) {
+  return verifySignature(provider, signer, ethers.hashMessage(message), signature, options);
+}
+
+module.exports = {
+  ERC6492_DETECTION_SUFFIX,
+  wrapSignature,
+  wrapCounterfactualSignature,
+  isWrappedSignature,
+  unwrapSignature,
+  verifySignature,
+  verifyMessage,
+};
@@ -0,0 +1,185 @@
+const { ethers } = require("ethers");
+
+/**
+ * ERC-7739 helpers: sign messages and typed data for a wallet's isValidSignature.
+ *
+ * The wallet only accepts signatures nested in its own EIP-712 domain, so a signature given to one wallet
+ * cannot be replayed on another wallet of the same owner or session key:
+ * - EIP-191 messages (personal_sign, SIWE) are signed as PersonalSign(bytes prefixed)
+ * - EIP-712 typed data is signed as TypedDataSign(Contents contents, <wallet domain fields>) under the app's
+ *   domain, and the signature carries what the wallet needs to rebuild that struct from the app's digest
+ *
+ * Owners sign with signTypedData. Raw-key signers (session keys, P256/passkey owners) sign the digest returned
+ * by personalSignHash or typedDataSignHash and encode it in their usual wallet signature format. Session keys
+ * signing typed data under a signing permission also wrap their signature with encodeSessionContentsSignature,
+ * so the wallet can check the contents type against the contents hash.
+ */
+
+const WALLET_DOMAIN_NAME = "Lendefi Smart Wallet";
+const WALLET_DOMAIN_VERSION = "1";
+const ERC7739_DETECTION_HASH = "0x" + "7739".repeat(16);
+const ERC7739_SUPPORT = "0x77390001";
+const PERSONAL_SIGN_TYPEHASH = ethers.id("PersonalSign(bytes prefixed)");
+const PERSONAL_SIGN_TYPES = { PersonalSign: [{ name: "prefixed", type: "bytes" }] };
+const SESSION_KEY_ECDSA = "0x00000001";
+const SESSION_KEY_TYPED_CONTENTS = "0x0000000a";
+
+const walletInterface = new ethers.Interface([
+  "function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)",
+]);
+
+/**
+ * EIP-712 domain of a SmartWallet
+ */
+function walletDomain(wallet, chainId) {
+  return {
+    name: WALLET_DOMAIN_NAME,
+    version: WALLET_DOMAIN_VERSION,
+    chainId,
+    verifyingContract: ethers.getAddress(wallet),
+  };
+}
+
+/**
+ * EIP-191 encoding of `message` ("\x19Ethereum Signed Message:\n" + length + message); its keccak256 is hashMessage(message)
+ */
+function prefixedMessage(message) {
+  const bytes = typeof message === "string" ? ethers.toUtf8Bytes(message) : ethers.getBytes(message);
+  return ethers.concat([ethers.toUtf8Bytes(ethers.MessagePrefix), ethers.toUtf8Bytes(String(bytes.length)), bytes]);
+}
+
+/**
+ * Digest to sign for isValidSignature(hash, signature), where `hash` is an EIP-191 hash (e.g. ethers.hashMessage)
+ */
+function personalSignHash(domain, hash) {
+  const structHash = ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(["bytes32", "bytes32"], [PERSONAL_SIGN_TYPEHASH, hash])
+  );
+  return ethers.keccak256(ethers.concat(["0x1901", ethers.TypedDataEncoder.hashDomain(domain), structHash]));
+}
+
+/**
+ * Sign `message` as the wallet owner; the wallet validates it for hashMessage(message)
+ */
+function signPersonalMessage(signer, domain, message) {
+  return signer.signTypedData(domain, PERSONAL_SIGN_TYPES, { prefixed: prefixedMessage(message) });
+}
+
+/**
+ * Types of the TypedDataSign struct wrapping the app's primary type
+ */
+function typedDataSignTypes(types) {
+  return {
+    ...types,
+    TypedDataSign: [
+      { name: "contents", type: ethers.TypedDataEncoder.getPrimaryType(types) },
+      { name: "name", type: "string" },
+      { name: "version", type: "string" },
+      { name: "chainId", type: "uint256" },
+      { name: "verifyingContract", type: "address" },
+      { name: "salt", type: "bytes32" },
+    ],
+  };
+}
+
+function typedDataSignValue(domain, value) {
+  return {
+    contents: value,
+    name: domain.name,
+    version: domain.version,
+    chainId: domain.chainId,
+    verifyingContract: domain.verifyingContract,
+    salt: ethers.ZeroHash,
+  };
+}
+
+/**
+ * Digest to sign for isValidSignature(TypedDataEncoder.hash(appDomain, types, value), signature)
+ */
+function typedDataSignHash(domain, appDomain, types, value) {
+  return ethers.TypedDataEncoder.hash(appDomain, typedDataSignTypes(types), typedDataSignValue(domain, value));
+}
+
+/**
+ * Append the app domain separator, contents hash and contents description to a TypedDataSign signature:
+ * signature ++ appSeparator ++ contentsHash ++ contentsDescr ++ uint16(contentsDescr.length)
+ */
+function encodeTypedDataSignature(signature, appDomain, types, value) {
+  const primaryType = ethers.TypedDataEncoder.getPrimaryType(types);
+  // Explicit contents description: the referenced types in TypedDataSign's encodeType order, then the contents name
+  const encodedType = ethers.TypedDataEncoder.from(typedDataSignTypes(types)).encodeType("TypedDataSign");
+  const contentsDescr = ethers.toUtf8Bytes(encodedType.slice(encodedType.indexOf(")") + 1) + primaryType);
+
+  return ethers.concat([
+    signature,
+    ethers.TypedDataEncoder.hashDomain(appDomain),
+    ethers.TypedDataEncoder.hashStruct(primaryType, types, value),
+    contentsDescr,
+    ethers.toBeHex(contentsDescr.length, 2),
+  ]);
+}
+
+/**
+ * Sign app typed data as the wallet owner; the wallet validates it for TypedDataEncoder.hash(appDomain, types, value)
+ */
+async function signTypedDataSign(signer, domain, appDomain, types, value) {
+  const signature = await signer.signTypedData(appDomain, typedDataSignTypes(types), typedDataSignValue(domain, value));
+  return encodeTypedDataSignature(signature, appDomain, types, value);
+}
+
+/**
+ * Wallet signature of `digest` by an ECDSA session key (an ethers.Wallet)
+ * Format: [4 bytes prefix][20 bytes session key][65 bytes signature]
+ */
+function signSessionECDSA(sessionKey, digest) {
+  return ethers.concat([SESSION_KEY_ECDSA, sessionKey.address, sessionKey.signingKey.sign(digest).serialized]);
+}
+
+/**
+ * Wrap a session key signature (possibly co-signed) of app typed data with the contents' encodeData, which the
+ * wallet checks against the contents hash before matching the session's signing permissions.
+ * Format: [4 bytes prefix][2 bytes length][encodeData][session key signature]
+ */
+function encodeSessionContentsSignature(sessionSignature, types, value) {
+  const primaryType = ethers.TypedDataEncoder.getPrimaryType(types);
+  // encodeData without the leading typehash, which the wallet takes from the contents description
+  const encodeData = ethers.dataSlice(ethers.TypedDataEncoder.from(types).encodeData(primaryType, value), 32);
+  return ethers.concat([
+    SESSION_KEY_TYPED_CONTENTS,
+    ethers.toBeHex(ethers.dataLength(encodeData), 2),
+    encodeData,
+    sessionSignature,
+  ]);
+}
+
+/**
+ * Check whether `wallet` answers the ERC-7739 detection request
+ * @param {import("ethers").Provider} provider
+ * @returns {Promise<boolean>}
+ */
+async function supportsERC7739(provider, wallet) {
+  try {
+    const data = walletInterface.encodeFunctionData("isValidSignature", [ERC7739_DETECTION_HASH, "0x"]);
+    const result = await provider.call({ to: wallet, data });
+    return walletInterface.decodeFunctionResult("isValidSignature", result)[0] === ERC7739_SUPPORT;
+  } catch {
+    return false;
+  }
+}
+
+module.exports = {
+  ERC7739_DETECTION_HASH,
+  ERC7739_SUPPORT,
+  PERSONAL_SIGN_TYPEHASH,
+  walletDomain,
+  prefixedMessage,
+  personalSignHash,
+  signPersonalMessage,
+  typedDataSignTypes,
+  typedDataSignHash,
+  encodeTypedDataSignature,
+  signTypedDataSign,
+  signSessionECDSA,
+  encodeSessionContentsSignature,
+  supportsERC7739,
+};
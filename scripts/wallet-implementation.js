@@ -0,0 +1,101 @@
+const { ethers, artifacts } = require("hardhat");
+
+/**
+ * SmartWallet implementation and the libraries linked into it.
+ *
+ * Session, policy, cosigner, passkey and guardian logic live in external libraries so the wallet stays
+ * under the EIP-170 code size limit. They are deployed once per chain and linked into every implementation;
+ * SessionValidationLib itself links SessionKeyLib and PasskeyVerifier, hence the deployment order below.
+ * The factory does not embed the wallet's creation code: it is initialized with a deployed implementation.
+ */
+
+// Libraries linked into SmartWallet, in deployment order
+const WALLET_LIBRARIES = ["SessionKeyLib", "PasskeyVerifier", "SessionValidationLib", "GuardianLib"];
+
+/**
+ * Libraries `contractName` links, picked from `libraries` (name => address)
+ */
+async function linkedLibraries(contractName, libraries) {
+  const { linkReferences } = await artifacts.readArtifact(contractName);
+  const linked = {};
+  for (const references of Object.values(linkReferences)) {
+    for (const name of Object.keys(references)) {
+      if (!libraries[name]) throw new Error(`${contractName} links ${name}, which is not deployed`);
+      linked[name] = libraries[name];
+    }
+  }
+  return linked;
+}
+
+/**
+ * Creation bytecode of `contractName` with its library placeholders replaced by `libraries` (name => address)
+ */
+async function linkBytecode(contractName, libraries) {
+  const { bytecode, linkReferences } = await artifacts.readArtifact(contractName);
+  const linked = await linkedLibraries(contractName, libraries);
+
+  let code = bytecode;
+  for (const references of Object.values(linkReferences)) {
+    for (const [name, offsets] of Object.entries(references)) {
+      const address = linked[name].slice(2).toLowerCase();
+      for (const { start, length } of offsets) {
+        const position = 2 + start * 2;
+        code = code.slice(0, position) + address + code.slice(position + length * 2);
+      }
+    }
+  }
+  return code;
+}
+
+/**
+ * Deploy the wallet libraries with plain CREATE
+ * @param {import("ethers").Signer} [signer] Defaults to the first Hardhat signer
+ * @returns {Promise<Record<string, string>>} Library name => address
+ */
+async function deployWalletLibraries(signer) {
+  const libraries = {};
+  for (const name of WALLET_LIBRARIES) {
+    const factory = await ethers.getContractFactory(name, {
+      signer,
+      libraries: await linkedLibraries(name, libraries),
+    });
+    const library = await factory.deploy();
+    await library.waitForDeployment();
+    libraries[name] = library.target;
+  }
+  return libraries;
+}
+
+/**
+ * Contract factory of SmartWallet, or of a contract built on it, linked to `libraries`
+ */
+async function getWalletContractFactory(libraries, { contractName = "SmartWallet", signer } = {}) {
+  return ethers.getContractFactory(contractName, {
+    signer,
+    libraries: await linkedLibraries(contractName, libraries),
+  });
+}
+
+/**
+ * Deploy a SmartWallet implementation for `entryPoint`, deploying its libraries unless they are given
+ * @param {string} entryPoint EntryPoint address the implementation is bound to
+ * @param {{ contractName?: string, signer?: import("ethers").Signer, libraries?: Record<string, string> }} [options]
+ */
+async function deploySmartWalletImplementation(entryPoint, { contractName = "SmartWallet", signer, libraries } = {}) {
+  const factory = await getWalletContractFactory(libraries || (await deployWalletLibraries(signer)), {
+    contractName,
+    signer,
+  });
+  const implementation = await factory.deploy(entryPoint);
+  await implementation.waitForDeployment();
+  return implementation;
+}
+
+module.exports = {
+  WALLET_LIBRARIES,
+  linkedLibraries,
+  linkBytecode,
+  deployWalletLibraries,
+  getWalletContractFactory,
+  deploySmartWalletImplementation,
+};
@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers, upgrades } = require("hardhat");
 const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deploySmartWalletImplementation } = require("../scripts/wallet-implementation");
 
 describe("Amount Parameter Fuzzing", function () {
     async function deploySystemFixture() {
@@ -9,11 +10,14 @@ describe("Amount Parameter Fuzzing", function () {
         // Deploy EntryPoint
         const entryPoint = await ethers.deployContract("EntryPoint");
         
+        // Deploy SmartWallet implementation and its libraries
+        const accountImplementation = await deploySmartWalletImplementation(entryPoint.target);
+
         // Deploy factory with upgrades plugin
         const SmartWalletFactory = await ethers.getContractFactory("SmartWalletFactory");
         const factory = await upgrades.deployProxy(
             SmartWalletFactory,
-            [entryPoint.target, owner.address, ethers.ZeroAddress],
+            [entryPoint.target, owner.address, ethers.ZeroAddress, accountImplementation.target],
             { 
                 initializer: 'initialize',
                 unsafeAllow: ['constructor'],
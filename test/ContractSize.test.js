@@ -0,0 +1,22 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { contractSizes, sizeViolations } = require("../scripts/check-contract-sizes");
+
+describe("Contract Sizes", function () {
+    before(function () {
+        // Coverage instrumentation inflates the bytecode and lifts the limit
+        if (hre.__SOLIDITY_COVERAGE_RUNNING) this.skip();
+    });
+
+    it("Should keep every contract within the EIP-170 and EIP-3860 limits", async function () {
+        const sizes = await contractSizes();
+
+        expect(sizes.map(({ name }) => name)).to.include.members([
+            "contracts/SmartWallet.sol:SmartWallet",
+            "contracts/SmartWalletFactory.sol:SmartWalletFactory",
+            "contracts/libraries/SessionKeyLib.sol:SessionKeyLib",
+            "contracts/libraries/SessionValidationLib.sol:SessionValidationLib",
+        ]);
+        expect(sizeViolations(sizes)).to.deep.equal([]);
+    });
+});
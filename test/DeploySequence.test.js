@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers, upgrades } = require("hardhat");
+const { deploySmartWalletImplementation } = require("../scripts/wallet-implementation");
 
 describe("Deploy Sequence Test", function () {
     async function deploySystem() {
@@ -8,11 +9,14 @@ describe("Deploy Sequence Test", function () {
         // Deploy EntryPoint
         const entryPoint = await ethers.deployContract("EntryPoint");
         
+        // Deploy SmartWallet implementation and its libraries
+        const accountImplementation = await deploySmartWalletImplementation(entryPoint.target);
+
         // Deploy factory with upgrades plugin
         const SmartWalletFactory = await ethers.getContractFactory("SmartWalletFactory");
         const factory = await upgrades.deployProxy(
             SmartWalletFactory,
-            [entryPoint.target, owner.address, ethers.ZeroAddress],
+            [entryPoint.target, owner.address, ethers.ZeroAddress, accountImplementation.target],
             { 
                 initializer: 'initialize',
                 unsafeAllow: ['constructor']
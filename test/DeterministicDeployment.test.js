@@ -0,0 +1,67 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    DETERMINISTIC_DEPLOYER,
+    CANONICAL_ENTRY_POINT,
+    entryPointFor,
+    predictDeployment,
+    predictWalletAddress,
+    deployInfrastructure,
+} = require("../scripts/deterministic");
+
+describe("Deterministic Deployment", function () {
+    async function deploymentFixture() {
+        const [deployer, factoryOwner, user] = await ethers.getSigners();
+        const deployment = await deployInfrastructure(deployer, { owner: factoryOwner.address, networkName: "hardhat" });
+        return { deployer, factoryOwner, user, deployment, factory: deployment.factoryContract };
+    }
+
+    it("Should deploy every contract at its predicted address", async function () {
+        const { factoryOwner, deployment, factory } = await loadFixture(deploymentFixture);
+        const predicted = await predictDeployment({
+            owner: factoryOwner.address,
+            entryPoint: await entryPointFor("hardhat"),
+        });
+
+        expect(await ethers.provider.getCode(DETERMINISTIC_DEPLOYER)).to.not.equal("0x");
+        expect(deployment.factory).to.equal(predicted.factory);
+        expect(await factory.entryPoint()).to.equal(predicted.entryPoint);
+        expect(await factory.accountImplementation()).to.equal(predicted.accountImplementation);
+        for (const library of Object.values(predicted.libraries)) {
+            expect(await ethers.provider.getCode(library)).to.not.equal("0x");
+        }
+        expect(await factory.walletProxy()).to.equal(predicted.walletProxy);
+        expect(await factory.owner()).to.equal(factoryOwner.address);
+        expect(await upgrades.erc1967.getImplementationAddress(factory.target)).to.equal(
+            predicted.factoryImplementation
+        );
+    });
+
+    it("Should create wallets at the predicted address", async function () {
+        const { factoryOwner, user, deployment, factory } = await loadFixture(deploymentFixture);
+        const expected = predictWalletAddress(deployment, user.address, 7);
+
+        expect(await factory.getFunction("getAddress")(user.address, 7)).to.equal(expected);
+        await factory.connect(factoryOwner).createAccount(user.address, 7);
+        expect(await factory.getWallet(user.address)).to.equal(expected);
+    });
+
+    it("Should not depend on the deploying account and be idempotent", async function () {
+        const { user, deployment } = await loadFixture(deploymentFixture);
+
+        const again = await deployInfrastructure(user, { owner: deployment.owner, networkName: "hardhat" });
+        expect(again.factory).to.equal(deployment.factory);
+        expect(again.walletProxy).to.equal(deployment.walletProxy);
+    });
+
+    it("Should derive different addresses for a different owner or EntryPoint", async function () {
+        const { user, deployment } = await loadFixture(deploymentFixture);
+
+        const otherOwner = await predictDeployment({ owner: user.address, entryPoint: deployment.entryPoint });
+        const otherEntryPoint = await predictDeployment({ owner: deployment.owner, entryPoint: CANONICAL_ENTRY_POINT });
+        expect(otherOwner.factory).to.not.equal(deployment.factory);
+        expect(otherEntryPoint.factory).to.not.equal(deployment.factory);
+        expect(await entryPointFor("base")).to.equal(CANONICAL_ENTRY_POINT);
+    });
+});
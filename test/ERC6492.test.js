@@ -0,0 +1,187 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { walletFixture, getWalletDomain } = require("./helpers/setup");
+const { walletDomain, signPersonalMessage } = require("../scripts/erc7739");
+const {
+    wrapCounterfactualSignature,
+    isWrappedSignature,
+    unwrapSignature,
+    verifySignature,
+    verifyMessage,
+} = require("../scripts/erc6492");
+
+describe("ERC-6492 Counterfactual Signatures", function () {
+    const MESSAGE = "app.lendefi.com wants you to sign in with your Ethereum account";
+
+    async function counterfactualFixture() {
+        const fixture = await walletFixture();
+        const { factory } = fixture;
+        await factory.setPermissionlessCreation(true, ethers.ZeroAddress);
+
+        const validator = await ethers.deployContract("UniversalSigValidator");
+        const walletOwner = ethers.Wallet.createRandom();
+        const counterfactual = await factory.getFunction("getAddress")(walletOwner.address, 0);
+        const { chainId } = await ethers.provider.getNetwork();
+        const domain = walletDomain(counterfactual, chainId);
+        const signature = await signPersonalMessage(walletOwner, domain, MESSAGE);
+        const wrapped = wrapCounterfactualSignature(factory.target, walletOwner.address, 0, signature);
+        return { ...fixture, validator, walletOwner, counterfactual, domain, signature, wrapped };
+    }
+
+    describe("JS helpers", function () {
+        it("Should verify a SIWE message signed for an undeployed wallet without deploying it", async function () {
+            const { counterfactual, wrapped } = await loadFixture(counterfactualFixture);
+
+            expect(await verifyMessage(ethers.provider, counterfactual, MESSAGE, wrapped)).to.be.true;
+            expect(await ethers.provider.getCode(counterfactual)).to.equal("0x");
+        });
+
+        it("Should reject signatures from anyone but the wallet owner", async function () {
+            const { factory, walletOwner, counterfactual, domain } = await loadFixture(counterfactualFixture);
+
+            const forged = await signPersonalMessage(ethers.Wallet.createRandom(), domain, MESSAGE);
+            const wrapped = wrapCounterfactualSignature(factory.target, walletOwner.address, 0, forged);
+            expect(await verifyMessage(ethers.provider, counterfactual, MESSAGE, wrapped)).to.be.false;
+            expect(await verifyMessage(ethers.provider, counterfactual, "another message", wrapped)).to.be.false;
+        });
+
+        it("Should wrap and unwrap signatures", async function () {
+            const { factory, walletOwner, signature, wrapped } = await loadFixture(counterfactualFixture);
+
+            expect(isWrappedSignature(wrapped)).to.be.true;
+            expect(isWrappedSignature(signature)).to.be.false;
+
+            const unwrapped = unwrapSignature(wrapped);
+            expect(unwrapped.factory).to.equal(factory.target);
+            expect(unwrapped.signature).to.equal(signature);
+            expect(unwrapped.factoryCalldata).to.equal(
+                factory.interface.encodeFunctionData("createAccount", [walletOwner.address, 0])
+            );
+        });
+
+        it("Should verify EOA and deployed wallet signatures", async function () {
+            const { wallet, user1, user2 } = await loadFixture(counterfactualFixture);
+            const hash = ethers.hashMessage(MESSAGE);
+            const user1Signature = await user1.signMessage(MESSAGE);
+            const user2Signature = await user2.signMessage(MESSAGE);
+            const walletSignature = await signPersonalMessage(user1, await getWalletDomain(wallet), MESSAGE);
+
+            expect(await verifySignature(ethers.provider, user2.address, hash, user2Signature)).to.be.true;
+            expect(await verifySignature(ethers.provider, user2.address, hash, user1Signature)).to.be.false;
+            expect(await verifySignature(ethers.provider, wallet.target, hash, walletSignature)).to.be.true;
+            // The owner's plain EOA signature is not bound to the wallet
+            expect(await verifySignature(ethers.provider, wallet.target, hash, user1Signature)).to.be.false;
+        });
+    });
+
+    describe("UniversalSigValidator", function () {
+        it("Should roll back the deployment in isValidSig", async function () {
+            const { validator, counterfactual, wrapped } = await loadFixture(counterfactualFixture);
+            const hash = ethers.hashMessage(MESSAGE);
+
+            expect(await validator.isValidSig.staticCall(counterfactual, hash, wrapped)).to.be.true;
+            await validator.isValidSig(counterfactual, hash, wrapped);
+            expect(await ethers.provider.getCode(counterfactual)).to.equal("0x");
+        });
+
+        it("Should keep the deployment in isValidSigWithSideEffects", async function () {
+            const { factory, validator, walletOwner, counterfactual, signature, wrapped } =
+                await loadFixture(counterfactualFixture);
+            const hash = ethers.hashMessage(MESSAGE);
+
+            await validator.isValidSigWithSideEffects(counterfactual, hash, wrapped);
+
+            // Deployed by the validator, so listed under the owner but not as their primary wallet
+            expect(await factory.getWallets(walletOwner.address, 0, 10)).to.deep.equal([counterfactual]);
+            expect(await factory.getWallet(walletOwner.address)).to.equal(ethers.ZeroAddress);
+            expect(await factory.isLendefiWallet(counterfactual)).to.be.true;
+
+            // Once deployed, both the wrapped and the plain signature stay valid
+            expect(await validator.isValidSig.staticCall(counterfactual, hash, wrapped)).to.be.true;
+            expect(await validator.isValidSig.staticCall(counterfactual, hash, signature)).to.be.true;
+        });
+
+        it("Should retry deployed signers after the prepare call", async function () {
+            const { validator } = await loadFixture(counterfactualFixture);
+            const signer = await ethers.deployContract("MockPreparedSigner");
+            const hash = ethers.hashMessage(MESSAGE);
+            const wrapped = ethers.concat([
+                ethers.AbiCoder.defaultAbiCoder().encode(
+                    ["address", "bytes", "bytes"],
+                    [signer.target, signer.interface.encodeFunctionData("prepare", [hash]), "0x"]
+                ),
+                "0x" + "6492".repeat(16),
+            ]);
+
+            expect(await validator.isValidSig.staticCall(signer.target, hash, wrapped)).to.be.true;
+            await validator.isValidSig(signer.target, hash, wrapped);
+            expect(await signer.prepared(hash)).to.be.false;
+
+            await validator.isValidSigWithSideEffects(signer.target, hash, wrapped);
+            expect(await signer.prepared(hash)).to.be.true;
+        });
+
+        it("Should reject invalid wrapped signatures of deployed wallets", async function () {
+            const { factory, validator, walletOwner, counterfactual, domain, wrapped } =
+                await loadFixture(counterfactualFixture);
+            const hash = ethers.hashMessage(MESSAGE);
+            await validator.isValidSigWithSideEffects(counterfactual, hash, wrapped);
+
+            // The retry's createAccount call fails on the deployed wallet: invalid, not a revert
+            const forged = await signPersonalMessage(ethers.Wallet.createRandom(), domain, MESSAGE);
+            const forgedWrapped = wrapCounterfactualSignature(factory.target, walletOwner.address, 0, forged);
+            expect(await validator.isValidSig.staticCall(counterfactual, hash, forgedWrapped)).to.be.false;
+        });
+
+        it("Should fail when the factory does not allow the deployment", async function () {
+            const { factory, validator, counterfactual, wrapped } = await loadFixture(counterfactualFixture);
+
+            await factory.setPermissionlessCreation(false, ethers.ZeroAddress);
+
+            await expect(validator.isValidSig.staticCall(counterfactual, ethers.hashMessage(MESSAGE), wrapped))
+                .to.be.revertedWithCustomError(validator, "ERC6492DeployFailed");
+        });
+    });
+
+    describe("Open wallet creation", function () {
+        it("Should let anyone call createAccount only while creation needs no authorization", async function () {
+            const { factory, user1, user2 } = await loadFixture(counterfactualFixture);
+
+            await expect(factory.connect(user1).createAccount(user2.address, 0)).to.emit(factory, "AccountCreated");
+
+            await factory.setPermissionlessCreation(true, user2.address);
+            await expect(factory.connect(user1).createAccount(user2.address, 1))
+                .to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount");
+        });
+
+        it("Should not let a third party choose another owner's primary wallet", async function () {
+            const { factory, user1, user2 } = await loadFixture(counterfactualFixture);
+            const deployedFor = (salt) => factory.getFunction("getAddress")(user2.address, salt);
+
+            // Deployed by a third party: listed, but not primary
+            await factory.connect(user1).createAccount(user2.address, 0);
+            await factory.connect(user1).createAccount(user2.address, 1);
+            expect(await factory.getWallet(user2.address)).to.equal(ethers.ZeroAddress);
+            expect(await factory.getWalletCount(user2.address)).to.equal(2);
+            expect(await factory.getWallets(user2.address, 0, 10)).to.deep.equal([
+                await deployedFor(0),
+                await deployedFor(1),
+            ]);
+
+            // The owner's own wallet becomes primary and stays so
+            await factory.connect(user2).createAccount(user2.address, 2);
+            await factory.connect(user1).createAccount(user2.address, 3);
+            expect(await factory.getWallet(user2.address)).to.equal(await deployedFor(2));
+            expect(await factory.getWalletCount(user2.address)).to.equal(4);
+            expect(await factory.getWallets(user2.address, 0, 2)).to.deep.equal([
+                await deployedFor(2),
+                await deployedFor(0),
+            ]);
+            expect(await factory.getWallets(user2.address, 2, 10)).to.deep.equal([
+                await deployedFor(1),
+                await deployedFor(3),
+            ]);
+        });
+    });
+});
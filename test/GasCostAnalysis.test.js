@@ -1,6 +1,8 @@
 const { expect } = require("chai");
 const { ethers, upgrades } = require("hardhat");
 const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { walletDomain, signPersonalMessage } = require("../scripts/erc7739");
+const { deploySmartWalletImplementation } = require("../scripts/wallet-implementation");
 
 describe("Gas Cost Analysis", function () {
     async function deployFixture() {
@@ -9,11 +11,14 @@ describe("Gas Cost Analysis", function () {
         // Deploy EntryPoint
         const entryPoint = await ethers.deployContract("EntryPoint");
 
+        // Deploy SmartWallet implementation and its libraries
+        const accountImplementation = await deploySmartWalletImplementation(entryPoint.target);
+
         // Deploy factory with upgrades plugin
         const SmartWalletFactory = await ethers.getContractFactory("SmartWalletFactory");
         const factory = await upgrades.deployProxy(
             SmartWalletFactory,
-            [entryPoint.target, owner.address, ethers.ZeroAddress],
+            [entryPoint.target, owner.address, ethers.ZeroAddress, accountImplementation.target],
             { 
                 initializer: 'initialize',
                 unsafeAllow: ['constructor']
@@ -46,7 +51,9 @@ describe("Gas Cost Analysis", function () {
             expect(await factory.isValidWallet(walletAddress)).to.be.true;
 
             // Gas should be significantly less than full contract deployment
-            expect(receipt.gasUsed).to.be.lt(210000); // Should be much less than 210k gas
+            // (includes the one-time write that starts the factory's global wallet registry, and the
+            // wallet's ERC-1967 slot recording its implementation)
+            expect(receipt.gasUsed).to.be.lt(300000); // Should be much less than 300k gas
         });
 
         it("Should measure gas cost of creating multiple wallets", async function () {
@@ -55,6 +62,10 @@ describe("Gas Cost Analysis", function () {
             const users = [user1, user2, user3];
             const gasCosts = [];
 
+            // The first wallet also starts the global wallet registry; keep it out of the comparison
+            const [, , , , warmUpUser] = await ethers.getSigners();
+            await factory.createAccount(warmUpUser.address, 0);
+
             for (let i = 0; i < users.length; i++) {
                 const tx = await factory.createAccount(users[i].address, i + 100);
                 const receipt = await tx.wait();
@@ -87,8 +98,7 @@ describe("Gas Cost Analysis", function () {
             const cloneGas = cloneReceipt.gasUsed;
 
             // Measure full contract deployment for comparison
-            const SmartWallet = await ethers.getContractFactory("SmartWallet");
-            const fullDeployTx = await SmartWallet.deploy(entryPoint.target);
+            const fullDeployTx = await deploySmartWalletImplementation(entryPoint.target);
             const fullDeployReceipt = await fullDeployTx.deploymentTransaction().wait();
             const fullDeployGas = fullDeployReceipt.gasUsed;
 
@@ -110,6 +120,9 @@ describe("Gas Cost Analysis", function () {
             const saltValues = [0, 1, 123456789, ethers.MaxUint256];
             const gasCosts = [];
 
+            // The first wallet also starts the global wallet registry; keep it out of the comparison
+            await factory.createAccount(user1.address, 0);
+
             for (let i = 0; i < saltValues.length; i++) {
                 // Create new user for each test
                 const [, , , , ...extraUsers] = await ethers.getSigners();
@@ -192,7 +205,8 @@ describe("Gas Cost Analysis", function () {
             // Test ERC-1271 signature validation
             const message = "Test message for gas measurement";
             const messageHash = ethers.hashMessage(message);
-            const signature = await user1.signMessage(message);
+            const { chainId } = await ethers.provider.getNetwork();
+            const signature = await signPersonalMessage(user1, walletDomain(wallet.target, chainId), message);
 
             const validationTx = await wallet.isValidSignature(messageHash, signature);
             
@@ -219,8 +233,7 @@ describe("Gas Cost Analysis", function () {
             console.log(`  Set paymaster: ${paymasterReceipt.gasUsed.toLocaleString()} gas`);
 
             // Measure implementation update
-            const SmartWallet = await ethers.getContractFactory("SmartWallet");
-            const newImpl = await SmartWallet.deploy(entryPoint.target);
+            const newImpl = await deploySmartWalletImplementation(entryPoint.target);
             
             const implTx = await factory.connect(owner).setSmartWalletImplementation(newImpl.target);
             const implReceipt = await implTx.wait();
@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers, upgrades, network } = require("hardhat");
 const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deploySmartWalletImplementation } = require("../scripts/wallet-implementation");
 
 describe("Integration Tests", function () {
     // Subscription tiers enum values
@@ -17,11 +18,14 @@ describe("Integration Tests", function () {
         // Deploy EntryPoint
         const entryPoint = await ethers.deployContract("EntryPoint");
 
+        // Deploy SmartWallet implementation and its libraries
+        const accountImplementation = await deploySmartWalletImplementation(entryPoint.target);
+
         // Deploy factory with upgrades plugin
         const SmartWalletFactory = await ethers.getContractFactory("SmartWalletFactory");
         const factory = await upgrades.deployProxy(
             SmartWalletFactory,
-            [entryPoint.target, owner.address, ethers.ZeroAddress],
+            [entryPoint.target, owner.address, ethers.ZeroAddress, accountImplementation.target],
             { 
                 initializer: 'initialize',
                 unsafeAllow: ['constructor']
@@ -83,8 +87,7 @@ describe("Integration Tests", function () {
                 .to.emit(paymaster, "SubscriptionGranted");
 
             // Step 3: Verify wallet can be used with paymaster
-            const SmartWallet = await ethers.getContractFactory("SmartWallet");
-            const wallet = SmartWallet.attach(walletAddress);
+            const wallet = await ethers.getContractAt("SmartWallet", walletAddress);
             
             expect(await wallet.owner()).to.equal(user1.address);
             expect(await paymaster.hasActiveSubscription(user1.address)).to.be.true;
@@ -97,8 +100,7 @@ describe("Integration Tests", function () {
             await factory.createAccount(user1.address, 456);
             const walletAddress = await factory.getWallet(user1.address);
             
-            const SmartWallet = await ethers.getContractFactory("SmartWallet");
-            const wallet = SmartWallet.attach(walletAddress);
+            const wallet = await ethers.getContractAt("SmartWallet", walletAddress);
 
             // Fund wallet
             await user1.sendTransaction({
@@ -125,8 +127,7 @@ describe("Integration Tests", function () {
             await factory.createAccount(user1.address, 789);
             const walletAddress = await factory.getWallet(user1.address);
             
-            const SmartWallet = await ethers.getContractFactory("SmartWallet");
-            const wallet = SmartWallet.attach(walletAddress);
+            const wallet = await ethers.getContractAt("SmartWallet", walletAddress);
 
             // Fund wallet
             await user1.sendTransaction({
@@ -269,9 +270,8 @@ describe("Integration Tests", function () {
             expect(await factory.isValidWallet(wallet2)).to.be.true;
 
             // Verify wallet ownership
-            const SmartWallet = await ethers.getContractFactory("SmartWallet");
-            const smartWallet1 = SmartWallet.attach(wallet1);
-            const smartWallet2 = SmartWallet.attach(wallet2);
+            const smartWallet1 = await ethers.getContractAt("SmartWallet", wallet1);
+            const smartWallet2 = await ethers.getContractAt("SmartWallet", wallet2);
 
             expect(await smartWallet1.owner()).to.equal(user1.address);
             expect(await smartWallet2.owner()).to.equal(user2.address);
@@ -285,8 +285,7 @@ describe("Integration Tests", function () {
             const wallet1 = await factory.getWallet(user1.address);
 
             // Deploy new implementation
-            const SmartWallet = await ethers.getContractFactory("SmartWallet");
-            const newImpl = await SmartWallet.deploy(entryPoint.target);
+            const newImpl = await deploySmartWalletImplementation(entryPoint.target);
 
             // Update implementation
             await factory.connect(owner).setSmartWalletImplementation(newImpl.target);
@@ -301,9 +300,8 @@ describe("Integration Tests", function () {
             expect(await factory.isValidWallet(wallet2)).to.be.true;
 
             // Old wallet should still work
-            const SmartWalletContract = await ethers.getContractFactory("SmartWallet");
-            const oldWallet = SmartWalletContract.attach(wallet1);
-            const newWallet = SmartWalletContract.attach(wallet2);
+            const oldWallet = await ethers.getContractAt("SmartWallet", wallet1);
+            const newWallet = await ethers.getContractAt("SmartWallet", wallet2);
             expect(await oldWallet.owner()).to.equal(user1.address);
             expect(await newWallet.owner()).to.equal(differentUser.address);
         });
@@ -317,8 +315,7 @@ describe("Integration Tests", function () {
             await factory.createAccount(user1.address, 123);
             const walletAddress = await factory.getWallet(user1.address);
             
-            const SmartWallet = await ethers.getContractFactory("SmartWallet");
-            const wallet = SmartWallet.attach(walletAddress);
+            const wallet = await ethers.getContractAt("SmartWallet", walletAddress);
 
             // Fund wallet
             await user1.sendTransaction({
@@ -354,8 +351,7 @@ describe("Integration Tests", function () {
             await factory.createAccount(user1.address, 123);
             const walletAddress = await factory.getWallet(user1.address);
             
-            const SmartWallet = await ethers.getContractFactory("SmartWallet");
-            const wallet = SmartWallet.attach(walletAddress);
+            const wallet = await ethers.getContractAt("SmartWallet", walletAddress);
 
             // Fund the wallet
             await user1.sendTransaction({
@@ -437,8 +433,7 @@ describe("Integration Tests", function () {
             await factory.createAccount(user1.address, 123);
             const walletAddress = await factory.getWallet(user1.address);
             
-            const SmartWallet = await ethers.getContractFactory("SmartWallet");
-            const wallet = SmartWallet.attach(walletAddress);
+            const wallet = await ethers.getContractAt("SmartWallet", walletAddress);
 
             // Try to execute with insufficient funds
             await expect(wallet.connect(user1).execute(
@@ -523,9 +518,8 @@ describe("Integration Tests", function () {
             expect(await paymaster.hasActiveSubscription(user2.address)).to.be.true;
 
             // Verify wallet functionality
-            const SmartWallet = await ethers.getContractFactory("SmartWallet");
-            const smartWallet1 = SmartWallet.attach(wallet1);
-            const smartWallet2 = SmartWallet.attach(wallet2);
+            const smartWallet1 = await ethers.getContractAt("SmartWallet", wallet1);
+            const smartWallet2 = await ethers.getContractAt("SmartWallet", wallet2);
 
             expect(await smartWallet1.entryPoint()).to.equal(entryPoint.target);
             expect(await smartWallet2.entryPoint()).to.equal(entryPoint.target);
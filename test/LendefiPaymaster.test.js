@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers, upgrades, network } = require("hardhat");
 const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deploySmartWalletImplementation } = require("../scripts/wallet-implementation");
 
 describe("LendefiPaymaster", function () {
     // Subscription tiers enum values
@@ -17,11 +18,14 @@ describe("LendefiPaymaster", function () {
         // Deploy EntryPoint
         const entryPoint = await ethers.deployContract("EntryPoint");
 
+        // Deploy SmartWallet implementation and its libraries
+        const accountImplementation = await deploySmartWalletImplementation(entryPoint.target);
+
         // Deploy factory with upgrades plugin
         const SmartWalletFactory = await ethers.getContractFactory("SmartWalletFactory");
         const factory = await upgrades.deployProxy(
             SmartWalletFactory,
-            [entryPoint.target, owner.address, ethers.ZeroAddress],
+            [entryPoint.target, owner.address, ethers.ZeroAddress, accountImplementation.target],
             { 
                 initializer: 'initialize',
                 unsafeAllow: ['constructor']
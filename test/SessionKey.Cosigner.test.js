@@ -0,0 +1,209 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    P256SigningKey,
+    walletFixture,
+    getWalletDomain,
+    createSessionConfig,
+    createP256SessionConfig,
+    createUserOp,
+    signUserOpECDSA,
+    signUserOpP256,
+    signUserOpWebAuthn,
+    cosignUserOp,
+    signSessionGrant,
+    signUserOpEnableECDSA,
+    ERC1271_MAGIC_VALUE,
+    ERC1271_INVALID,
+} = require("./helpers/setup");
+const { personalSignHash, signSessionECDSA } = require("../scripts/erc7739");
+const { cosignSessionSignature, encodeCosignedSignature } = require("../scripts/cosign");
+
+describe("Session Keys - Cosigner", function () {
+    const SIGN_IN_HASH = ethers.hashMessage("sign in to lendefi");
+
+    async function cosignerFixture() {
+        const fixture = await walletFixture();
+        const { wallet, mockTarget, user1 } = fixture;
+
+        const cosigner = ethers.Wallet.createRandom();
+        const sessionKey = ethers.Wallet.createRandom();
+        const config = await createSessionConfig(sessionKey.address, [mockTarget.target], [], {
+            cosigner: cosigner.address,
+            signableHashes: [SIGN_IN_HASH],
+        });
+        await wallet.connect(user1).createSessionECDSA(config);
+
+        return { ...fixture, cosigner, sessionKey, config };
+    }
+
+    function setValueCall(wallet, mockTarget, value) {
+        return wallet.interface.encodeFunctionData("execute", [
+            mockTarget.target,
+            0,
+            mockTarget.interface.encodeFunctionData("setValue", [value]),
+        ]);
+    }
+
+    async function sendCosigned(fixture, sign, cosigner, value) {
+        const { entryPoint, wallet, mockTarget, beneficiary } = fixture;
+        const userOp = await createUserOp(wallet, setValueCall(wallet, mockTarget, value));
+        const sessionSignature = await sign(userOp);
+        userOp.signature = cosigner
+            ? await cosignUserOp(userOp, sessionSignature, cosigner, entryPoint)
+            : sessionSignature;
+        return entryPoint.handleOps([userOp], beneficiary.address);
+    }
+
+    describe("UserOperations", function () {
+        it("Should accept an ECDSA session signature together with its cosigner's", async function () {
+            const fixture = await loadFixture(cosignerFixture);
+            const { entryPoint, wallet, mockTarget, cosigner, sessionKey } = fixture;
+
+            await sendCosigned(fixture, (userOp) => signUserOpECDSA(userOp, sessionKey, entryPoint), cosigner, 7);
+
+            expect(await mockTarget.value()).to.equal(7);
+            const [session] = await wallet.getActiveSessions(0, 1);
+            expect(session.cosigner).to.equal(cosigner.address);
+        });
+
+        it("Should reject the session key signature alone", async function () {
+            const fixture = await loadFixture(cosignerFixture);
+            const { entryPoint, sessionKey } = fixture;
+
+            await expect(
+                sendCosigned(fixture, (userOp) => signUserOpECDSA(userOp, sessionKey, entryPoint), null, 1)
+            ).to.be.revertedWithCustomError(entryPoint, "FailedOpWithRevert");
+        });
+
+        it("Should reject a signature from another cosigner or over another hash", async function () {
+            const fixture = await loadFixture(cosignerFixture);
+            const { entryPoint, wallet, mockTarget, beneficiary, cosigner, sessionKey } = fixture;
+            const sign = (userOp) => signUserOpECDSA(userOp, sessionKey, entryPoint);
+
+            await expect(sendCosigned(fixture, sign, ethers.Wallet.createRandom(), 1)).to.be.revertedWithCustomError(
+                entryPoint,
+                "FailedOpWithRevert"
+            );
+
+            const userOp = await createUserOp(wallet, setValueCall(wallet, mockTarget, 2));
+            userOp.signature = cosignSessionSignature(cosigner, ethers.id("other operation"), await sign(userOp));
+            await expect(entryPoint.handleOps([userOp], beneficiary.address)).to.be.revertedWithCustomError(
+                entryPoint,
+                "FailedOpWithRevert"
+            );
+        });
+
+        it("Should reject a co-signed layout for sessions without a cosigner", async function () {
+            const fixture = await loadFixture(cosignerFixture);
+            const { entryPoint, wallet, user1, mockTarget } = fixture;
+            const sessionKey = ethers.Wallet.createRandom();
+            await wallet
+                .connect(user1)
+                .createSessionECDSA(await createSessionConfig(sessionKey.address, [mockTarget.target], []));
+
+            await expect(
+                sendCosigned(
+                    fixture,
+                    (userOp) => signUserOpECDSA(userOp, sessionKey, entryPoint),
+                    ethers.Wallet.createRandom(),
+                    1
+                )
+            ).to.be.revertedWithCustomError(entryPoint, "FailedOpWithRevert");
+        });
+
+        it("Should co-sign P256 and WebAuthn session signatures", async function () {
+            const fixture = await loadFixture(cosignerFixture);
+            const { entryPoint, wallet, user1, mockTarget, cosigner } = fixture;
+            const p256Key = P256SigningKey.random();
+            await wallet
+                .connect(user1)
+                .createSessionP256(
+                    await createP256SessionConfig(p256Key, [mockTarget.target], [], { cosigner: cosigner.address })
+                );
+
+            await expect(
+                sendCosigned(fixture, (userOp) => signUserOpP256(userOp, p256Key, entryPoint), null, 1)
+            ).to.be.revertedWithCustomError(entryPoint, "FailedOpWithRevert");
+
+            await sendCosigned(fixture, (userOp) => signUserOpP256(userOp, p256Key, entryPoint), cosigner, 2);
+            expect(await mockTarget.value()).to.equal(2);
+
+            await sendCosigned(fixture, (userOp) => signUserOpWebAuthn(userOp, p256Key, entryPoint), cosigner, 3);
+            expect(await mockTarget.value()).to.equal(3);
+        });
+
+        it("Should require the cosigner when enabling a co-signed session in its first UserOperation", async function () {
+            const fixture = await loadFixture(cosignerFixture);
+            const { entryPoint, wallet, user1, mockTarget, cosigner } = fixture;
+            const sessionKey = ethers.Wallet.createRandom();
+            const config = await createSessionConfig(sessionKey.address, [mockTarget.target], [], {
+                cosigner: cosigner.address,
+            });
+            const grant = await signSessionGrant(user1, wallet, config, 1n);
+            const sign = (userOp) => signUserOpEnableECDSA(userOp, sessionKey, entryPoint, wallet, config, 1n, grant);
+            const send = async (withCosigner) => {
+                const userOp = await createUserOp(wallet, setValueCall(wallet, mockTarget, 5), {
+                    verificationGasLimit: 2_000_000,
+                });
+                const sessionSignature = await sign(userOp);
+                userOp.signature = withCosigner
+                    ? await cosignUserOp(userOp, sessionSignature, cosigner, entryPoint)
+                    : sessionSignature;
+                return entryPoint.handleOps([userOp], fixture.beneficiary.address);
+            };
+
+            await expect(send(false)).to.be.revertedWithCustomError(entryPoint, "FailedOpWithRevert");
+            await send(true);
+            expect(await mockTarget.value()).to.equal(5);
+        });
+    });
+
+    describe("Configuration", function () {
+        it("Should let the owner add or remove the cosigner of an active session", async function () {
+            const fixture = await loadFixture(cosignerFixture);
+            const { entryPoint, wallet, user1, mockTarget, cosigner, sessionKey, config } = fixture;
+            const sign = (userOp) => signUserOpECDSA(userOp, sessionKey, entryPoint);
+
+            await wallet.connect(user1).updateSessionECDSA({ ...config, cosigner: ethers.ZeroAddress });
+            await sendCosigned(fixture, sign, null, 1);
+            expect(await mockTarget.value()).to.equal(1);
+
+            await wallet.connect(user1).updateSessionECDSA(config);
+            await expect(sendCosigned(fixture, sign, null, 2)).to.be.revertedWithCustomError(
+                entryPoint,
+                "FailedOpWithRevert"
+            );
+            await sendCosigned(fixture, sign, cosigner, 3);
+            expect(await mockTarget.value()).to.equal(3);
+        });
+
+        it("Should reject malformed cosigner signatures in the JS helper", async function () {
+            const { sessionKey } = await loadFixture(cosignerFixture);
+
+            expect(() => encodeCosignedSignature(signSessionECDSA(sessionKey, ethers.ZeroHash), "0x1234")).to.throw(
+                "cosigner signature must be 65 bytes"
+            );
+        });
+    });
+
+    describe("ERC-1271", function () {
+        it("Should require the cosigner's signature of the nested digest", async function () {
+            const { wallet, cosigner, sessionKey } = await loadFixture(cosignerFixture);
+            const digest = personalSignHash(await getWalletDomain(wallet), SIGN_IN_HASH);
+            const sessionSignature = signSessionECDSA(sessionKey, digest);
+
+            expect(await wallet.isValidSignature(SIGN_IN_HASH, sessionSignature)).to.equal(ERC1271_INVALID);
+            expect(
+                await wallet.isValidSignature(SIGN_IN_HASH, cosignSessionSignature(cosigner, digest, sessionSignature))
+            ).to.equal(ERC1271_MAGIC_VALUE);
+            expect(
+                await wallet.isValidSignature(
+                    SIGN_IN_HASH,
+                    cosignSessionSignature(ethers.Wallet.createRandom(), digest, sessionSignature)
+                )
+            ).to.equal(ERC1271_INVALID);
+        });
+    });
+});
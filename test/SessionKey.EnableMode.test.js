@@ -0,0 +1,217 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    P256SigningKey,
+    walletFixture,
+    createSessionConfig,
+    createP256SessionConfig,
+    createUserOp,
+    signUserOpECDSA,
+    encodeSessionConfig,
+    signSessionGrant,
+    signUserOpEnableECDSA,
+    signUserOpEnableP256,
+} = require("./helpers/setup");
+
+describe("Session Keys - Enable Mode", function () {
+    const VERIFICATION_GAS = 2_000_000;
+
+    async function enableFixture() {
+        const fixture = await walletFixture();
+        const sessionKey = ethers.Wallet.createRandom();
+        const config = await createSessionConfig(sessionKey.address, [fixture.mockTarget.target], []);
+        return { ...fixture, sessionKey, config };
+    }
+
+    function setValueCall(wallet, mockTarget, value) {
+        return wallet.interface.encodeFunctionData("execute", [
+            mockTarget.target,
+            0,
+            mockTarget.interface.encodeFunctionData("setValue", [value]),
+        ]);
+    }
+
+    async function sendEnableOp(fixture, { callData, nonce = 1n, ownerSignature, config = fixture.config } = {}) {
+        const { entryPoint, wallet, mockTarget, sessionKey, user1, beneficiary } = fixture;
+        const grant = ownerSignature ?? (await signSessionGrant(user1, wallet, config, nonce));
+        const userOp = await createUserOp(wallet, callData ?? setValueCall(wallet, mockTarget, 42), {
+            verificationGasLimit: VERIFICATION_GAS,
+        });
+        userOp.signature = await signUserOpEnableECDSA(userOp, sessionKey, entryPoint, wallet, config, nonce, grant);
+        return entryPoint.handleOps([userOp], beneficiary.address);
+    }
+
+    describe("Grant hashing", function () {
+        it("Should match the EIP-712 digest signed off-chain", async function () {
+            const { wallet, user1, config } = await loadFixture(enableFixture);
+
+            const digest = await wallet.getSessionGrantHashECDSA(config, 7);
+            const signature = await signSessionGrant(user1, wallet, config, 7);
+            expect(ethers.recoverAddress(digest, signature)).to.equal(user1.address);
+        });
+
+        it("Should bind the digest to the session config", async function () {
+            const { wallet, config } = await loadFixture(enableFixture);
+
+            const other = { ...config, maxCalls: config.maxCalls + 1 };
+            expect(await wallet.getSessionGrantHashECDSA(config, 1)).to.not.equal(
+                await wallet.getSessionGrantHashECDSA(other, 1)
+            );
+            expect(ethers.keccak256(encodeSessionConfig(wallet, config))).to.not.equal(
+                ethers.keccak256(encodeSessionConfig(wallet, other))
+            );
+        });
+
+        it("Should bind the digest to the session epoch", async function () {
+            const { wallet, user1, config } = await loadFixture(enableFixture);
+
+            const before = await wallet.getSessionGrantHashECDSA(config, 1);
+            await wallet.connect(user1).revokeAllSessions();
+            expect(await wallet.getSessionGrantHashECDSA(config, 1)).to.not.equal(before);
+        });
+    });
+
+    describe("ECDSA enable", function () {
+        it("Should register the session and execute in the same UserOperation", async function () {
+            const fixture = await loadFixture(enableFixture);
+            const { wallet, mockTarget, sessionKey } = fixture;
+
+            await expect(sendEnableOp(fixture))
+                .to.emit(wallet, "SessionCreatedECDSA")
+                .and.to.emit(wallet, "SessionGrantNonceUsed")
+                .withArgs(1);
+
+            expect(await mockTarget.value()).to.equal(42);
+            expect(await wallet.isValidSessionECDSA(sessionKey.address)).to.be.true;
+            expect(await wallet.isSessionGrantNonceUsed(1)).to.be.true;
+            expect((await wallet.getSessionECDSA(sessionKey.address)).callsUsed).to.equal(1);
+        });
+
+        it("Should use the enabled session with the regular prefix afterwards", async function () {
+            const fixture = await loadFixture(enableFixture);
+            const { entryPoint, wallet, mockTarget, sessionKey, beneficiary } = fixture;
+
+            await sendEnableOp(fixture);
+
+            const userOp = await createUserOp(wallet, setValueCall(wallet, mockTarget, 43));
+            userOp.signature = await signUserOpECDSA(userOp, sessionKey, entryPoint);
+            await entryPoint.handleOps([userOp], beneficiary.address);
+            expect(await mockTarget.value()).to.equal(43);
+        });
+
+        it("Should reject a replayed grant", async function () {
+            const fixture = await loadFixture(enableFixture);
+            const { wallet, user1 } = fixture;
+
+            await sendEnableOp(fixture);
+            await wallet.connect(user1).revokeSessionECDSA(fixture.sessionKey.address);
+
+            await expect(sendEnableOp(fixture)).to.be.reverted;
+        });
+
+        it("Should reject a grant not signed by the owner", async function () {
+            const fixture = await loadFixture(enableFixture);
+            const { wallet, user2, config, sessionKey } = fixture;
+
+            const ownerSignature = await signSessionGrant(user2, wallet, config, 1n);
+            await expect(sendEnableOp(fixture, { ownerSignature })).to.be.reverted;
+            expect(await wallet.isValidSessionECDSA(sessionKey.address)).to.be.false;
+        });
+
+        it("Should reject a config that differs from the signed grant", async function () {
+            const fixture = await loadFixture(enableFixture);
+            const { wallet, user1, config } = fixture;
+
+            const ownerSignature = await signSessionGrant(user1, wallet, config, 1n);
+            const widened = { ...config, maxValueTotal: ethers.parseEther("100") };
+            await expect(sendEnableOp(fixture, { ownerSignature, config: widened })).to.be.reverted;
+        });
+
+        it("Should reject a grant signed for another chain", async function () {
+            const fixture = await loadFixture(enableFixture);
+            const { wallet, user1, config } = fixture;
+
+            const configHash = ethers.keccak256(encodeSessionConfig(wallet, config));
+            const ownerSignature = await user1.signTypedData(
+                { name: "Lendefi Smart Wallet", version: "1", chainId: 1, verifyingContract: wallet.target },
+                {
+                    EnableSessionECDSA: [
+                        { name: "sessionKey", type: "address" },
+                        { name: "configHash", type: "bytes32" },
+                        { name: "nonce", type: "uint256" },
+                        { name: "epoch", type: "uint64" },
+                    ],
+                },
+                { sessionKey: config.key, configHash, nonce: 1, epoch: 0 }
+            );
+
+            await expect(sendEnableOp(fixture, { ownerSignature })).to.be.reverted;
+        });
+
+        it("Should reject a grant the owner invalidated", async function () {
+            const fixture = await loadFixture(enableFixture);
+            const { wallet, user1 } = fixture;
+
+            await expect(wallet.connect(user1).invalidateSessionGrant(1))
+                .to.emit(wallet, "SessionGrantNonceUsed")
+                .withArgs(1);
+
+            await expect(sendEnableOp(fixture)).to.be.reverted;
+        });
+
+        it("Should reject a grant signed before revokeAllSessions", async function () {
+            const fixture = await loadFixture(enableFixture);
+            const { wallet, mockTarget, user1, config, sessionKey } = fixture;
+
+            const ownerSignature = await signSessionGrant(user1, wallet, config, 1n);
+            await wallet.connect(user1).revokeAllSessions();
+
+            await expect(sendEnableOp(fixture, { ownerSignature })).to.be.reverted;
+            expect(await wallet.isValidSessionECDSA(sessionKey.address)).to.be.false;
+            expect(await mockTarget.value()).to.equal(0);
+
+            // A grant signed in the new epoch still works
+            await sendEnableOp(fixture);
+            expect(await mockTarget.value()).to.equal(42);
+        });
+
+        it("Should only let the owner invalidate grants", async function () {
+            const { wallet, user2 } = await loadFixture(enableFixture);
+
+            await expect(wallet.connect(user2).invalidateSessionGrant(1))
+                .to.be.revertedWithCustomError(wallet, "Unauthorized");
+        });
+
+        it("Should enforce session permissions on the enabling UserOperation", async function () {
+            const fixture = await loadFixture(enableFixture);
+            const { wallet, user2, sessionKey } = fixture;
+
+            const callData = wallet.interface.encodeFunctionData("execute", [user2.address, 1, "0x"]);
+            await expect(sendEnableOp(fixture, { callData })).to.be.reverted;
+            expect(await wallet.isValidSessionECDSA(sessionKey.address)).to.be.false;
+        });
+    });
+
+    describe("P256 enable", function () {
+        it("Should register and use a P256 session in one UserOperation", async function () {
+            const { entryPoint, wallet, mockTarget, user1, beneficiary } = await loadFixture(walletFixture);
+            const p256Key = P256SigningKey.random();
+            const config = await createP256SessionConfig(p256Key, [mockTarget.target], []);
+
+            const ownerSignature = await signSessionGrant(user1, wallet, config, 5n, true);
+            expect(
+                ethers.recoverAddress(await wallet.getSessionGrantHashP256(config, 5), ownerSignature)
+            ).to.equal(user1.address);
+
+            const userOp = await createUserOp(wallet, setValueCall(wallet, mockTarget, 9), {
+                verificationGasLimit: VERIFICATION_GAS,
+            });
+            userOp.signature = await signUserOpEnableP256(userOp, p256Key, entryPoint, wallet, config, 5n, ownerSignature);
+            await entryPoint.handleOps([userOp], beneficiary.address);
+
+            expect(await mockTarget.value()).to.equal(9);
+            expect(await wallet.isValidSessionP256(p256Key.publicKey.qx, p256Key.publicKey.qy)).to.be.true;
+        });
+    });
+});
@@ -0,0 +1,170 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    P256SigningKey,
+    walletFixture,
+    createSessionConfig,
+    createP256SessionConfig,
+    createUserOp,
+    signUserOpECDSA,
+    ONE_DAY,
+    SET_VALUE_SELECTOR,
+} = require("./helpers/setup");
+
+describe("Session Keys - Active Session Enumeration", function () {
+    const SignerType = { ECDSA: 0n, P256: 1n };
+    const MAX_UINT64 = 2n ** 64n - 1n;
+    const MAX_UINT128 = 2n ** 128n - 1n;
+
+    async function enumerationFixture() {
+        const fixture = await walletFixture();
+        const { wallet, mockTarget, usdc, user1, user2 } = fixture;
+
+        const sessionKey = ethers.Wallet.createRandom();
+        const ecdsaConfig = await createSessionConfig(sessionKey.address, [mockTarget.target, user2.address], [], {
+            maxValueTotal: ethers.parseEther("2"),
+            maxCalls: 10,
+            periodLength: ONE_DAY,
+            maxCallsPerPeriod: 3,
+        });
+        await wallet.connect(user1).createSessionECDSA(ecdsaConfig);
+
+        const p256Key = P256SigningKey.random();
+        const p256Config = await createP256SessionConfig(p256Key, [mockTarget.target], [SET_VALUE_SELECTOR], {
+            tokenLimits: [{ token: usdc.target, limit: 500n * 10n ** 6n }],
+        });
+        await wallet.connect(user1).createSessionP256(p256Config);
+
+        return { ...fixture, sessionKey, ecdsaConfig, p256Key, p256Config };
+    }
+
+    const ecdsaIdOf = (sessionKey) => ethers.zeroPadValue(sessionKey.address, 32);
+    const p256IdOf = (p256Key) =>
+        ethers.solidityPackedKeccak256(["bytes32", "bytes32"], [p256Key.publicKey.qx, p256Key.publicKey.qy]);
+
+    async function sessionIds(wallet) {
+        return (await wallet.getActiveSessions(0, 100)).map((session) => session.sessionId);
+    }
+
+    describe("Listing", function () {
+        it("Should list ECDSA and P256 sessions with their window, limits and permissions", async function () {
+            const { wallet, mockTarget, usdc, user2, sessionKey, ecdsaConfig, p256Key, p256Config } =
+                await loadFixture(enumerationFixture);
+
+            expect(await wallet.getActiveSessionCount()).to.equal(2);
+            const [ecdsa, p256] = await wallet.getActiveSessions(0, 10);
+
+            expect(ecdsa.signerType).to.equal(SignerType.ECDSA);
+            expect(ecdsa.sessionId).to.equal(ecdsaIdOf(sessionKey));
+            expect(ecdsa.key).to.equal(sessionKey.address);
+            expect(ecdsa.keyX).to.equal(ethers.ZeroHash);
+            expect(ecdsa.validAfter).to.equal(ecdsaConfig.validAfter);
+            expect(ecdsa.validUntil).to.equal(ecdsaConfig.validUntil);
+            expect(ecdsa.maxValuePerTx).to.equal(ecdsaConfig.maxValuePerTx);
+            expect(ecdsa.valueRemaining).to.equal(ethers.parseEther("2"));
+            expect(ecdsa.callsRemaining).to.equal(10);
+            expect(ecdsa.periodCallsRemaining).to.equal(3);
+            expect(ecdsa.periodValueRemaining).to.equal(MAX_UINT128);
+            expect(ecdsa.allowedTargets).to.deep.equal([mockTarget.target, user2.address]);
+
+            expect(p256.signerType).to.equal(SignerType.P256);
+            expect(p256.sessionId).to.equal(p256IdOf(p256Key));
+            expect(p256.key).to.equal(ethers.ZeroAddress);
+            expect(p256.keyX).to.equal(p256Key.publicKey.qx);
+            expect(p256.keyY).to.equal(p256Key.publicKey.qy);
+            expect(p256.validUntil).to.equal(p256Config.validUntil);
+            expect(p256.periodCallsRemaining).to.equal(MAX_UINT64);
+            expect(p256.allowedSelectors).to.deep.equal([SET_VALUE_SELECTOR]);
+            expect(p256.tokenBudgets.length).to.equal(1);
+            expect(p256.tokenBudgets[0].token).to.equal(usdc.target);
+            expect(p256.tokenBudgets[0].remaining).to.equal(500n * 10n ** 6n);
+        });
+
+        it("Should report the limits left after the session is used", async function () {
+            const { entryPoint, wallet, user2, beneficiary, sessionKey } = await loadFixture(enumerationFixture);
+
+            const userOp = await createUserOp(
+                wallet,
+                wallet.interface.encodeFunctionData("execute", [user2.address, ethers.parseEther("0.5"), "0x"])
+            );
+            userOp.signature = await signUserOpECDSA(userOp, sessionKey, entryPoint);
+            await entryPoint.handleOps([userOp], beneficiary.address);
+
+            const [ecdsa] = await wallet.getActiveSessions(0, 1);
+            expect(ecdsa.valueRemaining).to.equal(ethers.parseEther("1.5"));
+            expect(ecdsa.callsRemaining).to.equal(9);
+            expect(ecdsa.periodCallsRemaining).to.equal(2);
+        });
+
+        it("Should report unlimited totals as the maximum value", async function () {
+            const { wallet, user1, mockTarget } = await loadFixture(enumerationFixture);
+            const sessionKey = ethers.Wallet.createRandom();
+            const config = await createSessionConfig(sessionKey.address, [mockTarget.target], []);
+            await wallet.connect(user1).createSessionECDSA({ ...config, maxValueTotal: 0, maxCalls: 0 });
+
+            const [, , session] = await wallet.getActiveSessions(0, 10);
+            expect(session.key).to.equal(sessionKey.address);
+            expect(session.valueRemaining).to.equal(MAX_UINT128);
+            expect(session.callsRemaining).to.equal(MAX_UINT64);
+        });
+
+        it("Should page through the sessions", async function () {
+            const { wallet, user1, mockTarget } = await loadFixture(enumerationFixture);
+            for (let i = 0; i < 3; i++) {
+                const sessionKey = ethers.Wallet.createRandom();
+                await wallet
+                    .connect(user1)
+                    .createSessionECDSA(await createSessionConfig(sessionKey.address, [mockTarget.target], []));
+            }
+
+            const all = await sessionIds(wallet);
+            expect(all.length).to.equal(5);
+
+            const firstPage = await wallet.getActiveSessions(0, 2);
+            const lastPage = await wallet.getActiveSessions(4, 2);
+            expect(firstPage.map((session) => session.sessionId)).to.deep.equal(all.slice(0, 2));
+            expect(lastPage.map((session) => session.sessionId)).to.deep.equal(all.slice(4));
+            expect(await wallet.getActiveSessions(5, 2)).to.deep.equal([]);
+        });
+    });
+
+    describe("Pruning", function () {
+        it("Should drop revoked sessions", async function () {
+            const { wallet, user1, sessionKey, p256Key } = await loadFixture(enumerationFixture);
+
+            await wallet.connect(user1).revokeSessionECDSA(sessionKey.address);
+            expect(await sessionIds(wallet)).to.deep.equal([p256IdOf(p256Key)]);
+
+            await wallet.connect(user1).revokeSessionP256(p256Key.publicKey.qx, p256Key.publicKey.qy);
+            expect(await wallet.getActiveSessionCount()).to.equal(0);
+            expect(await wallet.getActiveSessions(0, 10)).to.deep.equal([]);
+        });
+
+        it("Should drop every session on revokeAllSessions and list the ones created afterwards", async function () {
+            const { wallet, user1, mockTarget, sessionKey } = await loadFixture(enumerationFixture);
+
+            await wallet.connect(user1).revokeAllSessions();
+            expect(await wallet.getActiveSessionCount()).to.equal(0);
+
+            await wallet
+                .connect(user1)
+                .createSessionECDSA(await createSessionConfig(sessionKey.address, [mockTarget.target], []));
+            expect(await sessionIds(wallet)).to.deep.equal([ecdsaIdOf(sessionKey)]);
+        });
+
+        it("Should keep expired sessions listed once, even when the key is granted again", async function () {
+            const { wallet, user1, mockTarget, sessionKey, ecdsaConfig } = await loadFixture(enumerationFixture);
+
+            await time.increaseTo(ecdsaConfig.validUntil + 1);
+            expect(await wallet.getActiveSessionCount()).to.equal(2);
+
+            await wallet
+                .connect(user1)
+                .createSessionECDSA(await createSessionConfig(sessionKey.address, [mockTarget.target], []));
+            const ids = await sessionIds(wallet);
+            expect(ids.filter((id) => id === ecdsaIdOf(sessionKey)).length).to.equal(1);
+            expect(ids.length).to.equal(2);
+        });
+    });
+});
@@ -0,0 +1,201 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    P256SigningKey,
+    walletFixture,
+    createSessionConfig,
+    createP256SessionConfig,
+    createUserOp,
+    signUserOpECDSA,
+    signUserOpP256,
+    SET_VALUE_SELECTOR,
+} = require("./helpers/setup");
+
+describe("Session Keys - Calldata Argument Rules", function () {
+    const Operator = { EQUAL: 0, LTE: 1, GTE: 2, NOT_EQUAL: 3, ONE_OF: 4 };
+    const TRANSFER_SELECTOR = "0xa9059cbb"; // transfer(address,uint256)
+
+    const word = (value) => ethers.zeroPadValue(ethers.toBeHex(value), 32);
+
+    function rule(selector, offset, operator, values) {
+        return { selector, offset, operator, values: values.map(word) };
+    }
+
+    async function sessionWithRules(fixture, targets, paramRules) {
+        const sessionKey = ethers.Wallet.createRandom();
+        const config = await createSessionConfig(sessionKey.address, targets, [], { paramRules });
+        await fixture.wallet.connect(fixture.user1).createSessionECDSA(config);
+        return sessionKey;
+    }
+
+    async function sendAsSession(fixture, sessionKey, callData) {
+        const { entryPoint, wallet, beneficiary } = fixture;
+        const userOp = await createUserOp(wallet, callData);
+        userOp.signature = await signUserOpECDSA(userOp, sessionKey, entryPoint);
+        return entryPoint.handleOps([userOp], beneficiary.address);
+    }
+
+    function setValueCall(wallet, mockTarget, value) {
+        return wallet.interface.encodeFunctionData("execute", [
+            mockTarget.target,
+            0,
+            mockTarget.interface.encodeFunctionData("setValue", [value]),
+        ]);
+    }
+
+    describe("Configuration", function () {
+        it("Should store and report argument rules", async function () {
+            const fixture = await loadFixture(walletFixture);
+            const rules = [
+                rule(SET_VALUE_SELECTOR, 0, Operator.LTE, [1000]),
+                rule(TRANSFER_SELECTOR, 0, Operator.ONE_OF, [fixture.user2.address, fixture.beneficiary.address]),
+            ];
+            const sessionKey = await sessionWithRules(fixture, [fixture.mockTarget.target], rules);
+
+            const stored = await fixture.wallet.getSessionParamRulesECDSA(sessionKey.address);
+            expect(stored.length).to.equal(2);
+            expect(stored[0].selector).to.equal(SET_VALUE_SELECTOR);
+            expect(stored[0].operator).to.equal(Operator.LTE);
+            // `values` shadows ethers' Result#values(), so read the field by index
+            expect(stored[0][3]).to.deep.equal([word(1000)]);
+            expect(stored[1][3].length).to.equal(2);
+        });
+
+        it("Should reject a single-value operator with several values", async function () {
+            const fixture = await loadFixture(walletFixture);
+
+            await expect(
+                sessionWithRules(fixture, [fixture.mockTarget.target], [
+                    rule(SET_VALUE_SELECTOR, 0, Operator.EQUAL, [1, 2]),
+                ])
+            ).to.be.revertedWithCustomError(fixture.wallet, "InvalidParamRule");
+        });
+
+        it("Should reject a rule without a selector", async function () {
+            const fixture = await loadFixture(walletFixture);
+
+            await expect(
+                sessionWithRules(fixture, [fixture.mockTarget.target], [rule("0x00000000", 0, Operator.EQUAL, [1])])
+            ).to.be.revertedWithCustomError(fixture.wallet, "InvalidParamRule");
+        });
+
+        it("Should reject too many rules", async function () {
+            const fixture = await loadFixture(walletFixture);
+            const rules = Array.from({ length: 21 }, () => rule(SET_VALUE_SELECTOR, 0, Operator.GTE, [0]));
+
+            await expect(sessionWithRules(fixture, [fixture.mockTarget.target], rules))
+                .to.be.revertedWithCustomError(fixture.wallet, "TooManyParamRules");
+        });
+    });
+
+    describe("Operators", function () {
+        it("Should enforce LTE and GTE bounds", async function () {
+            const fixture = await loadFixture(walletFixture);
+            const { wallet, mockTarget } = fixture;
+            const sessionKey = await sessionWithRules(fixture, [mockTarget.target], [
+                rule(SET_VALUE_SELECTOR, 0, Operator.GTE, [10]),
+                rule(SET_VALUE_SELECTOR, 0, Operator.LTE, [1000]),
+            ]);
+
+            await sendAsSession(fixture, sessionKey, setValueCall(wallet, mockTarget, 1000));
+            expect(await mockTarget.value()).to.equal(1000);
+
+            await expect(sendAsSession(fixture, sessionKey, setValueCall(wallet, mockTarget, 1001))).to.be.reverted;
+            await expect(sendAsSession(fixture, sessionKey, setValueCall(wallet, mockTarget, 9))).to.be.reverted;
+        });
+
+        it("Should enforce EQUAL and NOT_EQUAL", async function () {
+            const fixture = await loadFixture(walletFixture);
+            const { wallet, mockTarget } = fixture;
+            const equalKey = await sessionWithRules(fixture, [mockTarget.target], [
+                rule(SET_VALUE_SELECTOR, 0, Operator.EQUAL, [42]),
+            ]);
+            const notEqualKey = await sessionWithRules(fixture, [mockTarget.target], [
+                rule(SET_VALUE_SELECTOR, 0, Operator.NOT_EQUAL, [0]),
+            ]);
+
+            await sendAsSession(fixture, equalKey, setValueCall(wallet, mockTarget, 42));
+            await expect(sendAsSession(fixture, equalKey, setValueCall(wallet, mockTarget, 43))).to.be.reverted;
+
+            await sendAsSession(fixture, notEqualKey, setValueCall(wallet, mockTarget, 7));
+            await expect(sendAsSession(fixture, notEqualKey, setValueCall(wallet, mockTarget, 0))).to.be.reverted;
+        });
+
+        it("Should restrict a recipient argument with ONE_OF", async function () {
+            const fixture = await loadFixture(walletFixture);
+            const { wallet, usdc, user1, user2 } = fixture;
+            const sessionKey = await sessionWithRules(fixture, [usdc.target], [
+                rule(TRANSFER_SELECTOR, 0, Operator.ONE_OF, [user2.address, wallet.target]),
+            ]);
+
+            const transfer = (to) =>
+                wallet.interface.encodeFunctionData("execute", [
+                    usdc.target,
+                    0,
+                    usdc.interface.encodeFunctionData("transfer", [to, 1_000_000]),
+                ]);
+
+            await sendAsSession(fixture, sessionKey, transfer(user2.address));
+            expect(await usdc.balanceOf(user2.address)).to.equal(1_000_000);
+
+            await expect(sendAsSession(fixture, sessionKey, transfer(user1.address))).to.be.reverted;
+        });
+
+        it("Should reject calldata too short for a rule's offset", async function () {
+            const fixture = await loadFixture(walletFixture);
+            const { wallet, mockTarget } = fixture;
+            const sessionKey = await sessionWithRules(fixture, [mockTarget.target], [
+                rule(SET_VALUE_SELECTOR, 32, Operator.EQUAL, [0]),
+            ]);
+
+            await expect(sendAsSession(fixture, sessionKey, setValueCall(wallet, mockTarget, 1))).to.be.reverted;
+        });
+    });
+
+    describe("Execution paths", function () {
+        it("Should enforce rules on every call of a batch", async function () {
+            const fixture = await loadFixture(walletFixture);
+            const { wallet, mockTarget } = fixture;
+            const sessionKey = await sessionWithRules(fixture, [mockTarget.target], [
+                rule(SET_VALUE_SELECTOR, 0, Operator.LTE, [100]),
+            ]);
+
+            const batch = (values) =>
+                wallet.interface.encodeFunctionData("executeBatch", [
+                    values.map(() => mockTarget.target),
+                    values.map(() => 0),
+                    values.map((v) => mockTarget.interface.encodeFunctionData("setValue", [v])),
+                ]);
+
+            await sendAsSession(fixture, sessionKey, batch([1, 100]));
+            expect(await mockTarget.value()).to.equal(100);
+
+            await expect(sendAsSession(fixture, sessionKey, batch([1, 101]))).to.be.reverted;
+            expect(await mockTarget.value()).to.equal(100);
+        });
+
+        it("Should enforce rules for P256 sessions", async function () {
+            const { entryPoint, wallet, mockTarget, user1, beneficiary } = await loadFixture(walletFixture);
+            const p256Key = P256SigningKey.random();
+
+            const config = await createP256SessionConfig(p256Key, [mockTarget.target], [], {
+                paramRules: [rule(SET_VALUE_SELECTOR, 0, Operator.LTE, [5])],
+            });
+            await wallet.connect(user1).createSessionP256(config);
+
+            const send = async (value) => {
+                const userOp = await createUserOp(wallet, setValueCall(wallet, mockTarget, value));
+                userOp.signature = await signUserOpP256(userOp, p256Key, entryPoint);
+                return entryPoint.handleOps([userOp], beneficiary.address);
+            };
+
+            await send(5);
+            expect(await mockTarget.value()).to.equal(5);
+            await expect(send(6)).to.be.reverted;
+
+            const stored = await wallet.getSessionParamRulesP256(p256Key.publicKey.qx, p256Key.publicKey.qy);
+            expect(stored.length).to.equal(1);
+        });
+    });
+});
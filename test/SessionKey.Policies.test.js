@@ -0,0 +1,202 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    P256SigningKey,
+    walletFixture,
+    createSessionConfig,
+    createP256SessionConfig,
+    createUserOp,
+    signUserOpECDSA,
+    signUserOpP256,
+} = require("./helpers/setup");
+
+describe("Session Keys - External Policies", function () {
+    const SIG_VALIDATION_FAILED = 1n;
+
+    // ERC-4337 validation data: validAfter (6 bytes) | validUntil (6 bytes) | aggregator (20 bytes)
+    const validityWindow = (validAfter, validUntil) => (BigInt(validAfter) << 208n) | (BigInt(validUntil) << 160n);
+
+    async function policyFixture() {
+        const fixture = await walletFixture();
+        const policy = await ethers.deployContract("MockPolicy");
+        const otherPolicy = await ethers.deployContract("MockPolicy");
+        return { ...fixture, policy, otherPolicy };
+    }
+
+    async function sessionWithPolicies(fixture, policies, targets = [fixture.mockTarget.target]) {
+        const sessionKey = ethers.Wallet.createRandom();
+        const config = await createSessionConfig(sessionKey.address, targets, [], { policies });
+        await fixture.wallet.connect(fixture.user1).createSessionECDSA(config);
+        return sessionKey;
+    }
+
+    async function sendAsSession(fixture, sessionKey, callData) {
+        const { entryPoint, wallet, beneficiary } = fixture;
+        const userOp = await createUserOp(wallet, callData);
+        userOp.signature = await signUserOpECDSA(userOp, sessionKey, entryPoint);
+        return entryPoint.handleOps([userOp], beneficiary.address);
+    }
+
+    function setValueCall(wallet, mockTarget, value) {
+        return wallet.interface.encodeFunctionData("execute", [
+            mockTarget.target,
+            0,
+            mockTarget.interface.encodeFunctionData("setValue", [value]),
+        ]);
+    }
+
+    const sessionIdOf = (sessionKey) => ethers.zeroPadValue(sessionKey.address, 32);
+
+    describe("Configuration", function () {
+        it("Should store and report the policies of ECDSA and P256 sessions", async function () {
+            const fixture = await loadFixture(policyFixture);
+            const { wallet, user1, mockTarget, policy, otherPolicy } = fixture;
+            const sessionKey = await sessionWithPolicies(fixture, [policy.target, otherPolicy.target]);
+            const p256Key = P256SigningKey.random();
+            await wallet
+                .connect(user1)
+                .createSessionP256(
+                    await createP256SessionConfig(p256Key, [mockTarget.target], [], { policies: [policy.target] })
+                );
+
+            expect(await wallet.getSessionPoliciesECDSA(sessionKey.address)).to.deep.equal([
+                policy.target,
+                otherPolicy.target,
+            ]);
+            expect(await wallet.getSessionPoliciesP256(p256Key.publicKey.qx, p256Key.publicKey.qy)).to.deep.equal([
+                policy.target,
+            ]);
+        });
+
+        it("Should reject policies without code or pointing at the wallet", async function () {
+            const fixture = await loadFixture(policyFixture);
+            const { wallet, user2 } = fixture;
+
+            await expect(sessionWithPolicies(fixture, [user2.address])).to.be.revertedWithCustomError(
+                wallet,
+                "InvalidPolicy"
+            );
+            await expect(sessionWithPolicies(fixture, [wallet.target])).to.be.revertedWithCustomError(
+                wallet,
+                "InvalidPolicy"
+            );
+        });
+
+        it("Should enforce the policy limit", async function () {
+            const fixture = await loadFixture(policyFixture);
+            const maxPolicies = Number(await fixture.wallet.MAX_POLICIES_PER_SESSION());
+
+            await expect(
+                sessionWithPolicies(fixture, Array(maxPolicies + 1).fill(fixture.policy.target))
+            ).to.be.revertedWithCustomError(fixture.wallet, "TooManyPolicies");
+        });
+
+        it("Should clear the policies of a revoked session when the key is reused", async function () {
+            const fixture = await loadFixture(policyFixture);
+            const { wallet, user1, mockTarget, policy } = fixture;
+            const sessionKey = await sessionWithPolicies(fixture, [policy.target]);
+
+            await wallet.connect(user1).revokeSessionECDSA(sessionKey.address);
+            await wallet
+                .connect(user1)
+                .createSessionECDSA(await createSessionConfig(sessionKey.address, [mockTarget.target], []));
+
+            expect(await wallet.getSessionPoliciesECDSA(sessionKey.address)).to.deep.equal([]);
+            await sendAsSession(fixture, sessionKey, setValueCall(wallet, mockTarget, 1));
+            expect(await policy.checkCount(sessionIdOf(sessionKey), wallet.target)).to.equal(0);
+        });
+    });
+
+    describe("Validation", function () {
+        it("Should pass the wallet, session, calldata and value to each policy", async function () {
+            const fixture = await loadFixture(policyFixture);
+            const { wallet, mockTarget, policy, otherPolicy } = fixture;
+            const sessionKey = await sessionWithPolicies(fixture, [policy.target, otherPolicy.target]);
+            const callData = setValueCall(wallet, mockTarget, 42);
+
+            await sendAsSession(fixture, sessionKey, callData);
+
+            expect(await mockTarget.value()).to.equal(42);
+            for (const checked of [policy, otherPolicy]) {
+                expect(await checked.checkCount(sessionIdOf(sessionKey), wallet.target)).to.equal(1);
+                expect(await checked.lastCallDataHash(sessionIdOf(sessionKey), wallet.target)).to.equal(
+                    ethers.keccak256(callData)
+                );
+            }
+        });
+
+        it("Should pass the total value of a batch", async function () {
+            const fixture = await loadFixture(policyFixture);
+            const { wallet, mockTarget, user2, policy } = fixture;
+            const sessionKey = await sessionWithPolicies(fixture, [policy.target], [mockTarget.target, user2.address]);
+            const callData = wallet.interface.encodeFunctionData("executeBatch", [
+                [user2.address, user2.address, mockTarget.target],
+                [ethers.parseEther("0.1"), ethers.parseEther("0.2"), 0],
+                ["0x", "0x", mockTarget.interface.encodeFunctionData("setValue", [7])],
+            ]);
+
+            await sendAsSession(fixture, sessionKey, callData);
+
+            expect(await policy.lastValue(sessionIdOf(sessionKey), wallet.target)).to.equal(ethers.parseEther("0.3"));
+        });
+
+        it("Should identify P256 sessions by their key hash", async function () {
+            const fixture = await loadFixture(policyFixture);
+            const { entryPoint, wallet, user1, mockTarget, beneficiary, policy } = fixture;
+            const p256Key = P256SigningKey.random();
+            await wallet
+                .connect(user1)
+                .createSessionP256(
+                    await createP256SessionConfig(p256Key, [mockTarget.target], [], { policies: [policy.target] })
+                );
+
+            const userOp = await createUserOp(wallet, setValueCall(wallet, mockTarget, 5));
+            userOp.signature = await signUserOpP256(userOp, p256Key, entryPoint);
+            await entryPoint.handleOps([userOp], beneficiary.address);
+
+            const keyHash = ethers.solidityPackedKeccak256(
+                ["bytes32", "bytes32"],
+                [p256Key.publicKey.qx, p256Key.publicKey.qy]
+            );
+            expect(await policy.checkCount(keyHash, wallet.target)).to.equal(1);
+        });
+
+        it("Should reject the UserOperation when any policy fails", async function () {
+            const fixture = await loadFixture(policyFixture);
+            const { entryPoint, wallet, mockTarget, policy, otherPolicy } = fixture;
+            const sessionKey = await sessionWithPolicies(fixture, [policy.target, otherPolicy.target]);
+
+            await otherPolicy.setValidationData(SIG_VALIDATION_FAILED);
+
+            await expect(
+                sendAsSession(fixture, sessionKey, setValueCall(wallet, mockTarget, 1))
+            ).to.be.revertedWithCustomError(entryPoint, "FailedOpWithRevert");
+            expect(await mockTarget.value()).to.equal(0);
+        });
+
+        it("Should narrow the session validity window to the policies' windows", async function () {
+            const fixture = await loadFixture(policyFixture);
+            const { entryPoint, wallet, mockTarget, policy, otherPolicy } = fixture;
+            const sessionKey = await sessionWithPolicies(fixture, [policy.target, otherPolicy.target]);
+            const now = await time.latest();
+
+            // Policies allow [now + 1h, now + 3h] and [now + 2h, now + 4h]: the UserOperation is valid in [2h, 3h]
+            await policy.setValidationData(validityWindow(now + 3600, now + 3 * 3600));
+            await otherPolicy.setValidationData(validityWindow(now + 2 * 3600, now + 4 * 3600));
+
+            await expect(
+                sendAsSession(fixture, sessionKey, setValueCall(wallet, mockTarget, 1))
+            ).to.be.revertedWithCustomError(entryPoint, "FailedOp");
+
+            await time.increaseTo(now + 2 * 3600 + 60);
+            await sendAsSession(fixture, sessionKey, setValueCall(wallet, mockTarget, 2));
+            expect(await mockTarget.value()).to.equal(2);
+
+            await time.increaseTo(now + 3 * 3600 + 60);
+            await expect(
+                sendAsSession(fixture, sessionKey, setValueCall(wallet, mockTarget, 3))
+            ).to.be.revertedWithCustomError(entryPoint, "FailedOp");
+        });
+    });
+});
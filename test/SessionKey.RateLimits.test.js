@@ -0,0 +1,190 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    P256SigningKey,
+    walletFixture,
+    createSessionConfig,
+    createP256SessionConfig,
+    createUserOp,
+    signUserOpECDSA,
+    signUserOpP256,
+    ONE_DAY,
+} = require("./helpers/setup");
+
+describe("Session Keys - Per-Period Rate Limits", function () {
+    const MAX_UINT64 = 2n ** 64n - 1n;
+    const MAX_UINT128 = 2n ** 128n - 1n;
+
+    async function rateLimitedFixture() {
+        const fixture = await walletFixture();
+        const { wallet, mockTarget, user1, user2 } = fixture;
+        const sessionKey = ethers.Wallet.createRandom();
+
+        // 3 calls and 1 ETH per day
+        const config = await createSessionConfig(sessionKey.address, [mockTarget.target, user2.address], [], {
+            periodLength: ONE_DAY,
+            maxCallsPerPeriod: 3,
+            maxValuePerPeriod: ethers.parseEther("1"),
+        });
+        await wallet.connect(user1).createSessionECDSA(config);
+
+        return { ...fixture, sessionKey };
+    }
+
+    async function sendAsSession(fixture, callData, sessionKey = fixture.sessionKey) {
+        const { entryPoint, wallet, beneficiary } = fixture;
+        const userOp = await createUserOp(wallet, callData);
+        userOp.signature = await signUserOpECDSA(userOp, sessionKey, entryPoint);
+        return entryPoint.handleOps([userOp], beneficiary.address);
+    }
+
+    function setValueCall(wallet, mockTarget, value) {
+        return wallet.interface.encodeFunctionData("execute", [
+            mockTarget.target,
+            0,
+            mockTarget.interface.encodeFunctionData("setValue", [value]),
+        ]);
+    }
+
+    function sendEthCall(wallet, to, value) {
+        return wallet.interface.encodeFunctionData("execute", [to, value, "0x"]);
+    }
+
+    describe("Configuration", function () {
+        it("Should report the period limits", async function () {
+            const { wallet, sessionKey } = await loadFixture(rateLimitedFixture);
+
+            const session = await wallet.getSessionECDSA(sessionKey.address);
+            expect(session.periodLength).to.equal(ONE_DAY);
+            expect(session.periodCallsRemaining).to.equal(3);
+            expect(session.periodValueRemaining).to.equal(ethers.parseEther("1"));
+        });
+
+        it("Should report unlimited remaining values when no period is set", async function () {
+            const { wallet, mockTarget, user1 } = await loadFixture(walletFixture);
+            const sessionKey = ethers.Wallet.createRandom();
+
+            const config = await createSessionConfig(sessionKey.address, [mockTarget.target], []);
+            await wallet.connect(user1).createSessionECDSA(config);
+
+            const session = await wallet.getSessionECDSA(sessionKey.address);
+            expect(session.periodLength).to.equal(0);
+            expect(session.periodCallsRemaining).to.equal(MAX_UINT64);
+            expect(session.periodValueRemaining).to.equal(MAX_UINT128);
+        });
+
+        it("Should reject period caps without a period length", async function () {
+            const { wallet, mockTarget, user1 } = await loadFixture(walletFixture);
+
+            const config = await createSessionConfig(ethers.Wallet.createRandom().address, [mockTarget.target], [], {
+                maxCallsPerPeriod: 5,
+            });
+
+            await expect(wallet.connect(user1).createSessionECDSA(config))
+                .to.be.revertedWithCustomError(wallet, "InvalidRateLimit");
+        });
+
+        it("Should reject a period longer than the maximum session duration", async function () {
+            const { wallet, mockTarget, user1 } = await loadFixture(walletFixture);
+
+            const config = await createSessionConfig(ethers.Wallet.createRandom().address, [mockTarget.target], [], {
+                periodLength: 31 * ONE_DAY,
+                maxCallsPerPeriod: 5,
+            });
+
+            await expect(wallet.connect(user1).createSessionECDSA(config))
+                .to.be.revertedWithCustomError(wallet, "InvalidRateLimit");
+        });
+    });
+
+    describe("Enforcement", function () {
+        it("Should cap calls within a period", async function () {
+            const fixture = await loadFixture(rateLimitedFixture);
+            const { wallet, mockTarget, sessionKey } = fixture;
+
+            for (let i = 1; i <= 3; i++) {
+                await sendAsSession(fixture, setValueCall(wallet, mockTarget, i));
+            }
+            expect((await wallet.getSessionECDSA(sessionKey.address)).periodCallsRemaining).to.equal(0);
+
+            await expect(sendAsSession(fixture, setValueCall(wallet, mockTarget, 4))).to.be.reverted;
+            expect(await mockTarget.value()).to.equal(3);
+        });
+
+        it("Should cap value within a period", async function () {
+            const fixture = await loadFixture(rateLimitedFixture);
+            const { wallet, user2, sessionKey } = fixture;
+
+            await sendAsSession(fixture, sendEthCall(wallet, user2.address, ethers.parseEther("0.6")));
+            expect((await wallet.getSessionECDSA(sessionKey.address)).periodValueRemaining).to.equal(
+                ethers.parseEther("0.4")
+            );
+
+            await expect(sendAsSession(fixture, sendEthCall(wallet, user2.address, ethers.parseEther("0.5")))).to.be
+                .reverted;
+        });
+
+        it("Should reset the limits once the period elapses", async function () {
+            const fixture = await loadFixture(rateLimitedFixture);
+            const { wallet, mockTarget, sessionKey } = fixture;
+
+            for (let i = 1; i <= 3; i++) {
+                await sendAsSession(fixture, setValueCall(wallet, mockTarget, i));
+            }
+            await expect(sendAsSession(fixture, setValueCall(wallet, mockTarget, 4))).to.be.reverted;
+
+            await time.increase(ONE_DAY);
+            expect((await wallet.getSessionECDSA(sessionKey.address)).periodCallsRemaining).to.equal(3);
+
+            await sendAsSession(fixture, setValueCall(wallet, mockTarget, 4));
+            expect(await mockTarget.value()).to.equal(4);
+            expect((await wallet.getSessionECDSA(sessionKey.address)).periodCallsRemaining).to.equal(2);
+        });
+
+        it("Should count a batch as a single call against the period", async function () {
+            const fixture = await loadFixture(rateLimitedFixture);
+            const { wallet, mockTarget, user2, sessionKey } = fixture;
+
+            const callData = wallet.interface.encodeFunctionData("executeBatch", [
+                [mockTarget.target, user2.address],
+                [0, ethers.parseEther("0.7")],
+                [mockTarget.interface.encodeFunctionData("setValue", [1]), "0x"],
+            ]);
+            await sendAsSession(fixture, callData);
+
+            const session = await wallet.getSessionECDSA(sessionKey.address);
+            expect(session.periodCallsRemaining).to.equal(2);
+            expect(session.periodValueRemaining).to.equal(ethers.parseEther("0.3"));
+        });
+    });
+
+    describe("P256 enforcement", function () {
+        it("Should enforce period limits for P256 sessions", async function () {
+            const { entryPoint, wallet, mockTarget, user1, beneficiary } = await loadFixture(walletFixture);
+            const p256Key = P256SigningKey.random();
+
+            const config = await createP256SessionConfig(p256Key, [mockTarget.target], [], {
+                periodLength: ONE_DAY,
+                maxCallsPerPeriod: 1,
+            });
+            await wallet.connect(user1).createSessionP256(config);
+
+            const send = async (value) => {
+                const userOp = await createUserOp(wallet, setValueCall(wallet, mockTarget, value));
+                userOp.signature = await signUserOpP256(userOp, p256Key, entryPoint);
+                return entryPoint.handleOps([userOp], beneficiary.address);
+            };
+
+            await send(1);
+            await expect(send(2)).to.be.reverted;
+
+            await time.increase(ONE_DAY);
+            await send(3);
+            expect(await mockTarget.value()).to.equal(3);
+
+            const session = await wallet.getSessionP256(p256Key.publicKey.qx, p256Key.publicKey.qy);
+            expect(session.periodCallsRemaining).to.equal(0);
+        });
+    });
+});
@@ -0,0 +1,228 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    P256SigningKey,
+    walletFixture,
+    createSessionConfig,
+    createP256SessionConfig,
+    createUserOp,
+    signUserOpECDSA,
+    signUserOpP256,
+} = require("./helpers/setup");
+
+describe("Session Keys - ETH Recipients", function () {
+    const MAX_UINT128 = 2n ** 128n - 1n;
+    const ETH = (amount) => ethers.parseEther(amount);
+
+    async function recipientsFixture() {
+        const fixture = await walletFixture();
+        const { wallet, user1, user2 } = fixture;
+        const [, , , , , alice, bob] = await ethers.getSigners();
+
+        // A payroll bot: no targets, only capped payments to known addresses
+        const sessionKey = ethers.Wallet.createRandom();
+        const config = await createSessionConfig(sessionKey.address, [], [], {
+            recipients: [
+                { recipient: alice.address, limit: ETH("1") },
+                { recipient: bob.address, limit: 0 },
+            ],
+        });
+        await wallet.connect(user1).createSessionECDSA(config);
+
+        return { ...fixture, sessionKey, config, alice, bob, stranger: user2 };
+    }
+
+    async function sendAsSession(fixture, sessionKey, callData) {
+        const { entryPoint, wallet, beneficiary } = fixture;
+        const userOp = await createUserOp(wallet, callData);
+        userOp.signature = await signUserOpECDSA(userOp, sessionKey, entryPoint);
+        return entryPoint.handleOps([userOp], beneficiary.address);
+    }
+
+    function payCall(wallet, recipient, amount) {
+        return wallet.interface.encodeFunctionData("execute", [recipient.address, ETH(amount), "0x"]);
+    }
+
+    describe("Configuration", function () {
+        it("Should store and report the recipients of ECDSA and P256 sessions", async function () {
+            const { wallet, user1, alice, bob, sessionKey } = await loadFixture(recipientsFixture);
+            const p256Key = P256SigningKey.random();
+            await wallet.connect(user1).createSessionP256(
+                await createP256SessionConfig(p256Key, [], [], {
+                    recipients: [{ recipient: bob.address, limit: ETH("0.5") }],
+                })
+            );
+
+            const recipients = await wallet.getSessionRecipientsECDSA(sessionKey.address);
+            expect(recipients.map((entry) => entry.recipient)).to.deep.equal([alice.address, bob.address]);
+            expect(recipients[0].remaining).to.equal(ETH("1"));
+            expect(recipients[1].remaining).to.equal(MAX_UINT128);
+
+            const [p256Recipient] = await wallet.getSessionRecipientsP256(p256Key.publicKey.qx, p256Key.publicKey.qy);
+            expect(p256Recipient.recipient).to.equal(bob.address);
+            expect(p256Recipient.limit).to.equal(ETH("0.5"));
+        });
+
+        it("Should reject zero, self, duplicate and too many recipients", async function () {
+            const { wallet, user1, alice } = await loadFixture(recipientsFixture);
+            const create = async (recipients) =>
+                wallet
+                    .connect(user1)
+                    .createSessionECDSA(
+                        await createSessionConfig(ethers.Wallet.createRandom().address, [], [], { recipients })
+                    );
+            const maxRecipients = Number(await wallet.MAX_RECIPIENTS_PER_SESSION());
+
+            await expect(create([{ recipient: ethers.ZeroAddress, limit: 0 }])).to.be.revertedWithCustomError(
+                wallet,
+                "InvalidRecipient"
+            );
+            await expect(create([{ recipient: wallet.target, limit: 0 }])).to.be.revertedWithCustomError(
+                wallet,
+                "CannotTargetSelf"
+            );
+            await expect(
+                create([
+                    { recipient: alice.address, limit: 0 },
+                    { recipient: alice.address, limit: 1 },
+                ])
+            ).to.be.revertedWithCustomError(wallet, "DuplicateRecipient");
+            await expect(
+                create(
+                    Array.from({ length: maxRecipients + 1 }, () => ({
+                        recipient: ethers.Wallet.createRandom().address,
+                        limit: 0,
+                    }))
+                )
+            ).to.be.revertedWithCustomError(wallet, "TooManyRecipients");
+        });
+
+        it("Should still require a target or a recipient", async function () {
+            const { wallet, user1 } = await loadFixture(recipientsFixture);
+
+            await expect(
+                wallet
+                    .connect(user1)
+                    .createSessionECDSA(await createSessionConfig(ethers.Wallet.createRandom().address, [], []))
+            ).to.be.revertedWithCustomError(wallet, "NoTargetsSpecified");
+        });
+    });
+
+    describe("Transfers", function () {
+        it("Should pay listed recipients and nobody else", async function () {
+            const fixture = await loadFixture(recipientsFixture);
+            const { entryPoint, wallet, alice, stranger, sessionKey } = fixture;
+
+            await expect(sendAsSession(fixture, sessionKey, payCall(wallet, alice, "0.4"))).to.changeEtherBalance(
+                alice,
+                ETH("0.4")
+            );
+            await expect(
+                sendAsSession(fixture, sessionKey, payCall(wallet, stranger, "0.1"))
+            ).to.be.revertedWithCustomError(entryPoint, "FailedOpWithRevert");
+        });
+
+        it("Should enforce each recipient's cap across UserOperations", async function () {
+            const fixture = await loadFixture(recipientsFixture);
+            const { entryPoint, wallet, alice, bob, sessionKey } = fixture;
+
+            await sendAsSession(fixture, sessionKey, payCall(wallet, alice, "0.7"));
+            await expect(
+                sendAsSession(fixture, sessionKey, payCall(wallet, alice, "0.4"))
+            ).to.be.revertedWithCustomError(entryPoint, "FailedOpWithRevert");
+            await sendAsSession(fixture, sessionKey, payCall(wallet, alice, "0.3"));
+            await sendAsSession(fixture, sessionKey, payCall(wallet, bob, "1"));
+
+            const [session] = await wallet.getActiveSessions(0, 1);
+            expect(session.recipientBudgets[0].sent).to.equal(ETH("1"));
+            expect(session.recipientBudgets[0].remaining).to.equal(0);
+            expect(session.recipientBudgets[1].remaining).to.equal(MAX_UINT128);
+        });
+
+        it("Should enforce caps within a batch", async function () {
+            const fixture = await loadFixture(recipientsFixture);
+            const { entryPoint, wallet, alice, bob, sessionKey } = fixture;
+            const batch = (aliceAmounts) =>
+                wallet.interface.encodeFunctionData("executeBatch", [
+                    [...aliceAmounts.map(() => alice.address), bob.address],
+                    [...aliceAmounts.map(ETH), ETH("0.2")],
+                    [...aliceAmounts.map(() => "0x"), "0x"],
+                ]);
+
+            await expect(
+                sendAsSession(fixture, sessionKey, batch(["0.6", "0.6"]))
+            ).to.be.revertedWithCustomError(entryPoint, "FailedOpWithRevert");
+            await expect(sendAsSession(fixture, sessionKey, batch(["0.5", "0.5"]))).to.changeEtherBalances(
+                [alice, bob],
+                [ETH("1"), ETH("0.2")]
+            );
+        });
+
+        it("Should not let calls with calldata through the recipient list", async function () {
+            const fixture = await loadFixture(recipientsFixture);
+            const { entryPoint, wallet, user1, mockTarget, sessionKey, config } = fixture;
+            await wallet.connect(user1).updateSessionECDSA({
+                ...config,
+                recipients: [...config.recipients, { recipient: mockTarget.target, limit: 0 }],
+            });
+
+            await expect(
+                sendAsSession(
+                    fixture,
+                    sessionKey,
+                    wallet.interface.encodeFunctionData("execute", [
+                        mockTarget.target,
+                        0,
+                        mockTarget.interface.encodeFunctionData("setValue", [1]),
+                    ])
+                )
+            ).to.be.revertedWithCustomError(entryPoint, "FailedOpWithRevert");
+            expect(await mockTarget.value()).to.equal(0);
+        });
+
+        it("Should keep applying the session's value limits", async function () {
+            const fixture = await loadFixture(recipientsFixture);
+            const { entryPoint, wallet, bob, sessionKey, config } = fixture;
+
+            // createSessionConfig caps every transaction at 1 ETH
+            expect(config.maxValuePerTx).to.equal(ETH("1"));
+            await expect(
+                sendAsSession(fixture, sessionKey, payCall(wallet, bob, "1.5"))
+            ).to.be.revertedWithCustomError(entryPoint, "FailedOpWithRevert");
+        });
+
+        it("Should let P256 sessions pay their recipients", async function () {
+            const { entryPoint, wallet, user1, alice, beneficiary } = await loadFixture(recipientsFixture);
+            const p256Key = P256SigningKey.random();
+            await wallet.connect(user1).createSessionP256(
+                await createP256SessionConfig(p256Key, [], [], {
+                    recipients: [{ recipient: alice.address, limit: ETH("0.5") }],
+                })
+            );
+            const pay = async (amount) => {
+                const userOp = await createUserOp(wallet, payCall(wallet, alice, amount));
+                userOp.signature = await signUserOpP256(userOp, p256Key, entryPoint);
+                return entryPoint.handleOps([userOp], beneficiary.address);
+            };
+
+            await expect(pay("0.5")).to.changeEtherBalance(alice, ETH("0.5"));
+            await expect(pay("0.1")).to.be.revertedWithCustomError(entryPoint, "FailedOpWithRevert");
+        });
+
+        it("Should keep what was sent when the session is updated", async function () {
+            const fixture = await loadFixture(recipientsFixture);
+            const { wallet, user1, alice, sessionKey, config } = fixture;
+            await sendAsSession(fixture, sessionKey, payCall(wallet, alice, "0.6"));
+
+            await wallet.connect(user1).updateSessionECDSA({
+                ...config,
+                recipients: [{ recipient: alice.address, limit: ETH("2") }],
+            });
+
+            const [recipient] = await wallet.getSessionRecipientsECDSA(sessionKey.address);
+            expect(recipient.sent).to.equal(ETH("0.6"));
+            expect(recipient.remaining).to.equal(ETH("1.4"));
+        });
+    });
+});
@@ -0,0 +1,167 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    P256SigningKey,
+    walletFixture,
+    getWalletDomain,
+    createSessionConfig,
+    createP256SessionConfig,
+    createUserOp,
+    signUserOpECDSA,
+    signUserOpP256,
+    ERC1271_MAGIC_VALUE,
+    ERC1271_INVALID,
+} = require("./helpers/setup");
+const { personalSignHash, signSessionECDSA } = require("../scripts/erc7739");
+
+describe("Session Keys - Revoke All Sessions", function () {
+    const SIGN_IN_HASH = ethers.hashMessage("sign in to lendefi");
+
+    async function sessionsFixture() {
+        const fixture = await walletFixture();
+        const { wallet, mockTarget, user1, user2 } = fixture;
+
+        const sessionKey = ethers.Wallet.createRandom();
+        await wallet
+            .connect(user1)
+            .createSessionECDSA(
+                await createSessionConfig(sessionKey.address, [mockTarget.target], [], { signableHashes: [SIGN_IN_HASH] })
+            );
+        const p256Key = P256SigningKey.random();
+        await wallet.connect(user1).createSessionP256(await createP256SessionConfig(p256Key, [mockTarget.target], []));
+        await wallet.connect(user1).addGuardian(user2.address);
+
+        return { ...fixture, sessionKey, p256Key, guardian: user2 };
+    }
+
+    function setValueCall(wallet, mockTarget, value) {
+        return wallet.interface.encodeFunctionData("execute", [
+            mockTarget.target,
+            0,
+            mockTarget.interface.encodeFunctionData("setValue", [value]),
+        ]);
+    }
+
+    async function sendAsECDSA(fixture, sessionKey, value) {
+        const { entryPoint, wallet, mockTarget, beneficiary } = fixture;
+        const userOp = await createUserOp(wallet, setValueCall(wallet, mockTarget, value));
+        userOp.signature = await signUserOpECDSA(userOp, sessionKey, entryPoint);
+        return entryPoint.handleOps([userOp], beneficiary.address);
+    }
+
+    async function sendAsP256(fixture, p256Key, value) {
+        const { entryPoint, wallet, mockTarget, beneficiary } = fixture;
+        const userOp = await createUserOp(wallet, setValueCall(wallet, mockTarget, value));
+        userOp.signature = await signUserOpP256(userOp, p256Key, entryPoint);
+        return entryPoint.handleOps([userOp], beneficiary.address);
+    }
+
+    describe("Revocation", function () {
+        it("Should revoke every ECDSA and P256 session when the owner calls it", async function () {
+            const fixture = await loadFixture(sessionsFixture);
+            const { wallet, user1, sessionKey, p256Key } = fixture;
+
+            await expect(wallet.connect(user1).revokeAllSessions())
+                .to.emit(wallet, "AllSessionsRevoked")
+                .withArgs(1, user1.address);
+
+            expect(await wallet.sessionEpoch()).to.equal(1);
+            expect(await wallet.isValidSessionECDSA(sessionKey.address)).to.be.false;
+            expect(await wallet.isValidSessionP256(p256Key.publicKey.qx, p256Key.publicKey.qy)).to.be.false;
+            expect((await wallet.getSessionECDSA(sessionKey.address)).revoked).to.be.true;
+            expect((await wallet.getSessionP256(p256Key.publicKey.qx, p256Key.publicKey.qy)).revoked).to.be.true;
+        });
+
+        it("Should reject UserOperations and signatures of revoked sessions", async function () {
+            const fixture = await loadFixture(sessionsFixture);
+            const { wallet, user1, sessionKey, p256Key } = fixture;
+            const signature = signSessionECDSA(sessionKey, personalSignHash(await getWalletDomain(wallet), SIGN_IN_HASH));
+
+            await sendAsECDSA(fixture, sessionKey, 1);
+            expect(await wallet.isValidSignature(SIGN_IN_HASH, signature)).to.equal(ERC1271_MAGIC_VALUE);
+
+            await wallet.connect(user1).revokeAllSessions();
+
+            await expect(sendAsECDSA(fixture, sessionKey, 2)).to.be.reverted;
+            await expect(sendAsP256(fixture, p256Key, 3)).to.be.reverted;
+            expect(await fixture.mockTarget.value()).to.equal(1);
+            expect(await wallet.isValidSignature(SIGN_IN_HASH, signature)).to.equal(ERC1271_INVALID);
+        });
+
+        it("Should let a guardian revoke all sessions", async function () {
+            const fixture = await loadFixture(sessionsFixture);
+            const { wallet, sessionKey, guardian } = fixture;
+
+            await expect(wallet.connect(guardian).revokeAllSessions())
+                .to.emit(wallet, "AllSessionsRevoked")
+                .withArgs(1, guardian.address);
+            expect(await wallet.isValidSessionECDSA(sessionKey.address)).to.be.false;
+        });
+
+        it("Should reject callers that are neither the owner nor a guardian", async function () {
+            const { wallet, beneficiary } = await loadFixture(sessionsFixture);
+
+            await expect(wallet.connect(beneficiary).revokeAllSessions()).to.be.revertedWithCustomError(
+                wallet,
+                "Unauthorized"
+            );
+        });
+
+        it("Should accept sessions created after the revocation", async function () {
+            const fixture = await loadFixture(sessionsFixture);
+            const { wallet, user1, mockTarget, sessionKey } = fixture;
+
+            await wallet.connect(user1).revokeAllSessions();
+
+            // The same key can be granted again in the new epoch
+            await wallet
+                .connect(user1)
+                .createSessionECDSA(await createSessionConfig(sessionKey.address, [mockTarget.target], []));
+            const p256Key = P256SigningKey.random();
+            await wallet.connect(user1).createSessionP256(await createP256SessionConfig(p256Key, [mockTarget.target], []));
+
+            await sendAsECDSA(fixture, sessionKey, 4);
+            await sendAsP256(fixture, p256Key, 5);
+            expect(await mockTarget.value()).to.equal(5);
+            expect((await wallet.getSessionECDSA(sessionKey.address)).revoked).to.be.false;
+        });
+    });
+
+    describe("Session key isolation", function () {
+        it("Should not let a guardian wallet's session key revoke the guarded wallet's sessions", async function () {
+            const { entryPoint, factory, wallet, user1, user2, beneficiary, sessionKey } =
+                await loadFixture(sessionsFixture);
+
+            await factory.createAccount(user2.address, 0);
+            const guardianWallet = await ethers.getContractAt("SmartWallet", await factory.getWallet(user2.address));
+            await entryPoint.depositTo(guardianWallet.target, { value: ethers.parseEther("1") });
+            await wallet.connect(user1).addGuardian(guardianWallet.target);
+
+            const guardianSessionKey = ethers.Wallet.createRandom();
+            await guardianWallet
+                .connect(user2)
+                .createSessionECDSA(await createSessionConfig(guardianSessionKey.address, [wallet.target], []));
+
+            const userOp = await createUserOp(
+                guardianWallet,
+                guardianWallet.interface.encodeFunctionData("execute", [
+                    wallet.target,
+                    0,
+                    wallet.interface.encodeFunctionData("revokeAllSessions"),
+                ])
+            );
+            userOp.signature = await signUserOpECDSA(userOp, guardianSessionKey, entryPoint);
+
+            await expect(entryPoint.handleOps([userOp], beneficiary.address)).to.be.reverted;
+            expect(await wallet.sessionEpoch()).to.equal(0);
+            expect(await wallet.isValidSessionECDSA(sessionKey.address)).to.be.true;
+
+            // The guardian wallet's owner can
+            await guardianWallet
+                .connect(user2)
+                .execute(wallet.target, 0, wallet.interface.encodeFunctionData("revokeAllSessions"));
+            expect(await wallet.isValidSessionECDSA(sessionKey.address)).to.be.false;
+        });
+    });
+});
@@ -0,0 +1,371 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    P256SigningKey,
+    walletFixture,
+    getWalletDomain,
+    createSessionConfig,
+    createP256SessionConfig,
+    SESSION_KEY_P256,
+    ERC1271_MAGIC_VALUE,
+    ERC1271_INVALID,
+} = require("./helpers/setup");
+const {
+    personalSignHash,
+    signPersonalMessage,
+    typedDataSignTypes,
+    typedDataSignHash,
+    encodeTypedDataSignature,
+    signSessionECDSA,
+    encodeSessionContentsSignature,
+} = require("../scripts/erc7739");
+const { cosignSessionSignature } = require("../scripts/cosign");
+
+describe("Session Keys - ERC-1271 Signing Scope", function () {
+    const MESSAGE = "app.lendefi.com wants you to sign in with your Ethereum account";
+
+    const ORDER_TYPES = {
+        Order: [
+            { name: "maker", type: "address" },
+            { name: "asset", type: "Asset" },
+            { name: "deadline", type: "uint256" },
+        ],
+        Asset: [
+            { name: "token", type: "address" },
+            { name: "amount", type: "uint256" },
+        ],
+    };
+    const CANCEL_TYPES = { Cancel: [{ name: "orderHash", type: "bytes32" }] };
+    const PERMIT_TYPES = {
+        Permit: [
+            { name: "owner", type: "address" },
+            { name: "spender", type: "address" },
+            { name: "value", type: "uint256" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" },
+        ],
+    };
+    const ORDER_TYPEHASH = ethers.id(ethers.TypedDataEncoder.from(ORDER_TYPES).encodeType("Order"));
+
+    async function signingScopeFixture() {
+        const fixture = await walletFixture();
+        const app = await ethers.deployContract("MockEIP712App", ["Lendefi Orders", "2"]);
+        const otherApp = await ethers.deployContract("MockEIP712App", ["Other Orders", "2"]);
+        const { chainId } = await ethers.provider.getNetwork();
+        const order = {
+            maker: fixture.wallet.target,
+            asset: { token: fixture.usdc.target, amount: 1_000n * 10n ** 6n },
+            deadline: 1_900_000_000n,
+        };
+
+        return {
+            ...fixture,
+            app,
+            otherApp,
+            domain: await getWalletDomain(fixture.wallet),
+            appDomain: { name: "Lendefi Orders", version: "2", chainId, verifyingContract: app.target },
+            otherAppDomain: { name: "Other Orders", version: "2", chainId, verifyingContract: otherApp.target },
+            order,
+        };
+    }
+
+    async function sessionWithScope(fixture, scope) {
+        const sessionKey = ethers.Wallet.createRandom();
+        const config = await createSessionConfig(sessionKey.address, [fixture.mockTarget.target], [], scope);
+        await fixture.wallet.connect(fixture.user1).createSessionECDSA(config);
+        return sessionKey;
+    }
+
+    function orderScope(app) {
+        return { signingPermissions: [{ verifyingContract: app.target, typehash: ORDER_TYPEHASH }] };
+    }
+
+    function signP256Session(p256Key, digest) {
+        const { r, s } = p256Key.sign(digest);
+        return ethers.concat([SESSION_KEY_P256, p256Key.publicKey.qx, p256Key.publicKey.qy, r, s]);
+    }
+
+    // Session signature of app typed data, and the app digest it is validated for
+    function signTypedDataAsSession(sign, domain, appDomain, types, value) {
+        const digest = typedDataSignHash(domain, appDomain, types, value);
+        return {
+            hash: ethers.TypedDataEncoder.hash(appDomain, types, value),
+            signature: encodeTypedDataSignature(
+                encodeSessionContentsSignature(sign(digest), types, value),
+                appDomain,
+                types,
+                value
+            ),
+        };
+    }
+
+    describe("Configuration", function () {
+        it("Should store and report the signing scope", async function () {
+            const fixture = await loadFixture(signingScopeFixture);
+            const hash = ethers.hashMessage(MESSAGE);
+            const sessionKey = await sessionWithScope(fixture, { ...orderScope(fixture.app), signableHashes: [hash] });
+
+            const session = await fixture.wallet.getSessionECDSA(sessionKey.address);
+            expect(session.signingPermissions.length).to.equal(1);
+            expect(session.signingPermissions[0].verifyingContract).to.equal(fixture.app.target);
+            expect(session.signingPermissions[0].typehash).to.equal(ORDER_TYPEHASH);
+            expect(session.signableHashes).to.deep.equal([hash]);
+        });
+
+        it("Should reject signing permissions without an app or typehash", async function () {
+            const fixture = await loadFixture(signingScopeFixture);
+
+            await expect(
+                sessionWithScope(fixture, {
+                    signingPermissions: [{ verifyingContract: ethers.ZeroAddress, typehash: ORDER_TYPEHASH }],
+                })
+            ).to.be.revertedWithCustomError(fixture.wallet, "InvalidSigningPermission");
+            await expect(
+                sessionWithScope(fixture, {
+                    signingPermissions: [{ verifyingContract: fixture.app.target, typehash: ethers.ZeroHash }],
+                })
+            ).to.be.revertedWithCustomError(fixture.wallet, "InvalidSigningPermission");
+        });
+
+        it("Should enforce the scope size limits", async function () {
+            const fixture = await loadFixture(signingScopeFixture);
+            const maxPermissions = Number(await fixture.wallet.MAX_SIGNING_PERMISSIONS_PER_SESSION());
+            const maxHashes = Number(await fixture.wallet.MAX_SIGNABLE_HASHES_PER_SESSION());
+
+            await expect(
+                sessionWithScope(fixture, {
+                    signingPermissions: Array(maxPermissions + 1).fill(orderScope(fixture.app).signingPermissions[0]),
+                })
+            ).to.be.revertedWithCustomError(fixture.wallet, "TooManySigningPermissions");
+            await expect(
+                sessionWithScope(fixture, {
+                    signableHashes: Array.from({ length: maxHashes + 1 }, (_, i) => ethers.id(`message ${i}`)),
+                })
+            ).to.be.revertedWithCustomError(fixture.wallet, "TooManySignableHashes");
+        });
+
+        it("Should clear the scope of a revoked session when the key is reused", async function () {
+            const fixture = await loadFixture(signingScopeFixture);
+            const { wallet, user1, mockTarget, domain } = fixture;
+            const hash = ethers.hashMessage(MESSAGE);
+            const sessionKey = await sessionWithScope(fixture, { signableHashes: [hash] });
+
+            await wallet.connect(user1).revokeSessionECDSA(sessionKey.address);
+            await wallet
+                .connect(user1)
+                .createSessionECDSA(await createSessionConfig(sessionKey.address, [mockTarget.target], []));
+
+            expect((await wallet.getSessionECDSA(sessionKey.address)).signableHashes).to.deep.equal([]);
+            const signature = signSessionECDSA(sessionKey, personalSignHash(domain, hash));
+            expect(await wallet.isValidSignature(hash, signature)).to.equal(ERC1271_INVALID);
+        });
+    });
+
+    describe("Signing", function () {
+        it("Should not let a session without a scope sign anything", async function () {
+            const fixture = await loadFixture(signingScopeFixture);
+            const { wallet, user1, domain, appDomain, order } = fixture;
+            const sessionKey = await sessionWithScope(fixture, {});
+            const hash = ethers.hashMessage(MESSAGE);
+
+            const message = signSessionECDSA(sessionKey, personalSignHash(domain, hash));
+            expect(await wallet.isValidSignature(hash, message)).to.equal(ERC1271_INVALID);
+
+            const typed = signTypedDataAsSession(
+                (digest) => signSessionECDSA(sessionKey, digest),
+                domain,
+                appDomain,
+                ORDER_TYPES,
+                order
+            );
+            expect(await wallet.isValidSignature(typed.hash, typed.signature)).to.equal(ERC1271_INVALID);
+
+            // The owner is not scoped
+            expect(await wallet.isValidSignature(hash, await signPersonalMessage(user1, domain, MESSAGE))).to.equal(
+                ERC1271_MAGIC_VALUE
+            );
+        });
+
+        it("Should only sign allowlisted hashes", async function () {
+            const fixture = await loadFixture(signingScopeFixture);
+            const { wallet, domain } = fixture;
+            const hash = ethers.hashMessage(MESSAGE);
+            const sessionKey = await sessionWithScope(fixture, { signableHashes: [hash] });
+
+            expect(
+                await wallet.isValidSignature(hash, signSessionECDSA(sessionKey, personalSignHash(domain, hash)))
+            ).to.equal(ERC1271_MAGIC_VALUE);
+
+            const otherHash = ethers.hashMessage("transfer all funds");
+            expect(
+                await wallet.isValidSignature(otherHash, signSessionECDSA(sessionKey, personalSignHash(domain, otherHash)))
+            ).to.equal(ERC1271_INVALID);
+        });
+
+        it("Should sign allowed typed data with ECDSA and P256 session keys", async function () {
+            const fixture = await loadFixture(signingScopeFixture);
+            const { wallet, user1, mockTarget, app, domain, appDomain, order } = fixture;
+            const sessionKey = await sessionWithScope(fixture, orderScope(app));
+            const p256Key = P256SigningKey.random();
+            await wallet
+                .connect(user1)
+                .createSessionP256(await createP256SessionConfig(p256Key, [mockTarget.target], [], orderScope(app)));
+
+            const ecdsa = signTypedDataAsSession(
+                (digest) => signSessionECDSA(sessionKey, digest),
+                domain,
+                appDomain,
+                ORDER_TYPES,
+                order
+            );
+            const p256 = signTypedDataAsSession(
+                (digest) => signP256Session(p256Key, digest),
+                domain,
+                appDomain,
+                ORDER_TYPES,
+                order
+            );
+
+            expect(await wallet.isValidSignature(ecdsa.hash, ecdsa.signature)).to.equal(ERC1271_MAGIC_VALUE);
+            expect(await wallet.isValidSignature(p256.hash, p256.signature)).to.equal(ERC1271_MAGIC_VALUE);
+            expect((await wallet.getSessionP256(p256Key.publicKey.qx, p256Key.publicKey.qy)).signingPermissions.length)
+                .to.equal(1);
+        });
+
+        it("Should sign allowed typed data with a co-signed session", async function () {
+            const fixture = await loadFixture(signingScopeFixture);
+            const { wallet, app, domain, appDomain, order } = fixture;
+            const cosigner = ethers.Wallet.createRandom();
+            const sessionKey = await sessionWithScope(fixture, { ...orderScope(app), cosigner: cosigner.address });
+
+            // The typed contents wrap the co-signed signature
+            const typed = signTypedDataAsSession(
+                (digest) => cosignSessionSignature(cosigner, digest, signSessionECDSA(sessionKey, digest)),
+                domain,
+                appDomain,
+                ORDER_TYPES,
+                order
+            );
+            expect(await wallet.isValidSignature(typed.hash, typed.signature)).to.equal(ERC1271_MAGIC_VALUE);
+        });
+
+        it("Should reject other types of an allowed app", async function () {
+            const fixture = await loadFixture(signingScopeFixture);
+            const { wallet, app, domain, appDomain } = fixture;
+            const sessionKey = await sessionWithScope(fixture, orderScope(app));
+
+            const typed = signTypedDataAsSession(
+                (digest) => signSessionECDSA(sessionKey, digest),
+                domain,
+                appDomain,
+                CANCEL_TYPES,
+                { orderHash: ethers.id("order") }
+            );
+            expect(await wallet.isValidSignature(typed.hash, typed.signature)).to.equal(ERC1271_INVALID);
+        });
+
+        it("Should reject typed data whose contents description does not match its contents hash", async function () {
+            const fixture = await loadFixture(signingScopeFixture);
+            const { wallet, app, domain, appDomain, order } = fixture;
+            const sessionKey = await sessionWithScope(fixture, orderScope(app));
+            const permit = {
+                owner: wallet.target,
+                spender: sessionKey.address,
+                value: ethers.MaxUint256,
+                nonce: 0n,
+                deadline: ethers.MaxUint256,
+            };
+            const permitHash = ethers.TypedDataEncoder.hash(appDomain, PERMIT_TYPES, permit);
+            const permitContentsHash = ethers.TypedDataEncoder.hashStruct("Permit", PERMIT_TYPES, permit);
+
+            // A Permit passed off as an Order: the Order's contents description around the Permit's contents hash
+            const typedDataSignTypehash = ethers.id(
+                ethers.TypedDataEncoder.from(typedDataSignTypes(ORDER_TYPES)).encodeType("TypedDataSign")
+            );
+            const structHash = ethers.keccak256(
+                ethers.AbiCoder.defaultAbiCoder().encode(
+                    ["bytes32", "bytes32", "bytes32", "bytes32", "uint256", "address", "bytes32"],
+                    [
+                        typedDataSignTypehash,
+                        permitContentsHash,
+                        ethers.id(domain.name),
+                        ethers.id(domain.version),
+                        domain.chainId,
+                        domain.verifyingContract,
+                        ethers.ZeroHash,
+                    ]
+                )
+            );
+            const digest = ethers.keccak256(
+                ethers.concat(["0x1901", ethers.TypedDataEncoder.hashDomain(appDomain), structHash])
+            );
+            const orderContents = encodeTypedDataSignature("0x", appDomain, ORDER_TYPES, order);
+            const forgedContents = ethers.concat([
+                ethers.dataSlice(orderContents, 0, 32),
+                permitContentsHash,
+                ethers.dataSlice(orderContents, 64),
+            ]);
+
+            const withPermitData = ethers.concat([
+                encodeSessionContentsSignature(signSessionECDSA(sessionKey, digest), PERMIT_TYPES, permit),
+                forgedContents,
+            ]);
+            const withOrderData = ethers.concat([
+                encodeSessionContentsSignature(signSessionECDSA(sessionKey, digest), ORDER_TYPES, order),
+                forgedContents,
+            ]);
+            const withoutData = ethers.concat([signSessionECDSA(sessionKey, digest), forgedContents]);
+
+            expect(await wallet.isValidSignature(permitHash, withPermitData)).to.equal(ERC1271_INVALID);
+            expect(await wallet.isValidSignature(permitHash, withOrderData)).to.equal(ERC1271_INVALID);
+            expect(await wallet.isValidSignature(permitHash, withoutData)).to.equal(ERC1271_INVALID);
+        });
+
+        it("Should require the contents' encodeData to sign allowed typed data", async function () {
+            const fixture = await loadFixture(signingScopeFixture);
+            const { wallet, app, domain, appDomain, order } = fixture;
+            const sessionKey = await sessionWithScope(fixture, orderScope(app));
+            const digest = typedDataSignHash(domain, appDomain, ORDER_TYPES, order);
+            const orderHash = ethers.TypedDataEncoder.hash(appDomain, ORDER_TYPES, order);
+
+            const signature = encodeTypedDataSignature(
+                signSessionECDSA(sessionKey, digest),
+                appDomain,
+                ORDER_TYPES,
+                order
+            );
+            expect(await wallet.isValidSignature(orderHash, signature)).to.equal(ERC1271_INVALID);
+        });
+
+        it("Should reject an allowed type signed for another app", async function () {
+            const fixture = await loadFixture(signingScopeFixture);
+            const { wallet, app, mockTarget, domain, appDomain, otherAppDomain, order } = fixture;
+            const sessionKey = await sessionWithScope(fixture, orderScope(app));
+            const sign = (digest) => signSessionECDSA(sessionKey, digest);
+
+            const otherApp = signTypedDataAsSession(sign, domain, otherAppDomain, ORDER_TYPES, order);
+            expect(await wallet.isValidSignature(otherApp.hash, otherApp.signature)).to.equal(ERC1271_INVALID);
+
+            // An app domain claiming the allowed app's name on a contract without DOMAIN_SEPARATOR()
+            const spoofed = signTypedDataAsSession(
+                sign,
+                domain,
+                { ...appDomain, verifyingContract: mockTarget.target },
+                ORDER_TYPES,
+                order
+            );
+            expect(await wallet.isValidSignature(spoofed.hash, spoofed.signature)).to.equal(ERC1271_INVALID);
+        });
+
+        it("Should not sign the digest of allowed typed data as a message", async function () {
+            const fixture = await loadFixture(signingScopeFixture);
+            const { wallet, app, domain, appDomain, order } = fixture;
+            const sessionKey = await sessionWithScope(fixture, orderScope(app));
+            const orderHash = ethers.TypedDataEncoder.hash(appDomain, ORDER_TYPES, order);
+
+            const signature = signSessionECDSA(sessionKey, personalSignHash(domain, orderHash));
+            expect(await wallet.isValidSignature(orderHash, signature)).to.equal(ERC1271_INVALID);
+        });
+    });
+});
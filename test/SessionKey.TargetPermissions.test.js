@@ -0,0 +1,236 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    P256SigningKey,
+    walletFixture,
+    createSessionConfig,
+    createP256SessionConfig,
+    createUserOp,
+    signUserOpECDSA,
+    signUserOpP256,
+    SET_VALUE_SELECTOR,
+} = require("./helpers/setup");
+
+describe("Session Keys - Target-Scoped Permissions", function () {
+    const APPROVE_SELECTOR = "0x095ea7b3"; // approve(address,uint256)
+    const TRANSFER_SELECTOR = "0xa9059cbb"; // transfer(address,uint256)
+
+    async function scopedSessionFixture() {
+        const fixture = await walletFixture();
+        const { wallet, usdc, mockTarget, user1 } = fixture;
+        const sessionKey = ethers.Wallet.createRandom();
+
+        // approve on USDC, setValue on the mock target - and nothing else
+        const config = await createSessionConfig(sessionKey.address, [], [], {
+            targetPermissions: [
+                { target: usdc.target, selectors: [APPROVE_SELECTOR] },
+                { target: mockTarget.target, selectors: [SET_VALUE_SELECTOR] },
+            ],
+        });
+        await wallet.connect(user1).createSessionECDSA(config);
+
+        return { ...fixture, sessionKey };
+    }
+
+    async function sendAsSession(fixture, callData, sessionKey = fixture.sessionKey) {
+        const { entryPoint, wallet, beneficiary } = fixture;
+        const userOp = await createUserOp(wallet, callData);
+        userOp.signature = await signUserOpECDSA(userOp, sessionKey, entryPoint);
+        return entryPoint.handleOps([userOp], beneficiary.address);
+    }
+
+    function executeCall(wallet, target, data, value = 0) {
+        return wallet.interface.encodeFunctionData("execute", [target, value, data]);
+    }
+
+    describe("Configuration", function () {
+        it("Should store and report target-scoped permissions", async function () {
+            const { wallet, usdc, mockTarget, sessionKey } = await loadFixture(scopedSessionFixture);
+
+            const [targets, selectors, , targetPermissions] = await wallet.getSessionPermissionsECDSA(
+                sessionKey.address
+            );
+            expect(targets).to.deep.equal([]);
+            expect(selectors).to.deep.equal([]);
+            expect(targetPermissions.length).to.equal(2);
+            expect(targetPermissions[0].target).to.equal(usdc.target);
+            expect(targetPermissions[0].selectors).to.deep.equal([APPROVE_SELECTOR]);
+            expect(targetPermissions[1].target).to.equal(mockTarget.target);
+        });
+
+        it("Should reject a scoped permission without selectors", async function () {
+            const { wallet, usdc, user1 } = await loadFixture(walletFixture);
+
+            const config = await createSessionConfig(ethers.Wallet.createRandom().address, [], [], {
+                targetPermissions: [{ target: usdc.target, selectors: [] }],
+            });
+
+            await expect(wallet.connect(user1).createSessionECDSA(config))
+                .to.be.revertedWithCustomError(wallet, "InvalidTargetPermission");
+        });
+
+        it("Should reject a scoped permission targeting the wallet", async function () {
+            const { wallet, user1 } = await loadFixture(walletFixture);
+
+            const config = await createSessionConfig(ethers.Wallet.createRandom().address, [], [], {
+                targetPermissions: [{ target: wallet.target, selectors: [APPROVE_SELECTOR] }],
+            });
+
+            await expect(wallet.connect(user1).createSessionECDSA(config))
+                .to.be.revertedWithCustomError(wallet, "CannotTargetSelf");
+        });
+
+        it("Should still require at least one target", async function () {
+            const { wallet, user1 } = await loadFixture(walletFixture);
+
+            const config = await createSessionConfig(ethers.Wallet.createRandom().address, [], []);
+
+            await expect(wallet.connect(user1).createSessionECDSA(config))
+                .to.be.revertedWithCustomError(wallet, "NoTargetsSpecified");
+        });
+    });
+
+    describe("Enforcement", function () {
+        it("Should allow selectors only on the target they are scoped to", async function () {
+            const fixture = await loadFixture(scopedSessionFixture);
+            const { wallet, usdc, mockTarget, user2 } = fixture;
+
+            await sendAsSession(
+                fixture,
+                executeCall(wallet, usdc.target, usdc.interface.encodeFunctionData("approve", [user2.address, 5]))
+            );
+            expect(await usdc.allowance(wallet.target, user2.address)).to.equal(5);
+
+            await sendAsSession(
+                fixture,
+                executeCall(wallet, mockTarget.target, mockTarget.interface.encodeFunctionData("setValue", [9]))
+            );
+            expect(await mockTarget.value()).to.equal(9);
+        });
+
+        it("Should reject a selector allowed only on another target", async function () {
+            const fixture = await loadFixture(scopedSessionFixture);
+            const { wallet, usdc, mockTarget, user2 } = fixture;
+
+            // setValue is scoped to the mock target, not USDC
+            await expect(
+                sendAsSession(fixture, executeCall(wallet, usdc.target, mockTarget.interface.encodeFunctionData("setValue", [1])))
+            ).to.be.reverted;
+
+            // transfer is not scoped anywhere
+            await expect(
+                sendAsSession(
+                    fixture,
+                    executeCall(wallet, usdc.target, usdc.interface.encodeFunctionData("transfer", [user2.address, 1]))
+                )
+            ).to.be.reverted;
+        });
+
+        it("Should reject targets that are not scoped", async function () {
+            const fixture = await loadFixture(scopedSessionFixture);
+            const { wallet, user2 } = fixture;
+
+            await expect(sendAsSession(fixture, executeCall(wallet, user2.address, "0x", 1))).to.be.reverted;
+        });
+
+        it("Should reject calls without a granted selector on scoped targets", async function () {
+            const fixture = await loadFixture(scopedSessionFixture);
+            const { wallet, mockTarget } = fixture;
+
+            // Empty calldata with value (receive/fallback), short calldata and a zero selector
+            await expect(sendAsSession(fixture, executeCall(wallet, mockTarget.target, "0x", 1))).to.be.reverted;
+            await expect(sendAsSession(fixture, executeCall(wallet, mockTarget.target, "0x55"))).to.be.reverted;
+            await expect(
+                sendAsSession(fixture, executeCall(wallet, mockTarget.target, "0x00000000" + "00".repeat(32)))
+            ).to.be.reverted;
+        });
+
+        it("Should accept selector 0 on a scoped target when it is listed", async function () {
+            const fixture = await loadFixture(walletFixture);
+            const { wallet, mockTarget, user1 } = fixture;
+            const sessionKey = ethers.Wallet.createRandom();
+
+            const config = await createSessionConfig(sessionKey.address, [], [], {
+                targetPermissions: [{ target: mockTarget.target, selectors: ["0x00000000"] }],
+            });
+            await wallet.connect(user1).createSessionECDSA(config);
+
+            const balanceBefore = await ethers.provider.getBalance(mockTarget.target);
+            await sendAsSession(fixture, executeCall(wallet, mockTarget.target, "0x", 5), sessionKey);
+            expect(await ethers.provider.getBalance(mockTarget.target)).to.equal(balanceBefore + 5n);
+        });
+
+        it("Should combine scoped pairs with the flat wildcard lists", async function () {
+            const fixture = await loadFixture(walletFixture);
+            const { wallet, usdc, mockTarget, user1, user2 } = fixture;
+            const sessionKey = ethers.Wallet.createRandom();
+
+            // Any selector on the mock target (flat), transfer only on USDC (scoped)
+            const config = await createSessionConfig(sessionKey.address, [mockTarget.target], [], {
+                targetPermissions: [{ target: usdc.target, selectors: [TRANSFER_SELECTOR] }],
+            });
+            await wallet.connect(user1).createSessionECDSA(config);
+
+            await sendAsSession(
+                fixture,
+                executeCall(wallet, mockTarget.target, mockTarget.interface.encodeFunctionData("setValue", [3])),
+                sessionKey
+            );
+            await sendAsSession(
+                fixture,
+                executeCall(wallet, usdc.target, usdc.interface.encodeFunctionData("transfer", [user2.address, 7])),
+                sessionKey
+            );
+            expect(await usdc.balanceOf(user2.address)).to.equal(7);
+
+            await expect(
+                sendAsSession(
+                    fixture,
+                    executeCall(wallet, usdc.target, usdc.interface.encodeFunctionData("approve", [user2.address, 7])),
+                    sessionKey
+                )
+            ).to.be.reverted;
+        });
+
+        it("Should enforce scoped pairs in batches", async function () {
+            const fixture = await loadFixture(scopedSessionFixture);
+            const { wallet, usdc, mockTarget, user2 } = fixture;
+
+            const callData = wallet.interface.encodeFunctionData("executeBatch", [
+                [usdc.target, usdc.target],
+                [0, 0],
+                [
+                    usdc.interface.encodeFunctionData("approve", [user2.address, 1]),
+                    mockTarget.interface.encodeFunctionData("setValue", [1]),
+                ],
+            ]);
+
+            await expect(sendAsSession(fixture, callData)).to.be.reverted;
+        });
+
+        it("Should enforce scoped pairs for P256 sessions", async function () {
+            const { entryPoint, wallet, usdc, mockTarget, user1, user2, beneficiary } = await loadFixture(walletFixture);
+            const p256Key = P256SigningKey.random();
+
+            const config = await createP256SessionConfig(p256Key, [], [], {
+                targetPermissions: [{ target: usdc.target, selectors: [APPROVE_SELECTOR] }],
+            });
+            await wallet.connect(user1).createSessionP256(config);
+
+            const send = async (target, data) => {
+                const userOp = await createUserOp(wallet, executeCall(wallet, target, data));
+                userOp.signature = await signUserOpP256(userOp, p256Key, entryPoint);
+                return entryPoint.handleOps([userOp], beneficiary.address);
+            };
+
+            await send(usdc.target, usdc.interface.encodeFunctionData("approve", [user2.address, 2]));
+            expect(await usdc.allowance(wallet.target, user2.address)).to.equal(2);
+
+            await expect(send(usdc.target, usdc.interface.encodeFunctionData("transfer", [user2.address, 2]))).to.be
+                .reverted;
+            await expect(send(mockTarget.target, mockTarget.interface.encodeFunctionData("setValue", [2]))).to.be
+                .reverted;
+        });
+    });
+});
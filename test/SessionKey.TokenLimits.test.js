@@ -0,0 +1,224 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    P256SigningKey,
+    walletFixture,
+    createSessionConfig,
+    createP256SessionConfig,
+    createUserOp,
+    signUserOpECDSA,
+    signUserOpP256,
+} = require("./helpers/setup");
+
+describe("Session Keys - ERC-20 Spending Limits", function () {
+    const USDC = (amount) => ethers.parseUnits(amount.toString(), 6);
+
+    async function tokenSessionFixture() {
+        const fixture = await walletFixture();
+        const { wallet, usdc, user1 } = fixture;
+        const sessionKey = ethers.Wallet.createRandom();
+
+        const config = await createSessionConfig(sessionKey.address, [usdc.target], [], {
+            tokenLimits: [{ token: usdc.target, limit: USDC(100) }],
+        });
+        await wallet.connect(user1).createSessionECDSA(config);
+
+        return { ...fixture, sessionKey };
+    }
+
+    async function sendAsSession(fixture, callData, sessionKey = fixture.sessionKey) {
+        const { entryPoint, wallet, beneficiary } = fixture;
+        const userOp = await createUserOp(wallet, callData);
+        userOp.signature = await signUserOpECDSA(userOp, sessionKey, entryPoint);
+        return entryPoint.handleOps([userOp], beneficiary.address);
+    }
+
+    function executeCall(wallet, token, method, args) {
+        return wallet.interface.encodeFunctionData("execute", [
+            token.target,
+            0,
+            token.interface.encodeFunctionData(method, args),
+        ]);
+    }
+
+    describe("Configuration", function () {
+        it("Should report the configured token budget", async function () {
+            const { wallet, usdc, sessionKey } = await loadFixture(tokenSessionFixture);
+
+            const [, , budgets] = await wallet.getSessionPermissionsECDSA(sessionKey.address);
+            expect(budgets.length).to.equal(1);
+            expect(budgets[0].token).to.equal(usdc.target);
+            expect(budgets[0].limit).to.equal(USDC(100));
+            expect(budgets[0].spent).to.equal(0);
+            expect(budgets[0].remaining).to.equal(USDC(100));
+        });
+
+        it("Should reject duplicate token limits", async function () {
+            const { wallet, usdc, user1 } = await loadFixture(walletFixture);
+
+            const config = await createSessionConfig(ethers.Wallet.createRandom().address, [usdc.target], [], {
+                tokenLimits: [
+                    { token: usdc.target, limit: USDC(1) },
+                    { token: usdc.target, limit: USDC(2) },
+                ],
+            });
+
+            await expect(wallet.connect(user1).createSessionECDSA(config))
+                .to.be.revertedWithCustomError(wallet, "DuplicateTokenLimit");
+        });
+
+        it("Should reject too many token limits", async function () {
+            const { wallet, usdc, user1 } = await loadFixture(walletFixture);
+
+            const tokenLimits = Array.from({ length: 11 }, () => ({
+                token: ethers.Wallet.createRandom().address,
+                limit: USDC(1),
+            }));
+            const config = await createSessionConfig(ethers.Wallet.createRandom().address, [usdc.target], [], {
+                tokenLimits,
+            });
+
+            await expect(wallet.connect(user1).createSessionECDSA(config))
+                .to.be.revertedWithCustomError(wallet, "TooManyTokenLimits");
+        });
+
+        it("Should reset token spend when a session key is re-created", async function () {
+            const fixture = await loadFixture(tokenSessionFixture);
+            const { wallet, usdc, user1, user2, sessionKey } = fixture;
+
+            await sendAsSession(fixture, executeCall(wallet, usdc, "transfer", [user2.address, USDC(60)]));
+            await wallet.connect(user1).revokeSessionECDSA(sessionKey.address);
+
+            const config = await createSessionConfig(sessionKey.address, [usdc.target], [], {
+                tokenLimits: [{ token: usdc.target, limit: USDC(100) }],
+            });
+            await wallet.connect(user1).createSessionECDSA(config);
+
+            const [, , budgets] = await wallet.getSessionPermissionsECDSA(sessionKey.address);
+            expect(budgets[0].spent).to.equal(0);
+        });
+    });
+
+    describe("ECDSA enforcement", function () {
+        it("Should track cumulative transfers against the limit", async function () {
+            const fixture = await loadFixture(tokenSessionFixture);
+            const { wallet, usdc, user2, sessionKey } = fixture;
+
+            await sendAsSession(fixture, executeCall(wallet, usdc, "transfer", [user2.address, USDC(60)]));
+            expect(await usdc.balanceOf(user2.address)).to.equal(USDC(60));
+
+            const [, , budgets] = await wallet.getSessionPermissionsECDSA(sessionKey.address);
+            expect(budgets[0].spent).to.equal(USDC(60));
+            expect(budgets[0].remaining).to.equal(USDC(40));
+
+            await expect(sendAsSession(fixture, executeCall(wallet, usdc, "transfer", [user2.address, USDC(41)])))
+                .to.be.reverted;
+            expect(await usdc.balanceOf(user2.address)).to.equal(USDC(60));
+        });
+
+        it("Should count approvals against the limit", async function () {
+            const fixture = await loadFixture(tokenSessionFixture);
+            const { wallet, usdc, user2 } = fixture;
+
+            await expect(sendAsSession(fixture, executeCall(wallet, usdc, "approve", [user2.address, ethers.MaxUint256])))
+                .to.be.reverted;
+
+            await sendAsSession(fixture, executeCall(wallet, usdc, "approve", [user2.address, USDC(100)]));
+            expect(await usdc.allowance(wallet.target, user2.address)).to.equal(USDC(100));
+        });
+
+        it("Should count transferFrom amounts against the limit", async function () {
+            const fixture = await loadFixture(tokenSessionFixture);
+            const { wallet, usdc, user2 } = fixture;
+
+            await usdc.mint(user2.address, USDC(500));
+            await usdc.connect(user2).approve(wallet.target, USDC(500));
+
+            await expect(
+                sendAsSession(fixture, executeCall(wallet, usdc, "transferFrom", [user2.address, wallet.target, USDC(101)]))
+            ).to.be.reverted;
+
+            await sendAsSession(fixture, executeCall(wallet, usdc, "transferFrom", [user2.address, wallet.target, USDC(100)]));
+            expect(await usdc.balanceOf(user2.address)).to.equal(USDC(400));
+        });
+
+        it("Should reject calls to a limited token that the limit does not track", async function () {
+            const fixture = await loadFixture(tokenSessionFixture);
+            const { entryPoint, wallet, usdc, user2 } = fixture;
+            const untrackedTokenCall = wallet.interface.encodeErrorResult("UntrackedTokenCall");
+            const increaseAllowance = ethers.concat([
+                "0x39509351", // increaseAllowance(address,uint256)
+                ethers.AbiCoder.defaultAbiCoder().encode(["address", "uint256"], [user2.address, ethers.MaxUint256]),
+            ]);
+            const mint = usdc.interface.encodeFunctionData("mint", [user2.address, USDC(1)]);
+
+            for (const data of [increaseAllowance, mint]) {
+                await expect(
+                    sendAsSession(fixture, wallet.interface.encodeFunctionData("execute", [usdc.target, 0, data]))
+                )
+                    .to.be.revertedWithCustomError(entryPoint, "FailedOpWithRevert")
+                    .withArgs(0, "AA23 reverted", untrackedTokenCall);
+            }
+        });
+
+        it("Should enforce the limit across a batch", async function () {
+            const fixture = await loadFixture(tokenSessionFixture);
+            const { wallet, usdc, user2 } = fixture;
+
+            const transfer = usdc.interface.encodeFunctionData("transfer", [user2.address, USDC(60)]);
+            const callData = wallet.interface.encodeFunctionData("executeBatch", [
+                [usdc.target, usdc.target],
+                [0, 0],
+                [transfer, transfer],
+            ]);
+
+            await expect(sendAsSession(fixture, callData)).to.be.reverted;
+            expect(await usdc.balanceOf(user2.address)).to.equal(0);
+        });
+
+        it("Should not limit tokens without a configured limit", async function () {
+            const fixture = await loadFixture(walletFixture);
+            const { wallet, usdc, user1, user2 } = fixture;
+            const sessionKey = ethers.Wallet.createRandom();
+
+            const config = await createSessionConfig(sessionKey.address, [usdc.target], []);
+            await wallet.connect(user1).createSessionECDSA(config);
+
+            await sendAsSession(
+                fixture,
+                executeCall(wallet, usdc, "transfer", [user2.address, USDC(5_000)]),
+                sessionKey
+            );
+            expect(await usdc.balanceOf(user2.address)).to.equal(USDC(5_000));
+        });
+    });
+
+    describe("P256 enforcement", function () {
+        it("Should track and enforce token limits for P256 sessions", async function () {
+            const { entryPoint, wallet, usdc, user1, user2, beneficiary } = await loadFixture(walletFixture);
+            const p256Key = P256SigningKey.random();
+
+            const config = await createP256SessionConfig(p256Key, [usdc.target], [], {
+                tokenLimits: [{ token: usdc.target, limit: USDC(50) }],
+            });
+            await wallet.connect(user1).createSessionP256(config);
+
+            const send = async (amount) => {
+                const userOp = await createUserOp(
+                    wallet,
+                    executeCall(wallet, usdc, "transfer", [user2.address, amount])
+                );
+                userOp.signature = await signUserOpP256(userOp, p256Key, entryPoint);
+                return entryPoint.handleOps([userOp], beneficiary.address);
+            };
+
+            await send(USDC(30));
+            const [, , budgets] = await wallet.getSessionPermissionsP256(p256Key.publicKey.qx, p256Key.publicKey.qy);
+            expect(budgets[0].remaining).to.equal(USDC(20));
+
+            await expect(send(USDC(21))).to.be.reverted;
+            expect(await usdc.balanceOf(user2.address)).to.equal(USDC(30));
+        });
+    });
+});
@@ -0,0 +1,344 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    P256SigningKey,
+    walletFixture,
+    createSessionConfig,
+    createP256SessionConfig,
+    createUserOp,
+    signUserOpECDSA,
+    signUserOpP256,
+    ONE_DAY,
+} = require("./helpers/setup");
+
+describe("Session Keys - Update", function () {
+    const SignerType = { ECDSA: 0n, P256: 1n };
+    const USDC = (amount) => BigInt(amount) * 10n ** 6n;
+
+    const PERMISSION_FIELDS = [
+        "allowedTargets",
+        "allowedSelectors",
+        "targetPermissions",
+        "tokenLimits",
+        "paramRules",
+        "signingPermissions",
+        "signableHashes",
+        "policies",
+        "recipients",
+        "cosigner",
+    ];
+
+    // Same field types for ECDSA and P256 configs
+    const permissionsHashOf = (wallet, config) => {
+        const components = wallet.interface.getFunction("createSessionECDSA").inputs[0].components;
+        return ethers.keccak256(
+            ethers.AbiCoder.defaultAbiCoder().encode(
+                PERMISSION_FIELDS.map((name) => components.find((component) => component.name === name)),
+                PERMISSION_FIELDS.map((name) => config[name])
+            )
+        );
+    };
+
+    async function updateFixture() {
+        const fixture = await walletFixture();
+        const { wallet, mockTarget, user1 } = fixture;
+
+        const sessionKey = ethers.Wallet.createRandom();
+        const config = await createSessionConfig(sessionKey.address, [mockTarget.target], [], {
+            validUntil: (await time.latest()) + ONE_DAY,
+            maxCalls: 2,
+        });
+        await wallet.connect(user1).createSessionECDSA(config);
+
+        return { ...fixture, sessionKey, config };
+    }
+
+    async function sendAsSession(fixture, sessionKey, callData) {
+        const { entryPoint, wallet, beneficiary } = fixture;
+        const userOp = await createUserOp(wallet, callData);
+        userOp.signature = await signUserOpECDSA(userOp, sessionKey, entryPoint);
+        return entryPoint.handleOps([userOp], beneficiary.address);
+    }
+
+    function setValueCall(wallet, target, value) {
+        return wallet.interface.encodeFunctionData("execute", [
+            target.target,
+            0,
+            target.interface.encodeFunctionData("setValue", [value]),
+        ]);
+    }
+
+    describe("Limits and window", function () {
+        it("Should extend the session and raise its call limit without resetting usage", async function () {
+            const fixture = await loadFixture(updateFixture);
+            const { entryPoint, wallet, user1, mockTarget, sessionKey, config } = fixture;
+
+            await sendAsSession(fixture, sessionKey, setValueCall(wallet, mockTarget, 1));
+            await sendAsSession(fixture, sessionKey, setValueCall(wallet, mockTarget, 2));
+            await expect(
+                sendAsSession(fixture, sessionKey, setValueCall(wallet, mockTarget, 3))
+            ).to.be.revertedWithCustomError(entryPoint, "FailedOpWithRevert");
+
+            const updated = { ...config, validUntil: config.validUntil + 7 * ONE_DAY, maxCalls: 5 };
+            await expect(wallet.connect(user1).updateSessionECDSA(updated))
+                .to.emit(wallet, "SessionUpdated")
+                .withArgs(
+                    ethers.zeroPadValue(sessionKey.address, 32),
+                    SignerType.ECDSA,
+                    updated.validAfter,
+                    updated.validUntil,
+                    permissionsHashOf(wallet, updated)
+                );
+
+            const session = await wallet.getSessionECDSA(sessionKey.address);
+            expect(session.validUntil).to.equal(updated.validUntil);
+            expect(session.maxCalls).to.equal(5);
+            expect(session.callsUsed).to.equal(2);
+
+            await time.increaseTo(config.validUntil + 60);
+            await sendAsSession(fixture, sessionKey, setValueCall(wallet, mockTarget, 3));
+            expect(await mockTarget.value()).to.equal(3);
+        });
+
+        it("Should cover every permission in the permissions hash", async function () {
+            const { wallet, usdc, user1, user2, config } = await loadFixture(updateFixture);
+            const { args: created } = (await wallet.queryFilter(wallet.filters.SessionCreatedECDSA()))[0];
+
+            const updated = {
+                ...config,
+                tokenLimits: [{ token: usdc.target, limit: USDC(10) }],
+                cosigner: user2.address,
+            };
+            await expect(wallet.connect(user1).updateSessionECDSA(updated))
+                .to.emit(wallet, "SessionUpdated")
+                .withArgs(
+                    ethers.zeroPadValue(config.key, 32),
+                    SignerType.ECDSA,
+                    updated.validAfter,
+                    updated.validUntil,
+                    permissionsHashOf(wallet, updated)
+                );
+            expect(created.permissionsHash).to.equal(permissionsHashOf(wallet, config));
+            expect(permissionsHashOf(wallet, updated)).to.not.equal(created.permissionsHash);
+        });
+
+        it("Should still bound the window by the maximum session duration", async function () {
+            const { wallet, user1, config } = await loadFixture(updateFixture);
+            const maxDuration = await wallet.MAX_SESSION_DURATION();
+
+            await expect(
+                wallet
+                    .connect(user1)
+                    .updateSessionECDSA({ ...config, validUntil: BigInt(config.validAfter) + maxDuration + 1n })
+            ).to.be.revertedWithCustomError(wallet, "SessionDurationTooLong");
+        });
+
+        it("Should not revive an expired session", async function () {
+            const { wallet, user1, config } = await loadFixture(updateFixture);
+
+            await time.increaseTo(config.validUntil + 1);
+            await expect(
+                wallet.connect(user1).updateSessionECDSA({ ...config, validUntil: config.validUntil + ONE_DAY })
+            ).to.be.revertedWithCustomError(wallet, "SessionExpired");
+        });
+
+        it("Should not move the start of the session to extend it past the maximum duration", async function () {
+            const { wallet, user1, config } = await loadFixture(updateFixture);
+            const maxDuration = Number(await wallet.MAX_SESSION_DURATION());
+
+            await time.increase(ONE_DAY / 2);
+            const now = await time.latest();
+            await expect(
+                wallet
+                    .connect(user1)
+                    .updateSessionECDSA({ ...config, validAfter: now, validUntil: now + maxDuration })
+            ).to.be.revertedWithCustomError(wallet, "InvalidValidityWindow");
+
+            await expect(
+                wallet.connect(user1).updateSessionECDSA({ ...config, validUntil: config.validAfter + maxDuration + 1 })
+            ).to.be.revertedWithCustomError(wallet, "SessionDurationTooLong");
+            await wallet.connect(user1).updateSessionECDSA({ ...config, validUntil: config.validAfter + maxDuration });
+        });
+
+        it("Should apply tightened value limits on top of the value already used", async function () {
+            const fixture = await loadFixture(updateFixture);
+            const { entryPoint, wallet, user1, user2, sessionKey, config } = fixture;
+            const sendEth = (amount) =>
+                wallet.interface.encodeFunctionData("execute", [user2.address, ethers.parseEther(amount), "0x"]);
+            const withRecipient = { ...config, allowedTargets: [...config.allowedTargets, user2.address], maxCalls: 10 };
+            await wallet.connect(user1).updateSessionECDSA(withRecipient);
+
+            await sendAsSession(fixture, sessionKey, sendEth("0.5"));
+            await wallet
+                .connect(user1)
+                .updateSessionECDSA({ ...withRecipient, maxValueTotal: ethers.parseEther("0.4") });
+
+            expect((await wallet.getActiveSessions(0, 1))[0].valueRemaining).to.equal(0);
+            await expect(sendAsSession(fixture, sessionKey, sendEth("0.01"))).to.be.revertedWithCustomError(
+                entryPoint,
+                "FailedOpWithRevert"
+            );
+        });
+
+        it("Should restart the period counters only when the period length changes", async function () {
+            const fixture = await loadFixture(updateFixture);
+            const { wallet, user1, mockTarget, sessionKey, config } = fixture;
+            const periodic = { ...config, maxCalls: 10, periodLength: ONE_DAY, maxCallsPerPeriod: 3 };
+            await wallet.connect(user1).updateSessionECDSA(periodic);
+            await sendAsSession(fixture, sessionKey, setValueCall(wallet, mockTarget, 1));
+
+            await wallet.connect(user1).updateSessionECDSA({ ...periodic, maxCallsPerPeriod: 5 });
+            expect((await wallet.getSessionECDSA(sessionKey.address)).periodCallsRemaining).to.equal(4);
+
+            await wallet.connect(user1).updateSessionECDSA({ ...periodic, periodLength: ONE_DAY / 2 });
+            expect((await wallet.getSessionECDSA(sessionKey.address)).periodCallsRemaining).to.equal(3);
+        });
+    });
+
+    describe("Permissions", function () {
+        it("Should replace the target list and drop access to removed targets", async function () {
+            const fixture = await loadFixture(updateFixture);
+            const { entryPoint, wallet, user1, mockTarget, sessionKey, config } = fixture;
+            const otherTarget = await ethers.deployContract("MockTarget");
+
+            await wallet.connect(user1).updateSessionECDSA({ ...config, allowedTargets: [otherTarget.target] });
+
+            await expect(
+                sendAsSession(fixture, sessionKey, setValueCall(wallet, mockTarget, 1))
+            ).to.be.revertedWithCustomError(entryPoint, "FailedOpWithRevert");
+            await sendAsSession(fixture, sessionKey, setValueCall(wallet, otherTarget, 2));
+            expect(await otherTarget.value()).to.equal(2);
+            expect((await wallet.getActiveSessions(0, 1))[0].allowedTargets).to.deep.equal([otherTarget.target]);
+        });
+
+        it("Should not carry targets of a revoked session over to a new session for the same key", async function () {
+            const fixture = await loadFixture(updateFixture);
+            const { entryPoint, wallet, user1, mockTarget, sessionKey } = fixture;
+            const otherTarget = await ethers.deployContract("MockTarget");
+
+            await wallet.connect(user1).revokeSessionECDSA(sessionKey.address);
+            await wallet
+                .connect(user1)
+                .createSessionECDSA(await createSessionConfig(sessionKey.address, [otherTarget.target], []));
+
+            await expect(
+                sendAsSession(fixture, sessionKey, setValueCall(wallet, mockTarget, 1))
+            ).to.be.revertedWithCustomError(entryPoint, "FailedOpWithRevert");
+        });
+
+        it("Should keep the amount spent on tokens that stay limited", async function () {
+            const fixture = await loadFixture(updateFixture);
+            const { wallet, user1, user2, usdc, sessionKey, config } = fixture;
+            const withToken = {
+                ...config,
+                allowedTargets: [usdc.target],
+                tokenLimits: [{ token: usdc.target, limit: USDC(100) }],
+            };
+            await wallet.connect(user1).updateSessionECDSA(withToken);
+
+            await sendAsSession(
+                fixture,
+                sessionKey,
+                wallet.interface.encodeFunctionData("execute", [
+                    usdc.target,
+                    0,
+                    usdc.interface.encodeFunctionData("transfer", [user2.address, USDC(60)]),
+                ])
+            );
+            await wallet
+                .connect(user1)
+                .updateSessionECDSA({ ...withToken, tokenLimits: [{ token: usdc.target, limit: USDC(150) }] });
+
+            const [budget] = (await wallet.getActiveSessions(0, 1))[0].tokenBudgets;
+            expect(budget.spent).to.equal(USDC(60));
+            expect(budget.remaining).to.equal(USDC(90));
+        });
+    });
+
+    describe("P256", function () {
+        it("Should update a P256 session identified by its key hash", async function () {
+            const { entryPoint, wallet, user1, mockTarget, beneficiary } = await loadFixture(updateFixture);
+            const p256Key = P256SigningKey.random();
+            const config = await createP256SessionConfig(p256Key, [mockTarget.target], [], { maxCalls: 1 });
+            await wallet.connect(user1).createSessionP256(config);
+
+            const userOp = await createUserOp(wallet, setValueCall(wallet, mockTarget, 1));
+            userOp.signature = await signUserOpP256(userOp, p256Key, entryPoint);
+            await entryPoint.handleOps([userOp], beneficiary.address);
+
+            const keyHash = ethers.solidityPackedKeccak256(
+                ["bytes32", "bytes32"],
+                [p256Key.publicKey.qx, p256Key.publicKey.qy]
+            );
+            await expect(wallet.connect(user1).updateSessionP256({ ...config, maxCalls: 3 }))
+                .to.emit(wallet, "SessionUpdated")
+                .withArgs(
+                    keyHash,
+                    SignerType.P256,
+                    config.validAfter,
+                    config.validUntil,
+                    permissionsHashOf(wallet, config)
+                );
+
+            const session = await wallet.getSessionP256(p256Key.publicKey.qx, p256Key.publicKey.qy);
+            expect(session.maxCalls).to.equal(3);
+            expect(session.callsUsed).to.equal(1);
+        });
+    });
+
+    describe("Access control", function () {
+        it("Should only let the owner update sessions", async function () {
+            const { wallet, user2, config } = await loadFixture(updateFixture);
+
+            await expect(wallet.connect(user2).updateSessionECDSA(config)).to.be.revertedWithCustomError(
+                wallet,
+                "Unauthorized"
+            );
+        });
+
+        it("Should not let a session update sessions through the wallet", async function () {
+            const fixture = await loadFixture(updateFixture);
+            const { entryPoint, wallet, sessionKey, config } = fixture;
+            const p256Config = await createP256SessionConfig(P256SigningKey.random(), config.allowedTargets, []);
+            const cannotTargetSelf = wallet.interface.encodeErrorResult("CannotTargetSelf");
+
+            for (const data of [
+                wallet.interface.encodeFunctionData("updateSessionECDSA", [{ ...config, maxCalls: 1000 }]),
+                wallet.interface.encodeFunctionData("updateSessionP256", [p256Config]),
+            ]) {
+                await expect(
+                    sendAsSession(
+                        fixture,
+                        sessionKey,
+                        wallet.interface.encodeFunctionData("execute", [wallet.target, 0, data])
+                    )
+                )
+                    .to.be.revertedWithCustomError(entryPoint, "FailedOpWithRevert")
+                    .withArgs(0, "AA23 reverted", cannotTargetSelf);
+            }
+            expect((await wallet.getSessionECDSA(sessionKey.address)).maxCalls).to.equal(config.maxCalls);
+        });
+
+        it("Should reject unknown and revoked sessions", async function () {
+            const { wallet, user1, sessionKey, config } = await loadFixture(updateFixture);
+
+            await expect(
+                wallet.connect(user1).updateSessionECDSA({ ...config, key: ethers.Wallet.createRandom().address })
+            ).to.be.revertedWithCustomError(wallet, "SessionNotFound");
+
+            await wallet.connect(user1).revokeSessionECDSA(sessionKey.address);
+            await expect(wallet.connect(user1).updateSessionECDSA(config)).to.be.revertedWithCustomError(
+                wallet,
+                "SessionKeyRevoked"
+            );
+
+            await wallet.connect(user1).createSessionECDSA(config);
+            await wallet.connect(user1).revokeAllSessions();
+            await expect(wallet.connect(user1).updateSessionECDSA(config)).to.be.revertedWithCustomError(
+                wallet,
+                "SessionKeyRevoked"
+            );
+        });
+    });
+});
@@ -0,0 +1,157 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    P256SigningKey,
+    walletFixture,
+    getWalletDomain,
+    createP256SessionConfig,
+    createUserOp,
+    encodeWebAuthnSignature,
+    signUserOpWebAuthn,
+    ERC1271_MAGIC_VALUE,
+    ERC1271_INVALID,
+} = require("./helpers/setup");
+const { personalSignHash } = require("../scripts/erc7739");
+
+describe("Session Keys - WebAuthn Passkey Signatures", function () {
+    const SIGN_IN_HASH = ethers.id("sign in to lendefi");
+
+    async function passkeySessionFixture() {
+        const fixture = await walletFixture();
+        const { wallet, mockTarget, user1 } = fixture;
+        const passkey = P256SigningKey.random();
+
+        const config = await createP256SessionConfig(passkey, [mockTarget.target], [], {
+            signableHashes: [SIGN_IN_HASH],
+        });
+        await wallet.connect(user1).createSessionP256(config);
+
+        return { ...fixture, passkey };
+    }
+
+    async function sendWithPasskey(fixture, value, options = {}) {
+        const { entryPoint, wallet, mockTarget, passkey, beneficiary } = fixture;
+        const callData =
+            options.callData ??
+            wallet.interface.encodeFunctionData("execute", [
+                mockTarget.target,
+                0,
+                mockTarget.interface.encodeFunctionData("setValue", [value]),
+            ]);
+        const userOp = await createUserOp(wallet, callData);
+        userOp.signature = await signUserOpWebAuthn(userOp, passkey, entryPoint, options);
+        return entryPoint.handleOps([userOp], beneficiary.address);
+    }
+
+    describe("UserOperations", function () {
+        it("Should execute a UserOperation signed through a WebAuthn assertion", async function () {
+            const fixture = await loadFixture(passkeySessionFixture);
+            const { wallet, mockTarget, passkey } = fixture;
+
+            await sendWithPasskey(fixture, 77);
+            expect(await mockTarget.value()).to.equal(77);
+
+            const session = await wallet.getSessionP256(passkey.publicKey.qx, passkey.publicKey.qy);
+            expect(session.callsUsed).to.equal(1);
+        });
+
+        it("Should reject an assertion without the user presence flag", async function () {
+            const fixture = await loadFixture(passkeySessionFixture);
+
+            await expect(sendWithPasskey(fixture, 1, { flags: 0x04 })).to.be.reverted;
+        });
+
+        it("Should reject an assertion without the user verification flag", async function () {
+            const fixture = await loadFixture(passkeySessionFixture);
+
+            await expect(sendWithPasskey(fixture, 1, { flags: 0x01 })).to.be.reverted;
+        });
+
+        it("Should reject a backup state flag without backup eligibility", async function () {
+            const fixture = await loadFixture(passkeySessionFixture);
+
+            await expect(sendWithPasskey(fixture, 1, { flags: 0x15 })).to.be.reverted;
+            await sendWithPasskey(fixture, 2, { flags: 0x1d });
+            expect(await fixture.mockTarget.value()).to.equal(2);
+        });
+
+        it("Should reject a registration assertion type", async function () {
+            const fixture = await loadFixture(passkeySessionFixture);
+
+            await expect(sendWithPasskey(fixture, 1, { type: "webauthn.create" })).to.be.reverted;
+        });
+
+        it("Should reject client data that differs from what was signed", async function () {
+            const fixture = await loadFixture(passkeySessionFixture);
+
+            const tamperClientData = (json) => json.replace("https://app.lendefi.com", "https://evil.example");
+            await expect(sendWithPasskey(fixture, 1, { tamperClientData })).to.be.reverted;
+        });
+
+        it("Should still enforce session permissions", async function () {
+            const fixture = await loadFixture(passkeySessionFixture);
+            const { wallet, user2 } = fixture;
+
+            const callData = wallet.interface.encodeFunctionData("execute", [user2.address, 1, "0x"]);
+            await expect(sendWithPasskey(fixture, 0, { callData })).to.be.reverted;
+        });
+
+        it("Should reject an assertion over another challenge", async function () {
+            const { entryPoint, wallet, mockTarget, passkey, beneficiary } = await loadFixture(passkeySessionFixture);
+
+            const userOp = await createUserOp(
+                wallet,
+                wallet.interface.encodeFunctionData("execute", [
+                    mockTarget.target,
+                    0,
+                    mockTarget.interface.encodeFunctionData("setValue", [5]),
+                ])
+            );
+            userOp.signature = encodeWebAuthnSignature(passkey, ethers.id("another challenge"));
+
+            await expect(entryPoint.handleOps([userOp], beneficiary.address)).to.be.reverted;
+        });
+    });
+
+    describe("ERC-1271", function () {
+        it("Should accept a WebAuthn signature from an active passkey session", async function () {
+            const { wallet, passkey } = await loadFixture(passkeySessionFixture);
+            const hash = SIGN_IN_HASH;
+            const digest = personalSignHash(await getWalletDomain(wallet), hash);
+
+            expect(await wallet.isValidSignature(hash, encodeWebAuthnSignature(passkey, digest))).to.equal(
+                ERC1271_MAGIC_VALUE
+            );
+        });
+
+        it("Should reject a WebAuthn signature over a different hash", async function () {
+            const { wallet, passkey } = await loadFixture(passkeySessionFixture);
+
+            const domain = await getWalletDomain(wallet);
+            const signature = encodeWebAuthnSignature(passkey, personalSignHash(domain, ethers.id("message A")));
+            expect(await wallet.isValidSignature(ethers.id("message B"), signature)).to.equal(ERC1271_INVALID);
+        });
+
+        it("Should reject a WebAuthn signature from a revoked session", async function () {
+            const { wallet, passkey, user1 } = await loadFixture(passkeySessionFixture);
+            const hash = SIGN_IN_HASH;
+            const digest = personalSignHash(await getWalletDomain(wallet), hash);
+
+            await wallet.connect(user1).revokeSessionP256(passkey.publicKey.qx, passkey.publicKey.qy);
+            expect(await wallet.isValidSignature(hash, encodeWebAuthnSignature(passkey, digest))).to.equal(
+                ERC1271_INVALID
+            );
+        });
+
+        it("Should reject a WebAuthn signature from an unknown passkey", async function () {
+            const { wallet } = await loadFixture(passkeySessionFixture);
+            const hash = SIGN_IN_HASH;
+            const digest = personalSignHash(await getWalletDomain(wallet), hash);
+
+            expect(
+                await wallet.isValidSignature(hash, encodeWebAuthnSignature(P256SigningKey.random(), digest))
+            ).to.equal(ERC1271_INVALID);
+        });
+    });
+});
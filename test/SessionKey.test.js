@@ -1,6 +1,9 @@
 const { expect } = require("chai");
 const { ethers, upgrades } = require("hardhat");
 const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { getWalletDomain } = require("./helpers/setup");
+const { personalSignHash } = require("../scripts/erc7739");
+const { deploySmartWalletImplementation } = require("../scripts/wallet-implementation");
 
 // Hardhat default account private keys (for testing only)
 const HARDHAT_PRIVATE_KEYS = [
@@ -25,23 +28,19 @@ describe("Session Key Tests", function () {
         const entryPoint = await ethers.deployContract("EntryPoint");
         
         // Deploy SmartWallet implementation
-        const SmartWallet = await ethers.getContractFactory("SmartWallet");
-        const walletImpl = await SmartWallet.deploy(entryPoint.target);
+        const walletImpl = await deploySmartWalletImplementation(entryPoint.target);
         
         // Deploy wallet via clone
         const cloneFactory = await ethers.getContractFactory("contracts/SmartWalletFactory.sol:SmartWalletFactory");
         const factory = await upgrades.deployProxy(
             cloneFactory,
-            [entryPoint.target, owner.address, ethers.ZeroAddress],
+            [entryPoint.target, owner.address, ethers.ZeroAddress, walletImpl.target],
             { 
                 initializer: 'initialize',
                 unsafeAllow: ['constructor']
             }
         );
         
-        // Update implementation to V2
-        await factory.setSmartWalletImplementation(walletImpl.target);
-        
         // Create a wallet for user1
         await factory.createAccount(user1.address, 0);
         const walletAddress = await factory.getWallet(user1.address);
@@ -91,8 +90,19 @@ describe("Session Key Tests", function () {
             maxValuePerTx: options.maxValuePerTx || ethers.parseEther("1"),
             maxValueTotal: options.maxValueTotal || ethers.parseEther("10"),
             maxCalls: options.maxCalls || 100,
+            periodLength: 0,
+            maxCallsPerPeriod: 0,
+            maxValuePerPeriod: 0,
             allowedTargets: targets,
-            allowedSelectors: selectors
+            allowedSelectors: selectors,
+            targetPermissions: [],
+            tokenLimits: [],
+            paramRules: [],
+            signingPermissions: [],
+            signableHashes: options.signableHashes || [],
+            policies: [],
+            recipients: [],
+            cosigner: ethers.ZeroAddress
         };
     }
 
@@ -672,7 +682,7 @@ describe("Session Key Tests", function () {
                 .to.be.revertedWithCustomError(wallet, "CannotTargetSelf");
         });
 
-        it("Should block session key from calling changeOwner via nested execute", async function () {
+        it("Should block session key from calling proposeOwner via nested execute", async function () {
             const { entryPoint, wallet, mockTarget, user1, sessionKeySigner, beneficiary, user2 } = await loadFixture(deploySystemFixture);
             
             // Create session with mock target only
@@ -683,8 +693,8 @@ describe("Session Key Tests", function () {
             );
             await wallet.connect(user1).createSession(config);
             
-            // Try to call changeOwner directly (not allowed - mockTarget is the only target)
-            const callData = wallet.interface.encodeFunctionData("changeOwner", [user2.address]);
+            // Try to call proposeOwner directly (not allowed - mockTarget is the only target)
+            const callData = wallet.interface.encodeFunctionData("proposeOwner", [user2.address]);
             
             const userOp = await createUserOp(wallet, callData);
             const chainId = (await ethers.provider.getNetwork()).chainId;
@@ -714,8 +724,19 @@ describe("Session Key Tests", function () {
                 maxValuePerTx: 0,
                 maxValueTotal: 0,
                 maxCalls: 0,
+                periodLength: 0,
+                maxCallsPerPeriod: 0,
+                maxValuePerPeriod: 0,
                 allowedTargets: [mockTarget.target],
-                allowedSelectors: []
+                allowedSelectors: [],
+                targetPermissions: [],
+                tokenLimits: [],
+                paramRules: [],
+                signingPermissions: [],
+                signableHashes: [],
+                policies: [],
+                recipients: [],
+                cosigner: ethers.ZeroAddress
             };
             const callData = wallet.interface.encodeFunctionData("createSession", [newSessionConfig]);
             
@@ -845,11 +866,12 @@ describe("Session Key Tests", function () {
             
             const message = "Hello, World!";
             const hash = ethers.keccak256(ethers.toUtf8Bytes(message));
+            const digest = personalSignHash(await getWalletDomain(wallet), hash);
             
-            // Sign directly without EIP-191 prefix (as expected by wallet)
+            // Sign the ERC-7739 PersonalSign digest bound to this wallet
             const privateKey = await getPrivateKey(user1);
             const signingKey = new ethers.SigningKey(privateKey);
-            const sig = signingKey.sign(hash);
+            const sig = signingKey.sign(digest);
             
             const result = await wallet.isValidSignature(hash, sig.serialized);
             expect(result).to.equal("0x1626ba7e"); // ERC1271_MAGIC_VALUE
@@ -858,20 +880,23 @@ describe("Session Key Tests", function () {
         it("Should validate session key signature via isValidSignature", async function () {
             const { wallet, mockTarget, user1, sessionKeySigner } = await loadFixture(deploySystemFixture);
             
+            const message = "Hello, Session Key!";
+            const hash = ethers.keccak256(ethers.toUtf8Bytes(message));
+            
+            // Sessions only sign hashes (or EIP-712 types) their config allows
             const config = await createSessionConfig(
                 sessionKeySigner.address,
                 [mockTarget.target],
-                []
+                [],
+                { signableHashes: [hash] }
             );
             await wallet.connect(user1).createSession(config);
-            
-            const message = "Hello, Session Key!";
-            const hash = ethers.keccak256(ethers.toUtf8Bytes(message));
+            const digest = personalSignHash(await getWalletDomain(wallet), hash);
             
             // Sign with session key
             const privateKey = await getPrivateKey(sessionKeySigner);
             const signingKey = new ethers.SigningKey(privateKey);
-            const sig = signingKey.sign(hash);
+            const sig = signingKey.sign(digest);
             
             // Format signature with session key prefix
             const fullSignature = ethers.concat([
@@ -887,19 +912,21 @@ describe("Session Key Tests", function () {
         it("Should reject invalid session key signature", async function () {
             const { wallet, mockTarget, user1, sessionKeySigner, user2 } = await loadFixture(deploySystemFixture);
             
+            const hash = ethers.keccak256(ethers.toUtf8Bytes("test"));
             const config = await createSessionConfig(
                 sessionKeySigner.address,
                 [mockTarget.target],
-                []
+                [],
+                { signableHashes: [hash] }
             );
             await wallet.connect(user1).createSession(config);
             
-            const hash = ethers.keccak256(ethers.toUtf8Bytes("test"));
+            const digest = personalSignHash(await getWalletDomain(wallet), hash);
             
             // Sign with wrong key (user2 instead of sessionKeySigner)
             const privateKey = await getPrivateKey(user2);
             const signingKey = new ethers.SigningKey(privateKey);
-            const sig = signingKey.sign(hash);
+            const sig = signingKey.sign(digest);
             
             // But claim it's from sessionKeySigner
             const fullSignature = ethers.concat([
@@ -968,8 +995,19 @@ describe("Session Key Tests", function () {
                 maxValuePerTx: options.maxValuePerTx || ethers.parseEther("1"),
                 maxValueTotal: options.maxValueTotal || ethers.parseEther("10"),
                 maxCalls: options.maxCalls || 100,
+                periodLength: 0,
+                maxCallsPerPeriod: 0,
+                maxValuePerPeriod: 0,
                 allowedTargets: targets,
-                allowedSelectors: selectors
+                allowedSelectors: selectors,
+                targetPermissions: [],
+                tokenLimits: [],
+                paramRules: [],
+                signingPermissions: [],
+                signableHashes: options.signableHashes || [],
+                policies: [],
+                recipients: [],
+                cosigner: ethers.ZeroAddress
             };
         }
 
@@ -1072,18 +1110,20 @@ describe("Session Key Tests", function () {
                 const { wallet, mockTarget, user1 } = await loadFixture(deploySystemFixture);
                 
                 const p256Key = P256SigningKey.random();
+                const message = "Hello, P256 Session Key!";
+                const hash = ethers.keccak256(ethers.toUtf8Bytes(message));
                 const config = await createP256SessionConfig(
                     p256Key.publicKey.qx,
                     p256Key.publicKey.qy,
                     [mockTarget.target],
-                    []
+                    [],
+                    { signableHashes: [hash] }
                 );
                 await wallet.connect(user1).createSessionP256(config);
 
-                const message = "Hello, P256 Session Key!";
-                const hash = ethers.keccak256(ethers.toUtf8Bytes(message));
+                const digest = personalSignHash(await getWalletDomain(wallet), hash);
                 
-                const fullSignature = signWithP256(p256Key, hash);
+                const fullSignature = signWithP256(p256Key, digest);
                 
                 const result = await wallet.isValidSignature(hash, fullSignature);
                 expect(result).to.equal("0x1626ba7e");
@@ -1094,19 +1134,21 @@ describe("Session Key Tests", function () {
                 
                 const p256Key = P256SigningKey.random();
                 const wrongKey = P256SigningKey.random();
+                const hash = ethers.keccak256(ethers.toUtf8Bytes("test"));
                 
                 const config = await createP256SessionConfig(
                     p256Key.publicKey.qx,
                     p256Key.publicKey.qy,
                     [mockTarget.target],
-                    []
+                    [],
+                    { signableHashes: [hash] }
                 );
                 await wallet.connect(user1).createSessionP256(config);
 
-                const hash = ethers.keccak256(ethers.toUtf8Bytes("test"));
+                const digest = personalSignHash(await getWalletDomain(wallet), hash);
                 
                 // Sign with wrong key but claim to be p256Key
-                const sig = wrongKey.sign(hash);
+                const sig = wrongKey.sign(digest);
                 const fullSignature = ethers.concat([
                     SESSION_KEY_P256,
                     p256Key.publicKey.qx, // claim to be p256Key
@@ -1124,21 +1166,22 @@ describe("Session Key Tests", function () {
                 
                 const p256Key = P256SigningKey.random();
                 const now = await time.latest();
+                const hash = ethers.keccak256(ethers.toUtf8Bytes("test"));
                 
                 const config = await createP256SessionConfig(
                     p256Key.publicKey.qx,
                     p256Key.publicKey.qy,
                     [mockTarget.target],
                     [],
-                    { validUntil: now + 100 }
+                    { validUntil: now + 100, signableHashes: [hash] }
                 );
                 await wallet.connect(user1).createSessionP256(config);
 
                 // Time travel past expiry
                 await time.increase(200);
 
-                const hash = ethers.keccak256(ethers.toUtf8Bytes("test"));
-                const fullSignature = signWithP256(p256Key, hash);
+                const digest = personalSignHash(await getWalletDomain(wallet), hash);
+                const fullSignature = signWithP256(p256Key, digest);
                 
                 const result = await wallet.isValidSignature(hash, fullSignature);
                 expect(result).to.equal("0xffffffff");
@@ -1348,18 +1391,21 @@ describe("Session Key Tests", function () {
                 
                 const p256Key1 = P256SigningKey.random();
                 const p256Key2 = P256SigningKey.random();
+                const hash = ethers.keccak256(ethers.toUtf8Bytes("test"));
 
                 const config1 = await createP256SessionConfig(
                     p256Key1.publicKey.qx,
                     p256Key1.publicKey.qy,
                     [mockTarget.target],
-                    []
+                    [],
+                    { signableHashes: [hash] }
                 );
                 const config2 = await createP256SessionConfig(
                     p256Key2.publicKey.qx,
                     p256Key2.publicKey.qy,
                     [mockTarget.target],
-                    []
+                    [],
+                    { signableHashes: [hash] }
                 );
 
                 await wallet.connect(user1).createSessionP256(config1);
@@ -1369,10 +1415,10 @@ describe("Session Key Tests", function () {
                 expect(await wallet.isValidSessionP256(p256Key2.publicKey.qx, p256Key2.publicKey.qy)).to.be.true;
 
                 // Both should be able to sign
-                const hash = ethers.keccak256(ethers.toUtf8Bytes("test"));
+                const digest = personalSignHash(await getWalletDomain(wallet), hash);
                 
-                const sig1 = signWithP256(p256Key1, hash);
-                const sig2 = signWithP256(p256Key2, hash);
+                const sig1 = signWithP256(p256Key1, digest);
+                const sig2 = signWithP256(p256Key2, digest);
                 
                 expect(await wallet.isValidSignature(hash, sig1)).to.equal("0x1626ba7e");
                 expect(await wallet.isValidSignature(hash, sig2)).to.equal("0x1626ba7e");
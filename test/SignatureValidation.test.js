@@ -1,6 +1,8 @@
 const { expect } = require("chai");
 const { ethers, upgrades } = require("hardhat");
 const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { walletDomain, signPersonalMessage } = require("../scripts/erc7739");
+const { deploySmartWalletImplementation } = require("../scripts/wallet-implementation");
 
 describe("Signature Validation Edge Cases", function () {
     async function deployWalletFixture() {
@@ -9,11 +11,14 @@ describe("Signature Validation Edge Cases", function () {
         // Deploy EntryPoint
         const entryPoint = await ethers.deployContract("EntryPoint");
         
+        // Deploy SmartWallet implementation and its libraries
+        const accountImplementation = await deploySmartWalletImplementation(entryPoint.target);
+
         // Deploy factory
         const SmartWalletFactory = await ethers.getContractFactory("SmartWalletFactory");
         const factory = await upgrades.deployProxy(
             SmartWalletFactory,
-            [entryPoint.target, owner.address, ethers.ZeroAddress],
+            [entryPoint.target, owner.address, ethers.ZeroAddress, accountImplementation.target],
             { 
                 initializer: 'initialize',
                 unsafeAllow: ['constructor']
@@ -24,11 +29,13 @@ describe("Signature Validation Edge Cases", function () {
         await factory.createAccount(user1.address, 0);
         const walletAddress = await factory.getWallet(user1.address);
         const wallet = await ethers.getContractAt("SmartWallet", walletAddress);
+        const { chainId } = await ethers.provider.getNetwork();
         
         return { 
             entryPoint, 
             factory, 
             wallet, 
+            domain: walletDomain(wallet.target, chainId),
             owner, 
             user1, 
             user2
@@ -37,11 +44,11 @@ describe("Signature Validation Edge Cases", function () {
 
     describe("ERC-1271 Signature Validation", function () {
         it("Should return magic value for valid signature", async function () {
-            const { wallet, user1 } = await loadFixture(deployWalletFixture);
+            const { wallet, domain, user1 } = await loadFixture(deployWalletFixture);
             
             const message = "Hello World";
             const messageHash = ethers.hashMessage(message);
-            const signature = await user1.signMessage(message);
+            const signature = await signPersonalMessage(user1, domain, message);
             
             // Should return ERC-1271 magic value
             const result = await wallet.isValidSignature(messageHash, signature);
@@ -49,13 +56,13 @@ describe("Signature Validation Edge Cases", function () {
         });
 
         it("Should return failure value for invalid signature", async function () {
-            const { wallet, user2 } = await loadFixture(deployWalletFixture);
+            const { wallet, domain, user2 } = await loadFixture(deployWalletFixture);
             
             const message = "Hello World";
             const messageHash = ethers.id(message);
             
             // Sign with wrong signer (user2 instead of wallet owner user1)
-            const invalidSignature = await user2.signMessage(ethers.getBytes(messageHash));
+            const invalidSignature = await signPersonalMessage(user2, domain, ethers.getBytes(messageHash));
             
             // Should return failure value
             const result = await wallet.isValidSignature(messageHash, invalidSignature);
@@ -84,11 +91,11 @@ describe("Signature Validation Edge Cases", function () {
         });
 
         it("Should handle zero hash", async function () {
-            const { wallet, user1 } = await loadFixture(deployWalletFixture);
+            const { wallet, domain, user1 } = await loadFixture(deployWalletFixture);
             
             const zeroHash = ethers.ZeroHash;
             const messageHash = ethers.hashMessage("zero test");
-            const signature = await user1.signMessage("zero test");
+            const signature = await signPersonalMessage(user1, domain, "zero test");
             
             // Should still validate properly  
             const result = await wallet.isValidSignature(messageHash, signature);
@@ -96,7 +103,7 @@ describe("Signature Validation Edge Cases", function () {
         });
 
         it("Should handle signature from different message", async function () {
-            const { wallet, user1 } = await loadFixture(deployWalletFixture);
+            const { wallet, domain, user1 } = await loadFixture(deployWalletFixture);
             
             const message1 = "Message 1";
             const message2 = "Message 2";
@@ -104,7 +111,7 @@ describe("Signature Validation Edge Cases", function () {
             const hash2 = ethers.id(message2);
             
             // Sign message1 but validate against message2
-            const signature = await user1.signMessage(ethers.getBytes(hash1));
+            const signature = await signPersonalMessage(user1, domain, ethers.getBytes(hash1));
             
             // Should fail validation
             const result = await wallet.isValidSignature(hash2, signature);
@@ -132,14 +139,14 @@ describe("Signature Validation Edge Cases", function () {
         });
 
         it("Should validate signature with different message types", async function () {
-            const { wallet, user1 } = await loadFixture(deployWalletFixture);
+            const { wallet, domain, user1 } = await loadFixture(deployWalletFixture);
             
             // Test with different message types  
             const testMessages = ["test1", "test2", "hello world"];
             
             for (const message of testMessages) {
                 const messageHash = ethers.hashMessage(message);
-                const signature = await user1.signMessage(message);
+                const signature = await signPersonalMessage(user1, domain, message);
                 const result = await wallet.isValidSignature(messageHash, signature);
                 expect(result).to.equal("0x1626ba7e");
             }
@@ -148,10 +155,10 @@ describe("Signature Validation Edge Cases", function () {
 
     describe("Signature Validation Gas Optimization", function () {
         it("Should be gas efficient for valid signatures", async function () {
-            const { wallet, user1 } = await loadFixture(deployWalletFixture);
+            const { wallet, domain, user1 } = await loadFixture(deployWalletFixture);
             
-            const messageHash = ethers.id("gas test");
-            const signature = await user1.signMessage(ethers.getBytes(messageHash));
+            const messageHash = ethers.hashMessage("gas test");
+            const signature = await signPersonalMessage(user1, domain, "gas test");
             
             // Estimate gas for signature validation
             const gasEstimate = await wallet.isValidSignature.estimateGas(messageHash, signature);
@@ -161,10 +168,10 @@ describe("Signature Validation Edge Cases", function () {
         });
 
         it("Should be gas efficient for invalid signatures", async function () {
-            const { wallet, user2 } = await loadFixture(deployWalletFixture);
+            const { wallet, domain, user2 } = await loadFixture(deployWalletFixture);
             
             const messageHash = ethers.id("gas test");
-            const invalidSignature = await user2.signMessage(ethers.getBytes(messageHash));
+            const invalidSignature = await signPersonalMessage(user2, domain, ethers.getBytes(messageHash));
             
             // Estimate gas for invalid signature validation
             const gasEstimate = await wallet.isValidSignature.estimateGas(messageHash, invalidSignature);
@@ -176,38 +183,39 @@ describe("Signature Validation Edge Cases", function () {
 
     describe("Owner-Only Signature Validation", function () {
         it("Should only validate signatures from current owner", async function () {
-            const { wallet, user1, user2 } = await loadFixture(deployWalletFixture);
+            const { wallet, domain, user1, user2 } = await loadFixture(deployWalletFixture);
             
             const message = "ownership test";
             const messageHash = ethers.hashMessage(message);
             
             // Signature from current owner should be valid
-            const ownerSignature = await user1.signMessage(message);
+            const ownerSignature = await signPersonalMessage(user1, domain, message);
             expect(await wallet.isValidSignature(messageHash, ownerSignature)).to.equal("0x1626ba7e");
             
             // Signature from non-owner should be invalid
-            const nonOwnerSignature = await user2.signMessage(message);
+            const nonOwnerSignature = await signPersonalMessage(user2, domain, message);
             expect(await wallet.isValidSignature(messageHash, nonOwnerSignature)).to.equal("0xffffffff");
         });
 
         it("Should update signature validation after ownership change", async function () {
-            const { wallet, user1, user2 } = await loadFixture(deployWalletFixture);
+            const { wallet, domain, user1, user2 } = await loadFixture(deployWalletFixture);
             
             const message = "ownership change test";
             const messageHash = ethers.hashMessage(message);
             
             // Initially, user1 signatures are valid
-            const user1Signature = await user1.signMessage(message);
+            const user1Signature = await signPersonalMessage(user1, domain, message);
             expect(await wallet.isValidSignature(messageHash, user1Signature)).to.equal("0x1626ba7e");
             
             // Change ownership to user2
-            await wallet.connect(user1).changeOwner(user2.address);
+            await wallet.connect(user1).proposeOwner(user2.address);
+            await wallet.connect(user2).acceptOwnership();
             
             // Now user1 signatures should be invalid
             expect(await wallet.isValidSignature(messageHash, user1Signature)).to.equal("0xffffffff");
             
             // And user2 signatures should be valid
-            const user2Signature = await user2.signMessage(message);
+            const user2Signature = await signPersonalMessage(user2, domain, message);
             expect(await wallet.isValidSignature(messageHash, user2Signature)).to.equal("0x1626ba7e");
         });
     });
@@ -230,10 +238,10 @@ describe("Signature Validation Edge Cases", function () {
         });
 
         it("Should handle signature with invalid v value", async function () {
-            const { wallet, user1 } = await loadFixture(deployWalletFixture);
+            const { wallet, domain, user1 } = await loadFixture(deployWalletFixture);
             
             const messageHash = ethers.id("v value test");
-            const signature = await user1.signMessage(ethers.getBytes(messageHash));
+            const signature = await signPersonalMessage(user1, domain, ethers.getBytes(messageHash));
             
             // Modify v value to invalid value
             const sigBytes = ethers.getBytes(signature);
@@ -248,7 +256,7 @@ describe("Signature Validation Edge Cases", function () {
 
     describe("Message Hash Validation", function () {
         it("Should handle various hash formats", async function () {
-            const { wallet, user1 } = await loadFixture(deployWalletFixture);
+            const { wallet, domain, user1 } = await loadFixture(deployWalletFixture);
             
             const testMessages = [
                 "", // Empty string
@@ -258,7 +266,7 @@ describe("Signature Validation Edge Cases", function () {
             
             for (const message of testMessages) {
                 const messageHash = ethers.hashMessage(message);
-                const signature = await user1.signMessage(message);
+                const signature = await signPersonalMessage(user1, domain, message);
                 const result = await wallet.isValidSignature(messageHash, signature);
                 expect(result).to.equal("0x1626ba7e");
             }
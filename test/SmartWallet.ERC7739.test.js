@@ -0,0 +1,214 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    P256SigningKey,
+    walletFixture,
+    getWalletDomain,
+    createSessionConfig,
+    createP256SessionConfig,
+    SESSION_KEY_P256,
+    ERC1271_MAGIC_VALUE,
+    ERC1271_INVALID,
+} = require("./helpers/setup");
+const {
+    ERC7739_DETECTION_HASH,
+    ERC7739_SUPPORT,
+    personalSignHash,
+    signPersonalMessage,
+    typedDataSignHash,
+    encodeTypedDataSignature,
+    encodeSessionContentsSignature,
+    signTypedDataSign,
+    signSessionECDSA,
+    supportsERC7739,
+} = require("../scripts/erc7739");
+
+describe("SmartWallet - ERC-7739 Nested Signatures", function () {
+    const MESSAGE = "app.lendefi.com wants you to sign in with your Ethereum account";
+
+    // An app's EIP-712 order, with a nested struct so the contents type references another type
+    const ORDER_TYPES = {
+        Order: [
+            { name: "maker", type: "address" },
+            { name: "asset", type: "Asset" },
+            { name: "deadline", type: "uint256" },
+        ],
+        Asset: [
+            { name: "token", type: "address" },
+            { name: "amount", type: "uint256" },
+        ],
+    };
+    const ORDER_TYPEHASH = ethers.id(ethers.TypedDataEncoder.from(ORDER_TYPES).encodeType("Order"));
+
+    async function erc7739Fixture() {
+        const fixture = await walletFixture();
+        const { factory, wallet, mockTarget, user1 } = fixture;
+
+        // A second wallet of the same owner, to check signatures cannot be replayed across wallets
+        await factory.createAccount(user1.address, 1);
+        const otherWallet = await ethers.getContractAt(
+            "SmartWallet",
+            await factory.getFunction("getAddress")(user1.address, 1)
+        );
+
+        const app = await ethers.deployContract("MockEIP712App", ["Lendefi Orders", "2"]);
+        const { chainId } = await ethers.provider.getNetwork();
+        const appDomain = { name: "Lendefi Orders", version: "2", chainId, verifyingContract: app.target };
+
+        // Sessions may sign the sign-in message and the app's orders
+        const signingScope = {
+            signingPermissions: [{ verifyingContract: app.target, typehash: ORDER_TYPEHASH }],
+            signableHashes: [ethers.hashMessage(MESSAGE)],
+        };
+        const sessionKey = ethers.Wallet.createRandom();
+        await wallet
+            .connect(user1)
+            .createSessionECDSA(await createSessionConfig(sessionKey.address, [mockTarget.target], [], signingScope));
+        const p256Key = P256SigningKey.random();
+        await wallet
+            .connect(user1)
+            .createSessionP256(await createP256SessionConfig(p256Key, [mockTarget.target], [], signingScope));
+
+        const order = {
+            maker: wallet.target,
+            asset: { token: fixture.usdc.target, amount: 1_000n * 10n ** 6n },
+            deadline: 1_900_000_000n,
+        };
+        const orderHash = ethers.TypedDataEncoder.hash(appDomain, ORDER_TYPES, order);
+
+        return {
+            ...fixture,
+            otherWallet,
+            sessionKey,
+            p256Key,
+            domain: await getWalletDomain(wallet),
+            appDomain,
+            order,
+            orderHash,
+        };
+    }
+
+    function signP256Session(p256Key, digest) {
+        const { r, s } = p256Key.sign(digest);
+        return ethers.concat([SESSION_KEY_P256, p256Key.publicKey.qx, p256Key.publicKey.qy, r, s]);
+    }
+
+    describe("PersonalSign", function () {
+        it("Should accept an owner signature of a message", async function () {
+            const { wallet, user1, domain } = await loadFixture(erc7739Fixture);
+
+            const signature = await signPersonalMessage(user1, domain, MESSAGE);
+            expect(await wallet.isValidSignature(ethers.hashMessage(MESSAGE), signature)).to.equal(ERC1271_MAGIC_VALUE);
+        });
+
+        it("Should reject plain owner signatures", async function () {
+            const { wallet, user1 } = await loadFixture(erc7739Fixture);
+            const hash = ethers.hashMessage(MESSAGE);
+
+            expect(await wallet.isValidSignature(hash, await user1.signMessage(MESSAGE))).to.equal(ERC1271_INVALID);
+        });
+
+        it("Should not accept a signature given to another wallet of the same owner", async function () {
+            const { wallet, otherWallet, user1 } = await loadFixture(erc7739Fixture);
+            const hash = ethers.hashMessage(MESSAGE);
+
+            const signature = await signPersonalMessage(user1, await getWalletDomain(otherWallet), MESSAGE);
+            expect(await otherWallet.isValidSignature(hash, signature)).to.equal(ERC1271_MAGIC_VALUE);
+            expect(await wallet.isValidSignature(hash, signature)).to.equal(ERC1271_INVALID);
+        });
+
+        it("Should accept ECDSA and P256 session key signatures", async function () {
+            const { wallet, sessionKey, p256Key, domain } = await loadFixture(erc7739Fixture);
+            const hash = ethers.hashMessage(MESSAGE);
+            const digest = personalSignHash(domain, hash);
+
+            expect(await wallet.isValidSignature(hash, signSessionECDSA(sessionKey, digest))).to.equal(
+                ERC1271_MAGIC_VALUE
+            );
+            expect(await wallet.isValidSignature(hash, signP256Session(p256Key, digest))).to.equal(ERC1271_MAGIC_VALUE);
+            // Unwrapped session signatures are rejected
+            expect(await wallet.isValidSignature(hash, signSessionECDSA(sessionKey, hash))).to.equal(ERC1271_INVALID);
+        });
+
+        it("Should reject signatures from a revoked session", async function () {
+            const { wallet, user1, sessionKey, domain } = await loadFixture(erc7739Fixture);
+            const hash = ethers.hashMessage(MESSAGE);
+
+            await wallet.connect(user1).revokeSessionECDSA(sessionKey.address);
+            expect(
+                await wallet.isValidSignature(hash, signSessionECDSA(sessionKey, personalSignHash(domain, hash)))
+            ).to.equal(ERC1271_INVALID);
+        });
+    });
+
+    describe("TypedDataSign", function () {
+        it("Should accept an owner signature of app typed data", async function () {
+            const { wallet, user1, domain, appDomain, order, orderHash } = await loadFixture(erc7739Fixture);
+
+            const signature = await signTypedDataSign(user1, domain, appDomain, ORDER_TYPES, order);
+            expect(await wallet.isValidSignature(orderHash, signature)).to.equal(ERC1271_MAGIC_VALUE);
+        });
+
+        it("Should reject a signature presented for a different app digest", async function () {
+            const { wallet, user1, domain, appDomain, order } = await loadFixture(erc7739Fixture);
+
+            const signature = await signTypedDataSign(user1, domain, appDomain, ORDER_TYPES, order);
+            const otherOrderHash = ethers.TypedDataEncoder.hash(appDomain, ORDER_TYPES, { ...order, deadline: 1n });
+            expect(await wallet.isValidSignature(otherOrderHash, signature)).to.equal(ERC1271_INVALID);
+        });
+
+        it("Should not accept typed data signed for another wallet of the same owner", async function () {
+            const { wallet, otherWallet, user1, appDomain, order, orderHash } = await loadFixture(erc7739Fixture);
+
+            const signature = await signTypedDataSign(
+                user1,
+                await getWalletDomain(otherWallet),
+                appDomain,
+                ORDER_TYPES,
+                order
+            );
+            expect(await otherWallet.isValidSignature(orderHash, signature)).to.equal(ERC1271_MAGIC_VALUE);
+            expect(await wallet.isValidSignature(orderHash, signature)).to.equal(ERC1271_INVALID);
+        });
+
+        it("Should accept ECDSA and P256 session key signatures", async function () {
+            const { wallet, sessionKey, p256Key, domain, appDomain, order, orderHash } =
+                await loadFixture(erc7739Fixture);
+            const digest = typedDataSignHash(domain, appDomain, ORDER_TYPES, order);
+
+            const ecdsaSignature = encodeTypedDataSignature(
+                encodeSessionContentsSignature(signSessionECDSA(sessionKey, digest), ORDER_TYPES, order),
+                appDomain,
+                ORDER_TYPES,
+                order
+            );
+            const p256Signature = encodeTypedDataSignature(
+                encodeSessionContentsSignature(signP256Session(p256Key, digest), ORDER_TYPES, order),
+                appDomain,
+                ORDER_TYPES,
+                order
+            );
+
+            expect(await wallet.isValidSignature(orderHash, ecdsaSignature)).to.equal(ERC1271_MAGIC_VALUE);
+            expect(await wallet.isValidSignature(orderHash, p256Signature)).to.equal(ERC1271_MAGIC_VALUE);
+        });
+
+        it("Should reject app typed data signed directly by the owner", async function () {
+            const { wallet, user1, appDomain, order, orderHash } = await loadFixture(erc7739Fixture);
+
+            const signature = await user1.signTypedData(appDomain, ORDER_TYPES, order);
+            expect(await wallet.isValidSignature(orderHash, signature)).to.equal(ERC1271_INVALID);
+        });
+    });
+
+    describe("Detection", function () {
+        it("Should answer the ERC-7739 detection request", async function () {
+            const { wallet, user2 } = await loadFixture(erc7739Fixture);
+
+            expect(await wallet.isValidSignature(ERC7739_DETECTION_HASH, "0x")).to.equal(ERC7739_SUPPORT);
+            expect(await supportsERC7739(ethers.provider, wallet.target)).to.be.true;
+            expect(await supportsERC7739(ethers.provider, user2.address)).to.be.false;
+        });
+    });
+});
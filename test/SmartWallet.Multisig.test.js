@@ -0,0 +1,217 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    P256SigningKey,
+    walletFixture,
+    getWalletDomain,
+    createUserOp,
+    signOwnerHash,
+    encodeMultisigSignature,
+    signUserOpMultisig,
+    ERC1271_MAGIC_VALUE,
+    ERC1271_INVALID,
+} = require("./helpers/setup");
+const { personalSignHash } = require("../scripts/erc7739");
+
+describe("SmartWallet - Multisig Owners", function () {
+    async function multisigFixture() {
+        const fixture = await walletFixture();
+        const { factory, entryPoint, owner } = fixture;
+        const signers = [ethers.Wallet.createRandom(), ethers.Wallet.createRandom(), ethers.Wallet.createRandom()];
+        const ownerAddresses = signers.map((s) => s.address);
+
+        await factory.createAccountWithOwners(ownerAddresses, [], 2, 0);
+        const multisig = await ethers.getContractAt("SmartWallet", await factory.getWallet(ownerAddresses[0]));
+
+        await owner.sendTransaction({ to: multisig.target, value: ethers.parseEther("10") });
+        await entryPoint.depositTo(multisig.target, { value: ethers.parseEther("1") });
+
+        return { ...fixture, signers, ownerAddresses, multisig };
+    }
+
+    async function sendAsOwners(fixture, callData, signers) {
+        const { entryPoint, multisig, beneficiary } = fixture;
+        const userOp = await createUserOp(multisig, callData);
+        userOp.signature = await signUserOpMultisig(userOp, signers, entryPoint);
+        return entryPoint.handleOps([userOp], beneficiary.address);
+    }
+
+    function transferCall(wallet, to, value) {
+        return wallet.interface.encodeFunctionData("execute", [to, value, "0x"]);
+    }
+
+    function selfCall(wallet, method, args) {
+        return wallet.interface.encodeFunctionData("execute", [
+            wallet.target,
+            0,
+            wallet.interface.encodeFunctionData(method, args),
+        ]);
+    }
+
+    describe("Factory", function () {
+        it("Should create a multisig wallet at its predicted address", async function () {
+            const { factory, multisig, ownerAddresses } = await loadFixture(multisigFixture);
+
+            expect(await factory.getAddressWithOwners(ownerAddresses, [], 2, 0)).to.equal(multisig.target);
+            expect(await factory.getAddressWithOwners(ownerAddresses, [], 3, 0)).to.not.equal(multisig.target);
+            expect(await multisig.ownerThreshold()).to.equal(2);
+            expect(await multisig.getOwnerAddresses()).to.deep.equal(ownerAddresses);
+        });
+
+        it("Should reject a threshold above the owner count", async function () {
+            const { factory, wallet, user2, beneficiary } = await loadFixture(walletFixture);
+
+            await expect(factory.createAccountWithOwners([user2.address, beneficiary.address], [], 3, 0))
+                .to.be.revertedWithCustomError(wallet, "InvalidThreshold");
+        });
+    });
+
+    describe("UserOperations", function () {
+        it("Should execute with threshold signatures", async function () {
+            const fixture = await loadFixture(multisigFixture);
+            const { multisig, signers, user2 } = fixture;
+
+            const balanceBefore = await ethers.provider.getBalance(user2.address);
+            await sendAsOwners(fixture, transferCall(multisig, user2.address, ethers.parseEther("1")), [
+                signers[2],
+                signers[0],
+            ]);
+            expect(await ethers.provider.getBalance(user2.address)).to.equal(balanceBefore + ethers.parseEther("1"));
+        });
+
+        it("Should reject a single owner signature", async function () {
+            const { entryPoint, multisig, signers, user2, beneficiary } = await loadFixture(multisigFixture);
+
+            const userOp = await createUserOp(multisig, transferCall(multisig, user2.address, 1));
+            userOp.signature = signOwnerHash(signers[0], await entryPoint.getUserOpHash(userOp));
+            await expect(entryPoint.handleOps([userOp], beneficiary.address)).to.be.reverted;
+        });
+
+        it("Should reject too few signatures in a bundle", async function () {
+            const fixture = await loadFixture(multisigFixture);
+            const { multisig, signers, user2 } = fixture;
+
+            await expect(sendAsOwners(fixture, transferCall(multisig, user2.address, 1), [signers[0]])).to.be.reverted;
+        });
+
+        it("Should not count the same owner twice", async function () {
+            const fixture = await loadFixture(multisigFixture);
+            const { multisig, signers, user2 } = fixture;
+
+            await expect(
+                sendAsOwners(fixture, transferCall(multisig, user2.address, 1), [signers[1], signers[1]])
+            ).to.be.reverted;
+        });
+
+        it("Should reject a bundle containing a non-owner signature", async function () {
+            const fixture = await loadFixture(multisigFixture);
+            const { multisig, signers, user2 } = fixture;
+
+            await expect(
+                sendAsOwners(fixture, transferCall(multisig, user2.address, 1), [
+                    signers[0],
+                    ethers.Wallet.createRandom(),
+                ])
+            ).to.be.reverted;
+        });
+
+        it("Should combine ECDSA and passkey owners", async function () {
+            const { factory, entryPoint, mockTarget, owner, beneficiary } = await loadFixture(walletFixture);
+            const ecdsaOwner = ethers.Wallet.createRandom();
+            const passkey = P256SigningKey.random();
+
+            await factory.createAccountWithOwners(
+                [ecdsaOwner.address],
+                [{ x: passkey.publicKey.qx, y: passkey.publicKey.qy }],
+                2,
+                0
+            );
+            const multisig = await ethers.getContractAt("SmartWallet", await factory.getWallet(ecdsaOwner.address));
+            await entryPoint.connect(owner).depositTo(multisig.target, { value: ethers.parseEther("1") });
+
+            const userOp = await createUserOp(
+                multisig,
+                multisig.interface.encodeFunctionData("execute", [
+                    mockTarget.target,
+                    0,
+                    mockTarget.interface.encodeFunctionData("setValue", [21]),
+                ])
+            );
+            userOp.signature = await signUserOpMultisig(userOp, [passkey, ecdsaOwner], entryPoint, { webAuthn: true });
+            await entryPoint.handleOps([userOp], beneficiary.address);
+            expect(await mockTarget.value()).to.equal(21);
+        });
+    });
+
+    describe("Owner management", function () {
+        it("Should block direct owner calls while the threshold is above 1", async function () {
+            const { factory, wallet, user1, user2 } = await loadFixture(walletFixture);
+            const signers = await ethers.getSigners();
+            const owners = [signers[5], signers[6]];
+
+            await factory.createAccountWithOwners(owners.map((s) => s.address), [], 2, 0);
+            const multisig = await ethers.getContractAt("SmartWallet", await factory.getWallet(owners[0].address));
+
+            await expect(multisig.connect(owners[0]).execute(user2.address, 0, "0x"))
+                .to.be.revertedWithCustomError(wallet, "Unauthorized");
+            await expect(multisig.connect(owners[0]).setOwnerThreshold(1))
+                .to.be.revertedWithCustomError(wallet, "Unauthorized");
+            await expect(multisig.connect(owners[1]).addOwnerAddress(user1.address))
+                .to.be.revertedWithCustomError(wallet, "Unauthorized");
+        });
+
+        it("Should manage owners and the threshold through threshold-signed self-calls", async function () {
+            const fixture = await loadFixture(multisigFixture);
+            const { multisig, signers, user2 } = fixture;
+
+            const addOwner = selfCall(multisig, "addOwnerAddress", [user2.address]);
+            await expect(sendAsOwners(fixture, addOwner, signers.slice(0, 2)))
+                .to.emit(multisig, "OwnerAddressAdded")
+                .withArgs(user2.address);
+            await expect(sendAsOwners(fixture, selfCall(multisig, "setOwnerThreshold", [3]), signers.slice(1, 3)))
+                .to.emit(multisig, "OwnerThresholdChanged")
+                .withArgs(3);
+
+            expect(await multisig.ownerCount()).to.equal(4);
+            expect(await multisig.ownerThreshold()).to.equal(3);
+        });
+
+        it("Should not drop below the threshold when removing owners", async function () {
+            const fixture = await loadFixture(multisigFixture);
+            const { multisig, signers } = fixture;
+
+            await sendAsOwners(fixture, selfCall(multisig, "setOwnerThreshold", [3]), signers.slice(0, 2));
+
+            // The inner call reverts with InvalidThreshold; the EntryPoint reports it as a failed operation
+            await sendAsOwners(fixture, selfCall(multisig, "removeOwnerAddress", [signers[2].address]), signers);
+            expect(await multisig.isOwnerAddress(signers[2].address)).to.be.true;
+        });
+
+        it("Should bound the threshold by the owner count", async function () {
+            const { wallet, user1 } = await loadFixture(walletFixture);
+
+            await expect(wallet.connect(user1).setOwnerThreshold(2))
+                .to.be.revertedWithCustomError(wallet, "InvalidThreshold");
+            await expect(wallet.connect(user1).setOwnerThreshold(0))
+                .to.be.revertedWithCustomError(wallet, "InvalidThreshold");
+            expect(await wallet.ownerThreshold()).to.equal(1);
+        });
+    });
+
+    describe("ERC-1271", function () {
+        it("Should require threshold signatures", async function () {
+            const { multisig, signers } = await loadFixture(multisigFixture);
+            const hash = ethers.id("treasury policy v2");
+            const digest = personalSignHash(await getWalletDomain(multisig), hash);
+
+            expect(
+                await multisig.isValidSignature(hash, encodeMultisigSignature(signers.slice(0, 2), digest))
+            ).to.equal(ERC1271_MAGIC_VALUE);
+            expect(await multisig.isValidSignature(hash, encodeMultisigSignature([signers[0]], digest))).to.equal(
+                ERC1271_INVALID
+            );
+            expect(await multisig.isValidSignature(hash, signOwnerHash(signers[0], digest))).to.equal(ERC1271_INVALID);
+        });
+    });
+});
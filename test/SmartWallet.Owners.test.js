@@ -0,0 +1,260 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    P256SigningKey,
+    walletFixture,
+    getWalletDomain,
+    createSessionConfig,
+    createUserOp,
+    encodeOwnerP256Signature,
+    signUserOpOwnerP256,
+    ERC1271_MAGIC_VALUE,
+    ERC1271_INVALID,
+} = require("./helpers/setup");
+const { personalSignHash, signPersonalMessage } = require("../scripts/erc7739");
+
+describe("SmartWallet - Passkey and Multi-Signer Owners", function () {
+    async function passkeyWalletFixture() {
+        const fixture = await walletFixture();
+        const { factory, entryPoint, owner } = fixture;
+        const passkey = P256SigningKey.random();
+        const publicKeys = [{ x: passkey.publicKey.qx, y: passkey.publicKey.qy }];
+
+        await factory.createAccountWithOwners([], publicKeys, 1, 0);
+        const passkeyWallet = await ethers.getContractAt(
+            "SmartWallet",
+            await factory.getWalletByPasskey(passkey.publicKey.qx, passkey.publicKey.qy)
+        );
+
+        await owner.sendTransaction({ to: passkeyWallet.target, value: ethers.parseEther("10") });
+        await entryPoint.depositTo(passkeyWallet.target, { value: ethers.parseEther("1") });
+
+        return { ...fixture, passkey, publicKeys, passkeyWallet };
+    }
+
+    async function sendAsPasskeyOwner(fixture, callData, options = {}) {
+        const { entryPoint, passkeyWallet, beneficiary } = fixture;
+        const passkey = options.passkey ?? fixture.passkey;
+        const userOp = await createUserOp(passkeyWallet, callData);
+        userOp.signature = await signUserOpOwnerP256(userOp, passkey, entryPoint, options);
+        return entryPoint.handleOps([userOp], beneficiary.address);
+    }
+
+    function selfCall(wallet, method, args) {
+        return wallet.interface.encodeFunctionData("execute", [
+            wallet.target,
+            0,
+            wallet.interface.encodeFunctionData(method, args),
+        ]);
+    }
+
+    describe("Factory", function () {
+        it("Should create a wallet owned only by a passkey", async function () {
+            const { factory, passkey, publicKeys, passkeyWallet } = await loadFixture(passkeyWalletFixture);
+
+            expect(await passkeyWallet.owner()).to.equal(ethers.ZeroAddress);
+            expect(await passkeyWallet.isOwnerPublicKey(passkey.publicKey.qx, passkey.publicKey.qy)).to.be.true;
+            expect(await passkeyWallet.ownerCount()).to.equal(1);
+            expect(await factory.isLendefiWallet(passkeyWallet.target)).to.be.true;
+            expect(await factory.getAddressWithOwners([], publicKeys, 1, 0)).to.equal(passkeyWallet.target);
+        });
+
+        it("Should create a wallet owned by a mixed signer set", async function () {
+            const { factory, user2 } = await loadFixture(walletFixture);
+            const passkey = P256SigningKey.random();
+            const publicKeys = [{ x: passkey.publicKey.qx, y: passkey.publicKey.qy }];
+
+            await expect(factory.createAccountWithOwners([user2.address], publicKeys, 1, 1))
+                .to.emit(factory, "AccountCreated");
+
+            const wallet = await ethers.getContractAt("SmartWallet", await factory.getWallet(user2.address));
+            expect(await wallet.owner()).to.equal(user2.address);
+            expect(await wallet.getOwnerAddresses()).to.deep.equal([user2.address]);
+            expect((await wallet.getOwnerPublicKeys()).length).to.equal(1);
+            expect(await factory.getWalletByPasskey(passkey.publicKey.qx, passkey.publicKey.qy)).to.equal(wallet.target);
+        });
+
+        it("Should reject an empty owner set", async function () {
+            const { factory } = await loadFixture(walletFixture);
+
+            await expect(factory.createAccountWithOwners([], [], 1, 0))
+                .to.be.revertedWithCustomError(factory, "InvalidUser");
+        });
+
+        it("Should reject a passkey that already owns a wallet", async function () {
+            const { factory, publicKeys } = await loadFixture(passkeyWalletFixture);
+
+            await expect(factory.createAccountWithOwners([], publicKeys, 1, 1))
+                .to.be.revertedWithCustomError(factory, "WalletAlreadyExists");
+        });
+
+        it("Should reject an invalid public key", async function () {
+            const { factory, wallet } = await loadFixture(walletFixture);
+
+            await expect(factory.createAccountWithOwners([], [{ x: ethers.ZeroHash, y: ethers.ZeroHash }], 1, 0))
+                .to.be.revertedWithCustomError(wallet, "InvalidP256Key");
+        });
+
+        it("Should only let the factory owner create wallets", async function () {
+            const { factory, user1 } = await loadFixture(walletFixture);
+            const passkey = P256SigningKey.random();
+
+            const publicKeys = [{ x: passkey.publicKey.qx, y: passkey.publicKey.qy }];
+
+            await expect(factory.connect(user1).createAccountWithOwners([], publicKeys, 1, 0))
+                .to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount");
+        });
+    });
+
+    describe("UserOperations", function () {
+        it("Should execute an unrestricted call signed by the passkey owner", async function () {
+            const fixture = await loadFixture(passkeyWalletFixture);
+            const { passkeyWallet, user2 } = fixture;
+
+            const balanceBefore = await ethers.provider.getBalance(user2.address);
+            await sendAsPasskeyOwner(
+                fixture,
+                passkeyWallet.interface.encodeFunctionData("execute", [user2.address, ethers.parseEther("5"), "0x"])
+            );
+            expect(await ethers.provider.getBalance(user2.address)).to.equal(balanceBefore + ethers.parseEther("5"));
+        });
+
+        it("Should execute a call signed through a WebAuthn assertion", async function () {
+            const fixture = await loadFixture(passkeyWalletFixture);
+            const { passkeyWallet, mockTarget } = fixture;
+
+            await sendAsPasskeyOwner(
+                fixture,
+                passkeyWallet.interface.encodeFunctionData("execute", [
+                    mockTarget.target,
+                    0,
+                    mockTarget.interface.encodeFunctionData("setValue", [11]),
+                ]),
+                { webAuthn: true }
+            );
+            expect(await mockTarget.value()).to.equal(11);
+        });
+
+        it("Should reject a UserOperation signed by an unknown passkey", async function () {
+            const fixture = await loadFixture(passkeyWalletFixture);
+            const { passkeyWallet, user2 } = fixture;
+
+            await expect(
+                sendAsPasskeyOwner(
+                    fixture,
+                    passkeyWallet.interface.encodeFunctionData("execute", [user2.address, 1, "0x"]),
+                    { passkey: P256SigningKey.random() }
+                )
+            ).to.be.reverted;
+        });
+
+        it("Should let a passkey owner manage sessions through a self-call", async function () {
+            const fixture = await loadFixture(passkeyWalletFixture);
+            const { passkeyWallet, mockTarget } = fixture;
+            const sessionKey = ethers.Wallet.createRandom();
+
+            const config = await createSessionConfig(sessionKey.address, [mockTarget.target], []);
+            await sendAsPasskeyOwner(fixture, selfCall(passkeyWallet, "createSessionECDSA", [config]));
+
+            expect(await passkeyWallet.isValidSessionECDSA(sessionKey.address)).to.be.true;
+        });
+    });
+
+    describe("ERC-1271", function () {
+        it("Should accept raw and WebAuthn signatures from a passkey owner", async function () {
+            const { passkeyWallet, passkey } = await loadFixture(passkeyWalletFixture);
+            const hash = ethers.id("lendefi terms");
+            const digest = personalSignHash(await getWalletDomain(passkeyWallet), hash);
+
+            expect(await passkeyWallet.isValidSignature(hash, encodeOwnerP256Signature(passkey, digest))).to.equal(
+                ERC1271_MAGIC_VALUE
+            );
+            expect(
+                await passkeyWallet.isValidSignature(hash, encodeOwnerP256Signature(passkey, digest, { webAuthn: true }))
+            ).to.equal(ERC1271_MAGIC_VALUE);
+        });
+
+        it("Should reject signatures from keys that are not owners", async function () {
+            const { passkeyWallet } = await loadFixture(passkeyWalletFixture);
+            const hash = ethers.id("lendefi terms");
+            const digest = personalSignHash(await getWalletDomain(passkeyWallet), hash);
+
+            const signature = encodeOwnerP256Signature(P256SigningKey.random(), digest);
+            expect(await passkeyWallet.isValidSignature(hash, signature)).to.equal(ERC1271_INVALID);
+        });
+
+        it("Should accept signatures from any ECDSA owner in the set", async function () {
+            const { wallet, user1, user2 } = await loadFixture(walletFixture);
+            const message = "lendefi terms";
+
+            await wallet.connect(user1).addOwnerAddress(user2.address);
+            const signature = await signPersonalMessage(user2, await getWalletDomain(wallet), message);
+            expect(await wallet.isValidSignature(ethers.hashMessage(message), signature)).to.equal(ERC1271_MAGIC_VALUE);
+        });
+    });
+
+    describe("Owner management", function () {
+        it("Should add and remove owners", async function () {
+            const { wallet, user1, user2 } = await loadFixture(walletFixture);
+            const passkey = P256SigningKey.random();
+
+            await expect(wallet.connect(user1).addOwnerAddress(user2.address))
+                .to.emit(wallet, "OwnerAddressAdded")
+                .withArgs(user2.address);
+            await expect(wallet.connect(user1).addOwnerPublicKey(passkey.publicKey.qx, passkey.publicKey.qy))
+                .to.emit(wallet, "OwnerPublicKeyAdded");
+            expect(await wallet.ownerCount()).to.equal(3);
+
+            // A secondary ECDSA owner has full owner powers
+            await wallet.connect(user2).removeOwnerPublicKey(passkey.publicKey.qx, passkey.publicKey.qy);
+            await wallet.connect(user2).removeOwnerAddress(user2.address);
+            expect(await wallet.isOwnerAddress(user2.address)).to.be.false;
+            expect(await wallet.ownerCount()).to.equal(1);
+        });
+
+        it("Should reject duplicate owners", async function () {
+            const { wallet, user1 } = await loadFixture(walletFixture);
+
+            await expect(wallet.connect(user1).addOwnerAddress(user1.address))
+                .to.be.revertedWithCustomError(wallet, "OwnerAlreadyExists");
+        });
+
+        it("Should not remove the primary owner directly", async function () {
+            const { wallet, user1, user2 } = await loadFixture(walletFixture);
+
+            await wallet.connect(user1).addOwnerAddress(user2.address);
+            await expect(wallet.connect(user2).removeOwnerAddress(user1.address))
+                .to.be.revertedWithCustomError(wallet, "InvalidOwner");
+        });
+
+        it("Should never remove the last owner", async function () {
+            const fixture = await loadFixture(passkeyWalletFixture);
+            const { passkeyWallet, passkey } = fixture;
+
+            // The inner call reverts with LastOwner; the EntryPoint reports it as a failed operation
+            await sendAsPasskeyOwner(
+                fixture,
+                selfCall(passkeyWallet, "removeOwnerPublicKey", [passkey.publicKey.qx, passkey.publicKey.qy])
+            );
+            expect(await passkeyWallet.isOwnerPublicKey(passkey.publicKey.qx, passkey.publicKey.qy)).to.be.true;
+        });
+
+        it("Should replace the primary owner in the set on an ownership transfer", async function () {
+            const { wallet, user1, user2 } = await loadFixture(walletFixture);
+
+            await wallet.connect(user1).proposeOwner(user2.address);
+            await wallet.connect(user2).acceptOwnership();
+            expect(await wallet.owner()).to.equal(user2.address);
+            expect(await wallet.isOwnerAddress(user1.address)).to.be.false;
+            expect(await wallet.getOwnerAddresses()).to.deep.equal([user2.address]);
+        });
+
+        it("Should reject owner management from non-owners", async function () {
+            const { wallet, user2 } = await loadFixture(walletFixture);
+
+            await expect(wallet.connect(user2).addOwnerAddress(user2.address))
+                .to.be.revertedWithCustomError(wallet, "Unauthorized");
+        });
+    });
+});
@@ -0,0 +1,153 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { walletFixture, ONE_DAY } = require("./helpers/setup");
+
+describe("SmartWallet - Two-Step Ownership Transfer", function () {
+    async function delayedFixture() {
+        const fixture = await walletFixture();
+        await fixture.wallet.connect(fixture.user1).setOwnershipTransferDelay(ONE_DAY);
+        return fixture;
+    }
+
+    describe("Proposal", function () {
+        it("Should record the pending owner without changing control", async function () {
+            const { wallet, user1, user2 } = await loadFixture(walletFixture);
+
+            const tx = await wallet.connect(user1).proposeOwner(user2.address);
+            await expect(tx)
+                .to.emit(wallet, "OwnershipTransferStarted")
+                .withArgs(user1.address, user2.address, await time.latest())
+                .and.not.to.emit(wallet, "OwnerChanged");
+
+            expect(await wallet.owner()).to.equal(user1.address);
+            expect(await wallet.pendingOwner()).to.equal(user2.address);
+        });
+
+        it("Should reject proposing the current owner or the wallet itself", async function () {
+            const { wallet, user1 } = await loadFixture(walletFixture);
+
+            await expect(wallet.connect(user1).proposeOwner(user1.address))
+                .to.be.revertedWithCustomError(wallet, "SameOwner");
+            await expect(wallet.connect(user1).proposeOwner(wallet.target))
+                .to.be.revertedWithCustomError(wallet, "InvalidOwner");
+        });
+
+        it("Should replace an earlier proposal", async function () {
+            const { wallet, owner, user1, user2 } = await loadFixture(walletFixture);
+
+            await wallet.connect(user1).proposeOwner(user2.address);
+            await wallet.connect(user1).proposeOwner(owner.address);
+
+            expect(await wallet.pendingOwner()).to.equal(owner.address);
+            await expect(wallet.connect(user2).acceptOwnership())
+                .to.be.revertedWithCustomError(wallet, "Unauthorized");
+        });
+    });
+
+    describe("Acceptance", function () {
+        it("Should only let the pending owner accept", async function () {
+            const { wallet, owner, user1, user2 } = await loadFixture(walletFixture);
+
+            await expect(wallet.connect(user2).acceptOwnership())
+                .to.be.revertedWithCustomError(wallet, "NoPendingOwnershipTransfer");
+
+            await wallet.connect(user1).proposeOwner(user2.address);
+            await expect(wallet.connect(owner).acceptOwnership())
+                .to.be.revertedWithCustomError(wallet, "Unauthorized");
+        });
+
+        it("Should hand over control and clear the proposal on acceptance", async function () {
+            const { wallet, user1, user2 } = await loadFixture(walletFixture);
+
+            await wallet.connect(user1).proposeOwner(user2.address);
+            await wallet.connect(user2).acceptOwnership();
+
+            expect(await wallet.owner()).to.equal(user2.address);
+            expect(await wallet.pendingOwner()).to.equal(ethers.ZeroAddress);
+            await expect(wallet.connect(user1).execute(user1.address, 0, "0x"))
+                .to.be.revertedWithCustomError(wallet, "Unauthorized");
+        });
+
+        it("Should enforce the configured delay", async function () {
+            const { wallet, user1, user2 } = await loadFixture(delayedFixture);
+
+            await wallet.connect(user1).proposeOwner(user2.address);
+            expect(await wallet.ownershipTransferReadyAt()).to.equal((await time.latest()) + ONE_DAY);
+
+            await expect(wallet.connect(user2).acceptOwnership())
+                .to.be.revertedWithCustomError(wallet, "OwnershipTransferNotReady");
+
+            await time.increase(ONE_DAY);
+            await expect(wallet.connect(user2).acceptOwnership())
+                .to.emit(wallet, "OwnerChanged")
+                .withArgs(user1.address, user2.address);
+        });
+
+        it("Should promote a secondary owner that accepts", async function () {
+            const { wallet, user1, user2 } = await loadFixture(walletFixture);
+
+            await wallet.connect(user1).addOwnerAddress(user2.address);
+            await wallet.connect(user1).proposeOwner(user2.address);
+            await wallet.connect(user2).acceptOwnership();
+
+            expect(await wallet.getOwnerAddresses()).to.deep.equal([user2.address]);
+            expect(await wallet.ownerCount()).to.equal(1);
+        });
+    });
+
+    describe("Cancellation and delay", function () {
+        it("Should let the owner cancel a pending transfer", async function () {
+            const { wallet, user1, user2 } = await loadFixture(delayedFixture);
+
+            await wallet.connect(user1).proposeOwner(user2.address);
+            await expect(wallet.connect(user1).cancelOwnershipTransfer())
+                .to.emit(wallet, "OwnershipTransferCancelled")
+                .withArgs(user2.address);
+
+            await time.increase(ONE_DAY);
+            await expect(wallet.connect(user2).acceptOwnership())
+                .to.be.revertedWithCustomError(wallet, "NoPendingOwnershipTransfer");
+            await expect(wallet.connect(user1).cancelOwnershipTransfer())
+                .to.be.revertedWithCustomError(wallet, "NoPendingOwnershipTransfer");
+        });
+
+        it("Should only let the owner cancel or configure the delay", async function () {
+            const { wallet, user1, user2 } = await loadFixture(walletFixture);
+
+            await wallet.connect(user1).proposeOwner(user2.address);
+            await expect(wallet.connect(user2).cancelOwnershipTransfer())
+                .to.be.revertedWithCustomError(wallet, "Unauthorized");
+            await expect(wallet.connect(user2).setOwnershipTransferDelay(ONE_DAY))
+                .to.be.revertedWithCustomError(wallet, "Unauthorized");
+        });
+
+        it("Should bound the transfer delay", async function () {
+            const { wallet, user1 } = await loadFixture(walletFixture);
+
+            await expect(wallet.connect(user1).setOwnershipTransferDelay(ONE_DAY))
+                .to.emit(wallet, "OwnershipTransferDelayChanged")
+                .withArgs(ONE_DAY);
+            await expect(wallet.connect(user1).setOwnershipTransferDelay(31 * ONE_DAY))
+                .to.be.revertedWithCustomError(wallet, "InvalidOwnershipTransferDelay");
+        });
+
+        it("Should drop a pending transfer on guardian recovery", async function () {
+            const { wallet, owner, user1, user2 } = await loadFixture(walletFixture);
+            const guardian = (await ethers.getSigners())[5];
+
+            await wallet.connect(user1).addGuardian(guardian.address);
+            await wallet.connect(user1).proposeOwner(user2.address);
+
+            await wallet.connect(guardian).initiateRecovery(owner.address);
+            await time.increase(await wallet.recoveryDelay());
+            await expect(wallet.executeRecovery())
+                .to.emit(wallet, "OwnershipTransferCancelled")
+                .withArgs(user2.address);
+
+            expect(await wallet.pendingOwner()).to.equal(ethers.ZeroAddress);
+            await expect(wallet.connect(user2).acceptOwnership())
+                .to.be.revertedWithCustomError(wallet, "NoPendingOwnershipTransfer");
+        });
+    });
+});
@@ -0,0 +1,309 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    P256SigningKey,
+    walletFixture,
+    createSessionConfig,
+    createUserOp,
+    signUserOpECDSA,
+    ONE_DAY,
+} = require("./helpers/setup");
+
+describe("SmartWallet - Guardians and Social Recovery", function () {
+    const DEFAULT_DELAY = 2 * ONE_DAY;
+
+    async function guardianFixture() {
+        const fixture = await walletFixture();
+        const { wallet, user1 } = fixture;
+        const signers = await ethers.getSigners();
+        const guardians = signers.slice(4, 7);
+        const newOwner = signers[7];
+
+        for (const guardian of guardians) {
+            await wallet.connect(user1).addGuardian(guardian.address);
+        }
+        await wallet.connect(user1).setGuardianThreshold(2);
+
+        return { ...fixture, guardians, newOwner };
+    }
+
+    async function approvedRecoveryFixture() {
+        const fixture = await guardianFixture();
+        const { wallet, guardians, newOwner } = fixture;
+
+        await wallet.connect(guardians[0]).initiateRecovery(newOwner.address);
+        await wallet.connect(guardians[1]).approveRecovery();
+
+        return fixture;
+    }
+
+    describe("Configuration", function () {
+        it("Should add guardians and set the threshold", async function () {
+            const { wallet, guardians } = await loadFixture(guardianFixture);
+
+            expect(await wallet.getGuardians()).to.deep.equal(guardians.map((g) => g.address));
+            expect(await wallet.isGuardian(guardians[0].address)).to.be.true;
+            expect(await wallet.guardianThreshold()).to.equal(2);
+            expect(await wallet.recoveryDelay()).to.equal(DEFAULT_DELAY);
+        });
+
+        it("Should default the threshold to 1 for the first guardian", async function () {
+            const { wallet, user1, user2 } = await loadFixture(walletFixture);
+
+            await expect(wallet.connect(user1).addGuardian(user2.address))
+                .to.emit(wallet, "GuardianAdded")
+                .withArgs(user2.address)
+                .and.to.emit(wallet, "GuardianThresholdChanged")
+                .withArgs(1);
+            expect(await wallet.guardianThreshold()).to.equal(1);
+        });
+
+        it("Should reject invalid guardians and thresholds", async function () {
+            const { wallet, user1, guardians } = await loadFixture(guardianFixture);
+
+            await expect(wallet.connect(user1).addGuardian(ethers.ZeroAddress))
+                .to.be.revertedWithCustomError(wallet, "InvalidGuardian");
+            await expect(wallet.connect(user1).addGuardian(wallet.target))
+                .to.be.revertedWithCustomError(wallet, "InvalidGuardian");
+            await expect(wallet.connect(user1).addGuardian(guardians[0].address))
+                .to.be.revertedWithCustomError(wallet, "GuardianAlreadyExists");
+            await expect(wallet.connect(user1).setGuardianThreshold(4))
+                .to.be.revertedWithCustomError(wallet, "InvalidGuardianThreshold");
+            await expect(wallet.connect(user1).setGuardianThreshold(0))
+                .to.be.revertedWithCustomError(wallet, "InvalidGuardianThreshold");
+        });
+
+        it("Should not remove a guardian the threshold depends on", async function () {
+            const { wallet, user1, guardians } = await loadFixture(guardianFixture);
+
+            await wallet.connect(user1).removeGuardian(guardians[2].address);
+            await expect(wallet.connect(user1).removeGuardian(guardians[1].address))
+                .to.be.revertedWithCustomError(wallet, "InvalidGuardianThreshold");
+
+            await wallet.connect(user1).setGuardianThreshold(1);
+            await expect(wallet.connect(user1).removeGuardian(guardians[1].address))
+                .to.emit(wallet, "GuardianRemoved")
+                .withArgs(guardians[1].address);
+            expect(await wallet.getGuardians()).to.deep.equal([guardians[0].address]);
+        });
+
+        it("Should bound the recovery delay", async function () {
+            const { wallet, user1 } = await loadFixture(walletFixture);
+
+            await expect(wallet.connect(user1).setRecoveryDelay(3 * ONE_DAY))
+                .to.emit(wallet, "RecoveryDelayChanged")
+                .withArgs(3 * ONE_DAY);
+            await expect(wallet.connect(user1).setRecoveryDelay(ONE_DAY - 1))
+                .to.be.revertedWithCustomError(wallet, "InvalidRecoveryDelay");
+            await expect(wallet.connect(user1).setRecoveryDelay(31 * ONE_DAY))
+                .to.be.revertedWithCustomError(wallet, "InvalidRecoveryDelay");
+        });
+
+        it("Should only let the owner configure guardians", async function () {
+            const { wallet, guardians } = await loadFixture(guardianFixture);
+
+            await expect(wallet.connect(guardians[0]).addGuardian(guardians[0].address))
+                .to.be.revertedWithCustomError(wallet, "Unauthorized");
+            await expect(wallet.connect(guardians[0]).setGuardianThreshold(1))
+                .to.be.revertedWithCustomError(wallet, "Unauthorized");
+            await expect(wallet.connect(guardians[0]).setRecoveryDelay(ONE_DAY))
+                .to.be.revertedWithCustomError(wallet, "Unauthorized");
+        });
+    });
+
+    describe("Recovery", function () {
+        it("Should recover the wallet after threshold approvals and the delay", async function () {
+            const { wallet, user1, guardians, newOwner } = await loadFixture(guardianFixture);
+
+            await expect(wallet.connect(guardians[0]).initiateRecovery(newOwner.address))
+                .to.emit(wallet, "RecoveryInitiated")
+                .withArgs(1, newOwner.address, guardians[0].address, (await time.latest()) + 1 + DEFAULT_DELAY);
+            await expect(wallet.connect(guardians[1]).approveRecovery())
+                .to.emit(wallet, "RecoveryApproved")
+                .withArgs(1, guardians[1].address, 2);
+
+            await time.increase(DEFAULT_DELAY);
+            await expect(wallet.connect(guardians[2]).executeRecovery())
+                .to.emit(wallet, "RecoveryExecuted")
+                .withArgs(1, newOwner.address)
+                .and.to.emit(wallet, "OwnerChanged")
+                .withArgs(user1.address, newOwner.address);
+
+            expect(await wallet.owner()).to.equal(newOwner.address);
+            expect(await wallet.isOwnerAddress(user1.address)).to.be.false;
+            expect((await wallet.getPendingRecovery()).newOwner).to.equal(ethers.ZeroAddress);
+        });
+
+        it("Should not execute before the delay elapses", async function () {
+            const { wallet } = await loadFixture(approvedRecoveryFixture);
+
+            await time.increase(DEFAULT_DELAY - 10);
+            await expect(wallet.executeRecovery()).to.be.revertedWithCustomError(wallet, "RecoveryNotReady");
+        });
+
+        it("Should not execute without threshold approvals", async function () {
+            const { wallet, guardians, newOwner } = await loadFixture(guardianFixture);
+
+            await wallet.connect(guardians[0]).initiateRecovery(newOwner.address);
+            await time.increase(DEFAULT_DELAY);
+            await expect(wallet.executeRecovery()).to.be.revertedWithCustomError(wallet, "RecoveryNotApproved");
+        });
+
+        it("Should not count approvals from removed guardians", async function () {
+            const { wallet, user1, guardians } = await loadFixture(approvedRecoveryFixture);
+
+            await wallet.connect(user1).removeGuardian(guardians[1].address);
+            expect((await wallet.getPendingRecovery()).approvals).to.equal(1);
+
+            await time.increase(DEFAULT_DELAY);
+            await expect(wallet.executeRecovery()).to.be.revertedWithCustomError(wallet, "RecoveryNotApproved");
+        });
+
+        it("Should let the owner cancel a pending recovery", async function () {
+            const { wallet, user1, guardians, newOwner } = await loadFixture(approvedRecoveryFixture);
+
+            await expect(wallet.connect(user1).cancelRecovery()).to.emit(wallet, "RecoveryCancelled").withArgs(1);
+
+            await time.increase(DEFAULT_DELAY);
+            await expect(wallet.executeRecovery()).to.be.revertedWithCustomError(wallet, "NoPendingRecovery");
+
+            // Approvals from a cancelled recovery do not carry over
+            await wallet.connect(guardians[2]).initiateRecovery(newOwner.address);
+            expect(await wallet.hasApprovedRecovery(guardians[1].address)).to.be.false;
+            expect((await wallet.getPendingRecovery()).nonce).to.equal(2);
+        });
+
+        it("Should reject guardian actions from non-guardians", async function () {
+            const { wallet, user1, user2, guardians } = await loadFixture(approvedRecoveryFixture);
+
+            await expect(wallet.connect(user2).initiateRecovery(user2.address))
+                .to.be.revertedWithCustomError(wallet, "NotGuardian");
+            await expect(wallet.connect(user1).approveRecovery())
+                .to.be.revertedWithCustomError(wallet, "NotGuardian");
+            await expect(wallet.connect(guardians[0]).cancelRecovery())
+                .to.be.revertedWithCustomError(wallet, "Unauthorized");
+        });
+
+        it("Should reject duplicate approvals and overlapping recoveries", async function () {
+            const { wallet, guardians, newOwner } = await loadFixture(approvedRecoveryFixture);
+
+            await expect(wallet.connect(guardians[1]).approveRecovery())
+                .to.be.revertedWithCustomError(wallet, "RecoveryAlreadyApproved");
+            await expect(wallet.connect(guardians[2]).initiateRecovery(newOwner.address))
+                .to.be.revertedWithCustomError(wallet, "RecoveryAlreadyPending");
+        });
+
+        it("Should replace the whole owner set on recovery", async function () {
+            const { wallet, user1, user2, guardians, newOwner } = await loadFixture(guardianFixture);
+            const passkey = P256SigningKey.random();
+
+            await wallet.connect(user1).addOwnerAddress(user2.address);
+            await wallet.connect(user1).addOwnerPublicKey(passkey.publicKey.qx, passkey.publicKey.qy);
+
+            await wallet.connect(guardians[0]).initiateRecovery(newOwner.address);
+            await wallet.connect(guardians[1]).approveRecovery();
+            await time.increase(DEFAULT_DELAY);
+            await wallet.executeRecovery();
+
+            expect(await wallet.getOwnerAddresses()).to.deep.equal([newOwner.address]);
+            expect(await wallet.getOwnerPublicKeys()).to.have.length(0);
+            expect(await wallet.ownerCount()).to.equal(1);
+        });
+
+        it("Should revoke every session on recovery", async function () {
+            const { entryPoint, wallet, mockTarget, user1, guardians, newOwner, beneficiary } =
+                await loadFixture(guardianFixture);
+            const sessionKey = ethers.Wallet.createRandom();
+
+            const config = await createSessionConfig(sessionKey.address, [mockTarget.target], []);
+            await wallet.connect(user1).createSessionECDSA(config);
+
+            await wallet.connect(guardians[0]).initiateRecovery(newOwner.address);
+            await wallet.connect(guardians[1]).approveRecovery();
+            await time.increase(DEFAULT_DELAY);
+            await expect(wallet.connect(guardians[2]).executeRecovery())
+                .to.emit(wallet, "AllSessionsRevoked")
+                .withArgs(1, guardians[2].address);
+
+            expect(await wallet.isValidSessionECDSA(sessionKey.address)).to.be.false;
+
+            const userOp = await createUserOp(
+                wallet,
+                wallet.interface.encodeFunctionData("execute", [
+                    mockTarget.target,
+                    0,
+                    mockTarget.interface.encodeFunctionData("setValue", [1]),
+                ])
+            );
+            userOp.signature = await signUserOpECDSA(userOp, sessionKey, entryPoint);
+            await expect(entryPoint.handleOps([userOp], beneficiary.address)).to.be.reverted;
+            expect(await mockTarget.value()).to.equal(0);
+        });
+
+        it("Should accept approvals from a guardian that is a Lendefi wallet", async function () {
+            const { factory, wallet, user1, user2 } = await loadFixture(walletFixture);
+            const newOwner = (await ethers.getSigners())[7];
+
+            await factory.createAccount(user2.address, 0);
+            const guardianWallet = await ethers.getContractAt("SmartWallet", await factory.getWallet(user2.address));
+            await wallet.connect(user1).addGuardian(guardianWallet.target);
+
+            await guardianWallet
+                .connect(user2)
+                .execute(wallet.target, 0, wallet.interface.encodeFunctionData("initiateRecovery", [newOwner.address]));
+
+            const pending = await wallet.getPendingRecovery();
+            expect(pending.newOwner).to.equal(newOwner.address);
+            expect(pending.approvals).to.equal(1);
+        });
+    });
+
+    describe("Session key isolation", function () {
+        it("Should not let a guardian wallet's session key approve a recovery", async function () {
+            const { entryPoint, factory, wallet, user1, user2, beneficiary } = await loadFixture(walletFixture);
+            const newOwner = (await ethers.getSigners())[7];
+
+            await factory.createAccount(user2.address, 0);
+            const guardianWallet = await ethers.getContractAt("SmartWallet", await factory.getWallet(user2.address));
+            await entryPoint.depositTo(guardianWallet.target, { value: ethers.parseEther("1") });
+            await wallet.connect(user1).addGuardian(guardianWallet.target);
+
+            // Even a session explicitly scoped to the guarded wallet cannot reach recovery functions
+            const sessionKey = ethers.Wallet.createRandom();
+            const config = await createSessionConfig(sessionKey.address, [wallet.target], []);
+            await guardianWallet.connect(user2).createSessionECDSA(config);
+
+            const userOp = await createUserOp(
+                guardianWallet,
+                guardianWallet.interface.encodeFunctionData("execute", [
+                    wallet.target,
+                    0,
+                    wallet.interface.encodeFunctionData("initiateRecovery", [newOwner.address]),
+                ])
+            );
+            userOp.signature = await signUserOpECDSA(userOp, sessionKey, entryPoint);
+
+            await expect(entryPoint.handleOps([userOp], beneficiary.address)).to.be.reverted;
+            expect((await wallet.getPendingRecovery()).newOwner).to.equal(ethers.ZeroAddress);
+        });
+
+        it("Should not let a session key call guardian functions on its own wallet", async function () {
+            const { entryPoint, wallet, mockTarget, user1, beneficiary } = await loadFixture(walletFixture);
+            const newOwner = (await ethers.getSigners())[7];
+            const sessionKey = ethers.Wallet.createRandom();
+
+            const config = await createSessionConfig(sessionKey.address, [mockTarget.target], []);
+            await wallet.connect(user1).createSessionECDSA(config);
+
+            const userOp = await createUserOp(
+                wallet,
+                wallet.interface.encodeFunctionData("addGuardian", [newOwner.address])
+            );
+            userOp.signature = await signUserOpECDSA(userOp, sessionKey, entryPoint);
+
+            await expect(entryPoint.handleOps([userOp], beneficiary.address)).to.be.reverted;
+            expect(await wallet.isGuardian(newOwner.address)).to.be.false;
+        });
+    });
+});
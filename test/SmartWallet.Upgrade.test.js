@@ -0,0 +1,249 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    walletFixture,
+    createSessionConfig,
+    createUserOp,
+    signOwnerHash,
+    signUserOpECDSA,
+    SET_VALUE_SELECTOR,
+} = require("./helpers/setup");
+const { deploySmartWalletImplementation } = require("../scripts/wallet-implementation");
+
+describe("SmartWallet - Upgrades", function () {
+    async function upgradeFixture() {
+        const fixture = await walletFixture();
+        const { entryPoint, libraries, wallet, mockTarget, user1 } = fixture;
+
+        const sessionKey = ethers.Wallet.createRandom();
+        const guardian = (await ethers.getSigners())[5];
+        const config = await createSessionConfig(sessionKey.address, [mockTarget.target], [SET_VALUE_SELECTOR]);
+        await wallet.connect(user1).createSessionECDSA(config);
+        await wallet.connect(user1).addGuardian(guardian.address);
+
+        const v2 = await deploySmartWalletImplementation(entryPoint.target, {
+            contractName: "SmartWalletV2Mock",
+            libraries,
+        });
+        const v2Wallet = await ethers.getContractAt("SmartWalletV2Mock", wallet.target);
+        return { ...fixture, sessionKey, guardian, v2, v2Wallet };
+    }
+
+    // EIP-1167 clone pointing straight at an implementation, as wallets were deployed before upgrades
+    async function deployPlainClone(implementation, signer) {
+        const bytecode = ethers.concat([
+            "0x3d602d80600a3d3981f3363d3d373d3d3d363d73",
+            implementation,
+            "0x5af43d82803e903d91602b57fd5bf3",
+        ]);
+        const tx = await signer.sendTransaction({ data: bytecode });
+        const { contractAddress } = await tx.wait();
+        return ethers.getContractAt("SmartWallet", contractAddress);
+    }
+
+    describe("Owner upgrades", function () {
+        it("Should upgrade and keep owner, sessions and guardians", async function () {
+            const { factory, wallet, user1, sessionKey, guardian, v2, v2Wallet } = await loadFixture(upgradeFixture);
+
+            expect(await wallet.implementation()).to.equal(await factory.accountImplementation());
+
+            const data = v2.interface.encodeFunctionData("initializeV2", [42]);
+            await expect(wallet.connect(user1).upgradeToAndCall(v2.target, data))
+                .to.emit(wallet, "Upgraded")
+                .withArgs(v2.target);
+
+            expect(await wallet.implementation()).to.equal(v2.target);
+            expect(await v2Wallet.walletVersion()).to.equal(2);
+            expect(await v2Wallet.upgradeMarker()).to.equal(42);
+            expect(await wallet.owner()).to.equal(user1.address);
+            expect(await wallet.isValidSessionECDSA(sessionKey.address)).to.be.true;
+            expect(await wallet.isGuardian(guardian.address)).to.be.true;
+            expect(await factory.isLendefiWallet(wallet.target)).to.be.true;
+        });
+
+        it("Should keep executing UserOperations after the upgrade", async function () {
+            const { entryPoint, wallet, mockTarget, user1, beneficiary, sessionKey, v2 } =
+                await loadFixture(upgradeFixture);
+
+            await wallet.connect(user1).upgradeToAndCall(v2.target, "0x");
+
+            const callData = wallet.interface.encodeFunctionData("execute", [
+                mockTarget.target,
+                0,
+                mockTarget.interface.encodeFunctionData("setValue", [9]),
+            ]);
+            const userOp = await createUserOp(wallet, callData);
+            userOp.signature = await signUserOpECDSA(userOp, sessionKey, entryPoint);
+            await entryPoint.handleOps([userOp], beneficiary.address);
+
+            expect(await mockTarget.value()).to.equal(9);
+        });
+
+        it("Should upgrade through an owner-signed UserOperation", async function () {
+            const { entryPoint, factory, owner, beneficiary, v2 } = await loadFixture(upgradeFixture);
+            const walletOwner = ethers.Wallet.createRandom();
+
+            await factory.createAccount(walletOwner.address, 0);
+            const wallet = await ethers.getContractAt("SmartWallet", await factory.getWallet(walletOwner.address));
+            await owner.sendTransaction({ to: wallet.target, value: ethers.parseEther("1") });
+
+            const callData = wallet.interface.encodeFunctionData("execute", [
+                wallet.target,
+                0,
+                wallet.interface.encodeFunctionData("upgradeToAndCall", [v2.target, "0x"]),
+            ]);
+            const userOp = await createUserOp(wallet, callData);
+            userOp.signature = signOwnerHash(walletOwner, await entryPoint.getUserOpHash(userOp));
+            await entryPoint.handleOps([userOp], beneficiary.address);
+
+            expect(await wallet.implementation()).to.equal(v2.target);
+        });
+
+        it("Should not affect other wallets", async function () {
+            const { factory, wallet, user1, user2, v2 } = await loadFixture(upgradeFixture);
+
+            await factory.createAccount(user2.address, 0);
+            const other = await ethers.getContractAt("SmartWallet", await factory.getWallet(user2.address));
+            await wallet.connect(user1).upgradeToAndCall(v2.target, "0x");
+
+            expect(await other.implementation()).to.equal(await factory.accountImplementation());
+        });
+    });
+
+    describe("Upgrade safety", function () {
+        it("Should only let the owner upgrade", async function () {
+            const { wallet, user2, guardian, v2 } = await loadFixture(upgradeFixture);
+
+            await expect(wallet.connect(user2).upgradeToAndCall(v2.target, "0x"))
+                .to.be.revertedWithCustomError(wallet, "Unauthorized");
+            await expect(wallet.connect(guardian).upgradeToAndCall(v2.target, "0x"))
+                .to.be.revertedWithCustomError(wallet, "Unauthorized");
+        });
+
+        it("Should reject implementations that are not SmartWallets for the same EntryPoint", async function () {
+            const { libraries, wallet, mockTarget, user1 } = await loadFixture(upgradeFixture);
+
+            const otherEntryPoint = await ethers.deployContract("EntryPoint");
+            const foreign = await deploySmartWalletImplementation(otherEntryPoint.target, { libraries });
+
+            await expect(wallet.connect(user1).upgradeToAndCall(foreign.target, "0x"))
+                .to.be.revertedWithCustomError(wallet, "InvalidImplementation");
+            await expect(wallet.connect(user1).upgradeToAndCall(mockTarget.target, "0x"))
+                .to.be.revertedWithCustomError(wallet, "InvalidImplementation");
+            await expect(wallet.connect(user1).upgradeToAndCall(user1.address, "0x"))
+                .to.be.revertedWithCustomError(wallet, "InvalidImplementation");
+        });
+
+        it("Should not accept another wallet as implementation", async function () {
+            const { factory, wallet, user1, user2 } = await loadFixture(upgradeFixture);
+
+            await factory.createAccount(user2.address, 0);
+            const other = await factory.getWallet(user2.address);
+
+            await expect(wallet.proxiableUUID()).to.be.revertedWithCustomError(wallet, "UnauthorizedCallContext");
+            await expect(wallet.connect(user1).upgradeToAndCall(other, "0x"))
+                .to.be.revertedWithCustomError(wallet, "InvalidImplementation");
+        });
+
+        it("Should not let session keys upgrade the wallet", async function () {
+            const { entryPoint, wallet, user1, beneficiary, sessionKey, v2 } = await loadFixture(upgradeFixture);
+            const upgradeSelector = wallet.interface.getFunction("upgradeToAndCall").selector;
+
+            const selfTarget = await createSessionConfig(
+                ethers.Wallet.createRandom().address,
+                [wallet.target],
+                [upgradeSelector]
+            );
+            await expect(wallet.connect(user1).createSessionECDSA(selfTarget))
+                .to.be.revertedWithCustomError(wallet, "CannotTargetSelf");
+
+            const callData = wallet.interface.encodeFunctionData("upgradeToAndCall", [v2.target, "0x"]);
+            const userOp = await createUserOp(wallet, callData);
+            userOp.signature = await signUserOpECDSA(userOp, sessionKey, entryPoint);
+            await expect(entryPoint.handleOps([userOp], beneficiary.address))
+                .to.be.revertedWithCustomError(entryPoint, "FailedOpWithRevert");
+            expect(await wallet.implementation()).to.not.equal(v2.target);
+        });
+
+        it("Should refuse to upgrade plain clones", async function () {
+            const { factory, user2, v2 } = await loadFixture(upgradeFixture);
+
+            const legacy = await deployPlainClone(await factory.accountImplementation(), user2);
+            await legacy.initialize(user2.address);
+
+            await expect(legacy.connect(user2).upgradeToAndCall(v2.target, "0x"))
+                .to.be.revertedWithCustomError(legacy, "UpgradeNotSupported");
+        });
+    });
+
+    describe("Factory", function () {
+        it("Should clone new wallets from the wallet proxy", async function () {
+            const { factory, wallet } = await loadFixture(upgradeFixture);
+
+            const walletProxy = await factory.walletProxy();
+            expect(walletProxy).to.not.equal(ethers.ZeroAddress);
+            expect(await ethers.provider.getCode(wallet.target)).to.include(walletProxy.slice(2).toLowerCase());
+        });
+
+        it("Should keep the wallet proxy and addresses with a new implementation", async function () {
+            const { factory, wallet, user2, v2 } = await loadFixture(upgradeFixture);
+            const previousImplementation = await factory.accountImplementation();
+            const previousProxy = await factory.walletProxy();
+            const predicted = await factory.getFunction("getAddress")(user2.address, 0);
+
+            await factory.setSmartWalletImplementation(v2.target);
+            expect(await factory.walletProxy()).to.equal(previousProxy);
+            expect(await factory.getFunction("getAddress")(user2.address, 0)).to.equal(predicted);
+
+            await factory.createAccount(user2.address, 0);
+            expect(await factory.getWallet(user2.address)).to.equal(predicted);
+            const created = await ethers.getContractAt("SmartWallet", predicted);
+            expect(await created.implementation()).to.equal(v2.target);
+
+            // Existing wallets keep the implementation they were initialized with
+            expect(await wallet.implementation()).to.equal(previousImplementation);
+        });
+
+        it("Should migrate a wallet to a new upgradeable wallet", async function () {
+            const { factory, wallet, user1 } = await loadFixture(upgradeFixture);
+            const replacement = await factory.getFunction("getAddress")(user1.address, 1);
+
+            const migrate = factory.interface.encodeFunctionData("migrateWallet", [1]);
+            await expect(wallet.connect(user1).executeBatch(
+                [factory.target, replacement],
+                [0, ethers.parseEther("5")],
+                [migrate, "0x"]
+            ))
+                .to.emit(factory, "WalletMigrated")
+                .withArgs(wallet.target, replacement, user1.address);
+
+            expect(await factory.getWallet(user1.address)).to.equal(replacement);
+            expect(await factory.getWallets(user1.address, 0, 10)).to.deep.equal([replacement, wallet.target]);
+            expect(await ethers.provider.getBalance(replacement)).to.equal(ethers.parseEther("5"));
+
+            const migrated = await ethers.getContractAt("SmartWallet", replacement);
+            expect(await migrated.owner()).to.equal(user1.address);
+        });
+
+        it("Should only let Lendefi wallets migrate", async function () {
+            const { factory, user2 } = await loadFixture(upgradeFixture);
+
+            await expect(factory.connect(user2).migrateWallet(1))
+                .to.be.revertedWithCustomError(factory, "NotLendefiWallet");
+        });
+    });
+
+    describe("Storage layout", function () {
+        it("Should keep namespaced session and guardian storage across upgrades", async function () {
+            const { wallet, user1, guardian, v2 } = await loadFixture(upgradeFixture);
+
+            await wallet.connect(guardian).initiateRecovery(guardian.address);
+            await wallet.connect(user1).upgradeToAndCall(v2.target, "0x");
+            await time.increase(await wallet.recoveryDelay());
+
+            await wallet.executeRecovery();
+            expect(await wallet.owner()).to.equal(guardian.address);
+        });
+    });
+});
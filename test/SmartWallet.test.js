@@ -1,6 +1,8 @@
 const { expect } = require("chai");
 const { ethers, upgrades, network } = require("hardhat");
 const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { walletDomain, signPersonalMessage } = require("../scripts/erc7739");
+const { deploySmartWalletImplementation } = require("../scripts/wallet-implementation");
 
 describe("SmartWallet", function () {
     async function deploySystem() {
@@ -9,11 +11,14 @@ describe("SmartWallet", function () {
         // Deploy EntryPoint
         const entryPoint = await ethers.deployContract("EntryPoint");
         
+        // Deploy SmartWallet implementation and its libraries
+        const accountImplementation = await deploySmartWalletImplementation(entryPoint.target);
+
         // Deploy factory with upgrades plugin
         const SmartWalletFactory = await ethers.getContractFactory("SmartWalletFactory");
         const factory = await upgrades.deployProxy(
             SmartWalletFactory,
-            [entryPoint.target, owner.address, ethers.ZeroAddress],
+            [entryPoint.target, owner.address, ethers.ZeroAddress, accountImplementation.target],
             { 
                 initializer: 'initialize',
                 unsafeAllow: ['constructor']
@@ -50,8 +55,8 @@ describe("SmartWallet", function () {
 
         it("Should not allow creating duplicate wallets for same user", async function () {
             const { factory, owner } = await loadFixture(deployFixture);
-            // The owner already has a wallet from the fixture
-            await expect(factory.createAccount(owner.address, 123))
+            // The owner already has a wallet at salt 0 from the fixture
+            await expect(factory.createAccount(owner.address, 0))
                 .to.be.revertedWithCustomError(factory, "WalletAlreadyExists");
         });
 
@@ -187,10 +192,11 @@ describe("SmartWallet", function () {
     describe("ERC-1271 Signature Validation", function () {
         it("Should return magic value for valid signature", async function () {
             const { smartWallet, owner } = await loadFixture(deployFixture);
+            const { chainId } = await ethers.provider.getNetwork();
             
             const message = "Hello World";
             const messageHash = ethers.hashMessage(message);
-            const signature = await owner.signMessage(message);
+            const signature = await signPersonalMessage(owner, walletDomain(smartWallet.target, chainId), message);
             
             const result = await smartWallet.isValidSignature(messageHash, signature);
             expect(result).to.equal("0x1626ba7e"); // ERC1271_MAGIC_VALUE
@@ -198,10 +204,11 @@ describe("SmartWallet", function () {
 
         it("Should return failure value for invalid signature", async function () {
             const { smartWallet, user1 } = await loadFixture(deployFixture);
+            const { chainId } = await ethers.provider.getNetwork();
             
             const message = "Hello World";
             const messageHash = ethers.hashMessage(message);
-            const signature = await user1.signMessage(message);
+            const signature = await signPersonalMessage(user1, walletDomain(smartWallet.target, chainId), message);
             
             const result = await smartWallet.isValidSignature(messageHash, signature);
             expect(result).to.equal("0xffffffff");
@@ -264,7 +271,8 @@ describe("SmartWallet", function () {
         it("Should change owner", async function () {
             const { smartWallet, owner, user1 } = await loadFixture(deployFixture);
             
-            await expect(smartWallet.connect(owner).changeOwner(user1.address))
+            await smartWallet.connect(owner).proposeOwner(user1.address);
+            await expect(smartWallet.connect(user1).acceptOwnership())
                 .to.emit(smartWallet, "OwnerChanged")
                 .withArgs(owner.address, user1.address);
             
@@ -274,15 +282,15 @@ describe("SmartWallet", function () {
         it("Should reject change owner to zero address", async function () {
             const { smartWallet, owner } = await loadFixture(deployFixture);
             
-            // Test the nonZeroAddress modifier on changeOwner
-            await expect(smartWallet.connect(owner).changeOwner(ethers.ZeroAddress))
+            // Test the nonZeroAddress modifier on proposeOwner
+            await expect(smartWallet.connect(owner).proposeOwner(ethers.ZeroAddress))
                 .to.be.revertedWithCustomError(smartWallet, "ZeroAddress");
         });
 
         it("Should reject change owner from non-owner", async function () {
             const { smartWallet, user1, user2 } = await loadFixture(deployFixture);
             
-            await expect(smartWallet.connect(user1).changeOwner(user2.address))
+            await expect(smartWallet.connect(user1).proposeOwner(user2.address))
                 .to.be.revertedWithCustomError(smartWallet, "Unauthorized");
         });
     });
@@ -0,0 +1,168 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    P256SigningKey,
+    walletFixture,
+    createSessionConfig,
+    createP256SessionConfig,
+    createUserOp,
+    signUserOpECDSA,
+    ONE_WEEK,
+    SET_VALUE_SELECTOR,
+} = require("./helpers/setup");
+
+const PREMIUM = 2;
+
+describe("SmartWalletFactory - One-call Onboarding", function () {
+    async function onboardingFixture() {
+        const fixture = await walletFixture();
+        const { entryPoint, factory, mockTarget, user2 } = fixture;
+
+        const paymaster = await ethers.deployContract("LendefiPaymaster", [entryPoint.target, factory.target]);
+        await paymaster.deposit({ value: ethers.parseEther("10") });
+        await paymaster.addAuthorizedOperator(factory.target);
+        await factory.setPaymaster(paymaster.target);
+
+        const sessionKey = ethers.Wallet.createRandom();
+        const passkey = P256SigningKey.random();
+        const config = {
+            ecdsaSessions: [await createSessionConfig(sessionKey.address, [mockTarget.target], [SET_VALUE_SELECTOR])],
+            p256Sessions: [await createP256SessionConfig(passkey, [mockTarget.target], [SET_VALUE_SELECTOR])],
+            trialTier: PREMIUM,
+            trialDuration: ONE_WEEK,
+        };
+        const counterfactual = await factory.getFunction("getAddress")(user2.address, 0);
+        return { ...fixture, paymaster, sessionKey, passkey, config, counterfactual };
+    }
+
+    function emptyConfig() {
+        return { ecdsaSessions: [], p256Sessions: [], trialTier: 0, trialDuration: 0 };
+    }
+
+    describe("Create and configure", function () {
+        it("Should deploy the wallet with sessions, deposit and trial in one transaction", async function () {
+            const { entryPoint, factory, paymaster, user2, sessionKey, passkey, config, counterfactual } =
+                await loadFixture(onboardingFixture);
+            const deposit = ethers.parseEther("0.5");
+
+            await expect(factory.createAccountWithConfig(user2.address, 0, config, { value: deposit }))
+                .to.emit(factory, "AccountCreated")
+                .withArgs(counterfactual, user2.address, 0)
+                .and.to.emit(paymaster, "SubscriptionGranted");
+
+            const wallet = await ethers.getContractAt("SmartWallet", counterfactual);
+            expect(await wallet.owner()).to.equal(user2.address);
+            expect(await wallet.factory()).to.equal(factory.target);
+            expect(await factory.getWallet(user2.address)).to.equal(counterfactual);
+            expect(await wallet.isValidSessionECDSA(sessionKey.address)).to.be.true;
+            expect(await wallet.isValidSessionP256(passkey.publicKey.qx, passkey.publicKey.qy)).to.be.true;
+            expect(await entryPoint.balanceOf(counterfactual)).to.equal(deposit);
+
+            const subscription = await paymaster.getSubscription(counterfactual);
+            expect(subscription.tier).to.equal(PREMIUM);
+        });
+
+        it("Should let the session key transact with a sponsored UserOperation right away", async function () {
+            const fixture = await loadFixture(onboardingFixture);
+            const { entryPoint, factory, mockTarget, paymaster, user2, beneficiary, sessionKey, config } = fixture;
+
+            await factory.createAccountWithConfig(user2.address, 0, config);
+
+            const wallet = await ethers.getContractAt("SmartWallet", fixture.counterfactual);
+            const callData = wallet.interface.encodeFunctionData("execute", [
+                mockTarget.target,
+                0,
+                mockTarget.interface.encodeFunctionData("setValue", [5]),
+            ]);
+            const paymasterAndData = ethers.solidityPacked(
+                ["address", "uint128", "uint128"],
+                [paymaster.target, 100_000, 100_000]
+            );
+            const userOp = await createUserOp(wallet, callData, {
+                verificationGasLimit: 150_000,
+                callGasLimit: 150_000,
+                paymasterAndData,
+            });
+            userOp.signature = await signUserOpECDSA(userOp, sessionKey, entryPoint);
+
+            await expect(entryPoint.handleOps([userOp], beneficiary.address)).to.emit(paymaster, "GasSubsidized");
+            expect(await mockTarget.value()).to.equal(5);
+        });
+
+        it("Should skip the deposit and trial when not requested", async function () {
+            const { entryPoint, factory, paymaster, user2, counterfactual } = await loadFixture(onboardingFixture);
+
+            await factory.createAccountWithConfig(user2.address, 0, emptyConfig());
+
+            expect(await factory.isLendefiWallet(counterfactual)).to.be.true;
+            expect(await entryPoint.balanceOf(counterfactual)).to.equal(0);
+            expect((await paymaster.getSubscription(counterfactual)).tier).to.equal(0);
+        });
+    });
+
+    describe("Atomicity", function () {
+        it("Should revert everything when a session is invalid", async function () {
+            const { factory, user2, config, counterfactual } = await loadFixture(onboardingFixture);
+            const wallet = await ethers.getContractAt("SmartWallet", counterfactual);
+
+            const selfTarget = await createSessionConfig(
+                ethers.Wallet.createRandom().address,
+                [counterfactual],
+                [SET_VALUE_SELECTOR]
+            );
+            const invalid = { ...config, ecdsaSessions: [...config.ecdsaSessions, selfTarget] };
+
+            await expect(factory.createAccountWithConfig(user2.address, 0, invalid, { value: ethers.parseEther("1") }))
+                .to.be.revertedWithCustomError(wallet, "CannotTargetSelf");
+            expect(await ethers.provider.getCode(counterfactual)).to.equal("0x");
+            expect(await factory.getWalletCount(user2.address)).to.equal(0);
+        });
+
+        it("Should revert everything when the paymaster rejects the trial", async function () {
+            const { factory, paymaster, user2, config, counterfactual } = await loadFixture(onboardingFixture);
+
+            await paymaster.removeAuthorizedOperator(factory.target);
+
+            await expect(factory.createAccountWithConfig(user2.address, 0, config, { value: ethers.parseEther("1") }))
+                .to.be.revertedWithCustomError(paymaster, "Unauthorized");
+            expect(await ethers.provider.getCode(counterfactual)).to.equal("0x");
+            expect(await factory.isLendefiWallet(counterfactual)).to.be.false;
+        });
+
+        it("Should require a paymaster for a trial", async function () {
+            const { factory, user2, config } = await loadFixture(onboardingFixture);
+
+            await factory.setPaymaster(ethers.ZeroAddress);
+
+            await expect(factory.createAccountWithConfig(user2.address, 0, config))
+                .to.be.revertedWithCustomError(factory, "InvalidPaymaster");
+        });
+
+        it("Should reject a salt that is already deployed", async function () {
+            const { factory, user1 } = await loadFixture(onboardingFixture);
+
+            await expect(factory.createAccountWithConfig(user1.address, 0, emptyConfig()))
+                .to.be.revertedWithCustomError(factory, "WalletAlreadyExists");
+        });
+    });
+
+    describe("Access control", function () {
+        it("Should only let the factory owner onboard wallets", async function () {
+            const { factory, user1, user2 } = await loadFixture(onboardingFixture);
+
+            await expect(factory.connect(user1).createAccountWithConfig(user2.address, 0, emptyConfig()))
+                .to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount");
+        });
+
+        it("Should not let the factory add sessions after deployment", async function () {
+            const { factory, user2, config, counterfactual } = await loadFixture(onboardingFixture);
+
+            await factory.createAccountWithConfig(user2.address, 0, emptyConfig());
+            const wallet = await ethers.getContractAt("SmartWallet", counterfactual);
+
+            await expect(wallet.initializeWithSessions(user2.address, config.ecdsaSessions, []))
+                .to.be.revertedWithCustomError(wallet, "InvalidInitialization");
+        });
+    });
+});
@@ -0,0 +1,188 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { P256SigningKey, walletFixture } = require("./helpers/setup");
+
+describe("SmartWalletFactory - Owner Index Consistency", function () {
+    async function transferOwnership(wallet, from, to) {
+        await wallet.connect(from).proposeOwner(to.address);
+        return wallet.connect(to).acceptOwnership();
+    }
+
+    describe("Ownership transfer", function () {
+        it("Should move the wallet to the new owner in the index", async function () {
+            const { factory, wallet, user1, user2 } = await loadFixture(walletFixture);
+
+            await expect(transferOwnership(wallet, user1, user2))
+                .to.emit(factory, "WalletOwnerUpdated")
+                .withArgs(wallet.target, user1.address, user2.address);
+
+            expect(await factory.getWallet(user1.address)).to.equal(ethers.ZeroAddress);
+            expect(await factory.getWallet(user2.address)).to.equal(wallet.target);
+            expect(await factory.isLendefiWallet(wallet.target)).to.be.true;
+        });
+
+        it("Should record the creating factory on the wallet", async function () {
+            const { factory, wallet } = await loadFixture(walletFixture);
+
+            expect(await wallet.factory()).to.equal(factory.target);
+        });
+
+        it("Should let the previous owner create a fresh wallet with a new salt", async function () {
+            const { factory, wallet, user1, user2 } = await loadFixture(walletFixture);
+
+            await transferOwnership(wallet, user1, user2);
+
+            await expect(factory.createAccount(user1.address, 0))
+                .to.be.revertedWithCustomError(factory, "SaltAlreadyUsed");
+
+            await factory.createAccount(user1.address, 1);
+            const freshWallet = await factory.getWallet(user1.address);
+            expect(freshWallet).to.equal(await factory.getFunction("getAddress")(user1.address, 1));
+            expect(freshWallet).to.not.equal(wallet.target);
+        });
+
+        it("Should keep an existing wallet of the new owner as their indexed wallet", async function () {
+            const { factory, wallet, user1, user2 } = await loadFixture(walletFixture);
+
+            await factory.createAccount(user2.address, 0);
+            const user2Wallet = await factory.getWallet(user2.address);
+
+            await transferOwnership(wallet, user1, user2);
+            expect(await factory.getWallet(user2.address)).to.equal(user2Wallet);
+            expect(await factory.getWallet(user1.address)).to.equal(ethers.ZeroAddress);
+        });
+    });
+
+    describe("Recovery", function () {
+        it("Should update the index when guardians recover the wallet", async function () {
+            const { factory, wallet, user1, user2 } = await loadFixture(walletFixture);
+            const guardian = (await ethers.getSigners())[5];
+
+            await wallet.connect(user1).addGuardian(guardian.address);
+            await wallet.connect(guardian).initiateRecovery(user2.address);
+            await time.increase(await wallet.recoveryDelay());
+
+            await expect(wallet.executeRecovery())
+                .to.emit(factory, "WalletOwnerUpdated")
+                .withArgs(wallet.target, user1.address, user2.address);
+            expect(await factory.getWallet(user2.address)).to.equal(wallet.target);
+            expect(await factory.getWallet(user1.address)).to.equal(ethers.ZeroAddress);
+        });
+
+        it("Should drop passkeys removed by recovery from the passkey index", async function () {
+            const { factory, wallet, user1, user2 } = await loadFixture(walletFixture);
+            const guardian = (await ethers.getSigners())[5];
+            const passkey = P256SigningKey.random();
+            const { qx, qy } = passkey.publicKey;
+
+            await wallet.connect(user1).addOwnerPublicKey(qx, qy);
+            expect(await factory.getWalletByPasskey(qx, qy)).to.equal(wallet.target);
+
+            await wallet.connect(user1).addGuardian(guardian.address);
+            await wallet.connect(guardian).initiateRecovery(user2.address);
+            await time.increase(await wallet.recoveryDelay());
+            await wallet.executeRecovery();
+
+            expect(await factory.getWalletByPasskey(qx, qy)).to.equal(ethers.ZeroAddress);
+        });
+    });
+
+    describe("Passkeys", function () {
+        it("Should index passkeys added and removed after creation", async function () {
+            const { factory, wallet, user1 } = await loadFixture(walletFixture);
+            const { qx, qy } = P256SigningKey.random().publicKey;
+            const keyHash = ethers.solidityPackedKeccak256(["bytes32", "bytes32"], [qx, qy]);
+
+            await expect(wallet.connect(user1).addOwnerPublicKey(qx, qy))
+                .to.emit(factory, "WalletPasskeyUpdated")
+                .withArgs(wallet.target, keyHash, true);
+            expect(await factory.getWalletByPasskey(qx, qy)).to.equal(wallet.target);
+
+            await wallet.connect(user1).removeOwnerPublicKey(qx, qy);
+            expect(await factory.getWalletByPasskey(qx, qy)).to.equal(ethers.ZeroAddress);
+        });
+    });
+
+    describe("Access control", function () {
+        // Wallet of user2 calling the factory callbacks directly through execute
+        async function attackerFixture() {
+            const fixture = await walletFixture();
+            const { factory, user2 } = fixture;
+
+            await factory.createAccount(user2.address, 0);
+            const attackerWallet = await ethers.getContractAt("SmartWallet", await factory.getWallet(user2.address));
+            return { ...fixture, attackerWallet };
+        }
+
+        function callFactory(attackerWallet, attacker, factory, functionName, args) {
+            const data = factory.interface.encodeFunctionData(functionName, args);
+            return attackerWallet.connect(attacker).execute(factory.target, 0, data);
+        }
+
+        it("Should only accept callbacks from Lendefi wallets", async function () {
+            const { factory, user1, user2 } = await loadFixture(walletFixture);
+
+            await expect(factory.connect(user2).onWalletOwnerChanged(user1.address, user2.address))
+                .to.be.revertedWithCustomError(factory, "NotLendefiWallet");
+            await expect(factory.connect(user2).onWalletPasskeyChanged(ethers.ZeroHash, ethers.ZeroHash, true))
+                .to.be.revertedWithCustomError(factory, "NotLendefiWallet");
+        });
+
+        it("Should not let a wallet index itself under an owner that does not control it", async function () {
+            const { factory, wallet, attackerWallet, user1, user2 } = await loadFixture(attackerFixture);
+            const victim = (await ethers.getSigners())[6];
+
+            await expect(
+                callFactory(attackerWallet, user2, factory, "onWalletOwnerChanged", [ethers.ZeroAddress, victim.address])
+            ).to.be.revertedWithCustomError(factory, "InvalidWalletUpdate");
+            expect(await factory.getWallet(victim.address)).to.equal(ethers.ZeroAddress);
+
+            // Claiming user1, who already has a wallet, fails the same way
+            await expect(
+                callFactory(attackerWallet, user2, factory, "onWalletOwnerChanged", [user2.address, user1.address])
+            ).to.be.revertedWithCustomError(factory, "InvalidWalletUpdate");
+            expect(await factory.getWallets(user1.address, 0, 10)).to.deep.equal([wallet.target]);
+        });
+
+        it("Should not duplicate a wallet in its owner's index", async function () {
+            const { factory, attackerWallet, user2 } = await loadFixture(attackerFixture);
+
+            await expect(
+                callFactory(attackerWallet, user2, factory, "onWalletOwnerChanged", [user2.address, user2.address])
+            ).to.be.revertedWithCustomError(factory, "InvalidWalletUpdate");
+            await callFactory(attackerWallet, user2, factory, "onWalletOwnerChanged", [ethers.ZeroAddress, user2.address]);
+
+            expect(await factory.getWalletCount(user2.address)).to.equal(1);
+            expect(await factory.getWallet(user2.address)).to.equal(attackerWallet.target);
+        });
+
+        it("Should not let a wallet claim a passkey it does not hold", async function () {
+            const { factory, owner, attackerWallet, user2 } = await loadFixture(attackerFixture);
+            const { qx, qy } = P256SigningKey.random().publicKey;
+
+            await expect(callFactory(attackerWallet, user2, factory, "onWalletPasskeyChanged", [qx, qy, true]))
+                .to.be.revertedWithCustomError(factory, "InvalidWalletUpdate");
+            expect(await factory.getWalletByPasskey(qx, qy)).to.equal(ethers.ZeroAddress);
+
+            // The passkey holder can still create their wallet
+            await factory.connect(owner).createAccountWithOwners([], [{ x: qx, y: qy }], 1, 0);
+            expect(await factory.getWalletByPasskey(qx, qy)).to.not.equal(ethers.ZeroAddress);
+        });
+
+        it("Should not let a wallet remove another wallet's passkey", async function () {
+            const { factory, wallet, attackerWallet, user1, user2 } = await loadFixture(attackerFixture);
+            const { qx, qy } = P256SigningKey.random().publicKey;
+
+            await wallet.connect(user1).addOwnerPublicKey(qx, qy);
+            await expect(callFactory(attackerWallet, user2, factory, "onWalletPasskeyChanged", [qx, qy, false]))
+                .to.not.be.reverted;
+            expect(await factory.getWalletByPasskey(qx, qy)).to.equal(wallet.target);
+
+            // Nor report a passkey it still holds as removed
+            await expect(callFactory(wallet, user1, factory, "onWalletPasskeyChanged", [qx, qy, false]))
+                .to.be.revertedWithCustomError(factory, "InvalidWalletUpdate");
+            expect(await factory.getWalletByPasskey(qx, qy)).to.equal(wallet.target);
+        });
+    });
+});
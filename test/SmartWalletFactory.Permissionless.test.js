@@ -0,0 +1,158 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { walletFixture, createUserOp, signOwnerHash, ONE_WEEK } = require("./helpers/setup");
+
+describe("SmartWalletFactory - Permissionless Creation", function () {
+    async function permissionlessFixture() {
+        const fixture = await walletFixture();
+        await fixture.factory.setPermissionlessCreation(true, ethers.ZeroAddress);
+
+        const newOwner = ethers.Wallet.createRandom();
+        const counterfactual = await fixture.factory.getFunction("getAddress")(newOwner.address, 0);
+        return { ...fixture, newOwner, counterfactual };
+    }
+
+    function initCodeFor(factory, accountOwner, salt, authorization = "0x") {
+        return ethers.concat([
+            factory.target,
+            factory.interface.encodeFunctionData("createAccountPermissionless", [accountOwner, salt, authorization]),
+        ]);
+    }
+
+    async function signCreationAuthorization(signer, factory, accountOwner, salt) {
+        const { chainId } = await ethers.provider.getNetwork();
+        const payload = ethers.AbiCoder.defaultAbiCoder().encode(
+            ["uint256", "address", "address", "uint256"],
+            [chainId, factory.target, accountOwner, salt]
+        );
+        return signer.signMessage(ethers.getBytes(ethers.keccak256(payload)));
+    }
+
+    async function buildDeploymentOp(fixture, initCode, options = {}) {
+        const { entryPoint, mockTarget, newOwner, counterfactual } = fixture;
+        const wallet = await ethers.getContractAt("SmartWallet", counterfactual);
+        const callData = wallet.interface.encodeFunctionData("execute", [
+            mockTarget.target,
+            0,
+            mockTarget.interface.encodeFunctionData("setValue", [7]),
+        ]);
+
+        const userOp = await createUserOp(wallet, callData, { nonce: 0, initCode, ...options });
+        userOp.signature = signOwnerHash(options.signer || newOwner, await entryPoint.getUserOpHash(userOp));
+        return userOp;
+    }
+
+    describe("Deployment through initCode", function () {
+        it("Should deploy and run the first UserOperation", async function () {
+            const fixture = await loadFixture(permissionlessFixture);
+            const { entryPoint, factory, mockTarget, owner, beneficiary, newOwner, counterfactual } = fixture;
+
+            await owner.sendTransaction({ to: counterfactual, value: ethers.parseEther("1") });
+            const userOp = await buildDeploymentOp(fixture, initCodeFor(factory, newOwner.address, 0));
+
+            await expect(entryPoint.handleOps([userOp], beneficiary.address))
+                .to.emit(factory, "AccountCreated")
+                .withArgs(counterfactual, newOwner.address, 0);
+
+            const wallet = await ethers.getContractAt("SmartWallet", counterfactual);
+            expect(await wallet.owner()).to.equal(newOwner.address);
+            expect(await factory.getWallet(newOwner.address)).to.equal(counterfactual);
+            expect(await factory.isLendefiWallet(counterfactual)).to.be.true;
+            expect(await mockTarget.value()).to.equal(7);
+        });
+
+        it("Should not deploy when the owner signature is invalid", async function () {
+            const fixture = await loadFixture(permissionlessFixture);
+            const { entryPoint, factory, owner, beneficiary, newOwner, counterfactual } = fixture;
+
+            await owner.sendTransaction({ to: counterfactual, value: ethers.parseEther("1") });
+            const userOp = await buildDeploymentOp(fixture, initCodeFor(factory, newOwner.address, 0), {
+                signer: ethers.Wallet.createRandom(),
+            });
+
+            await expect(entryPoint.handleOps([userOp], beneficiary.address))
+                .to.be.revertedWithCustomError(entryPoint, "FailedOp");
+            expect(await ethers.provider.getCode(counterfactual)).to.equal("0x");
+        });
+
+        it("Should let LendefiPaymaster sponsor the deployment", async function () {
+            const fixture = await loadFixture(permissionlessFixture);
+            const { entryPoint, factory, beneficiary, newOwner, counterfactual } = fixture;
+
+            const paymaster = await ethers.deployContract("LendefiPaymaster", [entryPoint.target, factory.target]);
+            await paymaster.deposit({ value: ethers.parseEther("10") });
+            await paymaster.grantSubscription(counterfactual, 3, ONE_WEEK);
+
+            const paymasterAndData = ethers.solidityPacked(
+                ["address", "uint128", "uint128"],
+                [paymaster.target, 100_000, 100_000]
+            );
+            const userOp = await buildDeploymentOp(fixture, initCodeFor(factory, newOwner.address, 0), {
+                verificationGasLimit: 350_000,
+                callGasLimit: 50_000,
+                paymasterAndData,
+            });
+
+            await expect(entryPoint.handleOps([userOp], beneficiary.address)).to.emit(paymaster, "GasSubsidized");
+            expect(await factory.isLendefiWallet(counterfactual)).to.be.true;
+        });
+    });
+
+    describe("Creation authorization", function () {
+        it("Should require the creation signer's authorization when configured", async function () {
+            const fixture = await loadFixture(permissionlessFixture);
+            const { entryPoint, factory, owner, user2, beneficiary, newOwner, counterfactual } = fixture;
+
+            await factory.setPermissionlessCreation(true, user2.address);
+            await owner.sendTransaction({ to: counterfactual, value: ethers.parseEther("1") });
+
+            const forged = await signCreationAuthorization(beneficiary, factory, newOwner.address, 0);
+            const rejected = await buildDeploymentOp(fixture, initCodeFor(factory, newOwner.address, 0, forged));
+            await expect(entryPoint.handleOps([rejected], beneficiary.address))
+                .to.be.revertedWithCustomError(entryPoint, "FailedOp");
+
+            const authorization = await signCreationAuthorization(user2, factory, newOwner.address, 0);
+            const accepted = await buildDeploymentOp(fixture, initCodeFor(factory, newOwner.address, 0, authorization));
+            await entryPoint.handleOps([accepted], beneficiary.address);
+            expect(await factory.getWallet(newOwner.address)).to.equal(counterfactual);
+        });
+
+        it("Should bind the authorization to the owner and salt", async function () {
+            const { factory, user2, newOwner } = await loadFixture(permissionlessFixture);
+
+            const hash = await factory.getCreationAuthorizationHash(newOwner.address, 0);
+            const authorization = await signCreationAuthorization(user2, factory, newOwner.address, 0);
+            expect(ethers.recoverAddress(hash, authorization)).to.equal(user2.address);
+            expect(await factory.getCreationAuthorizationHash(newOwner.address, 1)).to.not.equal(hash);
+        });
+    });
+
+    describe("Abuse controls", function () {
+        it("Should be disabled by default", async function () {
+            const { factory, user2 } = await loadFixture(walletFixture);
+
+            expect(await factory.permissionlessCreationEnabled()).to.be.false;
+            await expect(factory.createAccountPermissionless(user2.address, 0, "0x"))
+                .to.be.revertedWithCustomError(factory, "PermissionlessCreationDisabled");
+        });
+
+        it("Should only accept calls from the EntryPoint's SenderCreator", async function () {
+            const { factory, user2, newOwner } = await loadFixture(permissionlessFixture);
+
+            await expect(factory.connect(user2).createAccountPermissionless(newOwner.address, 0, "0x"))
+                .to.be.revertedWithCustomError(factory, "NotSenderCreator");
+        });
+
+        it("Should only let the factory owner configure permissionless creation", async function () {
+            const { factory, user1, user2 } = await loadFixture(walletFixture);
+
+            await expect(factory.connect(user1).setPermissionlessCreation(true, ethers.ZeroAddress))
+                .to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount");
+            await expect(factory.setPermissionlessCreation(true, user2.address))
+                .to.emit(factory, "PermissionlessCreationUpdated")
+                .withArgs(true, user2.address);
+            expect(await factory.creationSigner()).to.equal(user2.address);
+        });
+    });
+});
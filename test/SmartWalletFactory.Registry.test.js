@@ -0,0 +1,106 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { P256SigningKey, walletFixture } = require("./helpers/setup");
+
+describe("SmartWalletFactory - Wallet Registry", function () {
+    async function multiWalletFixture() {
+        const fixture = await walletFixture();
+        const { factory, user1 } = fixture;
+
+        // user1 already owns the fixture wallet at salt 0
+        await factory.createAccount(user1.address, 1);
+        await factory.createAccount(user1.address, 2);
+
+        const predict = (salt) => factory.getFunction("getAddress")(user1.address, salt);
+        const wallets = [await predict(0), await predict(1), await predict(2)];
+        return { ...fixture, wallets };
+    }
+
+    describe("Multiple wallets per owner", function () {
+        it("Should create one wallet per salt and keep the first as primary", async function () {
+            const { factory, wallet, user1, wallets } = await loadFixture(multiWalletFixture);
+
+            expect(wallets[0]).to.equal(wallet.target);
+            expect(await factory.getWallet(user1.address)).to.equal(wallet.target);
+            expect(await factory.getWalletCount(user1.address)).to.equal(3);
+            expect(await factory.getWallets(user1.address, 0, 10)).to.deep.equal(wallets);
+            for (const address of wallets) {
+                expect(await factory.isLendefiWallet(address)).to.be.true;
+            }
+        });
+
+        it("Should reject a salt that is already deployed", async function () {
+            const { factory, user1 } = await loadFixture(multiWalletFixture);
+
+            await expect(factory.createAccount(user1.address, 1))
+                .to.be.revertedWithCustomError(factory, "WalletAlreadyExists");
+        });
+
+        it("Should register multi-owner wallets under their primary owner", async function () {
+            const { factory, user1, user2, wallets } = await loadFixture(multiWalletFixture);
+
+            await factory.createAccountWithOwners([user1.address, user2.address], [], 2, 0);
+            const multisig = await factory.getAddressWithOwners([user1.address, user2.address], [], 2, 0);
+
+            expect(await factory.getWallets(user1.address, 0, 10)).to.deep.equal([...wallets, multisig]);
+            expect(await factory.getWalletCount(user2.address)).to.equal(0);
+            expect(await factory.getWallet(user1.address)).to.equal(wallets[0]);
+        });
+    });
+
+    describe("Pagination", function () {
+        it("Should page through an owner's wallets", async function () {
+            const { factory, user1, wallets } = await loadFixture(multiWalletFixture);
+
+            expect(await factory.getWallets(user1.address, 0, 2)).to.deep.equal(wallets.slice(0, 2));
+            expect(await factory.getWallets(user1.address, 2, 2)).to.deep.equal(wallets.slice(2));
+            expect(await factory.getWallets(user1.address, 3, 2)).to.deep.equal([]);
+            expect(await factory.getWallets(user1.address, 1, 0)).to.deep.equal([]);
+            expect(await factory.getWallets(user1.address, ethers.MaxUint256, ethers.MaxUint256)).to.deep.equal([]);
+        });
+
+        it("Should page through every wallet in creation order", async function () {
+            const { factory, user2, wallets } = await loadFixture(multiWalletFixture);
+            const passkey = P256SigningKey.random();
+            const publicKeys = [{ x: passkey.publicKey.qx, y: passkey.publicKey.qy }];
+
+            await factory.createAccount(user2.address, 0);
+            await factory.createAccountWithOwners([], publicKeys, 1, 0);
+            const user2Wallet = await factory.getWallet(user2.address);
+            const passkeyWallet = await factory.getAddressWithOwners([], publicKeys, 1, 0);
+
+            expect(await factory.totalWallets()).to.equal(5);
+            expect(await factory.getAllWallets(0, 100)).to.deep.equal([...wallets, user2Wallet, passkeyWallet]);
+            expect(await factory.getAllWallets(3, ethers.MaxUint256)).to.deep.equal([user2Wallet, passkeyWallet]);
+        });
+    });
+
+    describe("Ownership changes", function () {
+        it("Should move a transferred wallet between owner lists", async function () {
+            const { factory, user1, user2, wallets } = await loadFixture(multiWalletFixture);
+            const trading = await ethers.getContractAt("SmartWallet", wallets[1]);
+
+            await trading.connect(user1).proposeOwner(user2.address);
+            await trading.connect(user2).acceptOwnership();
+
+            expect(await factory.getWalletCount(user1.address)).to.equal(2);
+            expect([...(await factory.getWallets(user1.address, 0, 10))]).to.have.members([wallets[0], wallets[2]]);
+            expect(await factory.getWallets(user2.address, 0, 10)).to.deep.equal([wallets[1]]);
+            expect(await factory.getWallet(user1.address)).to.equal(wallets[0]);
+            expect(await factory.getWallet(user2.address)).to.equal(wallets[1]);
+            expect(await factory.totalWallets()).to.equal(3);
+        });
+
+        it("Should promote another wallet when the primary wallet is transferred", async function () {
+            const { factory, wallet, user1, user2, wallets } = await loadFixture(multiWalletFixture);
+
+            await wallet.connect(user1).proposeOwner(user2.address);
+            await wallet.connect(user2).acceptOwnership();
+
+            const remaining = [...(await factory.getWallets(user1.address, 0, 10))];
+            expect(remaining).to.have.members([wallets[1], wallets[2]]);
+            expect(await factory.getWallet(user1.address)).to.equal(remaining[0]);
+        });
+    });
+});
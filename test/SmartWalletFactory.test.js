@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers, upgrades, network } = require("hardhat");
 const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deploySmartWalletImplementation } = require("../scripts/wallet-implementation");
 
 describe("SmartWalletFactory", function () {
     async function deployFixture() {
@@ -9,11 +10,14 @@ describe("SmartWalletFactory", function () {
         // Deploy EntryPoint
         const entryPoint = await ethers.deployContract("EntryPoint");
 
+        // Deploy SmartWallet implementation and its libraries
+        const accountImplementation = await deploySmartWalletImplementation(entryPoint.target);
+
         // Deploy factory with upgrades plugin
         const SmartWalletFactory = await ethers.getContractFactory("SmartWalletFactory");
         const factory = await upgrades.deployProxy(
             SmartWalletFactory,
-            [entryPoint.target, owner.address, ethers.ZeroAddress],
+            [entryPoint.target, owner.address, ethers.ZeroAddress, accountImplementation.target],
             { 
                 initializer: 'initialize',
                 unsafeAllow: ['constructor']
@@ -23,6 +27,7 @@ describe("SmartWalletFactory", function () {
         return {
             factory,
             entryPoint,
+            accountImplementation,
             owner,
             user1,
             user2,
@@ -39,27 +44,26 @@ describe("SmartWalletFactory", function () {
             expect(await factory.paymaster()).to.equal(ethers.ZeroAddress);
         });
 
-        it("Should deploy implementation contract during initialization", async function () {
-            const { factory } = await loadFixture(deployFixture);
+        it("Should use the implementation passed to initialization", async function () {
+            const { factory, entryPoint, accountImplementation } = await loadFixture(deployFixture);
             
             const implementationAddress = await factory.accountImplementation();
-            expect(implementationAddress).to.not.equal(ethers.ZeroAddress);
+            expect(implementationAddress).to.equal(accountImplementation.target);
             
             // Verify it's a SmartWallet contract
-            const SmartWallet = await ethers.getContractFactory("SmartWallet");
-            const implementation = SmartWallet.attach(implementationAddress);
-            expect(await implementation.entryPoint()).to.not.equal(ethers.ZeroAddress);
+            const implementation = await ethers.getContractAt("SmartWallet", implementationAddress);
+            expect(await implementation.entryPoint()).to.equal(entryPoint.target);
         });
 
         it("Should validate parameters in initialization", async function () {
-            const { entryPoint, owner } = await loadFixture(deployFixture);
+            const { entryPoint, accountImplementation, owner, user1 } = await loadFixture(deployFixture);
             const SmartWalletFactory = await ethers.getContractFactory("SmartWalletFactory");
             
             // Test zero entryPoint
             await expect(
                 upgrades.deployProxy(
                     SmartWalletFactory,
-                    [ethers.ZeroAddress, owner.address, ethers.ZeroAddress],
+                    [ethers.ZeroAddress, owner.address, ethers.ZeroAddress, accountImplementation.target],
                     { 
                         initializer: 'initialize',
                         unsafeAllow: ['constructor']
@@ -71,19 +75,45 @@ describe("SmartWalletFactory", function () {
             await expect(
                 upgrades.deployProxy(
                     SmartWalletFactory,
-                    [entryPoint.target, ethers.ZeroAddress, ethers.ZeroAddress],
+                    [entryPoint.target, ethers.ZeroAddress, ethers.ZeroAddress, accountImplementation.target],
                     { 
                         initializer: 'initialize',
                         unsafeAllow: ['constructor']
                     }
                 )
             ).to.be.revertedWithCustomError(SmartWalletFactory, "ZeroAddress");
+
+            // Test implementation that is not a contract
+            await expect(
+                upgrades.deployProxy(
+                    SmartWalletFactory,
+                    [entryPoint.target, owner.address, ethers.ZeroAddress, user1.address],
+                    { 
+                        initializer: 'initialize',
+                        unsafeAllow: ['constructor']
+                    }
+                )
+            ).to.be.revertedWithCustomError(SmartWalletFactory, "InvalidImplementation");
+
+            // Test implementation bound to another EntryPoint
+            const otherEntryPoint = await ethers.deployContract("EntryPoint");
+            const foreignImplementation = await deploySmartWalletImplementation(otherEntryPoint.target);
+            await expect(
+                upgrades.deployProxy(
+                    SmartWalletFactory,
+                    [entryPoint.target, owner.address, ethers.ZeroAddress, foreignImplementation.target],
+                    { 
+                        initializer: 'initialize',
+                        unsafeAllow: ['constructor']
+                    }
+                )
+            ).to.be.revertedWithCustomError(SmartWalletFactory, "InvalidImplementation");
         });
 
         it("Should not allow re-initialization", async function () {
-            const { factory, entryPoint, owner } = await loadFixture(deployFixture);
+            const { factory, entryPoint, accountImplementation, owner } = await loadFixture(deployFixture);
             
-            await expect(factory.initialize(entryPoint.target, owner.address, ethers.ZeroAddress))
+            await expect(factory.initialize(entryPoint.target, owner.address, ethers.ZeroAddress, accountImplementation.target))
                 .to.be.revertedWithCustomError(factory, "InvalidInitialization");
         });
     });
@@ -112,12 +142,12 @@ describe("SmartWalletFactory", function () {
             expect(await factory.isValidWallet(walletAddress)).to.be.true;
         });
 
-        it("Should not create duplicate wallets for same user", async function () {
+        it("Should not create the same wallet twice", async function () {
             const { factory, user1 } = await loadFixture(deployFixture);
             
             await factory.createAccount(user1.address, 123);
             
-            await expect(factory.createAccount(user1.address, 456))
+            await expect(factory.createAccount(user1.address, 123))
                 .to.be.revertedWithCustomError(factory, "WalletAlreadyExists");
         });
 
@@ -156,8 +186,7 @@ describe("SmartWalletFactory", function () {
             await factory.createAccount(user1.address, 123);
             const walletAddress = await factory.getWallet(user1.address);
             
-            const SmartWallet = await ethers.getContractFactory("SmartWallet");
-            const wallet = SmartWallet.attach(walletAddress);
+            const wallet = await ethers.getContractAt("SmartWallet", walletAddress);
             
             expect(await wallet.owner()).to.equal(user1.address);
         });
@@ -168,8 +197,7 @@ describe("SmartWalletFactory", function () {
             const { factory, entryPoint, owner } = await loadFixture(deployFixture);
             
             // Deploy new implementation
-            const SmartWallet = await ethers.getContractFactory("SmartWallet");
-            const newImpl = await SmartWallet.deploy(entryPoint.target);
+            const newImpl = await deploySmartWalletImplementation(entryPoint.target);
             
             const oldImpl = await factory.accountImplementation();
             
@@ -199,8 +227,7 @@ describe("SmartWalletFactory", function () {
             const EntryPoint = await ethers.getContractFactory("EntryPoint");
             const differentEntryPoint = await EntryPoint.deploy();
             
-            const SmartWallet = await ethers.getContractFactory("SmartWallet");
-            const wrongImpl = await SmartWallet.deploy(differentEntryPoint.target);
+            const wrongImpl = await deploySmartWalletImplementation(differentEntryPoint.target);
             
             await expect(factory.connect(owner).setSmartWalletImplementation(wrongImpl.target))
                 .to.be.revertedWithCustomError(factory, "InvalidImplementation");
@@ -210,8 +237,7 @@ describe("SmartWalletFactory", function () {
         it("Should reject implementation updates from non-owner", async function () {
             const { factory, entryPoint, user1 } = await loadFixture(deployFixture);
             
-            const SmartWallet = await ethers.getContractFactory("SmartWallet");
-            const newImpl = await SmartWallet.deploy(entryPoint.target);
+            const newImpl = await deploySmartWalletImplementation(entryPoint.target);
             
             await expect(factory.connect(user1).setSmartWalletImplementation(newImpl.target))
                 .to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount");
@@ -422,9 +448,8 @@ describe("SmartWalletFactory", function () {
             const wallet1Address = await factory.getWallet(user1.address);
             const wallet2Address = await factory.getWallet(user2.address);
             
-            const SmartWallet = await ethers.getContractFactory("SmartWallet");
-            const wallet1 = SmartWallet.attach(wallet1Address);
-            const wallet2 = SmartWallet.attach(wallet2Address);
+            const wallet1 = await ethers.getContractAt("SmartWallet", wallet1Address);
+            const wallet2 = await ethers.getContractAt("SmartWallet", wallet2Address);
             
             expect(await wallet1.owner()).to.equal(user1.address);
             expect(await wallet2.owner()).to.equal(user2.address);
@@ -437,8 +462,7 @@ describe("SmartWalletFactory", function () {
             await factory.createAccount(user1.address, salt);
             const walletAddress = await factory.getWallet(user1.address);
             
-            const SmartWallet = await ethers.getContractFactory("SmartWallet");
-            const wallet = SmartWallet.attach(walletAddress);
+            const wallet = await ethers.getContractAt("SmartWallet", walletAddress);
             
             // Verify wallet is functional
             expect(await wallet.owner()).to.equal(user1.address);
@@ -492,8 +516,7 @@ describe("SmartWalletFactory", function () {
         it("Should emit SmartWalletImplementationUpdated event", async function () {
             const { factory, entryPoint, owner } = await loadFixture(deployFixture);
             
-            const SmartWallet = await ethers.getContractFactory("SmartWallet");
-            const newImpl = await SmartWallet.deploy(entryPoint.target);
+            const newImpl = await deploySmartWalletImplementation(entryPoint.target);
             const oldImpl = await factory.accountImplementation();
             
             await expect(factory.connect(owner).setSmartWalletImplementation(newImpl.target))
@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers, upgrades } = require("hardhat");
 const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deploySmartWalletImplementation } = require("../scripts/wallet-implementation");
 
 // Hardhat default account private keys (for testing only)
 const HARDHAT_PRIVATE_KEYS = [
@@ -69,11 +70,14 @@ describe("Transfer Failure Tests", function () {
         // Deploy EntryPoint
         const entryPoint = await ethers.deployContract("EntryPoint");
         
+        // Deploy SmartWallet implementation and its libraries
+        const accountImplementation = await deploySmartWalletImplementation(entryPoint.target);
+
         // Deploy factory
         const SmartWalletFactory = await ethers.getContractFactory("SmartWalletFactory");
         const factory = await upgrades.deployProxy(
             SmartWalletFactory,
-            [entryPoint.target, owner.address, ethers.ZeroAddress],
+            [entryPoint.target, owner.address, ethers.ZeroAddress, accountImplementation.target],
             { 
                 initializer: 'initialize',
                 unsafeAllow: ['constructor']
@@ -357,7 +361,7 @@ describe("Transfer Failure Tests", function () {
                 callData: "0x",
                 accountGasLimits: ethers.solidityPacked(
                     ["uint128", "uint128"], 
-                    [50000, 50000] // Minimal but valid gas
+                    [55000, 50000] // Minimal but valid gas (includes the upgradeable wallet proxy hop)
                 ),
                 preVerificationGas: 21000,
                 gasFees: ethers.solidityPacked(
@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers, upgrades } = require("hardhat");
 const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deploySmartWalletImplementation } = require("../scripts/wallet-implementation");
 
 // Hardhat default account private keys (for testing only)
 const HARDHAT_PRIVATE_KEYS = [
@@ -18,11 +19,14 @@ describe("UserOperation Flow Tests", function () {
         // Deploy EntryPoint
         const entryPoint = await ethers.deployContract("EntryPoint");
         
+        // Deploy SmartWallet implementation and its libraries
+        const accountImplementation = await deploySmartWalletImplementation(entryPoint.target);
+
         // Deploy factory with upgrades plugin
         const SmartWalletFactory = await ethers.getContractFactory("SmartWalletFactory");
         const factory = await upgrades.deployProxy(
             SmartWalletFactory,
-            [entryPoint.target, owner.address, ethers.ZeroAddress],
+            [entryPoint.target, owner.address, ethers.ZeroAddress, accountImplementation.target],
             { 
                 initializer: 'initialize',
                 unsafeAllow: ['constructor']
@@ -369,7 +373,7 @@ describe("UserOperation Flow Tests", function () {
                 callData: "0x",
                 accountGasLimits: ethers.solidityPacked(
                     ["uint128", "uint128"], 
-                    [50000, 100000] // verificationGasLimit, callGasLimit
+                    [55000, 100000] // verificationGasLimit, callGasLimit
                 ),
                 preVerificationGas: 21000,
                 gasFees: ethers.solidityPacked(
@@ -385,7 +389,7 @@ describe("UserOperation Flow Tests", function () {
             userOp.signature = await signUserOp(userOp, user1, entryPoint, chainId);
             
             // Fund with exact calculated amount
-            const totalGas = 50000 + 100000 + 21000; // 171,000
+            const totalGas = 55000 + 100000 + 21000; // 176,000
             const maxFeePerGas = ethers.parseUnits("10", "gwei");
             const requiredPrefund = BigInt(totalGas) * maxFeePerGas;
             
@@ -0,0 +1,388 @@
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { secp256r1 } = require("@noble/curves/p256");
+const { walletDomain } = require("../../scripts/erc7739");
+const { cosignSessionSignature } = require("../../scripts/cosign");
+const { deployWalletLibraries, deploySmartWalletImplementation } = require("../../scripts/wallet-implementation");
+
+const SESSION_KEY_ECDSA = "0x00000001";
+const SESSION_KEY_P256 = "0x00000002";
+const SESSION_KEY_ENABLE_ECDSA = "0x00000003";
+const SESSION_KEY_ENABLE_P256 = "0x00000004";
+const SESSION_KEY_P256_WEBAUTHN = "0x00000005";
+const OWNER_P256 = "0x00000006";
+const OWNER_P256_WEBAUTHN = "0x00000007";
+const OWNER_MULTISIG = "0x00000008";
+const WEBAUTHN_AUTH_TYPE =
+    "tuple(bytes authenticatorData,string clientDataJSON,uint256 challengeIndex,uint256 typeIndex,bytes32 r,bytes32 s)";
+const ERC1271_MAGIC_VALUE = "0x1626ba7e";
+const ERC1271_INVALID = "0xffffffff";
+const ONE_DAY = 24 * 60 * 60;
+const ONE_WEEK = 7 * ONE_DAY;
+const SET_VALUE_SELECTOR = "0x55241077"; // setValue(uint256)
+
+/**
+ * P256 (secp256r1) signing key, as used by passkeys
+ */
+class P256SigningKey {
+    constructor(privateKey) {
+        this.privateKey = privateKey;
+    }
+
+    static random() {
+        return new P256SigningKey(secp256r1.utils.randomPrivateKey());
+    }
+
+    get publicKey() {
+        const publicKeyBytes = secp256r1.getPublicKey(this.privateKey, false);
+        return {
+            qx: ethers.hexlify(publicKeyBytes.slice(0x01, 0x21)),
+            qy: ethers.hexlify(publicKeyBytes.slice(0x21, 0x41)),
+        };
+    }
+
+    sign(digest) {
+        const sig = secp256r1.sign(ethers.getBytesCopy(digest), ethers.getBytesCopy(this.privateKey), { lowS: true });
+        return {
+            r: ethers.toBeHex(sig.r, 32),
+            s: ethers.toBeHex(sig.s, 32),
+        };
+    }
+}
+
+/**
+ * Deploy EntryPoint, wallet libraries, factory and a funded wallet owned by user1
+ */
+async function walletFixture() {
+    const [owner, user1, user2, beneficiary] = await ethers.getSigners();
+
+    const entryPoint = await ethers.deployContract("EntryPoint");
+
+    const libraries = await deployWalletLibraries();
+    const accountImplementation = await deploySmartWalletImplementation(entryPoint.target, { libraries });
+    const SmartWalletFactory = await ethers.getContractFactory("SmartWalletFactory");
+    const factory = await upgrades.deployProxy(
+        SmartWalletFactory,
+        [entryPoint.target, owner.address, ethers.ZeroAddress, accountImplementation.target],
+        {
+            initializer: "initialize",
+            unsafeAllow: ["constructor"],
+        }
+    );
+
+    await factory.createAccount(user1.address, 0);
+    const wallet = await ethers.getContractAt("SmartWallet", await factory.getWallet(user1.address));
+
+    await owner.sendTransaction({ to: wallet.target, value: ethers.parseEther("10") });
+    await entryPoint.depositTo(wallet.target, { value: ethers.parseEther("1") });
+
+    const mockTarget = await ethers.deployContract("MockTarget");
+    const usdc = await ethers.deployContract("MockUSDC");
+    await usdc.mint(wallet.target, 10_000n * 10n ** 6n);
+
+    return { entryPoint, libraries, factory, wallet, mockTarget, usdc, owner, user1, user2, beneficiary };
+}
+
+/**
+ * EIP-712 domain of `wallet`, which its ERC-1271 (ERC-7739 nested) signatures are bound to
+ */
+async function getWalletDomain(wallet) {
+    const { chainId } = await ethers.provider.getNetwork();
+    return walletDomain(wallet.target, chainId);
+}
+
+/**
+ * Build an ECDSA session config with sensible defaults
+ */
+async function createSessionConfig(key, targets, selectors, options = {}) {
+    const now = await time.latest();
+    return {
+        key,
+        validAfter: options.validAfter || now,
+        validUntil: options.validUntil || now + ONE_WEEK,
+        maxValuePerTx: options.maxValuePerTx || ethers.parseEther("1"),
+        maxValueTotal: options.maxValueTotal || ethers.parseEther("10"),
+        maxCalls: options.maxCalls || 100,
+        periodLength: options.periodLength || 0,
+        maxCallsPerPeriod: options.maxCallsPerPeriod || 0,
+        maxValuePerPeriod: options.maxValuePerPeriod || 0,
+        allowedTargets: targets,
+        allowedSelectors: selectors,
+        targetPermissions: options.targetPermissions || [],
+        tokenLimits: options.tokenLimits || [],
+        paramRules: options.paramRules || [],
+        signingPermissions: options.signingPermissions || [],
+        signableHashes: options.signableHashes || [],
+        policies: options.policies || [],
+        recipients: options.recipients || [],
+        cosigner: options.cosigner || ethers.ZeroAddress,
+    };
+}
+
+/**
+ * Build a P256 session config with sensible defaults
+ */
+async function createP256SessionConfig(p256Key, targets, selectors, options = {}) {
+    const { key, ...rest } = await createSessionConfig(ethers.ZeroAddress, targets, selectors, options);
+    return { keyX: p256Key.publicKey.qx, keyY: p256Key.publicKey.qy, ...rest };
+}
+
+/**
+ * Build an unsigned packed UserOperation for a wallet
+ */
+async function createUserOp(wallet, callData, options = {}) {
+    return {
+        sender: wallet.target,
+        nonce: options.nonce ?? (await wallet["getNonce()"]()),
+        initCode: options.initCode || "0x",
+        callData,
+        accountGasLimits: ethers.solidityPacked(
+            ["uint128", "uint128"],
+            [options.verificationGasLimit || 1_000_000, options.callGasLimit || 500_000]
+        ),
+        preVerificationGas: 100_000,
+        gasFees: ethers.solidityPacked(
+            ["uint128", "uint128"],
+            [ethers.parseUnits("10", "gwei"), ethers.parseUnits("10", "gwei")]
+        ),
+        paymasterAndData: options.paymasterAndData || "0x",
+        signature: "0x",
+    };
+}
+
+/**
+ * Sign a UserOperation with an ECDSA session key
+ * Format: [4 bytes prefix][20 bytes session key][65 bytes signature]
+ */
+async function signUserOpECDSA(userOp, sessionKey, entryPoint) {
+    const userOpHash = await entryPoint.getUserOpHash(userOp);
+    return ethers.concat([SESSION_KEY_ECDSA, sessionKey.address, sessionKey.signingKey.sign(userOpHash).serialized]);
+}
+
+/**
+ * Sign a UserOperation with a P256 session key
+ * Format: [4 bytes prefix][32 bytes keyX][32 bytes keyY][32 bytes r][32 bytes s]
+ */
+async function signUserOpP256(userOp, p256Key, entryPoint) {
+    const userOpHash = await entryPoint.getUserOpHash(userOp);
+    const sig = p256Key.sign(userOpHash);
+    return ethers.concat([SESSION_KEY_P256, p256Key.publicKey.qx, p256Key.publicKey.qy, sig.r, sig.s]);
+}
+
+/**
+ * Add a cosigner's signature to a session key signature of a UserOperation
+ * Format: [4 bytes prefix][65 bytes cosigner signature][session key signature]
+ */
+async function cosignUserOp(userOp, sessionSignature, cosigner, entryPoint) {
+    return cosignSessionSignature(cosigner, await entryPoint.getUserOpHash(userOp), sessionSignature);
+}
+
+/**
+ * Produce a WebAuthn assertion over `challenge`, as a passkey would through navigator.credentials.get()
+ * Options allow overriding the authenticator flags and assertion type, or tampering with the client data.
+ */
+function signWebAuthn(p256Key, challenge, options = {}) {
+    const flags = options.flags ?? 0x05; // User Present + User Verified
+    const authenticatorData = ethers.concat([
+        ethers.sha256(ethers.toUtf8Bytes("app.lendefi.com")), // rpIdHash
+        ethers.toBeHex(flags, 1),
+        "0x00000001", // signCount
+    ]);
+    const encodedChallenge = Buffer.from(ethers.getBytes(challenge)).toString("base64url");
+    const clientDataJSON =
+        `{"type":"${options.type ?? "webauthn.get"}","challenge":"${encodedChallenge}",` +
+        `"origin":"https://app.lendefi.com","crossOrigin":false}`;
+
+    const clientDataHash = ethers.sha256(ethers.toUtf8Bytes(clientDataJSON));
+    const sig = p256Key.sign(ethers.sha256(ethers.concat([authenticatorData, clientDataHash])));
+
+    return {
+        authenticatorData,
+        clientDataJSON: options.tamperClientData ? options.tamperClientData(clientDataJSON) : clientDataJSON,
+        challengeIndex: clientDataJSON.indexOf('"challenge"'),
+        typeIndex: clientDataJSON.indexOf('"type"'),
+        r: sig.r,
+        s: sig.s,
+    };
+}
+
+/**
+ * Encode a WebAuthn-wrapped P256 session signature over `hash`
+ * Format: [4 bytes prefix][32 bytes keyX][32 bytes keyY][abi.encode(WebAuthnAuth)]
+ */
+function encodeWebAuthnSignature(p256Key, hash, options = {}) {
+    return ethers.concat([
+        SESSION_KEY_P256_WEBAUTHN,
+        p256Key.publicKey.qx,
+        p256Key.publicKey.qy,
+        ethers.AbiCoder.defaultAbiCoder().encode([WEBAUTHN_AUTH_TYPE], [signWebAuthn(p256Key, hash, options)]),
+    ]);
+}
+
+/**
+ * Encode a P256 owner signature over `hash`, raw or (with options.webAuthn) through a WebAuthn assertion
+ * Format: [4 bytes prefix][32 bytes x][32 bytes y][32 bytes r][32 bytes s | abi.encode(WebAuthnAuth)]
+ */
+function encodeOwnerP256Signature(p256Key, hash, options = {}) {
+    const { qx, qy } = p256Key.publicKey;
+    if (options.webAuthn) {
+        return ethers.concat([
+            OWNER_P256_WEBAUTHN,
+            qx,
+            qy,
+            ethers.AbiCoder.defaultAbiCoder().encode([WEBAUTHN_AUTH_TYPE], [signWebAuthn(p256Key, hash, options)]),
+        ]);
+    }
+    const sig = p256Key.sign(hash);
+    return ethers.concat([OWNER_P256, qx, qy, sig.r, sig.s]);
+}
+
+/**
+ * Sign a UserOperation as a P256 (passkey) owner
+ */
+async function signUserOpOwnerP256(userOp, p256Key, entryPoint, options = {}) {
+    return encodeOwnerP256Signature(p256Key, await entryPoint.getUserOpHash(userOp), options);
+}
+
+/**
+ * Sign `hash` as an owner: ethers wallets produce a raw 65-byte ECDSA signature,
+ * P256SigningKey instances a prefixed P256 owner signature
+ */
+function signOwnerHash(signer, hash, options = {}) {
+    if (signer instanceof P256SigningKey) return encodeOwnerP256Signature(signer, hash, options);
+    return signer.signingKey.sign(hash).serialized;
+}
+
+/**
+ * Encode a threshold owner signature over `hash` from several owners
+ * Format: [4 bytes prefix][abi.encode(bytes[] ownerSignatures)]
+ */
+function encodeMultisigSignature(signers, hash, options = {}) {
+    const signatures = signers.map((signer) => signOwnerHash(signer, hash, options));
+    return ethers.concat([OWNER_MULTISIG, ethers.AbiCoder.defaultAbiCoder().encode(["bytes[]"], [signatures])]);
+}
+
+/**
+ * Sign a UserOperation with several owners of a multisig wallet
+ */
+async function signUserOpMultisig(userOp, signers, entryPoint, options = {}) {
+    return encodeMultisigSignature(signers, await entryPoint.getUserOpHash(userOp), options);
+}
+
+/**
+ * Sign a UserOperation with a P256 session key through a WebAuthn assertion
+ */
+async function signUserOpWebAuthn(userOp, p256Key, entryPoint, options = {}) {
+    return encodeWebAuthnSignature(p256Key, await entryPoint.getUserOpHash(userOp), options);
+}
+
+/**
+ * ABI-encode a session config the way the wallet hashes it for enable-mode grants
+ */
+function encodeSessionConfig(wallet, config, isP256 = false) {
+    const configType = wallet.interface.getFunction(isP256 ? "createSessionP256" : "createSessionECDSA").inputs[0];
+    return ethers.AbiCoder.defaultAbiCoder().encode([configType], [config]);
+}
+
+/**
+ * Sign an EIP-712 enable-mode session grant as the wallet owner
+ */
+async function signSessionGrant(owner, wallet, config, nonce, isP256 = false) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = { name: "Lendefi Smart Wallet", version: "1", chainId, verifyingContract: wallet.target };
+    const configHash = ethers.keccak256(encodeSessionConfig(wallet, config, isP256));
+    const epoch = await wallet.sessionEpoch();
+
+    if (isP256) {
+        const types = {
+            EnableSessionP256: [
+                { name: "keyX", type: "bytes32" },
+                { name: "keyY", type: "bytes32" },
+                { name: "configHash", type: "bytes32" },
+                { name: "nonce", type: "uint256" },
+                { name: "epoch", type: "uint64" },
+            ],
+        };
+        return owner.signTypedData(domain, types, { keyX: config.keyX, keyY: config.keyY, configHash, nonce, epoch });
+    }
+
+    const types = {
+        EnableSessionECDSA: [
+            { name: "sessionKey", type: "address" },
+            { name: "configHash", type: "bytes32" },
+            { name: "nonce", type: "uint256" },
+            { name: "epoch", type: "uint64" },
+        ],
+    };
+    return owner.signTypedData(domain, types, { sessionKey: config.key, configHash, nonce, epoch });
+}
+
+/**
+ * Sign a UserOperation that enables an ECDSA session and uses it in the same operation
+ * Format: [4 bytes prefix][abi.encode(config, nonce, ownerSignature, sessionSignature)]
+ */
+async function signUserOpEnableECDSA(userOp, sessionKey, entryPoint, wallet, config, nonce, ownerSignature) {
+    const userOpHash = await entryPoint.getUserOpHash(userOp);
+    const configType = wallet.interface.getFunction("createSessionECDSA").inputs[0];
+    return ethers.concat([
+        SESSION_KEY_ENABLE_ECDSA,
+        ethers.AbiCoder.defaultAbiCoder().encode(
+            [configType, "uint256", "bytes", "bytes"],
+            [config, nonce, ownerSignature, sessionKey.signingKey.sign(userOpHash).serialized]
+        ),
+    ]);
+}
+
+/**
+ * Sign a UserOperation that enables a P256 session and uses it in the same operation
+ * Format: [4 bytes prefix][abi.encode(config, nonce, ownerSignature, r, s)]
+ */
+async function signUserOpEnableP256(userOp, p256Key, entryPoint, wallet, config, nonce, ownerSignature) {
+    const userOpHash = await entryPoint.getUserOpHash(userOp);
+    const configType = wallet.interface.getFunction("createSessionP256").inputs[0];
+    const sig = p256Key.sign(userOpHash);
+    return ethers.concat([
+        SESSION_KEY_ENABLE_P256,
+        ethers.AbiCoder.defaultAbiCoder().encode(
+            [configType, "uint256", "bytes", "bytes32", "bytes32"],
+            [config, nonce, ownerSignature, sig.r, sig.s]
+        ),
+    ]);
+}
+
+module.exports = {
+    P256SigningKey,
+    walletFixture,
+    getWalletDomain,
+    createSessionConfig,
+    createP256SessionConfig,
+    createUserOp,
+    signUserOpECDSA,
+    signUserOpP256,
+    cosignUserOp,
+    signWebAuthn,
+    encodeWebAuthnSignature,
+    signUserOpWebAuthn,
+    encodeOwnerP256Signature,
+    signUserOpOwnerP256,
+    signOwnerHash,
+    encodeMultisigSignature,
+    signUserOpMultisig,
+    encodeSessionConfig,
+    signSessionGrant,
+    signUserOpEnableECDSA,
+    signUserOpEnableP256,
+    SESSION_KEY_ECDSA,
+    SESSION_KEY_P256,
+    SESSION_KEY_ENABLE_ECDSA,
+    SESSION_KEY_ENABLE_P256,
+    SESSION_KEY_P256_WEBAUTHN,
+    OWNER_P256,
+    OWNER_P256_WEBAUTHN,
+    OWNER_MULTISIG,
+    ERC1271_MAGIC_VALUE,
+    ERC1271_INVALID,
+    ONE_DAY,
+    ONE_WEEK,
+    SET_VALUE_SELECTOR,
+};